@@ -0,0 +1,536 @@
+const Consultation = require('./models/Consultation');
+const consultationRevisions = require('./consultationRevisions');
+const patientHistory = require('./patientHistory');
+const llm = require('./llmProviders');
+const deidentify = require('./deidentify');
+
+// The consultation analysis pipeline: diarization, clinical analysis, key
+// points and persistence. Each step is exported on its own so the background
+// job worker can run (and retry) them as separate stages; analyzeTranscript
+// runs them all in one go for the synchronous /analyze route. Every prompt
+// is de-identified before it is sent and every answer re-identified (see
+// deidentify.js), so the LLM never sees who the patient is.
+
+// --- AI Prompts for Medical Analysis ---
+const MEDICAL_PROMPTS = {
+  systemPrompt: `You are Ninisina, an expert medical AI assistant specialized in clinical documentation and analysis. Your purpose is to assist healthcare professionals by processing consultation audio into structured, accurate, and insightful medical data. You must adhere to the highest standards of clinical accuracy and provide evidence-based reasoning. Always output your final analysis in the requested JSON format with proper string formatting.`,
+
+  analysisPrompt: (transcript, patientInfo, priorContext) => `
+    PATIENT INFORMATION:
+    Name: ${patientInfo.name || 'Not Provided'}
+    Age: ${patientInfo.age || 'Not Provided'}
+    Gender: ${patientInfo.gender || 'Not Provided'}
+    Visit Type: ${patientInfo.visitType || 'Not Provided'}
+    ${priorContext ? `
+    PRIOR VISIT CONTEXT (summarized from this patient's previous consultations; the last visit was on ${new Date(priorContext.lastVisitDate).toISOString().slice(0, 10)}):
+    """
+    ${priorContext.text}
+    """
+    ` : ''}
+    CONSULTATION TRANSCRIPT:
+    """
+    ${transcript}
+    """
+
+    Based on the provided transcript and patient information, perform a comprehensive medical analysis. Generate a response in the following strict JSON format ONLY. Do not include any text or markdown formatting outside of the JSON object.
+
+    IMPORTANT: All field values must be strings or properly formatted arrays. Do not use nested objects for simple fields.
+
+    {
+      "clinicalSummary": {
+        "chiefComplaint": "A concise summary of the patient's primary reason for the visit.",
+        "historyOfPresentIllness": "A detailed narrative of the patient's current symptoms, including onset, duration, severity, and associated factors.",
+        "assessment": "Your clinical assessment, including the most likely diagnosis and rationale.",
+        "plan": "A structured plan for patient care as a formatted string. Include: Immediate Treatment: [details], Follow-up Treatment: [details], Additional Care: [details]",
+        "vitals": "Vital signs if mentioned in the transcript, otherwise 'Not recorded'.",
+        "riskFactors": ["List of relevant risk factors identified from the conversation."]
+      },
+      "medicalInsights": {
+          "differentialDiagnosis": [
+            {
+              "condition": "Primary or alternative diagnosis",
+              "probability": "High | Moderate | Low (e.g., 'High (approx. 85%)')",
+              "reasoning": "Brief clinical reasoning based on transcript evidence.",
+              "icd10": "The most appropriate ICD-10 code."
+            }
+          ],
+          "redFlags": [
+            {
+              "flag": "Any symptom or finding that requires urgent attention.",
+              "status": "Critical | Monitor | Noted",
+              "action": "Recommended immediate action for this flag."
+            }
+          ],
+          "recommendations": [
+            {
+              "category": "Immediate",
+              "items": ["Actionable recommendations for immediate consideration."]
+            },
+            {
+              "category": "Follow-up",
+              "items": ["Recommendations for future appointments or monitoring."]
+            },
+            {
+              "category": "Lifestyle",
+              "items": ["Suggestions for lifestyle changes, diet, exercise, etc."]
+            }
+          ],
+          "clinicalDecisionSupport": {
+            "guidelines": "Mention relevant clinical guidelines (e.g., 'AHA/ACC Guidelines for Hypertension').",
+            "evidenceLevel": "Level A | Level B | Level C",
+            "recommendedActions": ["Key actions supported by evidence."]
+          }
+        }${priorContext ? `,
+      "intervalChange": {
+        "summary": "How the patient has changed since the last visit, in two or three sentences.",
+        "changes": [
+          {
+            "aspect": "Symptom, finding, vital sign, medication or red flag being compared.",
+            "previous": "Status at the last visit.",
+            "current": "Status today.",
+            "trend": "Improved | Worsened | Unchanged | New | Resolved"
+          }
+        ]
+      }` : ''}
+    }
+    ${priorContext ? 'Use the prior visit context only for comparison. Base the clinical summary and insights on today\'s transcript, and flag any unresolved previous red flag that is not addressed today.' : ''}
+  `,
+
+  prescriptionPrompt: (transcript, patientInfo) => `
+    PATIENT INFORMATION:
+    Name: ${patientInfo.name || 'Not Provided'}
+    Age: ${patientInfo.age || 'Not Provided'}
+    Gender: ${patientInfo.gender || 'Not Provided'}
+    Visit Type: ${patientInfo.visitType || 'Not Provided'}
+
+    PRESCRIPTION TRANSCRIPT:
+    """
+    ${transcript}
+    """
+
+    You are tasked with generating a structured e-prescription based on the doctor's verbal instructions in the transcript. Extract medication details (name, dosage, frequency, duration, instructions) and any additional instructions. Output in the following strict JSON format ONLY:
+
+    {
+      "prescriptionId": "Generate a unique ID using timestamp",
+      "medications": [
+        {
+          "name": "Medication name",
+          "dosage": "Dosage amount (e.g., 500 mg)",
+          "frequency": "Frequency of administration (e.g., twice daily)",
+          "duration": "Duration of treatment (e.g., 7 days)",
+          "instructions": "Specific instructions or null if none"
+        }
+      ],
+      "additionalInstructions": "Any additional instructions or null if none"
+    }
+  `,
+};
+
+// Add "Doctor:"/"Patient:" speaker labels to a raw transcript. Throws on failure.
+async function labelSpeakers(transcript, patientInfo = {}) {
+  console.log('🗣️  Applying speaker diarization...');
+  const phi = await deidentify.pseudonymizerFor(patientInfo);
+  const deidentifiedTranscript = phi.deidentify(transcript);
+
+  const diarizationPrompt = `
+You are a highly accurate AI assistant specializing in processing medical transcripts.
+Your task is to add speaker labels ("Doctor:" and "Patient:") to the following raw transcript.
+The conversation is between a doctor and a patient. Analyze the dialogue to correctly identify who is speaking at each turn.
+Maintain the original wording precisely. Do not add any extra text, summary, or commentary.
+Your output should ONLY be the formatted transcript with the added labels.
+
+RAW TRANSCRIPT:
+"""
+${deidentifiedTranscript}
+"""
+
+FORMATTED TRANSCRIPT:
+  `;
+
+  const { content } = await llm.chatCompletion({
+    task: 'diarization',
+    messages: [{ role: 'user', content: diarizationPrompt }],
+    temperature: 0.0,
+    maxTokens: deidentifiedTranscript.length + 500
+  });
+
+  const labeledTranscript = phi.reidentify(content.trim());
+  console.log('✅ Diarization complete.');
+  return labeledTranscript;
+}
+
+// Speaker diarization that falls back to the raw transcript
+async function diarizeTranscript(transcript, patientInfo = {}) {
+  try {
+    return await labelSpeakers(transcript, patientInfo);
+  } catch (error) {
+    console.error('Diarization failed:', error);
+    return transcript;
+  }
+}
+
+// Enhanced medical analysis function
+async function analyzeMedicalConsultation(transcript, patientInfo = {}, priorContext = null, { onToken } = {}) {
+  const phi = await deidentify.pseudonymizerFor(patientInfo);
+  const analysisPrompt = phi.deidentify(MEDICAL_PROMPTS.analysisPrompt(transcript, phi.patientInfo(patientInfo), priorContext));
+  try {
+    const { content } = await llm.chatCompletion({
+      task: 'analysis',
+      messages: [
+        { role: 'system', content: MEDICAL_PROMPTS.systemPrompt },
+        { role: 'user', content: analysisPrompt }
+      ],
+      json: true,
+      maxTokens: 3000,
+      temperature: 0.3,
+      onToken
+    });
+    return phi.reidentify(llm.parseJSONResponse(content));
+  } catch (error) {
+    console.error('Medical analysis AI call error:', error);
+    throw error;
+  }
+}
+
+// Data sanitization function
+function sanitizeAnalysisData(analysis) {
+  try {
+    // Handle plan field - convert object to string if needed
+    if (analysis.clinicalSummary && analysis.clinicalSummary.plan) {
+      if (typeof analysis.clinicalSummary.plan === 'object') {
+        // Convert object to formatted string
+        if (analysis.clinicalSummary.plan.immediateTreatment) {
+          analysis.clinicalSummary.plan = 
+            `Immediate Treatment: ${analysis.clinicalSummary.plan.immediateTreatment}\n` +
+            `Follow-up Treatment: ${analysis.clinicalSummary.plan.followUpTreatment || 'Not specified'}\n` +
+            `Additional Care: ${analysis.clinicalSummary.plan.additionalCare || 'Not specified'}`;
+        } else {
+          analysis.clinicalSummary.plan = JSON.stringify(analysis.clinicalSummary.plan);
+        }
+      }
+    }
+
+    // Ensure all required nested objects exist
+    if (!analysis.clinicalSummary) analysis.clinicalSummary = {};
+    if (!analysis.medicalInsights) analysis.medicalInsights = {};
+    
+    // Ensure arrays exist and are properly formatted
+    if (!Array.isArray(analysis.medicalInsights.recommendations)) {
+      analysis.medicalInsights.recommendations = [];
+    }
+    
+    if (!Array.isArray(analysis.medicalInsights.redFlags)) {
+      analysis.medicalInsights.redFlags = [];
+    }
+    
+    if (!Array.isArray(analysis.medicalInsights.differentialDiagnosis)) {
+      analysis.medicalInsights.differentialDiagnosis = [];
+    }
+
+    // Interval change is only produced for follow-up visits with history
+    if (analysis.intervalChange) {
+      if (typeof analysis.intervalChange !== 'object') {
+        analysis.intervalChange = { summary: String(analysis.intervalChange), changes: [] };
+      }
+      if (!Array.isArray(analysis.intervalChange.changes)) {
+        analysis.intervalChange.changes = [];
+      }
+    }
+
+    // Ensure clinicalDecisionSupport exists
+    if (!analysis.medicalInsights.clinicalDecisionSupport) {
+      analysis.medicalInsights.clinicalDecisionSupport = {
+        guidelines: "",
+        evidenceLevel: "",
+        recommendedActions: []
+      };
+    }
+
+    return analysis;
+  } catch (error) {
+    console.error('Error sanitizing analysis data:', error);
+    return analysis;
+  }
+}
+
+// Helper function to generate follow-up reminders
+function generateFollowUpReminders(analysis) {
+  const reminders = [];
+  
+  // Check if analysis and medicalInsights exist
+  if (!analysis || !analysis.medicalInsights) {
+    console.warn('⚠️ Analysis or medicalInsights is missing');
+    return reminders;
+  }
+  
+  // Safely handle recommendations
+  if (analysis.medicalInsights.recommendations && Array.isArray(analysis.medicalInsights.recommendations)) {
+    try {
+      analysis.medicalInsights.recommendations
+        .filter(rec => rec && rec.category === 'Follow-up' && Array.isArray(rec.items))
+        .forEach(rec => {
+          rec.items.forEach(item => {
+            if (item && typeof item === 'string') {
+              reminders.push({ 
+                type: 'followup', 
+                message: item, 
+                dueDate: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000) 
+              });
+            }
+          });
+        });
+    } catch (error) {
+      console.error('Error processing recommendations for follow-up reminders:', error);
+    }
+  }
+
+  // Safely handle redFlags
+  if (analysis.medicalInsights.redFlags && Array.isArray(analysis.medicalInsights.redFlags)) {
+    try {
+      analysis.medicalInsights.redFlags
+        .filter(flag => flag && flag.status === 'Critical')
+        .forEach(flag => {
+          if (flag.flag && flag.action) {
+            reminders.push({ 
+              type: 'urgent', 
+              message: `Urgent Action: ${flag.flag} - ${flag.action}`, 
+              dueDate: new Date(Date.now() + 24 * 60 * 60 * 1000) 
+            });
+          }
+        });
+    } catch (error) {
+      console.error('Error processing redFlags for follow-up reminders:', error);
+    }
+  }
+  
+  return reminders;
+}
+
+// Helper function to calculate confidence score
+function calculateConfidenceScore(analysis) {
+  if (!analysis || !analysis.medicalInsights) {
+    console.warn('⚠️ Analysis or medicalInsights missing for confidence calculation');
+    return 0.7;
+  }
+  
+  let score = 0.7; // Base score
+
+  try {
+    // Check differential diagnosis
+    if (analysis.medicalInsights.differentialDiagnosis && 
+        Array.isArray(analysis.medicalInsights.differentialDiagnosis) && 
+        analysis.medicalInsights.differentialDiagnosis.length > 1) {
+      score += 0.1;
+    }
+
+    // Check red flags
+    if (analysis.medicalInsights.redFlags && 
+        Array.isArray(analysis.medicalInsights.redFlags) && 
+        analysis.medicalInsights.redFlags.length > 0) {
+      score += 0.1;
+    }
+
+    // Check clinical decision support
+    if (analysis.medicalInsights.clinicalDecisionSupport && 
+        analysis.medicalInsights.clinicalDecisionSupport.guidelines) {
+      score += 0.1;
+    }
+  } catch (error) {
+    console.error('Error calculating confidence score:', error);
+  }
+
+  return Math.min(score, 0.98);
+}
+
+// Summary of the patient's previous visits for follow-up analysis, or null
+async function buildPriorContext(patientInfo) {
+  if (patientInfo.visitType !== 'follow-up' || !patientInfo.patientId) return null;
+  try {
+    const priorContext = await patientHistory.buildPriorVisitContext(patientInfo.patientId);
+    if (priorContext) {
+      console.log(`📚 Including ${priorContext.consultationIds.length} prior visit(s) in analysis context`);
+    }
+    return priorContext;
+  } catch (historyError) {
+    console.error('Failed to build prior visit context:', historyError);
+    return null;
+  }
+}
+
+// Placeholder analysis used when the AI call fails, so the visit is still saved
+const FALLBACK_ANALYSIS = {
+  clinicalSummary: {
+    chiefComplaint: "Unable to extract - AI analysis failed",
+    historyOfPresentIllness: "Unable to extract - AI analysis failed",
+    assessment: "Unable to extract - AI analysis failed",
+    plan: "Unable to extract - AI analysis failed",
+    vitals: "Not recorded",
+    riskFactors: []
+  },
+  medicalInsights: {
+    differentialDiagnosis: [],
+    redFlags: [],
+    recommendations: [],
+    clinicalDecisionSupport: {
+      guidelines: "",
+      evidenceLevel: "",
+      recommendedActions: []
+    }
+  }
+};
+
+function fallbackAnalysis() {
+  return JSON.parse(JSON.stringify(FALLBACK_ANALYSIS));
+}
+
+// Run the clinical analysis and sanitize the result. Throws on failure.
+// onToken, if given, receives the answer as it streams in.
+async function runClinicalAnalysis(labeledTranscript, patientInfo, priorContext, { onToken } = {}) {
+  console.log('🔬 Performing clinical analysis on labeled transcript...');
+  const analysis = await analyzeMedicalConsultation(labeledTranscript, patientInfo, priorContext, { onToken });
+
+  // Validate analysis structure
+  if (!analysis || typeof analysis !== 'object') {
+    throw new Error('Invalid analysis response from AI');
+  }
+
+  return sanitizeAnalysisData(analysis);
+}
+
+const KEY_POINTS_FALLBACK = ['Key points extraction failed - please review transcript manually'];
+
+// Extract 5-8 bullet points from the labeled transcript. Throws on failure.
+async function extractKeyPoints(labeledTranscript, patientInfo = {}) {
+  const phi = await deidentify.pseudonymizerFor(patientInfo);
+  const keyPointsPrompt = `Extract the most important clinical points from this medical consultation transcript:\n\n"${phi.deidentify(labeledTranscript)}"\n\nProvide 5-8 concise bullet points.`;
+  const { content: keyPointsText } = await llm.chatCompletion({
+    task: 'keyPoints',
+    messages: [
+      { role: 'system', content: 'You are a medical scribe extracting key clinical points.' },
+      { role: 'user', content: keyPointsPrompt }
+    ],
+    maxTokens: 800,
+    temperature: 0.3
+  });
+  return phi.reidentify(keyPointsText).split('\n')
+    .filter(line => line.trim().length > 0)
+    .map(line => line.replace(/^[-•*]\s*/, '').trim());
+}
+
+// Persist the analyzed consultation and build the response the frontend renders
+async function saveConsultation({ patientInfo, labeledTranscript, analysis, keyPoints, consultationDuration, priorContext }) {
+  const followUpReminders = generateFollowUpReminders(analysis);
+  const confidenceScore = calculateConfidenceScore(analysis);
+
+  console.log('💾 Saving consultation to database...');
+  const consultation = new Consultation({
+    patientInfo: patientInfo || {},
+    transcript: labeledTranscript,
+    clinicalSummary: analysis.clinicalSummary,
+    medicalInsights: analysis.medicalInsights,
+    intervalChange: analysis.intervalChange,
+    keyPoints: keyPoints,
+    followUpReminders: followUpReminders,
+    analysisMetadata: {
+      processedAt: new Date(),
+      transcriptLength: labeledTranscript.length,
+      aiModel: llm.modelFor('analysis'),
+      confidenceScore: confidenceScore,
+      consultationDuration: consultationDuration || 'N/A',
+      priorConsultationIds: priorContext ? priorContext.consultationIds : []
+    }
+  });
+
+  const savedConsultation = await consultation.save();
+  console.log(`✅ Consultation saved with ID: ${savedConsultation.consultationId}`);
+  await consultationRevisions.recordRevision(savedConsultation, { kind: 'ai_original', author: llm.modelFor('analysis') });
+
+  return buildAnalysisResponse({
+    consultationId: savedConsultation.consultationId,
+    patientInfo,
+    labeledTranscript,
+    analysis,
+    keyPoints,
+    followUpReminders,
+    confidenceScore
+  });
+}
+
+function buildAnalysisResponse({ consultationId, patientInfo, labeledTranscript, analysis, keyPoints, followUpReminders, confidenceScore }) {
+  return {
+    consultationId,
+    transcript: labeledTranscript, 
+    ...analysis,
+    keyPoints: keyPoints,
+    followUpReminders: followUpReminders,
+    analysisMetadata: {
+      processedAt: new Date().toISOString(),
+      transcriptLength: labeledTranscript.length,
+      patientInfo: patientInfo || {},
+      aiModel: llm.modelFor('analysis'),
+      confidenceScore: confidenceScore
+    }
+  };
+}
+
+// Whole pipeline in one call, degrading gracefully at every step
+async function analyzeTranscript({ transcript, patientInfo, consultationDuration }) {
+  console.log('🔍 Starting full analysis pipeline...');
+
+  const priorContext = await buildPriorContext(patientInfo);
+  const labeledTranscript = await diarizeTranscript(transcript, patientInfo);
+
+  let analysis;
+  try {
+    analysis = await runClinicalAnalysis(labeledTranscript, patientInfo, priorContext);
+  } catch (aiError) {
+    console.error('AI Analysis failed:', aiError);
+    analysis = fallbackAnalysis();
+  }
+
+  let keyPoints;
+  try {
+    keyPoints = await extractKeyPoints(labeledTranscript, patientInfo);
+  } catch (keyPointsError) {
+    console.error('Key points extraction failed:', keyPointsError);
+    keyPoints = KEY_POINTS_FALLBACK;
+  }
+
+  try {
+    const response = await saveConsultation({ patientInfo, labeledTranscript, analysis, keyPoints, consultationDuration, priorContext });
+    console.log('✅ Comprehensive medical analysis completed');
+    return response;
+  } catch (dbError) {
+    console.error('Database save error:', dbError);
+    // Still return the analysis even if DB save fails
+    return {
+      ...buildAnalysisResponse({
+        consultationId: `TEMP-${Date.now()}`, // Temporary ID
+        patientInfo,
+        labeledTranscript,
+        analysis,
+        keyPoints,
+        followUpReminders: generateFollowUpReminders(analysis),
+        confidenceScore: calculateConfidenceScore(analysis)
+      }),
+      warning: 'Analysis completed but not saved to database'
+    };
+  }
+}
+
+module.exports = {
+  MEDICAL_PROMPTS,
+  KEY_POINTS_FALLBACK,
+  labelSpeakers,
+  diarizeTranscript,
+  analyzeMedicalConsultation,
+  sanitizeAnalysisData,
+  generateFollowUpReminders,
+  calculateConfidenceScore,
+  buildPriorContext,
+  fallbackAnalysis,
+  runClinicalAnalysis,
+  extractKeyPoints,
+  saveConsultation,
+  analyzeTranscript
+};
@@ -0,0 +1,209 @@
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { detectSilences } = require('./audioSegmentation');
+
+const execFileAsync = promisify(execFile);
+
+// Every upload is checked by content (not by its declared mimetype), probed,
+// and rewritten as canonical 16 kHz mono WAV: loudness-normalized and with
+// leading/trailing silence removed, so the STT providers always get the same
+// input whatever the phone or browser produced.
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+const FFMPEG_TIMEOUT_MS = 10 * 60 * 1000;
+const MIN_SPEECH_SECONDS = 1;
+const EDGE_SILENCE_PADDING_SECONDS = 0.25; // keep a little air around the speech
+
+// Rejected uploads; `code` is returned to the client with a 422
+class AudioValidationError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'AudioValidationError';
+    this.code = code;
+  }
+}
+
+// Identify the container from its magic bytes
+function sniffAudioFormat(header) {
+  const ascii = (start, end) => header.toString('latin1', start, end);
+
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return 'wav';
+  if (ascii(0, 4) === 'OggS') return 'ogg';
+  if (ascii(0, 4) === 'fLaC') return 'flac';
+  if (ascii(0, 5) === '#!AMR') return 'amr';
+  if (ascii(4, 8) === 'ftyp') return 'm4a'; // MP4/M4A/3GP family
+  if (header[0] === 0x1A && header[1] === 0x45 && header[2] === 0xDF && header[3] === 0xA3) return 'webm'; // Matroska/WebM
+  if (ascii(0, 3) === 'ID3') return 'mp3';
+  if (header[0] === 0xFF && (header[1] & 0xF6) === 0xF0) return 'aac'; // ADTS
+  if (header[0] === 0xFF && (header[1] & 0xE0) === 0xE0) return 'mp3'; // MPEG audio frame sync
+  return null;
+}
+
+async function readHeader(filePath, length = 16) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+// Duration and audio stream details, or an AudioValidationError if the file can't be decoded
+async function probeAudio(filePath) {
+  let probe;
+  try {
+    const { stdout } = await execFileAsync(FFPROBE_PATH, [
+      '-v', 'error',
+      '-show_entries', 'format=duration:stream=codec_type,codec_name,channels,sample_rate',
+      '-of', 'json',
+      filePath
+    ], { timeout: FFMPEG_TIMEOUT_MS });
+    probe = JSON.parse(stdout);
+  } catch (error) {
+    if (error.code === 'ENOENT') throw error;
+    throw new AudioValidationError('The audio file is corrupt or could not be decoded', 'CORRUPT_AUDIO');
+  }
+
+  const audioStream = (probe.streams || []).find(stream => stream.codec_type === 'audio');
+  if (!audioStream) {
+    throw new AudioValidationError('The file does not contain an audio track', 'CORRUPT_AUDIO');
+  }
+  return {
+    codec: audioStream.codec_name,
+    channels: audioStream.channels,
+    sampleRate: parseInt(audioStream.sample_rate, 10),
+    duration: parseFloat(probe.format && probe.format.duration)
+  };
+}
+
+// Seconds of silence at the start and end of the recording
+function edgeSilence(silences, duration) {
+  const leading = silences.find(silence => silence.start <= 0.05);
+  const trailing = silences.find(silence => silence.end >= duration - 0.05);
+  return {
+    leading: leading ? leading.end : 0,
+    trailing: trailing ? duration - trailing.start : 0
+  };
+}
+
+// Without `end` the audio is kept up to the end of the file
+async function transcodeToCanonicalWav(inputPath, outputPath, { start, end }) {
+  const trim = ['-ss', start.toFixed(3)];
+  if (end !== undefined) trim.push('-to', end.toFixed(3));
+
+  try {
+    await execFileAsync(FFMPEG_PATH, [
+      '-hide_banner', '-loglevel', 'error', '-y',
+      ...trim,
+      '-i', inputPath,
+      '-af', 'loudnorm=I=-16:TP=-1.5:LRA=11',
+      '-ac', '1',
+      '-ar', '16000',
+      '-c:a', 'pcm_s16le',
+      outputPath
+    ], { timeout: FFMPEG_TIMEOUT_MS });
+  } catch (error) {
+    if (error.code === 'ENOENT') throw error;
+    throw new AudioValidationError('The audio file is corrupt or could not be converted', 'CORRUPT_AUDIO');
+  }
+}
+
+// Join the segments of a recording that was resumed after an interruption
+// (each is a separate MediaRecorder file) into one 16 kHz mono WAV, in order.
+// Resolves to the joined file's path; the segments are deleted.
+async function concatenateRecordings(filePaths) {
+  for (const filePath of filePaths) {
+    if (!sniffAudioFormat(await readHeader(filePath))) {
+      throw new AudioValidationError('Unsupported audio format in one of the recording segments', 'UNSUPPORTED_AUDIO');
+    }
+  }
+
+  // Resample every input first: the concat filter needs them all in the same format
+  const inputs = filePaths.map((filePath, index) => `[${index}:a]aresample=16000,aformat=channel_layouts=mono[a${index}]`);
+  const joined = filePaths.map((filePath, index) => `[a${index}]`).join('');
+  const outputPath = filePaths[0].replace(/\.[^./\\]*$/, '') + '.joined.wav';
+
+  try {
+    await execFileAsync(FFMPEG_PATH, [
+      '-hide_banner', '-loglevel', 'error', '-y',
+      ...filePaths.flatMap(filePath => ['-i', filePath]),
+      '-filter_complex', `${inputs.join(';')};${joined}concat=n=${filePaths.length}:v=0:a=1[out]`,
+      '-map', '[out]',
+      '-c:a', 'pcm_s16le',
+      outputPath
+    ], { timeout: FFMPEG_TIMEOUT_MS });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error('ffmpeg is required to join recording segments');
+    }
+    throw new AudioValidationError('A recording segment is corrupt or could not be decoded', 'CORRUPT_AUDIO');
+  }
+
+  await Promise.all(filePaths.map(filePath => fs.promises.unlink(filePath)));
+  console.log(`🔗 Joined ${filePaths.length} recording segments`);
+  return outputPath;
+}
+
+// ffmpeg and ffprobe must be installed for uploads to be accepted at all, so
+// the server checks for them when it starts rather than on the first upload.
+// Rejects with an error naming the missing tool.
+async function checkAudioTools() {
+  for (const [tool, toolPath, setting] of [['ffmpeg', FFMPEG_PATH, 'FFMPEG_PATH'], ['ffprobe', FFPROBE_PATH, 'FFPROBE_PATH']]) {
+    try {
+      await execFileAsync(toolPath, ['-version'], { timeout: FFMPEG_TIMEOUT_MS });
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      throw new Error(`${tool} was not found at "${toolPath}". Install it or set ${setting}.`);
+    }
+  }
+}
+
+// Validate and normalize an uploaded file in place of the original. Resolves to
+// { filename, filePath, format, duration, originalDuration }; the original is
+// deleted. Throws AudioValidationError for unsupported, corrupt or silent audio.
+async function normalizeUpload(filePath) {
+  const format = sniffAudioFormat(await readHeader(filePath));
+  if (!format) {
+    throw new AudioValidationError('Unsupported audio format. Use m4a, mp3, wav, ogg, webm, flac or amr.', 'UNSUPPORTED_AUDIO');
+  }
+
+  const probe = await probeAudio(filePath);
+  const silences = await detectSilences(filePath);
+  // WebM from MediaRecorder has no duration in its header; silencedetect saw the whole stream
+  const duration = Number.isFinite(probe.duration)
+    ? probe.duration
+    : Math.max(0, ...silences.map(silence => silence.end));
+
+  // A fully silent file is one silence that is both leading and trailing, so this goes negative
+  const { leading, trailing } = edgeSilence(silences, duration);
+  if (duration > 0 && duration - leading - trailing < MIN_SPEECH_SECONDS) {
+    throw new AudioValidationError('The recording is silent or too quiet to transcribe', 'SILENT_AUDIO');
+  }
+  const start = Math.max(0, leading - EDGE_SILENCE_PADDING_SECONDS);
+  const end = Math.min(duration, duration - trailing + EDGE_SILENCE_PADDING_SECONDS);
+
+  const outputPath = filePath.replace(/\.[^./\\]*$/, '') + '.normalized.wav';
+  await transcodeToCanonicalWav(filePath, outputPath, { start, end: duration > 0 ? end : undefined });
+  await fs.promises.unlink(filePath);
+
+  console.log(`🎚️  Normalized ${format} upload (${probe.codec}, ${probe.channels}ch ${probe.sampleRate}Hz): trimmed ${(leading + trailing).toFixed(1)}s of silence`);
+  return {
+    filename: path.basename(outputPath),
+    filePath: outputPath,
+    format,
+    duration: duration > 0 ? Math.round((end - start) * 100) / 100 : null,
+    originalDuration: duration > 0 ? Math.round(duration * 100) / 100 : null
+  };
+}
+
+module.exports = {
+  AudioValidationError,
+  checkAudioTools,
+  sniffAudioFormat,
+  concatenateRecordings,
+  normalizeUpload
+};
@@ -0,0 +1,220 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const transcription = require('./transcriptionProviders');
+
+const execFileAsync = promisify(execFile);
+
+// Long recordings are split into segments before transcription so every
+// request stays under the Whisper API's 25 MB limit. Cuts are placed in
+// silences where possible; neighbouring segments overlap a little so a word
+// on a hard cut is heard whole by at least one of them, and the stitcher keeps
+// each piece of the overlap from one segment only.
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+const SEGMENT_TARGET_SECONDS = parseInt(process.env.SEGMENT_TARGET_SECONDS || '600', 10);
+// 16 kHz mono 16-bit WAV is 32 kB/s, so 12 minutes stays under 25 MB
+const SEGMENT_MAX_SECONDS = parseInt(process.env.SEGMENT_MAX_SECONDS || '720', 10);
+const SEGMENT_OVERLAP_SECONDS = parseFloat(process.env.SEGMENT_OVERLAP_SECONDS || '2');
+const TRANSCRIPTION_CONCURRENCY = parseInt(process.env.TRANSCRIPTION_CONCURRENCY || '3', 10);
+const SINGLE_REQUEST_MAX_BYTES = 24 * 1024 * 1024;
+
+// Silence detection: anything quieter than this for at least this long
+const SILENCE_NOISE_DB = process.env.SILENCE_NOISE_DB || '-35dB';
+const SILENCE_MIN_SECONDS = 0.5;
+
+const FFMPEG_TIMEOUT_MS = 10 * 60 * 1000;
+
+async function probeDuration(filePath) {
+  const { stdout } = await execFileAsync(FFPROBE_PATH, [
+    '-v', 'error',
+    '-show_entries', 'format=duration',
+    '-of', 'json',
+    filePath
+  ], { timeout: FFMPEG_TIMEOUT_MS });
+  const duration = parseFloat(JSON.parse(stdout).format.duration);
+  if (Number.isFinite(duration)) return duration;
+
+  // Browser MediaRecorder WebM files carry no duration; decode to measure it
+  const { stderr } = await execFileAsync(FFMPEG_PATH, [
+    '-hide_banner', '-i', filePath, '-f', 'null', '-'
+  ], { timeout: FFMPEG_TIMEOUT_MS, maxBuffer: 20 * 1024 * 1024 });
+  const times = [...stderr.matchAll(/time=(\d+):(\d+):([\d.]+)/g)];
+  if (times.length === 0) {
+    throw new Error('Could not determine the duration of the recording');
+  }
+  const [, hours, minutes, seconds] = times[times.length - 1];
+  return parseInt(hours, 10) * 3600 + parseInt(minutes, 10) * 60 + parseFloat(seconds);
+}
+
+// Silent intervals as [{ start, end }] in seconds, from ffmpeg's silencedetect filter
+async function detectSilences(filePath) {
+  const { stderr } = await execFileAsync(FFMPEG_PATH, [
+    '-hide_banner', '-nostats',
+    '-i', filePath,
+    '-af', `silencedetect=noise=${SILENCE_NOISE_DB}:d=${SILENCE_MIN_SECONDS}`,
+    '-f', 'null', '-'
+  ], { timeout: FFMPEG_TIMEOUT_MS, maxBuffer: 20 * 1024 * 1024 });
+
+  const silences = [];
+  let start = null;
+  stderr.split('\n').forEach(line => {
+    const startMatch = line.match(/silence_start: (-?[\d.]+)/);
+    const endMatch = line.match(/silence_end: ([\d.]+)/);
+    if (startMatch) start = Math.max(0, parseFloat(startMatch[1]));
+    if (endMatch && start !== null) {
+      silences.push({ start, end: parseFloat(endMatch[1]) });
+      start = null;
+    }
+  });
+  return silences;
+}
+
+// Decide where to cut. Each boundary is the middle of the silence closest to
+// the target length, as long as it falls between half the target and the
+// maximum; otherwise the segment is cut hard at the maximum. Returns
+// [{ start, end, keepFrom, keepUntil }]: the audio to extract (boundaries
+// widened by the overlap) and the span whose words this segment owns.
+function planSegments(duration, silences, {
+  targetSeconds = SEGMENT_TARGET_SECONDS,
+  maxSeconds = SEGMENT_MAX_SECONDS,
+  overlapSeconds = SEGMENT_OVERLAP_SECONDS
+} = {}) {
+  const boundaries = [0];
+  let position = 0;
+
+  while (duration - position > maxSeconds) {
+    const earliest = position + targetSeconds / 2;
+    // Segments after the first are widened by the overlap at both ends
+    const latest = position + maxSeconds - overlapSeconds * (position > 0 ? 2 : 1);
+    const target = position + targetSeconds;
+
+    const candidates = silences
+      .map(silence => (silence.start + silence.end) / 2)
+      .filter(midpoint => midpoint >= earliest && midpoint <= latest);
+    const cut = candidates.length
+      ? candidates.reduce((best, midpoint) => (Math.abs(midpoint - target) < Math.abs(best - target) ? midpoint : best))
+      : latest;
+
+    boundaries.push(cut);
+    position = cut;
+  }
+  boundaries.push(duration);
+
+  return boundaries.slice(0, -1).map((keepFrom, index) => {
+    const keepUntil = boundaries[index + 1];
+    return {
+      start: Math.max(0, keepFrom - overlapSeconds),
+      end: Math.min(duration, keepUntil + overlapSeconds),
+      keepFrom,
+      keepUntil
+    };
+  });
+}
+
+// Cut [start, end) out of the recording as 16 kHz mono WAV
+async function extractSegment(filePath, { start, end }, outputPath) {
+  await execFileAsync(FFMPEG_PATH, [
+    '-hide_banner', '-loglevel', 'error', '-y',
+    '-ss', start.toFixed(3),
+    '-to', end.toFixed(3),
+    '-i', filePath,
+    '-ac', '1',
+    '-ar', '16000',
+    '-c:a', 'pcm_s16le',
+    outputPath
+  ], { timeout: FFMPEG_TIMEOUT_MS });
+}
+
+// Run tasks with at most `limit` in flight, preserving result order
+async function mapWithConcurrency(items, limit, task) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index], index);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+// Merge per-segment transcriptions into one with timestamps relative to the
+// whole recording. A transcribed phrase belongs to the segment whose owned
+// span contains its start (the earlier segment hears a phrase that crosses a
+// boundary from its beginning), which drops the duplicate from the overlap.
+function stitchTranscriptions(plans, results, duration) {
+  const segments = [];
+  const languages = {};
+
+  results.forEach((result, index) => {
+    const plan = plans[index];
+    if (result.language) languages[result.language] = (languages[result.language] || 0) + 1;
+
+    if (result.segments.length === 0 && result.text) {
+      segments.push({ start: plan.keepFrom, end: plan.keepUntil, text: result.text, confidence: null });
+      return;
+    }
+
+    result.segments.forEach(segment => {
+      const start = segment.start + plan.start;
+      const end = segment.end + plan.start;
+      const isLast = index === plans.length - 1;
+      if (start < plan.keepFrom || (start >= plan.keepUntil && !isLast)) return;
+      segments.push({ ...segment, start, end });
+    });
+  });
+
+  const language = Object.keys(languages).sort((a, b) => languages[b] - languages[a])[0];
+  return transcription.normalizeTranscription(
+    { language, duration, segments },
+    results[0].provider,
+    results[0].model
+  );
+}
+
+// Transcribe a recording of any length. Short files go straight to the
+// provider; longer ones are segmented, transcribed in parallel and stitched.
+// A caller that knows the duration can pass it to skip probing the file.
+async function transcribeRecording(filePath, { duration } = {}) {
+  try {
+    if (duration === undefined) duration = await probeDuration(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    console.warn('⚠️  ffprobe not found; transcribing without segmentation. Long recordings may fail.');
+    return transcription.transcribeFile(filePath);
+  }
+
+  const { size } = await fs.promises.stat(filePath);
+  if (duration <= SEGMENT_MAX_SECONDS && size <= SINGLE_REQUEST_MAX_BYTES) {
+    return transcription.transcribeFile(filePath);
+  }
+
+  const plans = planSegments(duration, await detectSilences(filePath));
+  console.log(`✂️  Splitting ${Math.round(duration)}s recording into ${plans.length} segments`);
+
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'ninisina-segments-'));
+  try {
+    const results = await mapWithConcurrency(plans, TRANSCRIPTION_CONCURRENCY, async (plan, index) => {
+      const segmentPath = path.join(workDir, `segment-${String(index).padStart(3, '0')}.wav`);
+      await extractSegment(filePath, plan, segmentPath);
+      const result = await transcription.transcribeFile(segmentPath);
+      console.log(`✅ Segment ${index + 1}/${plans.length} transcribed`);
+      return result;
+    });
+    return stitchTranscriptions(plans, results, duration);
+  } finally {
+    fs.promises.rm(workDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+module.exports = {
+  probeDuration,
+  detectSilences,
+  planSegments,
+  stitchTranscriptions,
+  transcribeRecording
+};
@@ -0,0 +1,133 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const encryption = require('./encryption');
+const Job = require('./models/Job');
+
+// Recordings at rest. An upload is encrypted as soon as it has been validated
+// and normalized, and is only decrypted into a private work directory while
+// it is transcribed; a live session's audio is kept in memory and only the
+// part being transcribed is written, to such a directory. Whatever is left
+// past UPLOAD_TTL_HOURS (a recording uploaded but never transcribed, or the
+// work directory of a process that crashed) is removed by the sweeper, unless
+// a job that may still run - pending, or failed and so retryable - needs it.
+const UPLOAD_TTL_HOURS = parseFloat(process.env.UPLOAD_TTL_HOURS || '24');
+const UPLOAD_SWEEP_INTERVAL_MS = parseInt(process.env.UPLOAD_SWEEP_INTERVAL_MS || String(60 * 60 * 1000), 10);
+
+const ENCRYPTED_SUFFIX = '.enc';
+
+const WORK_DIR_PREFIX = 'ninisina-audio-';
+
+const uploadsDir = path.join(__dirname, 'uploads');
+
+// A new directory only this process's user can read, for decrypted audio
+function createWorkDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), WORK_DIR_PREFIX));
+}
+
+// Encrypt an upload in place of the plaintext file. Resolves to the stored file name.
+async function storeEncrypted(filePath) {
+  const encryptedPath = `${filePath}${ENCRYPTED_SUFFIX}`;
+  try {
+    await encryption.encryptFile(filePath, encryptedPath);
+  } catch (error) {
+    await fs.promises.unlink(encryptedPath).catch(() => {});
+    throw error;
+  } finally {
+    await fs.promises.unlink(filePath).catch(() => {});
+  }
+  return path.basename(encryptedPath);
+}
+
+// Run fn with the path of a decrypted copy of a stored recording; the copy is
+// removed when fn settles. Resolves to what fn resolves to.
+async function withDecryptedAudio(filename, fn) {
+  const storedPath = path.join(uploadsDir, path.basename(filename));
+  if (!(await encryption.isEncryptedFile(storedPath))) {
+    // Uploaded before encryption at rest
+    throw new Error(`${path.basename(filename)} is not encrypted; run npm run rotate-keys to encrypt it`);
+  }
+
+  const tempDir = createWorkDir();
+  try {
+    const plaintextPath = path.join(tempDir, path.basename(storedPath, ENCRYPTED_SUFFIX));
+    await encryption.decryptFile(storedPath, plaintextPath);
+    return await fn(plaintextPath);
+  } finally {
+    await fs.promises.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+// Like withDecryptedAudio, for audio held in memory (a live session): it is
+// written to a file named `name` in a private work directory.
+async function withTemporaryAudio(buffer, name, fn) {
+  const tempDir = createWorkDir();
+  try {
+    const filePath = path.join(tempDir, path.basename(name));
+    await fs.promises.writeFile(filePath, buffer, { mode: 0o600 });
+    return await fn(filePath);
+  } finally {
+    await fs.promises.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+// Remove the entries of `dir` older than `cutoff` that `isOrphaned(filename,
+// stats)` picks. Resolves to the number removed.
+async function removeOlderThan(dir, cutoff, isOrphaned) {
+  let removed = 0;
+  for (const filename of await fs.promises.readdir(dir)) {
+    const filePath = path.join(dir, filename);
+    const stats = await fs.promises.stat(filePath).catch(() => null);
+    if (!stats || stats.mtimeMs > cutoff || !isOrphaned(filename, stats)) continue;
+
+    try {
+      await fs.promises.rm(filePath, { recursive: true });
+      removed++;
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error(`Error deleting orphaned audio ${filename}:`, error.message);
+    }
+  }
+  return removed;
+}
+
+// Remove uploads and work directories older than the TTL. Resolves to the number removed.
+async function sweepOrphanedUploads(now = Date.now()) {
+  const cutoff = now - UPLOAD_TTL_HOURS * 60 * 60 * 1000;
+  const retryableJobs = await Job.find({ status: { $ne: 'done' }, 'input.audioFile': { $ne: null } })
+    .select('input.audioFile')
+    .lean();
+  const inUse = new Set(retryableJobs.map(job => job.input.audioFile));
+
+  const removed = await removeOlderThan(uploadsDir, cutoff, (filename, stats) => stats.isFile() && !inUse.has(filename)) +
+    await removeOlderThan(os.tmpdir(), cutoff, (filename, stats) => stats.isDirectory() && filename.startsWith(WORK_DIR_PREFIX));
+
+  if (removed > 0) console.log(`🧹 Removed ${removed} orphaned upload(s) older than ${UPLOAD_TTL_HOURS}h`);
+  return removed;
+}
+
+let timer = null;
+
+function runSweep() {
+  sweepOrphanedUploads().catch(error => console.error('❌ Upload sweep failed:', error.message));
+}
+
+function start() {
+  if (timer) return;
+  timer = setInterval(runSweep, UPLOAD_SWEEP_INTERVAL_MS);
+  console.log(`✅ Orphaned upload sweep scheduled (uploads kept ${UPLOAD_TTL_HOURS}h)`);
+  runSweep();
+}
+
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  storeEncrypted,
+  withDecryptedAudio,
+  withTemporaryAudio,
+  sweepOrphanedUploads,
+  start,
+  stop
+};
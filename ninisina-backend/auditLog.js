@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const AuditLog = require('./models/AuditLog');
+
+// Append-only, tamper-evident audit trail of who read, changed, deleted or
+// exported patient data, and of every login. `auditTrail` records each
+// request once its response has been sent; routes add what only they know
+// (the patient a consultation belongs to, the id of what they created) with
+// `annotate`. Each entry's hash covers its contents and the previous entry's
+// hash, so `verifyChain` detects any entry that was altered or removed.
+
+const GENESIS_HASH = '0'.repeat(64);
+const MAX_SEQUENCE_RETRIES = 5;
+const VERIFY_BATCH_SIZE = 500;
+
+const METHOD_ACTIONS = {
+  GET: 'read',
+  POST: 'create',
+  PUT: 'update',
+  PATCH: 'update',
+  DELETE: 'delete'
+};
+
+// Routes that don't touch patient data, or are polled so often that logging
+// them would bury everything else (the consultation a job creates is audited)
+const UNAUDITED_ROUTES = new Set([
+  'GET /',
+  'GET /drugs/search',
+  'POST /auth/refresh',
+  'GET /auth/me',
+  'GET /jobs/:jobId',
+  'GET /jobs/:jobId/events'
+]);
+
+const HASHED_FIELDS = [
+  'sequence', 'timestamp', 'username', 'role', 'action', 'resource', 'resourceId',
+  'patientId', 'method', 'path', 'statusCode', 'ip', 'userAgent', 'details'
+];
+
+function computeHash(entry, previousHash) {
+  const content = HASHED_FIELDS.map((field) => {
+    const value = entry[field];
+    return value instanceof Date ? value.toISOString() : value === undefined ? null : value;
+  });
+  return crypto.createHash('sha256').update(JSON.stringify([previousHash, ...content])).digest('hex');
+}
+
+// Entries are appended one at a time so each links to the one before it.
+// Another server process appending at the same moment is caught by the
+// unique sequence index, and the entry is retried on the new head.
+let appendQueue = Promise.resolve();
+
+async function appendToChain(fields) {
+  for (let attempt = 1; ; attempt++) {
+    const head = await AuditLog.findOne().sort({ sequence: -1 }).select('sequence hash').lean();
+    const entry = {
+      ...fields,
+      sequence: head ? head.sequence + 1 : 1,
+      timestamp: fields.timestamp || new Date()
+    };
+    entry.previousHash = head ? head.hash : GENESIS_HASH;
+    entry.hash = computeHash(entry, entry.previousHash);
+    try {
+      return await AuditLog.create(entry);
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= MAX_SEQUENCE_RETRIES) throw error;
+    }
+  }
+}
+
+// Append an entry. Resolves to the saved entry; failures are logged, never
+// thrown, so auditing can't break the request it describes.
+function record(fields) {
+  const appended = appendQueue.then(() => appendToChain(fields));
+  appendQueue = appended.catch((error) => {
+    console.error('❌ Failed to write audit log entry:', error.message, fields.action, fields.path);
+    return null;
+  });
+  return appendQueue;
+}
+
+// Add to what the audit entry for this request records:
+// { action, resource, resourceId, patientId, username, details }
+function annotate(req, fields) {
+  req.audit = { ...req.audit, ...fields };
+}
+
+// Express middleware: record every matched route once the response is sent
+function auditTrail(req, res, next) {
+  res.on('finish', () => {
+    if (!req.route) return; // unmatched path, or rejected before routing (e.g. no token)
+    const route = `${req.method} ${req.route.path}`;
+    if (UNAUDITED_ROUTES.has(route)) return;
+
+    const audit = req.audit || {};
+    const params = req.params || {};
+    let action = audit.action || METHOD_ACTIONS[req.method] || 'read';
+    if (req.route.path === '/auth/login') action = res.statusCode < 400 ? 'login' : 'login_failed';
+    if (req.route.path === '/auth/logout') action = 'logout';
+
+    const details = { ...audit.details };
+    const query = { ...req.query };
+    delete query.access_token; // EventSource credentials
+    if (req.method === 'GET' && Object.keys(query).length > 0) details.query = query;
+
+    record({
+      username: audit.username || (req.user && req.user.username),
+      role: req.user && req.user.role,
+      action,
+      resource: audit.resource || req.route.path.split('/')[1],
+      resourceId: audit.resourceId || params.consultationId || params.patientId || params.jobId || params.userId,
+      patientId: audit.patientId || params.patientId,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      statusCode: res.statusCode,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      details: Object.keys(details).length > 0 ? details : undefined
+    });
+  });
+  next();
+}
+
+// Query the trail, newest first. Filters: username, patientId, action,
+// resource, startDate, endDate; paginated like the other list endpoints.
+async function queryAuditLog({ username, patientId, action, resource, startDate, endDate, page = 1, limit = 50 }) {
+  const filter = {};
+  if (username) filter.username = username;
+  if (patientId) filter.patientId = patientId;
+  if (action) filter.action = action;
+  if (resource) filter.resource = resource;
+  if (startDate || endDate) {
+    filter.timestamp = {};
+    if (startDate) filter.timestamp.$gte = new Date(startDate);
+    if (endDate) filter.timestamp.$lte = new Date(endDate);
+  }
+
+  const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+  const pageSize = Math.min(200, Math.max(1, parseInt(limit, 10) || 50));
+  const [entries, total] = await Promise.all([
+    AuditLog.find(filter)
+      .sort({ sequence: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .select('-__v')
+      .lean(),
+    AuditLog.countDocuments(filter)
+  ]);
+
+  return {
+    entries,
+    pagination: {
+      currentPage: pageNumber,
+      totalPages: Math.ceil(total / pageSize),
+      totalItems: total,
+      itemsPerPage: pageSize
+    }
+  };
+}
+
+// Walk the whole chain in order, recomputing every hash. Resolves to
+// { valid, checked, brokenAt } where brokenAt is the first bad sequence number.
+async function verifyChain() {
+  let previousHash = GENESIS_HASH;
+  let expectedSequence = 1;
+  let checked = 0;
+
+  for (;;) {
+    const batch = await AuditLog.find({ sequence: { $gte: expectedSequence } })
+      .sort({ sequence: 1 })
+      .limit(VERIFY_BATCH_SIZE)
+      .lean();
+    if (batch.length === 0) break;
+
+    for (const entry of batch) {
+      // A gap means an entry was removed; a bad hash means one was edited
+      if (entry.sequence !== expectedSequence
+        || entry.previousHash !== previousHash
+        || entry.hash !== computeHash(entry, previousHash)) {
+        return { valid: false, checked, brokenAt: expectedSequence };
+      }
+      previousHash = entry.hash;
+      expectedSequence++;
+      checked++;
+    }
+  }
+
+  return { valid: true, checked, brokenAt: null };
+}
+
+module.exports = {
+  record,
+  annotate,
+  auditTrail,
+  queryAuditLog,
+  verifyChain
+};
@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+const User = require('./models/User');
+const Session = require('./models/Session');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Token configuration
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS || '900', 10); // 15 minutes
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '7', 10);
+
+let AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET;
+if (!AUTH_TOKEN_SECRET) {
+  console.error('⚠️  AUTH_TOKEN_SECRET environment variable is not set.');
+  console.log('Using a random per-process secret: all sessions will be invalidated when the server restarts.');
+  AUTH_TOKEN_SECRET = crypto.randomBytes(48).toString('hex');
+}
+
+// --- Password hashing (scrypt) ---
+// Stored format: scrypt$<salt hex>$<hash hex>
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const derivedKey = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('hex')}$${derivedKey.toString('hex')}`;
+}
+
+async function verifyPassword(password, passwordHash) {
+  const [scheme, saltHex, hashHex] = (passwordHash || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+
+  const expected = Buffer.from(hashHex, 'hex');
+  const derivedKey = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(expected, derivedKey);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { sub: user._id.toString(), sid: sessionId },
+    AUTH_TOKEN_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+}
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be looked up
+// directly while only the hash of the whole token is persisted.
+function createRefreshToken(sessionId) {
+  return `${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+}
+
+function buildTokenResponse(user, sessionId, refreshToken) {
+  return {
+    accessToken: signAccessToken(user, sessionId),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    user: user.toPublicJSON()
+  };
+}
+
+// Authenticate credentials and open a new session
+async function login(username, password, req) {
+  const user = await User.findOne({ username: (username || '').toLowerCase().trim() });
+  if (!user || !user.active || !(await verifyPassword(password || '', user.passwordHash))) {
+    return null;
+  }
+
+  const sessionId = crypto.randomUUID();
+  const refreshToken = createRefreshToken(sessionId);
+  await Session.create({
+    sessionId,
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  user.lastLoginAt = new Date();
+  await user.save();
+
+  return buildTokenResponse(user, sessionId, refreshToken);
+}
+
+// Exchange a refresh token for a new access token, rotating the refresh token
+async function refresh(refreshToken) {
+  const [sessionId] = (refreshToken || '').split('.');
+  if (!sessionId) return null;
+
+  const session = await Session.findOne({ sessionId });
+  if (!session || session.revokedAt || session.expiresAt < new Date()) return null;
+
+  const presented = Buffer.from(hashToken(refreshToken), 'hex');
+  const stored = Buffer.from(session.refreshTokenHash, 'hex');
+  if (presented.length !== stored.length || !crypto.timingSafeEqual(presented, stored)) {
+    // A stale refresh token was replayed: assume it leaked and end the session
+    session.revokedAt = new Date();
+    await session.save();
+    return null;
+  }
+
+  const user = await User.findById(session.user);
+  if (!user || !user.active) return null;
+
+  const nextRefreshToken = createRefreshToken(sessionId);
+  session.refreshTokenHash = hashToken(nextRefreshToken);
+  await session.save();
+
+  return buildTokenResponse(user, sessionId, nextRefreshToken);
+}
+
+async function logout(sessionId) {
+  await Session.updateOne({ sessionId, revokedAt: null }, { revokedAt: new Date() });
+}
+
+// Verify an access token and its session. Resolves to { user, sessionId }
+// or null with the 401 code explaining why the token was rejected.
+async function authenticateToken(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, AUTH_TOKEN_SECRET);
+  } catch (error) {
+    return { code: error.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN' };
+  }
+
+  const [session, user] = await Promise.all([
+    Session.findOne({ sessionId: payload.sid }).lean(),
+    User.findById(payload.sub)
+  ]);
+
+  if (!session || session.revokedAt || !user || !user.active) {
+    return { code: 'SESSION_REVOKED' };
+  }
+
+  return { user: user.toPublicJSON(), sessionId: payload.sid };
+}
+
+// Browsers can't set headers on an EventSource, so event streams may pass the
+// access token as ?access_token= instead. Other requests must use the header.
+function tokenFromRequest(req) {
+  const header = req.get('authorization') || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme === 'Bearer' && token) return token;
+
+  const acceptsEventStream = (req.get('accept') || '').includes('text/event-stream');
+  if (acceptsEventStream && typeof req.query.access_token === 'string') {
+    return req.query.access_token;
+  }
+  return null;
+}
+
+// Express middleware: requires a valid "Authorization: Bearer <accessToken>"
+// header and an unrevoked session. Populates req.user and req.sessionId.
+async function requireAuth(req, res, next) {
+  const token = tokenFromRequest(req);
+  if (!token) {
+    return res.status(401).json({ error: 'Authentication required', code: 'UNAUTHENTICATED' });
+  }
+
+  try {
+    const { user, sessionId, code } = await authenticateToken(token);
+    if (!user) {
+      return res.status(401).json({ error: 'Session is invalid or has expired', code });
+    }
+
+    req.user = user;
+    req.sessionId = sessionId;
+    next();
+  } catch (error) {
+    console.error('Authentication error:', error);
+    res.status(500).json({ error: 'Failed to authenticate request', details: error.message });
+  }
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  login,
+  refresh,
+  logout,
+  authenticateToken,
+  requireAuth
+};
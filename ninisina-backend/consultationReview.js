@@ -0,0 +1,118 @@
+const Consultation = require('./models/Consultation');
+const consultationRevisions = require('./consultationRevisions');
+
+// Review lifecycle of a consultation note: draft → reviewed → signed → amended.
+// The AI analysis is saved as a draft. Clinicians edit it freely (reviewed)
+// until it is signed off; from then on the note only changes through
+// amendments, each recording who changed which sections and why. Every change
+// to the content is also kept as a revision (consultationRevisions.js).
+const OPEN_STATUSES = ['draft', 'reviewed'];
+const SIGNED_STATUSES = ['signed', 'amended'];
+const MAX_VITALS_RETRIES = 3;
+
+// Thrown when a change doesn't fit the note's status; `code` is returned to the client with a 409
+class ConsultationStatusError extends Error {
+  constructor(message, code, status) {
+    super(message);
+    this.name = 'ConsultationStatusError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// The editable sections present in a request body
+function pickEditableFields(body) {
+  const changes = {};
+  consultationRevisions.CLINICAL_FIELDS.forEach((field) => {
+    if (body && body[field] !== undefined) changes[field] = body[field];
+  });
+  return changes;
+}
+
+// Consultations saved before the lifecycle existed have no status and count as drafts
+const inStatus = statuses => (statuses.includes('draft') ? { $in: [...statuses, null] } : { $in: statuses });
+
+// Apply `update` only if the note is in one of `statuses` and, when `pin` is
+// given (e.g. { updatedAt }), still matches it; the result is recorded as a
+// revision ({ kind, author, reason }) when it changes the content. Resolves
+// to the updated consultation, or null if there is none; throws
+// ConsultationStatusError if it exists but is in another status or has
+// changed since it was read.
+async function updateInStatus(consultationId, statuses, update, statusError, revision = null, pin = {}) {
+  if (revision) await consultationRevisions.ensureOriginalRevision(consultationId);
+
+  const updated = await Consultation.findOneAndUpdate(
+    { ...pin, consultationId, status: inStatus(statuses) },
+    { ...update, $set: { ...update.$set, updatedAt: new Date() } },
+    { new: true, runValidators: true }
+  );
+  if (updated) {
+    if (revision) await consultationRevisions.recordRevision(updated, revision);
+    return updated;
+  }
+
+  const existing = await Consultation.findOne({ consultationId }).select('status').lean();
+  if (!existing) return null;
+  if (Object.keys(pin).length > 0 && statuses.includes(existing.status || 'draft')) {
+    throw new ConsultationStatusError('This consultation was changed by someone else; try again', 'CONSULTATION_CHANGED', existing.status);
+  }
+  throw statusError(existing.status);
+}
+
+const signedError = status => new ConsultationStatusError(
+  'This consultation has been signed off; changes must be made as an amendment',
+  'CONSULTATION_SIGNED',
+  status
+);
+
+// Save a clinician's edits to a draft or reviewed note and mark it reviewed
+function reviewConsultation(consultationId, changes, username) {
+  return updateInStatus(consultationId, OPEN_STATUSES, {
+    $set: { ...changes, status: 'reviewed', reviewedBy: username, reviewedAt: new Date() }
+  }, signedError, { kind: 'edit', author: username });
+}
+
+function signConsultation(consultationId, username) {
+  return updateInStatus(consultationId, OPEN_STATUSES, {
+    $set: { status: 'signed', signedBy: username, signedAt: new Date() }
+  }, status => new ConsultationStatusError('This consultation has already been signed off', 'CONSULTATION_SIGNED', status));
+}
+
+function amendConsultation(consultationId, changes, { username, reason }) {
+  return updateInStatus(consultationId, SIGNED_STATUSES, {
+    $set: { ...changes, status: 'amended' },
+    $push: { amendments: { amendedBy: username, amendedAt: new Date(), reason, fields: Object.keys(changes) } }
+  }, status => new ConsultationStatusError(
+    'Only signed consultations are amended; edit this one directly',
+    'CONSULTATION_NOT_SIGNED',
+    status
+  ), { kind: 'amendment', author: username, reason });
+}
+
+// Vitals from nursing staff can be recorded until the note is signed. The
+// clinical summary is stored encrypted, so it is rewritten as a whole, and
+// only over the version it was read from: an edit saved in between is
+// re-read and the vitals applied to it instead.
+async function recordVitals(consultationId, vitals, username) {
+  for (let attempt = 1; ; attempt++) {
+    const current = await Consultation.findOne({ consultationId }).select('clinicalSummary updatedAt').lean();
+    if (!current) return null;
+
+    try {
+      return await updateInStatus(consultationId, OPEN_STATUSES, {
+        $set: { clinicalSummary: { ...current.clinicalSummary, vitals } }
+      }, signedError, { kind: 'vitals', author: username }, { updatedAt: current.updatedAt || null });
+    } catch (error) {
+      if (error.code !== 'CONSULTATION_CHANGED' || attempt >= MAX_VITALS_RETRIES) throw error;
+    }
+  }
+}
+
+module.exports = {
+  ConsultationStatusError,
+  pickEditableFields,
+  reviewConsultation,
+  signConsultation,
+  amendConsultation,
+  recordVitals
+};
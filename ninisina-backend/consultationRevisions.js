@@ -0,0 +1,128 @@
+const Consultation = require('./models/Consultation');
+const ConsultationRevision = require('./models/ConsultationRevision');
+
+// The clinical content of a note: what clinicians may edit, and what every
+// revision records. The patient a note belongs to is not part of it.
+const CLINICAL_FIELDS = [
+  'clinicalSummary',
+  'medicalInsights',
+  'intervalChange',
+  'keyPoints',
+  'followUpReminders'
+];
+
+const MAX_VERSION_RETRIES = 3;
+
+// Mongo ids differ every time an array is re-saved, so they would show up as changes
+function withoutIds(value) {
+  if (Array.isArray(value)) return value.map(withoutIds);
+  if (value instanceof Date) return value.toISOString();
+  if (value && typeof value === 'object') {
+    const copy = {};
+    Object.keys(value).forEach((key) => {
+      if (key !== '_id') copy[key] = withoutIds(value[key]);
+    });
+    return copy;
+  }
+  return value;
+}
+
+function snapshotOf(consultation) {
+  const data = typeof consultation.toObject === 'function' ? consultation.toObject() : consultation;
+  const snapshot = {};
+  CLINICAL_FIELDS.forEach((field) => {
+    if (data[field] !== undefined) snapshot[field] = withoutIds(data[field]);
+  });
+  return snapshot;
+}
+
+// Append the consultation's current content as its next version. Two writers
+// racing for the same version number are separated by the unique index.
+async function recordRevision(consultation, { kind, author, reason }) {
+  const snapshot = snapshotOf(consultation);
+
+  for (let attempt = 1; ; attempt++) {
+    const latest = await ConsultationRevision.findOne({ consultationId: consultation.consultationId })
+      .sort({ version: -1 })
+      .select('version')
+      .lean();
+    try {
+      return await ConsultationRevision.create({
+        consultationId: consultation.consultationId,
+        version: latest ? latest.version + 1 : 1,
+        kind,
+        author,
+        reason,
+        snapshot
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= MAX_VERSION_RETRIES) throw error;
+    }
+  }
+}
+
+// Consultations saved before revisions were kept have none; record their
+// content as it stands as the AI original before it is first changed
+async function ensureOriginalRevision(consultationId) {
+  if (await ConsultationRevision.exists({ consultationId })) return;
+
+  const consultation = await Consultation.findOne({ consultationId }).lean();
+  if (!consultation) return;
+  try {
+    await ConsultationRevision.create({
+      consultationId,
+      version: 1,
+      kind: 'ai_original',
+      author: consultation.analysisMetadata && consultation.analysisMetadata.aiModel,
+      snapshot: snapshotOf(consultation),
+      createdAt: consultation.createdAt
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error; // recorded by a concurrent request
+  }
+}
+
+// All versions of a note, oldest first
+function listRevisions(consultationId) {
+  return ConsultationRevision.find({ consultationId }).sort({ version: 1 }).lean();
+}
+
+function getRevision(consultationId, version) {
+  return ConsultationRevision.findOne({ consultationId, version }).lean();
+}
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Field-level differences between two snapshots, as
+// [{ path: 'medicalInsights.redFlags[0].status', before, after }]. Arrays are
+// compared position by position; an added or removed item shows up field by
+// field with `before` or `after` undefined.
+function diffSnapshots(before, after, path = '') {
+  if (JSON.stringify(before) === JSON.stringify(after)) return [];
+
+  if ((Array.isArray(before) || before == null) && (Array.isArray(after) || after == null)) {
+    const [from, to] = [before || [], after || []];
+    const changes = [];
+    for (let i = 0; i < Math.max(from.length, to.length); i++) {
+      changes.push(...diffSnapshots(from[i], to[i], `${path}[${i}]`));
+    }
+    return changes;
+  }
+
+  if ((isObject(before) || before == null) && (isObject(after) || after == null)) {
+    const [from, to] = [before || {}, after || {}];
+    const keys = [...new Set([...Object.keys(from), ...Object.keys(to)])];
+    return keys.flatMap(key => diffSnapshots(from[key], to[key], path ? `${path}.${key}` : key));
+  }
+
+  return [{ path, before, after }];
+}
+
+module.exports = {
+  CLINICAL_FIELDS,
+  recordRevision,
+  ensureOriginalRevision,
+  listRevisions,
+  getRevision,
+  diffSnapshots
+};
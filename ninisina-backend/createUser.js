@@ -0,0 +1,55 @@
+// Create (or reset the password/role of) an application user.
+// Usage: npm run create-user -- <username> <password> [--role=<role>] [displayName]
+const mongoose = require('mongoose');
+require('dotenv').config();
+const User = require('./models/User');
+const { hashPassword } = require('./auth');
+const { ROLES } = require('./permissions');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/ninisina_medical';
+
+async function main() {
+  const args = process.argv.slice(2);
+  const roleArg = args.find(arg => arg.startsWith('--role='));
+  const role = roleArg ? roleArg.slice('--role='.length) : undefined;
+  const [username, password, ...nameParts] = args.filter(arg => arg !== roleArg);
+
+  if (!username || !password) {
+    console.error('Usage: npm run create-user -- <username> <password> [--role=<role>] [displayName]');
+    process.exit(1);
+  }
+  if (role && !ROLES.includes(role)) {
+    console.error(`❌ Unknown role "${role}". Valid roles: ${ROLES.join(', ')}`);
+    process.exit(1);
+  }
+  if (password.length < 8) {
+    console.error('❌ Password must be at least 8 characters long.');
+    process.exit(1);
+  }
+
+  await mongoose.connect(MONGODB_URI);
+
+  const passwordHash = await hashPassword(password);
+  const displayName = nameParts.join(' ') || undefined;
+  const existing = await User.findOne({ username: username.toLowerCase() });
+
+  if (existing) {
+    existing.passwordHash = passwordHash;
+    if (displayName) existing.displayName = displayName;
+    if (role) existing.role = role;
+    existing.active = true;
+    await existing.save();
+    console.log(`✅ Updated user: ${existing.username} (${existing.role})`);
+  } else {
+    const user = await User.create({ username, passwordHash, displayName, role });
+    console.log(`✅ Created user: ${user.username} (${user.role})`);
+  }
+
+  await mongoose.connection.close();
+}
+
+main().catch(async (error) => {
+  console.error('❌ Failed to create user:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const Patient = require('./models/Patient');
+
+// De-identification of consultation text. Before a transcript or prompt is
+// sent to the LLM, names, dates, phone numbers, email and street addresses
+// and record numbers are replaced with placeholders such as [PERSON_1]; the
+// mapping stays in this process, and the model's answer is re-identified
+// with it. Research exports use the same detection and discard the mapping.
+// Audio sent for transcription can't be de-identified this way.
+const DEIDENTIFY_LLM_REQUESTS = process.env.DEIDENTIFY_LLM_REQUESTS !== 'false';
+
+// Ages over 89 are an identifier on their own (HIPAA Safe Harbor)
+const MAX_REPORTED_AGE = 89;
+
+const MONTH = '(?:Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)';
+const NAME = "[A-Z][a-z'-]+(?:\\s+[A-Z][a-z'-]+)?";
+const STREET_SUFFIX = '(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Close|Crescent)';
+
+// Checked in order, so more specific patterns claim text first. When a
+// pattern has a capture group, only the group is replaced.
+const PHI_PATTERNS = [
+  { category: 'EMAIL', pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g },
+  { category: 'URL', pattern: /\bhttps?:\/\/[^\s"]+/gi },
+  { category: 'ID', pattern: /\b\d{3}-\d{2}-\d{4}\b/g }, // social security number
+  { category: 'ID', pattern: /\b(?:MRN|medical record(?: number)?|NHS(?: number)?|SSN|insurance(?: number)?|policy(?: number)?)\s*(?:is|:|#|no\.?)?\s*([A-Z0-9][A-Z0-9-]{3,})\b/gi },
+  { category: 'DATE', pattern: /\b\d{1,4}[/.-]\d{1,2}[/.-]\d{2,4}\b/g },
+  { category: 'DATE', pattern: new RegExp(`\\b${MONTH}\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?(?:,?\\s+\\d{4})?\\b`, 'g') },
+  { category: 'DATE', pattern: new RegExp(`\\b\\d{1,2}(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH}(?:,?\\s+\\d{4})?\\b`, 'g') },
+  { category: 'PHONE', pattern: /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)\s?|\b\d{2,5}[\s.-])\d{3,4}[\s.-]\d{3,4}\b/g },
+  { category: 'ADDRESS', pattern: new RegExp(`\\b\\d{1,5}\\s+(?:[A-Z][a-z]+\\s+){1,3}${STREET_SUFFIX}\\b\\.?`, 'g') },
+  { category: 'ADDRESS', pattern: /\b[A-Z]{1,2}\d[A-Z\d]?\s+\d[A-Z]{2}\b/g }, // UK postcode
+  { category: 'PERSON', pattern: new RegExp(`\\b(?:Mr|Mrs|Ms|Miss|Dr|Prof)\\.?\\s+(${NAME})`, 'g') },
+  { category: 'PERSON', pattern: new RegExp(`\\b(?:[Mm]y name is|[Nn]ame's|[Nn]amed)\\s+(${NAME})`, 'g') }
+];
+
+// [PERSON_1], [PATIENT_NAME], [ID_MRN], ...
+const PLACEHOLDER_PATTERN = /\[[A-Z]+(?:_[A-Z0-9]+)+\]/g;
+const isPlaceholder = value => /^\[[A-Z]+(?:_[A-Z0-9]+)+\]$/.test(value);
+
+const reportedAge = age => (age > MAX_REPORTED_AGE ? `${MAX_REPORTED_AGE + 1} or older` : age);
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const titleCase = text => text.replace(/[^\s'-]+/g, word => word[0].toUpperCase() + word.slice(1).toLowerCase());
+
+// Matches a known identifier on its own, not inside a word or a placeholder
+function knownIdentifierPattern({ value, isName }) {
+  const forms = isName ? [...new Set([value, titleCase(value), value.toUpperCase()])] : [value];
+  return new RegExp(`(?<![\\w[])(?:${forms.map(escapeRegExp).join('|')})(?![\\w\\]])`, isName ? 'g' : 'gi');
+}
+
+// Apply fn to every string in a value (parsed JSON, a lean document); Mongo
+// ids are left out
+function mapStrings(value, fn) {
+  if (typeof value === 'string') return fn(value);
+  if (Array.isArray(value)) return value.map(item => mapStrings(item, fn));
+  if (value instanceof Date) return value;
+  if (value && typeof value === 'object') {
+    const copy = {};
+    Object.keys(value).forEach((key) => {
+      if (key !== '_id') copy[key] = mapStrings(value[key], fn);
+    });
+    return copy;
+  }
+  return value;
+}
+
+// The patient's own identifiers, known exactly, with their placeholders.
+// Names are only matched capitalised (as written, title case or upper case),
+// since many are also ordinary words: "Grace" is replaced, "grace period" is not.
+function knownIdentifiersOf({ name, firstName, lastName, patientId, mrn, dateOfBirth, contact = {} }) {
+  const known = [];
+  const add = (value, placeholder, isName = false) => {
+    if (value && String(value).trim().length > 1) known.push({ value: String(value).trim(), placeholder, isName });
+  };
+  add(name, '[PATIENT_NAME]', true);
+  add(firstName, '[PATIENT_FIRST_NAME]', true);
+  add(lastName, '[PATIENT_LAST_NAME]', true);
+  add(patientId, '[ID_PATIENT]');
+  add(mrn, '[ID_MRN]');
+  add(contact.phone, '[PHONE_PATIENT]');
+  add(contact.email, '[EMAIL_PATIENT]');
+  add(contact.address, '[ADDRESS_PATIENT]');
+  if (dateOfBirth) add(new Date(dateOfBirth).toISOString().slice(0, 10), '[DATE_OF_BIRTH]');
+  // Longest first, so a full name wins over its parts
+  return known.sort((a, b) => b.value.length - a.value.length);
+}
+
+// Replace PHI in text with placeholders, and put it back afterwards. One
+// pseudonymizer covers one outbound call: the same value always gets the same
+// placeholder, so the model can still tell people and dates apart.
+function createPseudonymizer(identifiers = {}) {
+  const known = knownIdentifiersOf(identifiers);
+  const placeholders = new Map(); // "CATEGORY:value" -> placeholder
+  const originals = new Map(); // placeholder -> value
+  const counters = {};
+
+  known.forEach(({ value, placeholder }) => originals.set(placeholder, value));
+
+  const placeholderFor = (category, value) => {
+    const key = `${category}:${value.toLowerCase()}`;
+    if (!placeholders.has(key)) {
+      counters[category] = (counters[category] || 0) + 1;
+      const placeholder = `[${category}_${counters[category]}]`;
+      placeholders.set(key, placeholder);
+      originals.set(placeholder, value);
+    }
+    return placeholders.get(key);
+  };
+
+  function deidentifyText(text) {
+    let result = text;
+    known.forEach((identifier) => {
+      result = result.replace(knownIdentifierPattern(identifier), identifier.placeholder);
+    });
+    PHI_PATTERNS.forEach(({ category, pattern }) => {
+      result = result.replace(pattern, (match, group) => {
+        const value = typeof group === 'string' ? group : match;
+        if (isPlaceholder(value)) return match;
+        return match.replace(value, placeholderFor(category, value));
+      });
+    });
+    return result;
+  }
+
+  const reidentifyText = text => text.replace(PLACEHOLDER_PATTERN, placeholder => originals.get(placeholder) || placeholder);
+
+  // Both work on strings and on objects alike, e.g. a parsed JSON answer
+  const deidentify = value => mapStrings(value, deidentifyText);
+  const reidentify = value => mapStrings(value, reidentifyText);
+
+  // patientInfo as it may appear in a prompt
+  function patientInfo(info = {}) {
+    return {
+      ...info,
+      name: info.name ? '[PATIENT_NAME]' : info.name,
+      patientId: undefined,
+      age: reportedAge(info.age)
+    };
+  }
+
+  return { deidentify, reidentify, patientInfo };
+}
+
+// Leaves everything as it is, for when de-identification is turned off
+const passThrough = {
+  deidentify: text => text,
+  reidentify: value => value,
+  patientInfo: info => info
+};
+
+// Identifiers of a consultation's patient: the snapshot on the consultation,
+// plus contact details and record numbers from the registry if registered
+async function identifiersFor(patientInfo = {}) {
+  const identifiers = { name: patientInfo.name, patientId: patientInfo.patientId };
+  if (!patientInfo.patientId) return identifiers;
+
+  const patient = await Patient.findOne({ patientId: patientInfo.patientId })
+    .select('firstName lastName mrn dateOfBirth contact')
+    .lean();
+  return patient ? { ...identifiers, ...patient, patientId: patientInfo.patientId } : identifiers;
+}
+
+// Pseudonymizer for an outbound LLM call about this patient
+async function pseudonymizerFor(patientInfo) {
+  if (!DEIDENTIFY_LLM_REQUESTS) return passThrough;
+  return createPseudonymizer(await identifiersFor(patientInfo));
+}
+
+// --- Research exports ---
+// A consultation as a research record: free text scrubbed, no names, ids or
+// exact dates. Consultations and patients get keyed hashes instead, so a
+// patient's visits still link up without the ids being recoverable. With
+// RESEARCH_EXPORT_KEY set they also link up across exports.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function researchExportKey() {
+  return process.env.RESEARCH_EXPORT_KEY || crypto.randomBytes(32).toString('hex');
+}
+
+const pseudonymousId = (key, prefix, value) =>
+  `${prefix}-${crypto.createHmac('sha256', key).update(String(value)).digest('hex').slice(0, 16)}`;
+
+function researchRecord(consultation, identifiers, key) {
+  const { deidentify } = createPseudonymizer(identifiers);
+  const patientInfo = consultation.patientInfo || {};
+  const visitDate = new Date(consultation.createdAt);
+
+  return {
+    recordId: pseudonymousId(key, 'REC', consultation.consultationId),
+    patientKey: pseudonymousId(key, 'PT', patientInfo.patientId || patientInfo.name || consultation.consultationId),
+    visitYear: visitDate.getFullYear(),
+    visitType: patientInfo.visitType,
+    age: reportedAge(patientInfo.age),
+    gender: patientInfo.gender,
+    status: consultation.status || 'draft',
+    transcript: deidentify(consultation.transcript),
+    clinicalSummary: deidentify(consultation.clinicalSummary),
+    medicalInsights: deidentify(consultation.medicalInsights),
+    intervalChange: deidentify(consultation.intervalChange),
+    keyPoints: deidentify(consultation.keyPoints),
+    // Due dates become offsets from the visit
+    followUpReminders: (consultation.followUpReminders || []).map(reminder => ({
+      type: reminder.type,
+      message: deidentify(reminder.message),
+      dueInDays: reminder.dueDate ? Math.round((new Date(reminder.dueDate) - visitDate) / DAY_MS) : null
+    })),
+    prescriptions: (consultation.prescriptions || []).map(prescription => ({
+      status: prescription.status || 'signed',
+      medications: deidentify(prescription.medications),
+      additionalInstructions: deidentify(prescription.additionalInstructions)
+    })),
+    confidenceScore: consultation.analysisMetadata && consultation.analysisMetadata.confidenceScore
+  };
+}
+
+module.exports = {
+  createPseudonymizer,
+  identifiersFor,
+  pseudonymizerFor,
+  researchExportKey,
+  researchRecord
+};
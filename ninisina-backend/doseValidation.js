@@ -0,0 +1,299 @@
+const { parseDurationDays } = require('./patientHistory');
+const { resolveMedication } = require('./drugInteractions');
+const formulary = require('./data/formulary.json');
+
+// --- Parsing ---
+// Prescriptions store dosage, frequency and duration as free text. These turn
+// them into { amount, unit, route, intervalHours, dosesPerDay, asNeeded, days }
+// where they can be read; anything unreadable is left null.
+
+const NUMBER = '(\\d+(?:\\.\\d+)?|half|one|two|three|four)';
+const WORD_NUMBERS = { half: 0.5, one: 1, two: 2, three: 3, four: 4 };
+
+// Milligrams per unit of mass
+const MASS_UNITS = [
+  [/^(mg|milligrams?)$/, 1],
+  [/^(g|grams?)$/, 1000],
+  [/^(mcg|micrograms?|µg|ug)$/, 0.001]
+];
+
+const COUNT_UNITS = [
+  [/^(tablets?|tabs?|pills?)$/, 'tablet'],
+  [/^(capsules?|caps?)$/, 'capsule'],
+  [/^(puffs?|inhalations?)$/, 'puff'],
+  [/^drops?$/, 'drop'],
+  [/^(units?|iu)$/, 'unit'],
+  [/^(ml|millilitres?|milliliters?)$/, 'ml']
+];
+
+const ROUTES = [
+  [/\b(iv|intravenous(ly)?)\b/, 'iv'],
+  [/\b(im|intramuscular(ly)?)\b/, 'im'],
+  [/\b(sc|subcut|subcutaneous(ly)?)\b/, 'subcutaneous'],
+  [/\b(sublingual(ly)?|under the tongue)\b/, 'sublingual'],
+  [/\b(inhaled?|inhaler|puffs?|nebuli[sz]ed?)\b/, 'inhaled'],
+  [/\b(rectal(ly)?|suppositor(y|ies)|pr)\b/, 'rectal'],
+  [/\b(topical(ly)?|apply|cream|ointment|gel)\b/, 'topical'],
+  [/\b(oral(ly)?|by mouth|po|tablets?|capsules?|syrup|suspension)\b/, 'oral']
+];
+
+const toNumber = value => WORD_NUMBERS[value] !== undefined ? WORD_NUMBERS[value] : parseFloat(value);
+
+function lowerText(text) {
+  return String(text || '').toLowerCase().replace(/(\d),(\d{3})\b/g, '$1$2');
+}
+
+function parseMass(text) {
+  const match = text.match(new RegExp(`${NUMBER}\\s*(mg|milligrams?|mcg|micrograms?|µg|ug|g|grams?)(?![a-z])`));
+  if (!match) return null;
+  const [, perUnit] = MASS_UNITS.find(([pattern]) => pattern.test(match[2]));
+  return toNumber(match[1]) * perUnit;
+}
+
+// "500 mg", "1 g", "2 tablets of 250 mg", "10 ml of 250 mg/5 ml".
+// Returns { amount, unit } with masses in mg, or null.
+function parseDose(text) {
+  const concentration = text.match(/(\d+(?:\.\d+)?)\s*(mg|mcg|g)\s*(?:\/|per|in)\s*(\d+(?:\.\d+)?)?\s*ml/);
+  if (concentration) {
+    const rest = text.replace(concentration[0], ' ');
+    const volume = rest.match(/(\d+(?:\.\d+)?)\s*(ml|millilit)/);
+    if (volume) {
+      const mgPerMl = parseMass(`${concentration[1]} ${concentration[2]}`) / parseFloat(concentration[3] || '1');
+      return { amount: mgPerMl * parseFloat(volume[1]), unit: 'mg' };
+    }
+  }
+
+  const count = text.match(new RegExp(`${NUMBER}\\s*(?:x\\s*)?([a-z]+)`, 'g'));
+  const counted = (count || [])
+    .map(part => part.match(new RegExp(`${NUMBER}\\s*(?:x\\s*)?([a-z]+)`)))
+    .map(([, amount, word]) => {
+      const unit = COUNT_UNITS.find(([pattern]) => pattern.test(word));
+      return unit ? { amount: toNumber(amount), unit: unit[1] } : null;
+    })
+    .find(Boolean);
+
+  const mass = parseMass(text);
+  if (mass !== null) {
+    const multiplier = counted && (counted.unit === 'tablet' || counted.unit === 'capsule') ? counted.amount : 1;
+    return { amount: mass * multiplier, unit: 'mg' };
+  }
+  return counted || null;
+}
+
+function parseRoute(text) {
+  const route = ROUTES.find(([pattern]) => pattern.test(text));
+  return route ? route[1] : null;
+}
+
+// Returns { dosesPerDay, intervalHours, asNeeded, single }; unknowns are null.
+// For a range ("every 4-6 hours") the doses a day are counted at the shortest
+// interval, the most the order allows, unless a maximum is stated ("max 4
+// doses in 24 hours").
+function parseFrequency(frequency) {
+  const text = lowerText(frequency);
+  const result = {
+    dosesPerDay: null,
+    intervalHours: null,
+    asNeeded: /\b(as needed|as required|when required|when needed|if needed|prn)\b/.test(text),
+    single: /\b(stat|single dose|once only|one dose|one[- ]off)\b/.test(text)
+  };
+
+  const maxPerDay = text.match(/\b(?:max(?:imum)?|up to|no more than|not more than)\s+(\d+|one|two|three|four)\s*(?:doses?|times)?\s*(?:a|per|in|each)\s*(?:day|24\s*(?:hours?|hrs?|h))\b/);
+  const timesPerWeek = text.match(/\b(once|twice|\d+ times)\s*(?:a|per|each)?\s*week/) || (/\bweekly\b/.test(text) && ['', 'once']);
+  const timesPerDay = text.match(/\b(\d+|one|two|three|four)\s*(?:times|x)\s*(?:a|per|each)?\s*(?:day|daily)/);
+  const interval = text.match(/every\s+(\d+(?:\.\d+)?)(?:\s*(?:-|to)\s*(\d+(?:\.\d+)?))?\s*(?:hours?|hrs?|h)\b/) || text.match(/\bq(\d+)(?:-(\d+))?h\b/);
+
+  if (interval) result.intervalHours = Math.min(...interval.slice(1, 3).filter(Boolean).map(parseFloat));
+
+  if (maxPerDay) {
+    result.dosesPerDay = toNumber(maxPerDay[1]);
+  } else if (timesPerWeek) {
+    const times = timesPerWeek[1] === 'once' ? 1 : timesPerWeek[1] === 'twice' ? 2 : parseInt(timesPerWeek[1], 10);
+    result.dosesPerDay = times / 7;
+  } else if (timesPerDay) {
+    result.dosesPerDay = toNumber(timesPerDay[1]);
+  } else if (interval) {
+    result.dosesPerDay = 24 / result.intervalHours;
+  } else if (/\b(four times|qds|qid)\b/.test(text)) {
+    result.dosesPerDay = 4;
+  } else if (/\b(three times|thrice|tds|tid)\b/.test(text)) {
+    result.dosesPerDay = 3;
+  } else if (/\b(twice|bd|bid)\b/.test(text)) {
+    result.dosesPerDay = 2;
+  } else if (result.single || /\b(once|daily|od|qd|every (morning|evening|night)|at night|nightly|at bedtime|in the (morning|evening))\b/.test(text)) {
+    result.dosesPerDay = 1;
+  }
+
+  if (result.dosesPerDay && !result.intervalHours) result.intervalHours = 24 / result.dosesPerDay;
+  return result;
+}
+
+// Structured form of a prescribed medication. A dose given as a count of
+// tablets takes its strength from the name ("Amoxicillin 500mg", "1 tablet").
+function structureMedication(medication) {
+  const dosageText = lowerText(medication.dosage);
+  let dose = parseDose(dosageText);
+  if (dose && (dose.unit === 'tablet' || dose.unit === 'capsule')) {
+    const strength = parseMass(lowerText(medication.name));
+    if (strength !== null) dose = { amount: dose.amount * strength, unit: 'mg' };
+  } else if (!dose) {
+    const strength = parseMass(lowerText(medication.name));
+    if (strength !== null && !dosageText.trim()) dose = { amount: strength, unit: 'mg' };
+  }
+
+  const frequency = parseFrequency(medication.frequency);
+  const durationDays = parseDurationDays(medication.duration);
+  const route = parseRoute(lowerText([medication.dosage, medication.frequency, medication.instructions, medication.name].filter(Boolean).join(' ')));
+
+  return {
+    amount: dose ? Math.round(dose.amount * 1000) / 1000 : null,
+    unit: dose ? dose.unit : null,
+    route,
+    intervalHours: frequency.intervalHours ? Math.round(frequency.intervalHours * 100) / 100 : null,
+    dosesPerDay: frequency.dosesPerDay ? Math.round(frequency.dosesPerDay * 1000) / 1000 : null,
+    asNeeded: frequency.asNeeded,
+    days: durationDays === Infinity ? null : (durationDays || (frequency.single ? 1 : null)),
+    ongoing: durationDays === Infinity
+  };
+}
+
+// --- Validation ---
+
+const formatAmount = (amount, unit) => `${Math.round(amount * 100) / 100} ${unit}`;
+
+// Start from no limit and keep the tightest, remembering why it applies
+function tighten(limit, value, reason, note) {
+  if (value === undefined || value === null) return limit;
+  return !limit || value < limit.value ? { value, reason, note } : limit;
+}
+
+function doseWarning(medication, severity, mechanism, management) {
+  return {
+    type: 'dose',
+    severity,
+    blocking: severity === 'contraindicated',
+    medications: [medication.name],
+    mechanism,
+    management
+  };
+}
+
+// patient: { age, gender, weightKg, pregnancyStatus, egfr }. Resolves the
+// limits that apply to this patient and compares the order with them.
+// Returns { warnings, checked }; checked is false if the drug isn't in the
+// formulary or the dose couldn't be read as a mass.
+function validateMedication(medication, structured, patient) {
+  const drug = resolveMedication(medication);
+  const entry = drug && formulary.drugs[drug.id];
+  if (!entry || structured.unit !== 'mg' || structured.amount === null) return { warnings: [], checked: false };
+
+  const { unit } = entry;
+  const dose = unit === 'mcg' ? structured.amount * 1000 : structured.amount;
+  const daily = structured.dosesPerDay ? dose * structured.dosesPerDay : null;
+  const warnings = [];
+  const { age, weightKg, egfr } = patient;
+  let maxDose = null;
+  let maxDaily = null;
+
+  if (structured.route && !entry.routes.includes(structured.route)) {
+    warnings.push(doseWarning(medication, 'moderate',
+      `${medication.name} is not listed for the ${structured.route} route (formulary: ${entry.routes.join(', ')}).`,
+      'Check the route.'));
+  }
+
+  if (age !== undefined && age !== null && age < formulary.adultFromAge) {
+    const pediatric = entry.pediatric;
+    if (!pediatric) {
+      warnings.push(doseWarning(medication, 'major',
+        `The formulary has no paediatric dosing for ${drug.id}; the dose for a ${age}-year-old was not verified.`,
+        'Check a paediatric reference before prescribing.'));
+    } else {
+      if (pediatric.minAgeYears && age < pediatric.minAgeYears) {
+        warnings.push(doseWarning(medication, 'contraindicated',
+          `${drug.id} is not used under ${pediatric.minAgeYears} years (patient is ${age}).`,
+          'Choose an alternative suitable for the patient\'s age.'));
+      }
+      maxDose = tighten(maxDose, pediatric.maxDose, 'paediatric maximum');
+      maxDaily = tighten(maxDaily, pediatric.maxDaily, 'paediatric maximum');
+      if (weightKg) {
+        maxDose = tighten(maxDose, pediatric.maxMgPerKgDose && pediatric.maxMgPerKgDose * weightKg, `${pediatric.maxMgPerKgDose} ${unit}/kg for ${weightKg} kg`);
+        maxDaily = tighten(maxDaily, pediatric.maxMgPerKgDaily && pediatric.maxMgPerKgDaily * weightKg, `${pediatric.maxMgPerKgDaily} ${unit}/kg/day for ${weightKg} kg`);
+      } else if (pediatric.maxMgPerKgDose || pediatric.maxMgPerKgDaily) {
+        warnings.push(doseWarning(medication, 'moderate',
+          'The patient\'s weight is not recorded, so the weight-based paediatric dose was not checked.',
+          'Record the weight and re-check.'));
+      }
+    }
+  } else {
+    maxDose = tighten(maxDose, entry.adult.maxDose, 'adult maximum');
+    maxDaily = tighten(maxDaily, entry.adult.maxDaily, 'adult maximum');
+    if (entry.elderly && age >= entry.elderly.fromAge) {
+      maxDaily = tighten(maxDaily, entry.elderly.maxDaily, `age ${entry.elderly.fromAge} and over`, entry.elderly.note);
+    }
+    if (dose < entry.adult.minDose) {
+      warnings.push(doseWarning(medication, 'moderate',
+        `${formatAmount(dose, unit)} is below the usual minimum dose of ${formatAmount(entry.adult.minDose, unit)}.`,
+        'Confirm the dose was heard correctly.'));
+    }
+  }
+
+  if (egfr !== undefined && egfr !== null) {
+    (entry.renal || []).filter(rule => egfr < rule.egfrBelow).forEach(rule => {
+      const reason = `eGFR ${egfr}, below ${rule.egfrBelow}`;
+      if (rule.avoid) {
+        warnings.push(doseWarning(medication, 'contraindicated', `Avoid ${drug.id} with eGFR ${egfr} (below ${rule.egfrBelow}). ${rule.note}`, 'Choose an alternative.'));
+      }
+      maxDose = tighten(maxDose, rule.maxDose, reason, rule.note);
+      maxDaily = tighten(maxDaily, rule.maxDaily, reason, rule.note);
+    });
+  }
+
+  if (maxDose && dose > maxDose.value) {
+    warnings.push(doseWarning(medication, 'contraindicated',
+      `${formatAmount(dose, unit)} per dose exceeds the maximum of ${formatAmount(maxDose.value, unit)} (${maxDose.reason}).`,
+      maxDose.note || 'Reduce the dose.'));
+  }
+  if (maxDaily && daily !== null && daily > maxDaily.value) {
+    warnings.push(doseWarning(medication, 'contraindicated',
+      `${formatAmount(daily, unit)} per day exceeds the maximum of ${formatAmount(maxDaily.value, unit)} (${maxDaily.reason}).`,
+      maxDaily.note || 'Reduce the dose or frequency.'));
+  }
+
+  const pregnancy = entry.pregnancy;
+  if (pregnancy && patient.pregnancyStatus === 'pregnant') {
+    warnings.push(doseWarning(medication, pregnancy.risk === 'avoid' ? 'contraindicated' : 'major',
+      `${pregnancy.risk === 'avoid' ? 'Avoid' : 'Use with caution'} in pregnancy: ${pregnancy.note}`,
+      pregnancy.risk === 'avoid' ? 'Choose an alternative that is safe in pregnancy.' : 'Confirm the benefit outweighs the risk.'));
+  } else if (pregnancy && pregnancy.risk === 'avoid' && patient.gender === 'female' &&
+    (!patient.pregnancyStatus || patient.pregnancyStatus === 'unknown') && age >= 12 && age <= 50) {
+    warnings.push(doseWarning(medication, 'moderate',
+      `Pregnancy status is not recorded and ${drug.id} should be avoided in pregnancy.`,
+      'Confirm the patient is not pregnant.'));
+  }
+
+  return { warnings, checked: true };
+}
+
+// Structure and validate every medication. Returns { medications, warnings,
+// unchecked }: the medications with a `structured` field added, the dose
+// warnings, and the names of medications whose dose could not be checked.
+function validateDoses(medications = [], patient = {}) {
+  const warnings = [];
+  const unchecked = [];
+
+  const structuredMedications = medications.filter(med => med && med.name).map(medication => {
+    const structured = structureMedication(medication);
+    const result = validateMedication(medication, structured, patient);
+    warnings.push(...result.warnings);
+    if (!result.checked) unchecked.push(medication.name);
+    return { ...medication, structured };
+  });
+
+  return { medications: structuredMedications, warnings, unchecked };
+}
+
+module.exports = {
+  parseFrequency,
+  structureMedication,
+  validateDoses
+};
@@ -0,0 +1,250 @@
+const dictionary = require('./data/drugDictionary.json');
+
+// Maps medication names as transcribed ("Amoxil", "amoxycillin 500mg",
+// "ibuprophen") to a concept in the bundled drug dictionary. A name is
+// matched exactly, by spelling (edit distance) or by sound (a phonetic key),
+// and resolved only when one concept is a clear winner; otherwise the
+// closest concepts are offered for the prescriber to choose from.
+
+const MATCH_SCORE = 0.85;
+const SUGGEST_SCORE = 0.65;
+const AMBIGUITY_MARGIN = 0.08;
+const PHONETIC_SCORE = 0.9;
+const MAX_SUGGESTIONS = 5;
+
+// Words that describe the product rather than name the drug
+const FORM_WORDS = new Set([
+  'tablet', 'tablets', 'tab', 'tabs', 'capsule', 'capsules', 'cap', 'caps', 'oral', 'suspension',
+  'solution', 'syrup', 'liquid', 'injection', 'cream', 'ointment', 'gel', 'inhaler', 'drops', 'eye',
+  'patch', 'spray', 'suppository', 'suppositories', 'mr', 'sr', 'xl', 'er', 'dispersible', 'soluble'
+]);
+
+// Checked in order, so "oral suspension" wins over a bare "oral"
+const FORMS = [
+  [/\beye drops?\b/, 'eye drops'],
+  [/\b(suspension|syrup)\b/, 'oral suspension'],
+  [/\b(oral solution|liquid)\b/, 'oral solution'],
+  [/\b(mr|sr|xl|er|modified.release)\b/, 'modified-release tablet'],
+  [/\b(tablets?|tabs?)\b/, 'tablet'],
+  [/\b(capsules?|caps?)\b/, 'capsule'],
+  [/\b(injection|iv|im)\b/, 'injection'],
+  [/\b(inhaler|puffs?)\b/, 'inhaler'],
+  [/\bsuppositor(y|ies)\b/, 'suppository'],
+  [/\bpatch(es)?\b/, 'patch'],
+  [/\bgel\b/, 'gel']
+];
+
+const STRENGTH = /(\d+(?:\.\d+)?)\s*(mg|mcg|micrograms?|g|mmol)\b(?:\s*\/\s*(\d+(?:\.\d+)?)?\s*(ml|dose))?/;
+
+const words = text => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// The drug part of a medication name: no strengths, numbers or form words
+function drugWords(name) {
+  return words(String(name || '').toLowerCase().replace(new RegExp(STRENGTH.source, 'g'), ' '))
+    .split(' ')
+    .filter(word => word && !/\d/.test(word) && !FORM_WORDS.has(word));
+}
+
+// Sound-alike key: spellings Whisper confuses (ph/f, c/k/s, y/i, x/ks,
+// doubled letters) collapse to one form, and vowels after the first letter
+// are dropped. "amoxycillin" and "amoxicillin" share a key.
+function phoneticKey(word) {
+  const spelled = word.replace(/[^a-z]/g, '')
+    .replace(/ph/g, 'f')
+    .replace(/ck/g, 'k')
+    .replace(/qu/g, 'kw')
+    .replace(/x/g, 'ks')
+    .replace(/c(?=[eiy])/g, 's')
+    .replace(/c/g, 'k')
+    .replace(/z/g, 's')
+    .replace(/th/g, 't')
+    .replace(/([^aeiouy])h/g, '$1')
+    .replace(/y/g, 'i');
+  if (!spelled) return '';
+  return (spelled[0] + spelled.slice(1).replace(/[aeiou]/g, '')).replace(/(.)\1+/g, '$1');
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+const similarity = (a, b) => 1 - editDistance(a, b) / Math.max(a.length, b.length, 1);
+
+// Milligrams (or mmol) and millilitres, so "1 g" and "1000 mg" compare equal
+function strengthKey(text) {
+  const match = String(text || '').toLowerCase().match(STRENGTH);
+  if (!match) return null;
+  const perUnit = { g: 1000, mcg: 0.001, microgram: 0.001, micrograms: 0.001 }[match[2]] || 1;
+  const amount = Math.round(parseFloat(match[1]) * perUnit * 1000) / 1000;
+  return match[4] ? `${amount}/${match[3] || 1}${match[4]}` : `${amount}`;
+}
+
+function buildTerms() {
+  const terms = [];
+  dictionary.concepts.forEach(concept => {
+    const add = (name, kind) => {
+      const text = words(name);
+      terms.push({ concept, name, kind, text, key: text.split(' ').map(phoneticKey).join(' ') });
+    };
+    add(concept.generic, 'generic');
+    concept.brands.forEach(brand => add(brand, 'brand'));
+    concept.synonyms.forEach(synonym => add(synonym, 'synonym'));
+  });
+  return terms;
+}
+
+const TERMS = buildTerms();
+const CONCEPTS = new Map(dictionary.concepts.map(concept => [concept.conceptId, concept]));
+
+// The runs of one and two words a term is compared with, plus the whole name
+function phrases(drug) {
+  const found = new Set([drug.join(' ')]);
+  drug.forEach((word, index) => {
+    found.add(word);
+    if (index > 0) found.add(`${drug[index - 1]} ${word}`);
+  });
+  return [...found].filter(phrase => phrase.replace(/ /g, '').length >= 3);
+}
+
+function scoreTerm(term, candidates) {
+  let best = { score: 0, matchedBy: null };
+  candidates.forEach(phrase => {
+    if (phrase === term.text) {
+      best = { score: 1, matchedBy: 'exact' };
+      return;
+    }
+    const spelling = similarity(phrase, term.text);
+    if (spelling > best.score) best = { score: spelling, matchedBy: 'spelling' };
+    const key = phrase.split(' ').map(phoneticKey).join(' ');
+    if (key === term.key && PHONETIC_SCORE > best.score) best = { score: PHONETIC_SCORE, matchedBy: 'phonetic' };
+  });
+  return best;
+}
+
+// Best scoring term per concept, best concepts first; between equal scores
+// the longer term, so "paracetamol and codeine" resolves like the knowledge
+// base does
+function rankConcepts(drug) {
+  const candidates = phrases(drug);
+  const best = new Map();
+  TERMS.forEach(term => {
+    const { score, matchedBy } = scoreTerm(term, candidates);
+    const current = best.get(term.concept.conceptId);
+    if (score > 0 && (!current || score > current.score)) best.set(term.concept.conceptId, { term, score, matchedBy });
+  });
+  return [...best.values()].sort((a, b) => b.score - a.score || b.term.text.length - a.term.text.length);
+}
+
+const round = score => Math.round(score * 100) / 100;
+
+function suggestion({ term, score }) {
+  return {
+    conceptId: term.concept.conceptId,
+    generic: term.concept.generic,
+    brand: term.kind === 'brand' ? term.name : null,
+    score: round(score)
+  };
+}
+
+// The concept record stored on a medication, with the strength and form the
+// prescription names where they can be read
+function describeConcept(concept, medication, { brand = null, matchedBy, score }) {
+  const text = [medication.name, medication.dosage].filter(Boolean).join(' ').toLowerCase();
+  const strengthMatch = String(medication.name || '').toLowerCase().match(STRENGTH);
+  const strength = strengthMatch ? strengthMatch[0].replace(/\s+/g, ' ') : null;
+  const form = FORMS.find(([pattern]) => pattern.test(text));
+
+  return {
+    conceptId: concept.conceptId,
+    drugId: concept.drugId,
+    generic: concept.generic,
+    brand,
+    strength,
+    strengthListed: strength ? concept.strengths.map(strengthKey).includes(strengthKey(strength)) : null,
+    form: form ? form[1] : null,
+    matchedBy,
+    score: round(score)
+  };
+}
+
+// Match one medication. Returns { status, concept, suggestions }: status is
+// 'matched' (concept set), 'ambiguous' (suggestions to choose from) or
+// 'unmatched'. A concept the prescriber already chose is kept as it is.
+function matchMedication(medication) {
+  const chosen = medication.concept && medication.concept.matchedBy === 'clinician' && CONCEPTS.get(medication.concept.conceptId);
+  if (chosen) {
+    return {
+      status: 'matched',
+      concept: describeConcept(chosen, medication, { brand: medication.concept.brand || null, matchedBy: 'clinician', score: 1 }),
+      suggestions: []
+    };
+  }
+
+  const ranked = rankConcepts(drugWords(medication.name));
+  const [top, runnerUp] = ranked;
+  if (top && (top.score === 1 || (top.score >= MATCH_SCORE && (!runnerUp || top.score - runnerUp.score >= AMBIGUITY_MARGIN)))) {
+    return {
+      status: 'matched',
+      concept: describeConcept(top.term.concept, medication, {
+        brand: top.term.kind === 'brand' ? top.term.name : null,
+        matchedBy: top.matchedBy,
+        score: top.score
+      }),
+      suggestions: []
+    };
+  }
+
+  const suggestions = ranked.filter(entry => entry.score >= SUGGEST_SCORE).slice(0, MAX_SUGGESTIONS).map(suggestion);
+  return { status: suggestions.length > 0 ? 'ambiguous' : 'unmatched', concept: null, suggestions };
+}
+
+// Attach a `concept` (or null) to every medication, and `conceptSuggestions`
+// to those that could not be resolved on their own
+function normalizeMedications(medications = []) {
+  return medications.filter(med => med && med.name).map(medication => {
+    const { status, concept, suggestions } = matchMedication(medication);
+    const normalized = { ...medication, concept };
+    if (status !== 'matched') normalized.conceptSuggestions = suggestions;
+    return normalized;
+  });
+}
+
+// Dictionary search for the prescriber, where a partly typed name should
+// find the drug: names starting with the query rank just below exact ones.
+function searchConcepts(query, limit = 10) {
+  const drug = drugWords(query);
+  if (drug.length === 0) return [];
+  const prefix = drug.join(' ');
+
+  const ranked = rankConcepts(drug);
+  TERMS.filter(term => prefix.length >= 3 && term.text.startsWith(prefix)).forEach(term => {
+    const existing = ranked.find(entry => entry.term.concept === term.concept);
+    if (!existing) ranked.push({ term, score: 0.95 });
+    else if (existing.score < 0.95) Object.assign(existing, { term, score: 0.95 });
+  });
+
+  return ranked
+    .filter(entry => entry.score >= SUGGEST_SCORE)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(entry => ({
+      ...suggestion(entry),
+      brands: entry.term.concept.brands,
+      strengths: entry.term.concept.strengths,
+      forms: entry.term.concept.forms
+    }));
+}
+
+module.exports = {
+  matchMedication,
+  normalizeMedications,
+  searchConcepts
+};
@@ -0,0 +1,181 @@
+const knowledgeBase = require('./data/drugInteractions.json');
+
+// Most severe first
+const SEVERITIES = ['contraindicated', 'major', 'moderate', 'minor'];
+
+// Lowercase words only, so "Amoxicillin/Clavulanate 625mg" matches "amoxicillin clavulanate"
+function normalize(text) {
+  return ` ${String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()} `;
+}
+
+// Every name a drug or class is known by, longest first so that combination
+// products ("amoxicillin clavulanate") win over their components.
+function buildTerms() {
+  const terms = [];
+  Object.entries(knowledgeBase.drugs).forEach(([id, drug]) => {
+    [id, ...drug.aliases].forEach(name => terms.push({ term: normalize(name), drug: id }));
+  });
+  Object.entries(knowledgeBase.classes).forEach(([id, drugClass]) => {
+    [id, drugClass.label, ...drugClass.aliases].forEach(name => terms.push({ term: normalize(name), drugClass: id }));
+  });
+  return terms.sort((a, b) => b.term.length - a.term.length);
+}
+
+const TERMS = buildTerms();
+
+// The knowledge base drug a medication name refers to, or null if it isn't
+// in the knowledge base: { id, classes }
+function resolveDrug(name) {
+  const text = normalize(name);
+  const match = TERMS.find(entry => entry.drug && text.includes(entry.term));
+  return match ? { id: match.drug, classes: knowledgeBase.drugs[match.drug].classes } : null;
+}
+
+// The knowledge base drug for a prescribed medication: the one its dictionary
+// concept links to (drugDictionary.js), or else whatever its name contains
+function resolveMedication(medication) {
+  const drugId = medication.concept && medication.concept.drugId;
+  if (drugId && knowledgeBase.drugs[drugId]) return { id: drugId, classes: knowledgeBase.drugs[drugId].classes };
+  return resolveDrug(medication.name);
+}
+
+// What a recorded allergy covers. An allergy to one drug is treated as an
+// allergy to its whole class. Returns null for substances that aren't drugs
+// in the knowledge base (latex, peanuts...).
+function resolveAllergen(substance) {
+  const text = normalize(substance);
+  const match = TERMS.find(entry => text.includes(entry.term));
+  if (!match) return null;
+  if (match.drugClass) return { drug: null, classes: [match.drugClass] };
+  return { drug: match.drug, classes: knowledgeBase.drugs[match.drug].classes };
+}
+
+const classLabel = id => knowledgeBase.classes[id].label;
+const drugLabel = drug => drug.classes.length > 0 ? drug.classes.map(classLabel).join(', ') : drug.id;
+const matchesSide = (drug, side) => drug.id === side || drug.classes.includes(side);
+
+function allergyMechanism(medication, drug, allergy, allergen) {
+  if (allergen.drug === drug.id) return `Patient has a recorded allergy to ${allergy.substance}.`;
+  if (!allergen.drug) return `${medication.name} is one of the ${drugLabel(drug)}; patient has a recorded allergy to ${allergy.substance}.`;
+  return `${medication.name} is in the same class (${drugLabel(drug)}) as ${allergy.substance}, to which the patient is allergic.`;
+}
+
+function allergyWarnings(medication, drug, allergies) {
+  const warnings = [];
+
+  allergies.forEach(allergy => {
+    const allergen = resolveAllergen(allergy.substance);
+    if (!allergen) return;
+    const base = {
+      type: 'allergy',
+      medications: [medication.name],
+      allergy: allergy.substance,
+      reaction: allergy.reaction,
+      allergySeverity: allergy.severity
+    };
+
+    if (allergen.drug === drug.id || allergen.classes.some(id => drug.classes.includes(id))) {
+      warnings.push({
+        ...base,
+        severity: 'contraindicated',
+        mechanism: allergyMechanism(medication, drug, allergy, allergen),
+        management: 'Do not prescribe; choose an agent from an unrelated class.'
+      });
+      return;
+    }
+
+    allergen.classes.forEach(allergenClass => {
+      (knowledgeBase.classes[allergenClass].crossReactive || [])
+        .filter(cross => drug.classes.includes(cross.class))
+        .forEach(cross => warnings.push({
+          ...base,
+          severity: cross.severity,
+          mechanism: cross.note,
+          management: `Prescribe only if the ${allergy.substance} reaction was not severe or immediate, and monitor the first dose.`
+        }));
+    });
+  });
+
+  return warnings;
+}
+
+function pairWarnings(first, second, withActive) {
+  const medications = [first.medication.name, second.medication.name];
+
+  if (first.drug.id === second.drug.id) {
+    return withActive
+      ? [{
+          type: 'duplication',
+          severity: 'minor',
+          medications,
+          withActive,
+          mechanism: `${second.medication.name} is already an active prescription.`,
+          management: 'Confirm this continues or replaces the current course rather than adding to it.'
+        }]
+      : [{
+          type: 'duplication',
+          severity: 'moderate',
+          medications,
+          withActive,
+          mechanism: `${first.drug.id} is prescribed twice.`,
+          management: 'Remove the duplicate line.'
+        }];
+  }
+
+  const warnings = knowledgeBase.interactions
+    .filter(({ between: [a, b] }) =>
+      (matchesSide(first.drug, a) && matchesSide(second.drug, b)) ||
+      (matchesSide(first.drug, b) && matchesSide(second.drug, a)))
+    .map(interaction => ({
+      type: 'interaction',
+      severity: interaction.severity,
+      medications,
+      withActive,
+      mechanism: interaction.mechanism,
+      management: interaction.management
+    }));
+
+  first.drug.classes
+    .filter(id => knowledgeBase.classes[id].duplication && second.drug.classes.includes(id))
+    .forEach(id => warnings.push({
+      type: 'duplication',
+      severity: 'moderate',
+      medications,
+      withActive,
+      mechanism: `Both are ${classLabel(id)}: therapeutic duplication.`,
+      management: 'Use a single agent from the class unless the combination is intended.'
+    }));
+
+  return warnings;
+}
+
+// Check new medications against each other, the patient's allergies and the
+// medications they already take. Returns { warnings, unrecognized }: the
+// warnings most severe first, and the names of new medications that aren't
+// in the knowledge base and so could not be checked.
+function checkPrescription({ medications = [], allergies = [], activeMedications = [] }) {
+  const resolve = medication => ({ medication, drug: resolveMedication(medication) });
+  const prescribed = medications.filter(med => med && med.name).map(resolve);
+  const active = activeMedications.filter(med => med && med.name).map(resolve).filter(entry => entry.drug);
+
+  const warnings = [];
+  prescribed.forEach((entry, index) => {
+    if (!entry.drug) return;
+    warnings.push(...allergyWarnings(entry.medication, entry.drug, allergies));
+    prescribed.slice(index + 1)
+      .filter(other => other.drug)
+      .forEach(other => warnings.push(...pairWarnings(entry, other, false)));
+    active.forEach(other => warnings.push(...pairWarnings(entry, other, true)));
+  });
+
+  return {
+    warnings: warnings.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity)),
+    unrecognized: prescribed.filter(entry => !entry.drug).map(entry => entry.medication.name)
+  };
+}
+
+module.exports = {
+  SEVERITIES,
+  resolveMedication,
+  checkPrescription
+};
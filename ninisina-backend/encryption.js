@@ -0,0 +1,324 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const mongoose = require('mongoose');
+
+// Encryption at rest, with envelope keys. Every value or file is encrypted
+// (AES-256-GCM) with its own random data key; the data key is stored next to
+// it, wrapped by a key-encryption key. Key-encryption keys live in a local
+// keyfile standing in for a KMS: generateDataKey/unwrapDataKey are the only
+// functions that touch them. Rotating keys only re-wraps data keys (see
+// rotateKeys.js); the data itself is never re-encrypted.
+//
+// Keyfile: { "activeKeyId": "key-...", "keys": { "key-...": "<base64, 32 bytes>" } }
+const ENCRYPTION_KEYFILE = path.resolve(__dirname, process.env.ENCRYPTION_KEYFILE || 'keys/encryption-keys.json');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const FILE_MAGIC = Buffer.from('NNENC1');
+
+let keyring = null;
+
+const newKeyId = () => `key-${new Date().toISOString().slice(0, 10)}-${crypto.randomBytes(3).toString('hex')}`;
+
+function writeKeyfile(contents) {
+  fs.mkdirSync(path.dirname(ENCRYPTION_KEYFILE), { recursive: true });
+  const tempPath = `${ENCRYPTION_KEYFILE}.tmp`;
+  fs.writeFileSync(tempPath, `${JSON.stringify(contents, null, 2)}\n`, { mode: 0o600 });
+  fs.renameSync(tempPath, ENCRYPTION_KEYFILE);
+}
+
+// The keyfile, created with a first key if there is none yet
+function loadKeyring() {
+  if (keyring) return keyring;
+
+  if (!fs.existsSync(ENCRYPTION_KEYFILE)) {
+    const keyId = newKeyId();
+    writeKeyfile({ activeKeyId: keyId, keys: { [keyId]: crypto.randomBytes(32).toString('base64') } });
+    console.warn(`⚠️  Created encryption keyfile ${ENCRYPTION_KEYFILE}. Back it up separately from the database: without it the data can't be decrypted.`);
+  }
+
+  const contents = JSON.parse(fs.readFileSync(ENCRYPTION_KEYFILE, 'utf8'));
+  if (!contents.keys || !contents.keys[contents.activeKeyId]) {
+    throw new Error(`Encryption keyfile ${ENCRYPTION_KEYFILE} has no key for activeKeyId "${contents.activeKeyId}"`);
+  }
+  keyring = contents;
+  return keyring;
+}
+
+function keyEncryptionKey(keyId) {
+  const encoded = loadKeyring().keys[keyId];
+  if (!encoded) throw new Error(`Encryption key "${keyId}" is not in the keyfile`);
+  return Buffer.from(encoded, 'base64');
+}
+
+function activeKeyId() {
+  return loadKeyring().activeKeyId;
+}
+
+// Add a new key-encryption key and make it the active one. Returns its id.
+function addKey() {
+  const contents = loadKeyring();
+  const keyId = newKeyId();
+  writeKeyfile({
+    ...contents,
+    activeKeyId: keyId,
+    keys: { ...contents.keys, [keyId]: crypto.randomBytes(32).toString('base64') }
+  });
+  keyring = null;
+  return keyId;
+}
+
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+}
+
+function open(key, sealed) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, sealed.subarray(0, IV_BYTES));
+  decipher.setAuthTag(sealed.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  return Buffer.concat([decipher.update(sealed.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+}
+
+// --- KMS stand-in ---
+
+// A fresh data key, in the clear and wrapped by the active key
+function generateDataKey() {
+  const keyId = activeKeyId();
+  const plaintext = crypto.randomBytes(32);
+  return { keyId, plaintext, wrapped: seal(keyEncryptionKey(keyId), plaintext).toString('base64') };
+}
+
+function unwrapDataKey(keyId, wrapped) {
+  return open(keyEncryptionKey(keyId), Buffer.from(wrapped, 'base64'));
+}
+
+// --- Values ---
+
+// Encrypt any JSON value into an envelope: { v, kid, key, data }
+function encryptValue(value) {
+  const dataKey = generateDataKey();
+  return {
+    v: 1,
+    kid: dataKey.keyId,
+    key: dataKey.wrapped,
+    data: seal(dataKey.plaintext, Buffer.from(JSON.stringify(value), 'utf8')).toString('base64')
+  };
+}
+
+function decryptValue(envelope) {
+  const dataKey = unwrapDataKey(envelope.kid, envelope.key);
+  return JSON.parse(open(dataKey, Buffer.from(envelope.data, 'base64')).toString('utf8'));
+}
+
+const isEnvelope = value => Boolean(value && typeof value === 'object' && value.v === 1 && value.kid && value.key && value.data);
+
+// The same envelope with its data key wrapped by the active key, or null if it already is
+function rewrapValue(envelope) {
+  const keyId = activeKeyId();
+  if (envelope.kid === keyId) return null;
+  const dataKey = unwrapDataKey(envelope.kid, envelope.key);
+  return { ...envelope, kid: keyId, key: seal(keyEncryptionKey(keyId), dataKey).toString('base64') };
+}
+
+// --- Files ---
+// Layout: "NNENC1", header length (uint16), JSON header { kid, key, iv },
+// ciphertext, auth tag. The header can be rewritten without touching the rest.
+
+async function readFileHeader(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    const prefix = Buffer.alloc(FILE_MAGIC.length + 2);
+    await handle.read(prefix, 0, prefix.length, 0);
+    if (!prefix.subarray(0, FILE_MAGIC.length).equals(FILE_MAGIC)) return null;
+
+    const headerLength = prefix.readUInt16BE(FILE_MAGIC.length);
+    const header = Buffer.alloc(headerLength);
+    await handle.read(header, 0, headerLength, prefix.length);
+    const tag = Buffer.alloc(TAG_BYTES);
+    await handle.read(tag, 0, TAG_BYTES, size - TAG_BYTES);
+
+    const bodyStart = prefix.length + headerLength;
+    return { ...JSON.parse(header.toString('utf8')), tag, bodyStart, bodyEnd: size - TAG_BYTES };
+  } finally {
+    await handle.close();
+  }
+}
+
+function headerBytes(header) {
+  const json = Buffer.from(JSON.stringify(header), 'utf8');
+  const length = Buffer.alloc(2);
+  length.writeUInt16BE(json.length);
+  return Buffer.concat([FILE_MAGIC, length, json]);
+}
+
+async function isEncryptedFile(filePath) {
+  return Boolean(await readFileHeader(filePath).catch(() => null));
+}
+
+// Encrypt sourcePath into targetPath
+async function encryptFile(sourcePath, targetPath) {
+  const dataKey = generateDataKey();
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, dataKey.plaintext, iv);
+  const header = headerBytes({ kid: dataKey.keyId, key: dataKey.wrapped, iv: iv.toString('base64') });
+
+  await pipeline(
+    fs.createReadStream(sourcePath),
+    cipher,
+    async function* (ciphertext) {
+      yield header;
+      yield* ciphertext;
+      yield cipher.getAuthTag(); // available once the cipher has finished
+    },
+    fs.createWriteStream(targetPath, { mode: 0o600 })
+  );
+}
+
+// Decrypt sourcePath into targetPath; fails if the file was tampered with
+async function decryptFile(sourcePath, targetPath) {
+  const header = await readFileHeader(sourcePath);
+  if (!header) throw new Error(`${path.basename(sourcePath)} is not an encrypted file`);
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, unwrapDataKey(header.kid, header.key), Buffer.from(header.iv, 'base64'));
+  decipher.setAuthTag(header.tag);
+  const input = header.bodyEnd > header.bodyStart
+    ? fs.createReadStream(sourcePath, { start: header.bodyStart, end: header.bodyEnd - 1 })
+    : Readable.from([]);
+  await pipeline(input, decipher, fs.createWriteStream(targetPath, { mode: 0o600 }));
+}
+
+// Re-wrap a file's data key with the active key. Resolves to false if it already was.
+async function rewrapFile(filePath) {
+  const header = await readFileHeader(filePath);
+  if (!header) throw new Error(`${path.basename(filePath)} is not an encrypted file`);
+  const rewrapped = rewrapValue({ v: 1, kid: header.kid, key: header.key, data: 'file' });
+  if (!rewrapped) return false;
+
+  const tempPath = `${filePath}.rewrap`;
+  const output = fs.createWriteStream(tempPath, { mode: 0o600 });
+  output.write(headerBytes({ kid: rewrapped.kid, key: rewrapped.key, iv: header.iv }));
+  await pipeline(fs.createReadStream(filePath, { start: header.bodyStart }), output);
+  await fs.promises.rename(tempPath, filePath);
+  return true;
+}
+
+// --- Mongoose plugin ---
+// Stores `fields` encrypted in `encryptedFields.<field>` instead of in the
+// clear. Documents and lean results are decrypted as they are loaded, so
+// callers see the fields as usual; documents saved before encryption was
+// enabled are read as they are and encrypted when next changed (or by
+// rotateKeys.js). Encrypted fields can't be queried, and must be updated
+// as a whole: an update to `field.sub` is refused. Selecting `field.sub`
+// loads the whole field.
+function encryptedFieldsPlugin(schema, { fields }) {
+  schema.add({
+    encryptedFields: Object.fromEntries(fields.map(field => [field, mongoose.Schema.Types.Mixed]))
+  });
+
+  const decryptInto = (raw) => {
+    if (!raw || !raw.encryptedFields) return raw;
+    fields.forEach((field) => {
+      if (isEnvelope(raw.encryptedFields[field])) raw[field] = decryptValue(raw.encryptedFields[field]);
+    });
+    delete raw.encryptedFields;
+    return raw;
+  };
+
+  // Documents: decrypt the raw data before it is hydrated
+  schema.pre('init', function(raw) {
+    decryptInto(raw);
+  });
+
+  // Lean results skip init
+  schema.post(['find', 'findOne', 'findOneAndUpdate', 'findOneAndDelete', 'findOneAndReplace'], function(result) {
+    if (!this.mongooseOptions().lean || !result) return;
+    (Array.isArray(result) ? result : [result]).forEach(decryptInto);
+  });
+
+  // A projection naming an encrypted field (or part of one) applies to its ciphertext
+  schema.pre(['find', 'findOne', 'findOneAndUpdate', 'findOneAndDelete', 'findOneAndReplace'], function() {
+    const projection = this.projection();
+    if (!projection) return;
+    fields.forEach((field) => {
+      // select('-field') is kept as { '-field': 0 } until the query runs
+      const key = Object.keys(projection).find((selected) => {
+        const path = selected.replace(/^[-+]/, '');
+        return path === field || path.startsWith(`${field}.`);
+      });
+      if (key !== undefined) projection[`encryptedFields.${field}`] = key.startsWith('-') ? 0 : projection[key];
+    });
+  });
+
+  schema.pre('save', function(next) {
+    try {
+      const data = this.toObject({ depopulate: true, virtuals: false, getters: false });
+      const plaintext = {};
+      fields.forEach((field) => {
+        if (!this.isNew && !this.isModified(field)) return;
+        plaintext[field] = data[field];
+        this.set(`encryptedFields.${field}`, data[field] === undefined ? undefined : encryptValue(data[field]));
+        this.set(field, undefined);
+      });
+      this.$locals.plaintextFields = plaintext;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Put the fields back in the clear for the caller, as if loaded again
+  schema.post('save', function() {
+    const plaintext = this.$locals.plaintextFields || {};
+    Object.keys(plaintext).forEach((field) => {
+      this.set(field, plaintext[field]);
+      this.set(`encryptedFields.${field}`, undefined);
+    });
+    this.modifiedPaths().forEach(path => this.unmarkModified(path));
+    delete this.$locals.plaintextFields;
+  });
+
+  schema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function() {
+    const update = this.getUpdate();
+    if (!update || Array.isArray(update)) return;
+    const $set = update.$set || {};
+
+    fields.forEach((field) => {
+      Object.keys(update).concat(Object.keys($set)).forEach((path) => {
+        if (path.startsWith(`${field}.`)) {
+          throw new Error(`${field} is stored encrypted and must be updated as a whole, not ${path}`);
+        }
+      });
+      [update, $set].forEach((target) => {
+        if (!Object.prototype.hasOwnProperty.call(target, field)) return;
+        const value = this.model.castObject({ [field]: target[field] })[field];
+        delete target[field];
+        $set[`encryptedFields.${field}`] = encryptValue(value);
+        update.$unset = { ...update.$unset, [field]: 1 }; // plaintext left from before encryption
+      });
+    });
+
+    if (Object.keys($set).length > 0) update.$set = $set;
+  });
+}
+
+module.exports = {
+  ENCRYPTION_KEYFILE,
+  activeKeyId,
+  addKey,
+  encryptValue,
+  decryptValue,
+  isEnvelope,
+  rewrapValue,
+  isEncryptedFile,
+  encryptFile,
+  decryptFile,
+  rewrapFile,
+  encryptedFieldsPlugin
+};
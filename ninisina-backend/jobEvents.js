@@ -0,0 +1,22 @@
+const { EventEmitter } = require('events');
+
+// Live progress events for background jobs: the worker publishes, the
+// /jobs/:jobId/events route relays them to the browser. Events only reach
+// subscribers in this process, which is fine while the worker runs in-process.
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // one listener per open event stream
+
+function publish(jobId, type, data = {}) {
+  emitter.emit(jobId, { type, data: { jobId, ...data, at: new Date().toISOString() } });
+}
+
+// Returns an unsubscribe function
+function subscribe(jobId, listener) {
+  emitter.on(jobId, listener);
+  return () => emitter.off(jobId, listener);
+}
+
+module.exports = {
+  publish,
+  subscribe
+};
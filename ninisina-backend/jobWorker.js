@@ -0,0 +1,266 @@
+const fs = require('fs');
+const path = require('path');
+const Job = require('./models/Job');
+const audioSegmentation = require('./audioSegmentation');
+const audioStorage = require('./audioStorage');
+const analysisPipeline = require('./analysisPipeline');
+const jobEvents = require('./jobEvents');
+
+// In-process worker for consultation jobs. Jobs live in MongoDB, so they
+// survive restarts; the worker claims one queued job at a time and runs its
+// stages in order, retrying each stage before giving up.
+const JOB_POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS || '2000', 10);
+const JOB_STAGE_MAX_ATTEMPTS = parseInt(process.env.JOB_STAGE_MAX_ATTEMPTS || '3', 10);
+const JOB_RETRY_DELAY_MS = parseInt(process.env.JOB_RETRY_DELAY_MS || '2000', 10);
+const TOKEN_EVENT_INTERVAL_MS = 250; // throttle for streamed-token progress events
+
+const uploadsDir = path.join(__dirname, 'uploads');
+
+// Each stage reads what earlier stages stored in job.data and returns the
+// fields it adds. A stage with a fallback still completes (marked degraded)
+// once its retries are exhausted, mirroring the synchronous /analyze route;
+// one without a fallback fails the job.
+const STAGES = [
+  {
+    name: 'transcribe',
+    async run(job) {
+      const result = await audioStorage.withDecryptedAudio(job.input.audioFile, audioPath => audioSegmentation.transcribeRecording(audioPath));
+      return { transcript: result.text, transcription: result };
+    }
+  },
+  {
+    name: 'diarize',
+    async run(job) {
+      return { labeledTranscript: await analysisPipeline.labelSpeakers(job.data.transcript, job.patientInfo) };
+    },
+    fallback(job) {
+      return { labeledTranscript: job.data.transcript };
+    }
+  },
+  {
+    name: 'analyze',
+    async run(job) {
+      const priorContext = await analysisPipeline.buildPriorContext(job.patientInfo);
+
+      let tokens = 0;
+      let lastPublished = 0;
+      const onToken = () => {
+        tokens += 1;
+        if (Date.now() - lastPublished >= TOKEN_EVENT_INTERVAL_MS) {
+          lastPublished = Date.now();
+          jobEvents.publish(job.jobId, 'tokens', { stage: 'analyze', tokens });
+        }
+      };
+
+      const analysis = await analysisPipeline.runClinicalAnalysis(job.data.labeledTranscript, job.patientInfo, priorContext, { onToken });
+      jobEvents.publish(job.jobId, 'tokens', { stage: 'analyze', tokens });
+      return { priorContext, analysis };
+    },
+    fallback() {
+      return { priorContext: null, analysis: analysisPipeline.fallbackAnalysis() };
+    }
+  },
+  {
+    name: 'keyPoints',
+    async run(job) {
+      return { keyPoints: await analysisPipeline.extractKeyPoints(job.data.labeledTranscript, job.patientInfo) };
+    },
+    fallback() {
+      return { keyPoints: analysisPipeline.KEY_POINTS_FALLBACK };
+    }
+  },
+  {
+    name: 'save',
+    async run(job) {
+      const result = await analysisPipeline.saveConsultation({
+        patientInfo: job.patientInfo,
+        labeledTranscript: job.data.labeledTranscript,
+        analysis: job.data.analysis,
+        keyPoints: job.data.keyPoints,
+        consultationDuration: job.input.consultationDuration,
+        priorContext: job.data.priorContext
+      });
+      job.result = result;
+      job.consultationId = result.consultationId;
+      jobEvents.publish(job.jobId, 'saved', { consultationId: result.consultationId });
+      return {};
+    }
+  }
+];
+
+function removeAudioFile(job) {
+  if (!job.input.audioFile) return;
+  const filePath = path.join(uploadsDir, job.input.audioFile);
+  fs.unlink(filePath, (err) => {
+    if (err && err.code !== 'ENOENT') console.error(`Error deleting temp file ${filePath}:`, err);
+    else if (!err) console.log(`🗑️ Cleaned up file: ${job.input.audioFile}`);
+  });
+}
+
+function applyStageOutput(job, output) {
+  Object.entries(output).forEach(([key, value]) => {
+    job.set(`data.${key}`, value);
+    job.markModified(`data.${key}`);
+  });
+}
+
+async function runStage(job, stageDef) {
+  const stage = job.stages.find(s => s.name === stageDef.name);
+  if (!stage || stage.status === 'done' || stage.status === 'skipped') return true;
+
+  while (stage.attempts < JOB_STAGE_MAX_ATTEMPTS) {
+    stage.status = 'running';
+    stage.attempts += 1;
+    stage.startedAt = stage.startedAt || new Date();
+    stage.error = undefined;
+    await job.save();
+    jobEvents.publish(job.jobId, 'stage', { stage: stage.name, status: 'running', attempt: stage.attempts });
+
+    try {
+      console.log(`⚙️  ${job.jobId}: ${stage.name} (attempt ${stage.attempts}/${JOB_STAGE_MAX_ATTEMPTS})`);
+      applyStageOutput(job, await stageDef.run(job));
+      stage.status = 'done';
+      stage.finishedAt = new Date();
+      await job.save();
+      jobEvents.publish(job.jobId, 'stage', { stage: stage.name, status: 'done' });
+      return true;
+    } catch (error) {
+      console.error(`Job ${job.jobId} stage ${stage.name} attempt ${stage.attempts} failed:`, error.message);
+      stage.error = error.message;
+      if (stage.attempts < JOB_STAGE_MAX_ATTEMPTS) {
+        jobEvents.publish(job.jobId, 'stage', { stage: stage.name, status: 'retrying', attempt: stage.attempts, error: error.message });
+        await new Promise(resolve => setTimeout(resolve, JOB_RETRY_DELAY_MS * stage.attempts));
+      }
+    }
+  }
+
+  stage.finishedAt = new Date();
+  if (stageDef.fallback) {
+    applyStageOutput(job, stageDef.fallback(job));
+    stage.status = 'done';
+    stage.degraded = true;
+    await job.save();
+    jobEvents.publish(job.jobId, 'stage', { stage: stage.name, status: 'done', degraded: true, error: stage.error });
+    return true;
+  }
+
+  stage.status = 'failed';
+  job.status = 'failed';
+  job.error = `${stage.name} failed: ${stage.error}`;
+  job.finishedAt = new Date();
+  await job.save();
+  jobEvents.publish(job.jobId, 'stage', { stage: stage.name, status: 'failed', error: stage.error });
+  jobEvents.publish(job.jobId, 'failed', { error: job.error });
+  return false;
+}
+
+async function runJob(job) {
+  console.log(`🚚 Processing job ${job.jobId}`);
+  for (const stageDef of STAGES) {
+    const succeeded = await runStage(job, stageDef);
+    if (!succeeded) {
+      console.error(`❌ Job ${job.jobId} failed: ${job.error}`);
+      return; // keep the audio so the job can be retried
+    }
+    if (stageDef.name === 'transcribe') removeAudioFile(job);
+  }
+
+  job.status = 'done';
+  job.finishedAt = new Date();
+  await job.save();
+  jobEvents.publish(job.jobId, 'done', { consultationId: job.consultationId });
+  console.log(`✅ Job ${job.jobId} completed (consultation ${job.consultationId})`);
+}
+
+// Atomically take the oldest queued job so two workers never run the same one
+function claimNextJob() {
+  return Job.findOneAndUpdate(
+    { status: 'queued' },
+    { $set: { status: 'running', startedAt: new Date(), updatedAt: new Date() } },
+    { sort: { createdAt: 1 }, new: true }
+  );
+}
+
+let timer = null;
+let busy = false;
+
+async function tick() {
+  if (busy) return;
+  busy = true;
+  try {
+    let job;
+    while (timer && (job = await claimNextJob())) {
+      try {
+        await runJob(job);
+      } catch (error) {
+        console.error(`Job ${job.jobId} crashed:`, error);
+        await Job.updateOne({ jobId: job.jobId }, { $set: { status: 'failed', error: error.message, finishedAt: new Date() } });
+        jobEvents.publish(job.jobId, 'failed', { error: error.message });
+      }
+    }
+  } catch (error) {
+    console.error('Job worker error:', error);
+  } finally {
+    busy = false;
+  }
+}
+
+// Jobs left running by a previous process were interrupted; put them back in the queue
+async function start() {
+  if (timer) return;
+  const { modifiedCount } = await Job.updateMany({ status: 'running' }, { $set: { status: 'queued' } });
+  if (modifiedCount) console.log(`🔁 Requeued ${modifiedCount} interrupted job(s)`);
+  timer = setInterval(tick, JOB_POLL_INTERVAL_MS);
+  console.log('✅ Job worker started');
+  tick();
+}
+
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+// Queue a consultation for processing. Pass either an uploaded audio file or
+// an existing transcript (the transcribe stage is then skipped).
+async function enqueueConsultationJob({ audioFile, transcript, patientInfo, consultationDuration, createdBy, idempotencyKey }) {
+  const job = new Job({
+    stages: STAGES.map(stage => ({
+      name: stage.name,
+      status: stage.name === 'transcribe' && !audioFile ? 'skipped' : 'queued'
+    })),
+    input: { audioFile, consultationDuration },
+    patientInfo,
+    data: { transcript },
+    createdBy,
+    idempotencyKey
+  });
+  await job.save();
+  console.log(`📋 Queued job ${job.jobId}`);
+  setImmediate(tick);
+  return job;
+}
+
+// Re-run a failed job from the stage that failed
+async function retryJob(job) {
+  job.stages.forEach(stage => {
+    if (stage.status === 'failed') {
+      stage.status = 'queued';
+      stage.attempts = 0;
+      stage.error = undefined;
+    }
+  });
+  job.status = 'queued';
+  job.error = undefined;
+  job.finishedAt = undefined;
+  await job.save();
+  setImmediate(tick);
+  return job;
+}
+
+module.exports = {
+  STAGES,
+  start,
+  stop,
+  enqueueConsultationJob,
+  retryJob
+};
@@ -0,0 +1,309 @@
+const { spawn } = require('child_process');
+const { URL } = require('url');
+const { WebSocketServer } = require('ws');
+const auth = require('./auth');
+const transcription = require('./transcriptionProviders');
+const audioSegmentation = require('./audioSegmentation');
+const audioStorage = require('./audioStorage');
+const { PERMISSIONS, hasPermission } = require('./permissions');
+
+// Live transcription over WebSocket at /live-transcription?access_token=...
+//
+// The browser streams its MediaRecorder chunks as binary messages while the
+// consultation is recorded. Chunks after the first are not playable on their
+// own (only the first carries the container header), so each session feeds
+// them, in order, to one ffmpeg process that decodes them as they arrive to
+// 16 kHz mono PCM held in memory; the recording itself is never stored.
+// Periodically the audio decoded since the last pass is transcribed with the
+// configured STT provider (written for the request to a private work
+// directory, see audioStorage.js) and the transcript so far is pushed back:
+//   server -> { type: 'partial', transcript, duration }
+// Each pass starts a little before the last phrase of the previous one, which
+// may have been cut off mid-word, and replaces that phrase; the phrases
+// before it are settled and their audio is dropped.
+// When recording stops the client sends { type: 'stop' }; the server
+// transcribes what is not settled yet, replies with the whole transcript and
+// closes the socket:
+//   server -> { type: 'final', transcript, transcription }
+// Errors are reported as { type: 'error', error }.
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const LIVE_TRANSCRIBE_INTERVAL_MS = parseInt(process.env.LIVE_TRANSCRIBE_INTERVAL_MS || '5000', 10);
+const LIVE_MAX_BYTES = 100 * 1024 * 1024; // same limit as uploads
+const LIVE_OVERLAP_SECONDS = 1;
+const LIVE_MIN_NEW_SECONDS = 1; // less new audio than this waits for the next pass
+
+// The decoded audio: 16-bit mono, the same as normalized uploads
+const SAMPLE_RATE = 16000;
+const BYTES_PER_SECOND = SAMPLE_RATE * 2;
+
+// Byte offset of `seconds` into the decoded audio, on a sample boundary
+function pcmOffset(seconds) {
+  return Math.floor(seconds * SAMPLE_RATE) * 2;
+}
+
+// A WAV file of raw decoded audio
+function toWav(pcm) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'latin1');
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write('WAVEfmt ', 8, 'latin1');
+  header.writeUInt32LE(16, 16); // fmt chunk size
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(1, 22); // mono
+  header.writeUInt32LE(SAMPLE_RATE, 24);
+  header.writeUInt32LE(BYTES_PER_SECOND, 28);
+  header.writeUInt16LE(2, 32); // block align
+  header.writeUInt16LE(16, 34); // bits per sample
+  header.write('data', 36, 'latin1');
+  header.writeUInt32LE(pcm.length, 40);
+  return Buffer.concat([header, pcm]);
+}
+
+class LiveSession {
+  constructor(socket, user) {
+    this.socket = socket;
+    this.user = user;
+    this.id = `live-${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+    this.bytesReceived = 0;
+    this.pcm = []; // decoded audio from pcmStart on, in chunks
+    this.pcmStart = 0; // byte offset of the first chunk in the recording
+    this.pcmBytes = 0; // bytes decoded so far
+    this.settled = []; // phrases that won't be transcribed again, with times in the recording
+    this.settledUntil = 0; // seconds of audio they cover
+    this.tail = ''; // the last phrase, transcribed again by the next pass
+    this.transcribedUntil = 0; // seconds of audio the last pass heard
+    this.languages = {};
+    this.provider = null;
+    this.model = null;
+    this.inFlight = null;
+    this.stopped = false;
+    this.disposed = false;
+    this.decoder = this.startDecoder();
+    this.timer = setInterval(() => this.transcribePartial(), LIVE_TRANSCRIBE_INTERVAL_MS);
+
+    socket.on('message', (message, isBinary) => this.handleMessage(message, isBinary));
+    socket.on('close', () => this.dispose());
+    socket.on('error', (error) => console.error('Live transcription socket error:', error.message));
+  }
+
+  startDecoder() {
+    const child = spawn(FFMPEG_PATH, [
+      '-hide_banner', '-loglevel', 'error',
+      '-i', 'pipe:0',
+      '-ac', '1',
+      '-ar', String(SAMPLE_RATE),
+      '-f', 's16le',
+      'pipe:1'
+    ], { stdio: ['pipe', 'pipe', 'pipe'] });
+
+    let stderr = '';
+    child.stdout.on('data', (data) => {
+      this.pcm.push(data);
+      this.pcmBytes += data.length;
+    });
+    child.stderr.on('data', (data) => {
+      stderr += data;
+    });
+    // Writes after the decoder has failed are reported when it closes
+    child.stdin.on('error', () => {});
+
+    const decoder = { child, error: null };
+    decoder.closed = new Promise(resolve => {
+      child.on('error', (error) => {
+        decoder.error = error.code === 'ENOENT' ? new Error('ffmpeg is required for live transcription') : error;
+        resolve();
+      });
+      child.on('close', (code) => {
+        // A decoder killed by dispose() closes without a code
+        if (code && !decoder.error) {
+          decoder.error = new Error(`The recording could not be decoded${stderr ? `: ${stderr.trim()}` : ''}`);
+        }
+        resolve();
+      });
+    });
+    return decoder;
+  }
+
+  // Seconds of audio decoded so far
+  get duration() {
+    return this.pcmBytes / BYTES_PER_SECOND;
+  }
+
+  send(message) {
+    if (this.socket.readyState === this.socket.OPEN) {
+      this.socket.send(JSON.stringify(message));
+    }
+  }
+
+  handleMessage(message, isBinary) {
+    if (isBinary) {
+      if (this.stopped) return;
+      this.bytesReceived += message.length;
+      if (this.bytesReceived > LIVE_MAX_BYTES) {
+        this.send({ type: 'error', error: 'Recording is too large for live transcription' });
+        return this.socket.close(1009, 'Recording too large');
+      }
+      this.decoder.child.stdin.write(message);
+      return;
+    }
+
+    let command;
+    try {
+      command = JSON.parse(message.toString());
+    } catch (error) {
+      return this.send({ type: 'error', error: 'Messages must be audio chunks or JSON commands' });
+    }
+    if (command.type === 'stop') this.finish();
+  }
+
+  // Transcribe the decoded audio from `settledUntil` (less the overlap) to
+  // the end. Resolves to { phrases, timed }: its phrases, with times in the
+  // recording, less the ones starting in the overlap (settled by the previous
+  // pass); without timestamps all of it is one phrase.
+  async transcribeUnsettled() {
+    const duration = this.duration;
+    const start = Math.max(0, this.settledUntil - LIVE_OVERLAP_SECONDS);
+    const startOffset = Math.max(pcmOffset(start), this.pcmStart);
+    const pcm = Buffer.concat(this.pcm).subarray(startOffset - this.pcmStart, pcmOffset(duration) - this.pcmStart);
+    const from = startOffset / BYTES_PER_SECOND;
+
+    const result = await audioStorage.withTemporaryAudio(toWav(pcm), `${this.id}.wav`,
+      filePath => audioSegmentation.transcribeRecording(filePath, { duration: duration - from }));
+    if (result.language) this.languages[result.language] = (this.languages[result.language] || 0) + 1;
+    this.provider = result.provider;
+    this.model = result.model;
+    this.transcribedUntil = duration;
+
+    if (result.segments.length === 0) {
+      const phrases = result.text ? [{ start: this.settledUntil, end: duration, text: result.text, confidence: null }] : [];
+      return { phrases, timed: false };
+    }
+    const phrases = result.segments
+      .map(segment => ({ ...segment, start: segment.start + from, end: segment.end + from }))
+      .filter(segment => segment.start >= this.settledUntil);
+    return { phrases, timed: true };
+  }
+
+  // Settle every phrase but the last, which may still be cut off, and drop
+  // the audio no later pass will need. Without timestamps the new audio can't
+  // be placed, so all of it is settled.
+  settle({ phrases, timed }, duration) {
+    if (!timed) {
+      this.settled.push(...phrases);
+      this.settledUntil = duration;
+      this.tail = '';
+    } else if (phrases.length > 0) {
+      const last = phrases[phrases.length - 1];
+      this.settled.push(...phrases.slice(0, -1));
+      this.settledUntil = last.start;
+      this.tail = last.text;
+    }
+
+    const keepFrom = pcmOffset(Math.max(0, this.settledUntil - LIVE_OVERLAP_SECONDS));
+    if (keepFrom > this.pcmStart) {
+      const pcm = Buffer.concat(this.pcm);
+      this.pcm = [pcm.subarray(keepFrom - this.pcmStart)];
+      this.pcmStart = keepFrom;
+    }
+  }
+
+  async transcribePartial() {
+    if (this.stopped || this.inFlight || this.duration - this.transcribedUntil < LIVE_MIN_NEW_SECONDS) return;
+
+    this.inFlight = (async () => {
+      try {
+        const duration = this.duration;
+        this.settle(await this.transcribeUnsettled(), duration);
+        if (!this.stopped) {
+          const transcript = [...this.settled.map(phrase => phrase.text), this.tail].join(' ').trim();
+          this.send({ type: 'partial', transcript, duration: Math.round(duration * 100) / 100 });
+        }
+      } catch (error) {
+        // A failed pass is caught up by the next one
+        console.error('Live partial transcription failed:', error.message);
+      } finally {
+        this.inFlight = null;
+      }
+    })();
+  }
+
+  async finish() {
+    if (this.stopped) return;
+    this.stopped = true;
+    clearInterval(this.timer);
+
+    try {
+      if (this.inFlight) await this.inFlight;
+      this.decoder.child.stdin.end();
+      await this.decoder.closed;
+      if (this.disposed) return;
+      if (this.decoder.error) throw this.decoder.error;
+      if (this.pcmBytes === 0) {
+        throw new Error('No audio was received');
+      }
+
+      // Only the audio after the settled phrases is transcribed again
+      const duration = this.duration;
+      const { phrases } = duration > this.settledUntil ? await this.transcribeUnsettled() : { phrases: [] };
+      const language = Object.keys(this.languages).sort((a, b) => this.languages[b] - this.languages[a])[0];
+      const result = transcription.normalizeTranscription(
+        { language, duration, segments: [...this.settled, ...phrases] },
+        this.provider,
+        this.model
+      );
+      console.log(`✅ Live transcription finished for ${this.user.username} (${result.segments.length} segments)`);
+      this.send({ type: 'final', transcript: result.text, transcription: result });
+      this.socket.close(1000, 'Transcription complete');
+    } catch (error) {
+      console.error('Live final transcription failed:', error);
+      this.send({ type: 'error', error: `Live transcription failed: ${error.message}` });
+      this.socket.close(1011, 'Transcription failed');
+    }
+  }
+
+  dispose() {
+    this.stopped = true;
+    this.disposed = true;
+    clearInterval(this.timer);
+    if (this.decoder.child.exitCode === null) this.decoder.child.kill();
+    this.pcm = [];
+  }
+}
+
+// Attach the WebSocket endpoint to the HTTP server
+function attach(server) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== '/live-transcription') {
+      return socket.destroy();
+    }
+
+    const reject = (status, message) => {
+      socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+      socket.destroy();
+    };
+
+    try {
+      // Browsers can't set headers on a WebSocket, so the token comes in the query string
+      const { user } = await auth.authenticateToken(url.searchParams.get('access_token') || '');
+      if (!user) return reject(401, 'Unauthorized');
+      if (!hasPermission(user, PERMISSIONS.CONSULTATIONS_RECORD)) return reject(403, 'Forbidden');
+
+      wss.handleUpgrade(req, socket, head, (ws) => {
+        console.log(`🎙️  Live transcription started for ${user.username}`);
+        new LiveSession(ws, user);
+      });
+    } catch (error) {
+      console.error('Live transcription upgrade error:', error);
+      reject(500, 'Internal Server Error');
+    }
+  });
+
+  return wss;
+}
+
+module.exports = {
+  attach
+};
@@ -0,0 +1,226 @@
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+
+// --- LLM provider configuration ---
+// LLM_PROVIDER selects where chat completions are sent:
+//   openai            - api.openai.com (default)
+//   azure             - Azure OpenAI; models are deployment names
+//   openai-compatible - any local server exposing /v1/chat/completions (Ollama, llama.cpp, vLLM)
+//   fake              - canned responses from fixture files, for CI and offline demos
+const LLM_PROVIDER = process.env.LLM_PROVIDER || 'openai';
+const DEFAULT_MODEL = process.env.LLM_MODEL || 'gpt-4-turbo-preview';
+
+// Per-task model overrides, e.g. a small model for key points and a large one for analysis
+const TASK_MODELS = {
+  diarization: process.env.LLM_MODEL_DIARIZATION,
+  analysis: process.env.LLM_MODEL_ANALYSIS,
+  keyPoints: process.env.LLM_MODEL_KEY_POINTS,
+  prescription: process.env.LLM_MODEL_PRESCRIPTION
+};
+
+function modelForTask(task) {
+  return TASK_MODELS[task] || DEFAULT_MODEL;
+}
+
+// POST with retries and backoff; resolves to the parsed JSON response body.
+// Pass options as a function when the body is a stream (e.g. multipart audio)
+// so each attempt gets a fresh one.
+async function fetchWithRetry(url, options, label, retries = 3) {
+  for (let i = 0; i < retries; i++) {
+    try {
+      const response = await fetch(url, typeof options === 'function' ? options() : options);
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`${label} API Error (${response.status}): ${errorText}`);
+      }
+      return response.json();
+    } catch (error) {
+      console.error(`${label} API attempt ${i + 1} failed:`, error.message);
+      if (i === retries - 1) throw error;
+      await new Promise(resolve => setTimeout(resolve, 2000 * (i + 1))); // Exponential backoff
+    }
+  }
+}
+
+// Read an OpenAI-style server-sent event stream, calling onToken with each
+// content delta. Resolves to the full content and the model that answered.
+async function readCompletionStream(response, onToken) {
+  let content = '';
+  let model = null;
+  let buffer = '';
+
+  for await (const chunk of response.body) {
+    buffer += chunk.toString('utf8');
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      const data = line.replace(/^data:\s*/, '').trim();
+      if (!line.startsWith('data:') || !data || data === '[DONE]') continue;
+
+      const event = JSON.parse(data);
+      model = model || event.model;
+      const delta = event.choices && event.choices[0] && event.choices[0].delta;
+      if (delta && delta.content) {
+        content += delta.content;
+        onToken(delta.content);
+      }
+    }
+  }
+
+  return { content, model };
+}
+
+// OpenAI, Azure OpenAI and local servers all speak the same chat completions protocol;
+// they differ only in URL, auth header and how the model is addressed.
+// Pass onToken to stream the answer as it is generated.
+function createChatCompletionsProvider({ name, buildUrl, headers, supportsJsonMode = true }) {
+  return {
+    name,
+    modelFor: modelForTask,
+    async chatCompletion({ task, messages, temperature, maxTokens, json = false, onToken }) {
+      const model = modelForTask(task);
+      const body = {
+        model,
+        messages,
+        temperature,
+        max_tokens: maxTokens
+      };
+      if (json && supportsJsonMode) {
+        body.response_format = { type: 'json_object' };
+      }
+      const options = {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify({ ...body, stream: Boolean(onToken) })
+      };
+
+      if (onToken) {
+        // Not retried here: a half-streamed answer can't be resumed, so the caller retries
+        const response = await fetch(buildUrl(model), options);
+        if (!response.ok) {
+          const errorText = await response.text();
+          throw new Error(`${name} API Error (${response.status}): ${errorText}`);
+        }
+        const streamed = await readCompletionStream(response, onToken);
+        return { content: streamed.content, model: streamed.model || model };
+      }
+
+      const data = await fetchWithRetry(buildUrl(model), options, name);
+
+      return {
+        content: data.choices[0].message.content,
+        model: data.model || model
+      };
+    }
+  };
+}
+
+function createOpenAIProvider() {
+  const apiKey = process.env.OPENAI_API_KEY;
+  if (!apiKey) {
+    console.error('⚠️  OPENAI_API_KEY environment variable is required for LLM_PROVIDER=openai.');
+  }
+  return createChatCompletionsProvider({
+    name: 'OpenAI',
+    buildUrl: () => 'https://api.openai.com/v1/chat/completions',
+    headers: { 'Authorization': `Bearer ${apiKey}` }
+  });
+}
+
+function createAzureOpenAIProvider() {
+  const endpoint = (process.env.AZURE_OPENAI_ENDPOINT || '').replace(/\/+$/, '');
+  const apiVersion = process.env.AZURE_OPENAI_API_VERSION || '2024-06-01';
+  if (!endpoint || !process.env.AZURE_OPENAI_API_KEY) {
+    console.error('⚠️  AZURE_OPENAI_ENDPOINT and AZURE_OPENAI_API_KEY are required for LLM_PROVIDER=azure.');
+  }
+  return createChatCompletionsProvider({
+    name: 'Azure OpenAI',
+    buildUrl: (deployment) =>
+      `${endpoint}/openai/deployments/${encodeURIComponent(deployment)}/chat/completions?api-version=${apiVersion}`,
+    headers: { 'api-key': process.env.AZURE_OPENAI_API_KEY }
+  });
+}
+
+function createOpenAICompatibleProvider() {
+  const baseUrl = (process.env.LLM_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+  return createChatCompletionsProvider({
+    name: 'OpenAI-compatible',
+    buildUrl: () => `${baseUrl}/chat/completions`,
+    headers: process.env.LLM_API_KEY ? { 'Authorization': `Bearer ${process.env.LLM_API_KEY}` } : {},
+    // Some local servers reject response_format; the prompts ask for JSON regardless
+    supportsJsonMode: process.env.LLM_JSON_MODE !== 'false'
+  });
+}
+
+// Deterministic provider: answers each task with the contents of
+// <LLM_FIXTURES_DIR>/<task>.json or <task>.txt
+function createFakeProvider() {
+  const fixturesDir = process.env.LLM_FIXTURES_DIR || path.join(__dirname, 'fixtures', 'llm');
+  return {
+    name: 'Fake',
+    modelFor: () => 'fake',
+    async chatCompletion({ task, onToken }) {
+      const candidates = [`${task}.json`, `${task}.txt`].map(file => path.join(fixturesDir, file));
+      const fixturePath = candidates.find(candidate => fs.existsSync(candidate));
+      if (!fixturePath) {
+        throw new Error(`Fake LLM provider has no fixture for task "${task}" in ${fixturesDir}`);
+      }
+      const content = await fs.promises.readFile(fixturePath, 'utf8');
+      if (onToken) {
+        // Replay the fixture in small pieces, like a streamed answer
+        content.match(/[\s\S]{1,16}/g).forEach(piece => onToken(piece));
+      }
+      return { content, model: 'fake' };
+    }
+  };
+}
+
+const PROVIDER_FACTORIES = {
+  'openai': createOpenAIProvider,
+  'azure': createAzureOpenAIProvider,
+  'openai-compatible': createOpenAICompatibleProvider,
+  'fake': createFakeProvider
+};
+
+let provider = null;
+
+function getLLMProvider() {
+  if (!provider) {
+    const factory = PROVIDER_FACTORIES[LLM_PROVIDER];
+    if (!factory) {
+      throw new Error(`Unknown LLM_PROVIDER "${LLM_PROVIDER}". Valid providers: ${Object.keys(PROVIDER_FACTORIES).join(', ')}`);
+    }
+    provider = factory();
+  }
+  return provider;
+}
+
+// Run a chat completion for a pipeline task ('diarization', 'analysis', 'keyPoints', 'prescription')
+function chatCompletion(options) {
+  return getLLMProvider().chatCompletion(options);
+}
+
+// Model that will serve a task with the configured provider, for analysis metadata
+function modelFor(task) {
+  return getLLMProvider().modelFor(task);
+}
+
+// Parse a JSON answer, tolerating the ```json fences some local models add
+function parseJSONResponse(content) {
+  const trimmed = content.trim();
+  const fenced = trimmed.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/);
+  return JSON.parse(fenced ? fenced[1] : trimmed);
+}
+
+module.exports = {
+  LLM_PROVIDER,
+  fetchWithRetry,
+  modelForTask,
+  getLLMProvider,
+  modelFor,
+  chatCompletion,
+  parseJSONResponse
+};
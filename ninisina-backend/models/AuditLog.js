@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS = ['login', 'login_failed', 'logout', 'read', 'create', 'update', 'delete', 'export'];
+
+// One entry of the audit trail (see auditLog.js). Entries are chained: each
+// stores the hash of the one before it, so editing or removing any entry
+// breaks every hash after it. The model refuses updates and deletes.
+const auditLogSchema = new mongoose.Schema({
+  sequence: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  username: String, // attempted username for failed logins
+  role: String,
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true
+  },
+  resource: String, // 'consultations', 'patients', ...
+  resourceId: String,
+  patientId: String,
+  method: String,
+  path: String,
+  statusCode: Number,
+  ip: String,
+  userAgent: String,
+  details: mongoose.Schema.Types.Mixed,
+  previousHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+});
+
+auditLogSchema.index({ timestamp: -1 });
+auditLogSchema.index({ username: 1, timestamp: -1 });
+auditLogSchema.index({ patientId: 1, timestamp: -1 });
+
+function refuseChange() {
+  throw new Error('Audit log entries cannot be modified or deleted');
+}
+
+auditLogSchema.pre(['updateOne', 'deleteOne'], { document: true, query: true }, refuseChange);
+auditLogSchema.pre(['updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteMany', 'findOneAndDelete'], refuseChange);
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return next(new Error('Audit log entries cannot be modified or deleted'));
+  next();
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
+module.exports.AUDIT_ACTIONS = AUDIT_ACTIONS;
@@ -0,0 +1,212 @@
+const mongoose = require('mongoose');
+const { encryptedFieldsPlugin } = require('../encryption');
+
+// MongoDB Schema for Consultations
+const consultationSchema = new mongoose.Schema({
+  consultationId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => `CONS-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
+  },
+  patientInfo: {
+    name: String,
+    age: Number,
+    gender: String,
+    visitType: String,
+    patientId: String
+  },
+  transcript: {
+    type: String,
+    required: true
+  },
+  clinicalSummary: {
+    chiefComplaint: String,
+    historyOfPresentIllness: String,
+    assessment: String,
+    plan: mongoose.Schema.Types.Mixed,
+    vitals: String,
+    riskFactors: [String]
+  },
+  medicalInsights: {
+    differentialDiagnosis: [{
+      condition: String,
+      probability: String,
+      reasoning: String,
+      icd10: String
+    }],
+    redFlags: [{
+      flag: String,
+      status: String,
+      action: String
+    }],
+    recommendations: [{
+      category: String,
+      items: [String]
+    }],
+    clinicalDecisionSupport: {
+      guidelines: String,
+      evidenceLevel: String,
+      recommendedActions: [String]
+    }
+  },
+  intervalChange: {
+    summary: String,
+    changes: [{
+      aspect: String,
+      previous: String,
+      current: String,
+      trend: { type: String }
+    }]
+  },
+  keyPoints: [String],
+  followUpReminders: [{
+    type: { type: String },
+    message: { type: String },
+    dueDate: { type: Date }
+  }],
+  analysisMetadata: {
+    processedAt: {
+      type: Date,
+      default: Date.now
+    },
+    transcriptLength: Number,
+    aiModel: String,
+    confidenceScore: Number,
+    consultationDuration: String,
+    priorConsultationIds: [String]
+  },
+  prescriptions: [{
+    prescriptionId: String,
+    medications: [{
+      name: String,
+      dosage: String,
+      frequency: String,
+      duration: String,
+      instructions: String,
+      // Drug dictionary concept the name was matched to (see drugDictionary.js)
+      concept: {
+        conceptId: String,
+        drugId: String,
+        generic: String,
+        brand: String,
+        strength: String,
+        strengthListed: Boolean,
+        form: String,
+        matchedBy: { type: String, enum: ['exact', 'spelling', 'phonetic', 'clinician'] },
+        score: Number
+      },
+      // Closest concepts when the name couldn't be matched on its own
+      conceptSuggestions: [mongoose.Schema.Types.Mixed],
+      // Parsed from the free-text fields above (see doseValidation.js)
+      structured: {
+        amount: Number,
+        unit: { type: String },
+        route: String,
+        intervalHours: Number,
+        dosesPerDay: Number,
+        asNeeded: Boolean,
+        days: Number,
+        ongoing: Boolean
+      }
+    }],
+    additionalInstructions: String,
+    // Safety warnings from the latest check (see prescriptionSafety.js)
+    warnings: [mongoose.Schema.Types.Mixed],
+    uncheckedMedications: [String],
+    uncheckedDoses: [String],
+    blocked: Boolean,
+    // Lifecycle, see prescriptionLifecycle.js. Prescriptions saved before it
+    // existed have no status and count as signed.
+    status: {
+      type: String,
+      enum: ['draft', 'signed', 'dispensed', 'cancelled']
+    },
+    createdBy: String,
+    updatedAt: Date,
+    signedBy: String,
+    signedAt: Date,
+    warningsAcknowledged: Boolean,
+    expiresAt: Date,
+    dispensedBy: String,
+    dispensedAt: Date,
+    cancelledBy: String,
+    cancelledAt: Date,
+    cancellationReason: String,
+    renewedFrom: String, // prescriptionId of the prescription this renews
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Review lifecycle, see consultationReview.js
+  status: {
+    type: String,
+    enum: ['draft', 'reviewed', 'signed', 'amended'],
+    default: 'draft'
+  },
+  reviewedBy: String,
+  reviewedAt: Date,
+  signedBy: String,
+  signedAt: Date,
+  amendments: [{
+    amendedBy: String,
+    amendedAt: {
+      type: Date,
+      default: Date.now
+    },
+    reason: String,
+    fields: [String]
+  }],
+  // Soft deletion: deleted consultations wait in the trash until restored or
+  // purged (see retention.js). A legal hold blocks both deletion and purging.
+  deletedAt: Date,
+  deletedBy: String,
+  deletionReason: String,
+  legalHold: {
+    active: {
+      type: Boolean,
+      default: false
+    },
+    reason: String,
+    placedBy: String,
+    placedAt: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+consultationSchema.index({ 'patientInfo.patientId': 1, createdAt: -1 });
+consultationSchema.index({ deletedAt: 1 });
+
+// The transcript and clinical content are stored encrypted (see encryption.js)
+consultationSchema.plugin(encryptedFieldsPlugin, {
+  fields: ['transcript', 'clinicalSummary', 'medicalInsights', 'intervalChange']
+});
+
+// Update the updatedAt field before saving
+consultationSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Consultations in the trash are left out of every query, unless it filters
+// on deletedAt itself or sets the { withDeleted: true } option
+function excludeDeleted() {
+  if (this.getOptions().withDeleted || this.getFilter().deletedAt !== undefined) return;
+  this.where({ deletedAt: null });
+}
+
+consultationSchema.pre(['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'updateOne', 'updateMany'], excludeDeleted);
+consultationSchema.pre('aggregate', function() {
+  if (this.options.withDeleted) return;
+  this.pipeline().unshift({ $match: { deletedAt: null } });
+});
+
+module.exports = mongoose.model('Consultation', consultationSchema);
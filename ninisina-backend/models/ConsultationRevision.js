@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const { encryptedFieldsPlugin } = require('../encryption');
+
+const REVISION_KINDS = ['ai_original', 'edit', 'vitals', 'amendment'];
+
+// One version of a consultation note's clinical content. Revisions are only
+// ever added: version 1 is what the AI produced, and every later change
+// (clinician edit, vitals, amendment) stores the full content it left behind,
+// so any two versions can be compared.
+const consultationRevisionSchema = new mongoose.Schema({
+  consultationId: {
+    type: String,
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: REVISION_KINDS,
+    required: true
+  },
+  author: String, // username, or the AI model for the original
+  reason: String, // amendments only
+  snapshot: mongoose.Schema.Types.Mixed,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+consultationRevisionSchema.index({ consultationId: 1, version: 1 }, { unique: true });
+consultationRevisionSchema.plugin(encryptedFieldsPlugin, { fields: ['snapshot'] });
+
+module.exports = mongoose.model('ConsultationRevision', consultationRevisionSchema);
+module.exports.REVISION_KINDS = REVISION_KINDS;
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const { encryptedFieldsPlugin } = require('../encryption');
+
+const JOB_STATUSES = ['queued', 'running', 'done', 'failed'];
+const STAGE_STATUSES = ['queued', 'running', 'done', 'failed', 'skipped'];
+
+const stageSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: STAGE_STATUSES,
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  startedAt: Date,
+  finishedAt: Date,
+  error: String,
+  degraded: {
+    type: Boolean,
+    default: false // finished with a fallback result after exhausting retries
+  }
+}, { _id: false });
+
+// MongoDB Schema for background consultation processing jobs. Each stage's
+// output is stored in `data` as soon as it finishes, so a retry (or a server
+// restart) resumes from the first unfinished stage.
+const jobSchema = new mongoose.Schema({
+  jobId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => `JOB-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
+  },
+  type: {
+    type: String,
+    default: 'consultation'
+  },
+  status: {
+    type: String,
+    enum: JOB_STATUSES,
+    default: 'queued'
+  },
+  stages: [stageSchema],
+  input: {
+    audioFile: String, // file name in uploads/, removed once transcribed
+    consultationDuration: String
+  },
+  patientInfo: mongoose.Schema.Types.Mixed, // kept out of `input` so it can be stored encrypted
+  data: {
+    transcript: String,
+    transcription: mongoose.Schema.Types.Mixed,
+    priorContext: mongoose.Schema.Types.Mixed,
+    labeledTranscript: String,
+    analysis: mongoose.Schema.Types.Mixed,
+    keyPoints: [String]
+  },
+  result: mongoose.Schema.Types.Mixed, // analysis response, same shape as POST /analyze
+  consultationId: String,
+  error: String,
+  createdBy: String, // username
+  // Client-chosen key that makes submitting the same consultation twice (a
+  // retried upload from the offline queue) return the first job
+  idempotencyKey: String,
+  startedAt: Date,
+  finishedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+jobSchema.index({ status: 1, createdAt: 1 });
+
+// Stage outputs and the result hold the transcript and analysis, patientInfo
+// the patient's identity (see encryption.js)
+jobSchema.plugin(encryptedFieldsPlugin, { fields: ['data', 'result', 'patientInfo'] });
+jobSchema.index(
+  { createdBy: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+
+// Update the updatedAt field before saving
+jobSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// What clients see when polling a job
+jobSchema.methods.toStatusJSON = function() {
+  return {
+    jobId: this.jobId,
+    type: this.type,
+    status: this.status,
+    stages: this.stages.map(stage => stage.toObject()),
+    consultationId: this.consultationId,
+    result: this.status === 'done' ? this.result : undefined,
+    error: this.error,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt,
+    finishedAt: this.finishedAt
+  };
+};
+
+module.exports = mongoose.model('Job', jobSchema);
+module.exports.JOB_STATUSES = JOB_STATUSES;
+module.exports.STAGE_STATUSES = STAGE_STATUSES;
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+
+// Whole years between a date of birth and today
+function calculateAge(dateOfBirth, now = new Date()) {
+  if (!dateOfBirth) return undefined;
+  const dob = new Date(dateOfBirth);
+  let age = now.getFullYear() - dob.getFullYear();
+  const hadBirthday = now.getMonth() > dob.getMonth() ||
+    (now.getMonth() === dob.getMonth() && now.getDate() >= dob.getDate());
+  if (!hadBirthday) age -= 1;
+  return age;
+}
+
+// MongoDB Schema for the patient registry
+const patientSchema = new mongoose.Schema({
+  patientId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => `PAT-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
+  },
+  mrn: {
+    type: String,
+    unique: true,
+    sparse: true,
+    trim: true
+  },
+  firstName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  lastName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  dateOfBirth: {
+    type: Date,
+    required: true
+  },
+  gender: {
+    type: String,
+    enum: ['male', 'female', 'other', 'unknown'],
+    default: 'unknown',
+    lowercase: true
+  },
+  contact: {
+    phone: String,
+    email: String,
+    address: String
+  },
+  allergies: [{
+    substance: { type: String, required: true },
+    reaction: String,
+    severity: {
+      type: String,
+      enum: ['mild', 'moderate', 'severe', 'unknown'],
+      default: 'unknown'
+    }
+  }],
+  chronicConditions: [{
+    name: { type: String, required: true },
+    icd10: String
+  }],
+  // Used for prescription dose checks (see doseValidation.js)
+  weightKg: {
+    type: Number,
+    min: 0
+  },
+  pregnancyStatus: {
+    type: String,
+    enum: ['not_pregnant', 'pregnant', 'unknown'],
+    default: 'unknown'
+  },
+  renalFunction: {
+    egfr: { type: Number, min: 0 }, // mL/min/1.73m²
+    measuredAt: Date
+  },
+  notes: String,
+  createdBy: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+patientSchema.index({ lastName: 1, firstName: 1 });
+
+patientSchema.virtual('fullName').get(function() {
+  return `${this.firstName} ${this.lastName}`;
+});
+
+patientSchema.virtual('age').get(function() {
+  return calculateAge(this.dateOfBirth);
+});
+
+// Update the updatedAt field before saving
+patientSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Snapshot stored on each consultation as patientInfo
+patientSchema.methods.toPatientInfo = function(visitType) {
+  return {
+    patientId: this.patientId,
+    name: this.fullName,
+    age: this.age,
+    gender: this.gender,
+    visitType
+  };
+};
+
+// Replace client-supplied demographics with the registry record when a
+// patientId is given. Resolves to null if the patientId is unknown; a
+// missing or null patientInfo resolves to {}.
+patientSchema.statics.resolvePatientInfo = async function(patientInfo) {
+  if (!patientInfo) return {};
+  if (!patientInfo.patientId) return patientInfo;
+
+  const patient = await this.findOne({ patientId: patientInfo.patientId });
+  if (!patient) return null;
+  return patient.toPatientInfo(patientInfo.visitType);
+};
+
+const Patient = mongoose.model('Patient', patientSchema);
+
+module.exports = Patient;
+module.exports.calculateAge = calculateAge;
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// MongoDB Schema for login sessions. Each session owns one refresh token,
+// which is rotated on every refresh and stored only as a hash.
+const sessionSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  userAgent: String,
+  ip: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Let MongoDB drop sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const { ROLES, permissionsForRole } = require('../permissions');
+
+// MongoDB Schema for application users (clinicians, staff)
+const userSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  passwordHash: {
+    type: String,
+    required: true
+  },
+  displayName: String,
+  role: {
+    type: String,
+    enum: ROLES,
+    required: true,
+    default: 'front_desk' // least privilege until an admin assigns a role
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  lastLoginAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+userSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Never leak the password hash in API responses
+userSchema.methods.toPublicJSON = function() {
+  return {
+    id: this._id.toString(),
+    username: this.username,
+    displayName: this.displayName || this.username,
+    role: this.role,
+    permissions: permissionsForRole(this.role)
+  };
+};
+
+module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,280 @@
+const Consultation = require('./models/Consultation');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long a prescription without a parseable duration is considered active
+const DEFAULT_ACTIVE_DAYS = 30;
+
+// Convert free-text durations ("7 days", "2 weeks", "1 month") to days.
+// Returns Infinity for open-ended courses and null when it can't tell.
+function parseDurationDays(duration) {
+  if (!duration || typeof duration !== 'string') return null;
+  const text = duration.toLowerCase();
+
+  if (/(ongoing|long[- ]term|indefinite|continu|lifelong|chronic)/.test(text)) {
+    return Infinity;
+  }
+
+  const match = text.match(/(\d+(?:\.\d+)?)\s*(day|d\b|week|wk|month|mo\b|year|yr)/);
+  if (!match) return null;
+
+  const amount = parseFloat(match[1]);
+  const unit = match[2];
+  if (unit.startsWith('w')) return amount * 7;
+  if (unit.startsWith('mo')) return amount * 30;
+  if (unit.startsWith('y')) return amount * 365;
+  return amount;
+}
+
+// All consultations for a patient, oldest first
+async function getPatientTimeline(patientId) {
+  return Consultation.find({ 'patientInfo.patientId': patientId })
+    .sort({ createdAt: 1 })
+    .select('consultationId createdAt patientInfo clinicalSummary medicalInsights.differentialDiagnosis medicalInsights.redFlags prescriptions followUpReminders analysisMetadata.consultationDuration')
+    .lean();
+}
+
+// How often each diagnosis has appeared across visits, with its
+// probability at each visit so the chart can show it trending.
+function summarizeDiagnosisTrends(consultations) {
+  const trends = new Map();
+
+  consultations.forEach(consultation => {
+    const differentials = (consultation.medicalInsights && consultation.medicalInsights.differentialDiagnosis) || [];
+    differentials.forEach(dx => {
+      if (!dx || !dx.condition) return;
+      const key = (dx.icd10 || dx.condition).trim().toLowerCase();
+
+      if (!trends.has(key)) {
+        trends.set(key, {
+          condition: dx.condition,
+          icd10: dx.icd10,
+          occurrences: 0,
+          firstSeen: consultation.createdAt,
+          lastSeen: consultation.createdAt,
+          history: []
+        });
+      }
+
+      const trend = trends.get(key);
+      trend.occurrences += 1;
+      trend.condition = dx.condition; // prefer the most recent wording
+      trend.lastSeen = consultation.createdAt;
+      trend.history.push({
+        consultationId: consultation.consultationId,
+        date: consultation.createdAt,
+        probability: dx.probability
+      });
+    });
+  });
+
+  return [...trends.values()].sort((a, b) => b.occurrences - a.occurrences || b.lastSeen - a.lastSeen);
+}
+
+// Days a medication's course runs; Infinity for open-ended courses
+function courseDays(medication) {
+  const durationDays = parseDurationDays(medication.duration);
+  return durationDays === null ? DEFAULT_ACTIVE_DAYS : durationDays;
+}
+
+// A medication is tracked by its drug dictionary concept where it was
+// matched (see drugDictionary.js), so brand and generic names count as one
+// drug, and by its name otherwise
+function medicationKey(medication) {
+  const concept = medication.concept;
+  if (concept && (concept.conceptId || concept.drugId)) return `concept:${concept.conceptId || concept.drugId}`;
+  return `name:${medication.name.trim().toLowerCase()}`;
+}
+
+// Medications whose course has not yet ended, from prescriptions that were
+// issued and not cancelled (see prescriptionLifecycle.js) and haven't
+// expired. When the same drug was prescribed more than once, the most recent
+// course still running counts; one that has ended doesn't hide an earlier
+// one that hasn't. Prescriptions in `excludePrescriptionIds` are left out.
+function getActiveMedications(consultations, now = new Date(), { excludePrescriptionIds = [] } = {}) {
+  const active = new Map();
+
+  consultations.forEach(consultation => {
+    (consultation.prescriptions || []).forEach(prescription => {
+      if (prescription.status === 'draft' || prescription.status === 'cancelled') return;
+      if (excludePrescriptionIds.includes(prescription.prescriptionId)) return;
+      const prescribedAt = new Date(prescription.signedAt || prescription.createdAt || consultation.createdAt);
+      const expiresAt = prescription.expiresAt ? new Date(prescription.expiresAt) : null;
+
+      (prescription.medications || []).forEach(medication => {
+        if (!medication || !medication.name) return;
+
+        const activeDays = courseDays(medication);
+        let endsAt = activeDays === Infinity ? null : new Date(prescribedAt.getTime() + activeDays * DAY_MS);
+        if (expiresAt && (!endsAt || expiresAt < endsAt)) endsAt = expiresAt;
+        if (endsAt && endsAt < now) return;
+
+        const key = medicationKey(medication);
+        const current = active.get(key);
+        if (current && current.prescribedAt > prescribedAt) return;
+
+        active.set(key, {
+          name: medication.name,
+          dosage: medication.dosage,
+          frequency: medication.frequency,
+          duration: medication.duration,
+          instructions: medication.instructions,
+          concept: medication.concept,
+          prescribedAt,
+          endsAt,
+          prescriptionId: prescription.prescriptionId,
+          status: prescription.status || 'signed',
+          consultationId: consultation.consultationId
+        });
+      });
+    });
+  });
+
+  return [...active.values()];
+}
+
+// Follow-up reminders not yet superseded by a later visit: everything from
+// the latest consultation, plus older reminders that were still not due by
+// the time of that visit.
+function getOutstandingReminders(consultations, now = new Date()) {
+  if (consultations.length === 0) return [];
+  const latestVisit = new Date(consultations[consultations.length - 1].createdAt);
+
+  const reminders = [];
+  consultations.forEach((consultation, index) => {
+    const isLatest = index === consultations.length - 1;
+    (consultation.followUpReminders || []).forEach(reminder => {
+      const dueDate = reminder.dueDate ? new Date(reminder.dueDate) : null;
+      if (!isLatest && (!dueDate || dueDate <= latestVisit)) return;
+
+      reminders.push({
+        type: reminder.type,
+        message: reminder.message,
+        dueDate,
+        overdue: Boolean(dueDate && dueDate < now),
+        consultationId: consultation.consultationId
+      });
+    });
+  });
+
+  return reminders.sort((a, b) => (a.dueDate || 0) - (b.dueDate || 0));
+}
+
+// Limits on how much prior history is fed into the analysis prompt
+const PRIOR_CONTEXT_MAX_VISITS = parseInt(process.env.PRIOR_CONTEXT_MAX_VISITS || '3', 10);
+const PRIOR_CONTEXT_MAX_CHARS = parseInt(process.env.PRIOR_CONTEXT_MAX_CHARS || '4000', 10);
+const PRIOR_CONTEXT_FIELD_CHARS = 400;
+
+function truncate(text, maxChars = PRIOR_CONTEXT_FIELD_CHARS) {
+  if (!text) return 'Not recorded';
+  const value = typeof text === 'string' ? text : JSON.stringify(text);
+  const singleLine = value.replace(/\s+/g, ' ').trim();
+  return singleLine.length > maxChars ? `${singleLine.slice(0, maxChars - 1)}…` : singleLine;
+}
+
+function formatDay(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+// Summarize a patient's previous consultations into a bounded text block
+// for follow-up analysis: red flags that were never downgraded to "Noted" and
+// medications still active, from the whole history, then the last few visits
+// (newest first). Resolves to null when the patient has no prior visits.
+async function buildPriorVisitContext(patientId, now = new Date()) {
+  if (!patientId) return null;
+
+  const consultations = await getPatientTimeline(patientId);
+  if (consultations.length === 0) return null;
+
+  const recentVisits = consultations.slice(-PRIOR_CONTEXT_MAX_VISITS).reverse();
+  const lastVisit = recentVisits[0];
+
+  const visitBlocks = recentVisits.map(consultation => {
+    const summary = consultation.clinicalSummary || {};
+    return [
+      `Visit on ${formatDay(consultation.createdAt)} (${(consultation.patientInfo && consultation.patientInfo.visitType) || 'visit'}):`,
+      `  Chief complaint: ${truncate(summary.chiefComplaint)}`,
+      `  Assessment: ${truncate(summary.assessment)}`,
+      `  Plan: ${truncate(summary.plan)}`,
+      `  Vitals: ${truncate(summary.vitals)}`
+    ].join('\n');
+  });
+
+  const medications = getActiveMedications(consultations, now).map(med =>
+    `  - ${[med.name, med.dosage, med.frequency].filter(Boolean).join(' ')} (since ${formatDay(med.prescribedAt)})`
+  );
+
+  // A flag counts as resolved once a later visit re-assesses it as "Noted"
+  const unresolvedFlags = new Map();
+  consultations.forEach(consultation => {
+    const redFlags = (consultation.medicalInsights && consultation.medicalInsights.redFlags) || [];
+    redFlags.forEach(flag => {
+      if (!flag || !flag.flag) return;
+      const key = flag.flag.trim().toLowerCase();
+      if (flag.status === 'Critical' || flag.status === 'Monitor') {
+        unresolvedFlags.set(key, `  - ${truncate(flag.flag, 200)} (${flag.status}, ${formatDay(consultation.createdAt)}): ${truncate(flag.action, 200)}`);
+      } else {
+        unresolvedFlags.delete(key);
+      }
+    });
+  });
+
+  // Visits come last so a block cut to the budget loses summaries, not flags
+  const sections = (visits) => [
+    'UNRESOLVED RED FLAGS:',
+    ...(unresolvedFlags.size ? [...unresolvedFlags.values()] : ['  None']),
+    'ACTIVE PRESCRIPTIONS:',
+    ...(medications.length ? medications : ['  None']),
+    'PREVIOUS VISITS (most recent first):',
+    ...visits
+  ].join('\n');
+
+  // Drop the oldest visits first until the block fits the budget
+  let includedVisits = visitBlocks.length;
+  let text = sections(visitBlocks);
+  while (text.length > PRIOR_CONTEXT_MAX_CHARS && includedVisits > 1) {
+    includedVisits -= 1;
+    text = sections(visitBlocks.slice(0, includedVisits));
+  }
+  if (text.length > PRIOR_CONTEXT_MAX_CHARS) {
+    text = `${text.slice(0, PRIOR_CONTEXT_MAX_CHARS - 1)}…`;
+  }
+
+  return {
+    text,
+    lastVisitDate: lastVisit.createdAt,
+    consultationIds: recentVisits.slice(0, includedVisits).map(consultation => consultation.consultationId)
+  };
+}
+
+// Full longitudinal chart for a patient
+async function buildPatientChart(patientId, now = new Date()) {
+  const consultations = await getPatientTimeline(patientId);
+
+  return {
+    timeline: consultations.map(consultation => ({
+      consultationId: consultation.consultationId,
+      date: consultation.createdAt,
+      visitType: consultation.patientInfo && consultation.patientInfo.visitType,
+      duration: consultation.analysisMetadata && consultation.analysisMetadata.consultationDuration,
+      clinicalSummary: consultation.clinicalSummary || {},
+      differentialDiagnosis: (consultation.medicalInsights && consultation.medicalInsights.differentialDiagnosis) || [],
+      redFlags: (consultation.medicalInsights && consultation.medicalInsights.redFlags) || [],
+      prescriptions: consultation.prescriptions || []
+    })),
+    diagnosisTrends: summarizeDiagnosisTrends(consultations),
+    activeMedications: getActiveMedications(consultations, now),
+    outstandingReminders: getOutstandingReminders(consultations, now)
+  };
+}
+
+module.exports = {
+  parseDurationDays,
+  courseDays,
+  getPatientTimeline,
+  summarizeDiagnosisTrends,
+  getActiveMedications,
+  getOutstandingReminders,
+  buildPriorVisitContext,
+  buildPatientChart
+};
@@ -0,0 +1,113 @@
+// Role/permission model. Routes check permissions, never roles, so a role's
+// abilities can be changed here without touching server.js.
+
+const PERMISSIONS = {
+  PATIENTS_READ: 'patients:read',
+  PATIENTS_REGISTER: 'patients:register',
+  PATIENTS_DELETE: 'patients:delete',
+  CONSULTATIONS_RECORD: 'consultations:record',
+  CONSULTATIONS_READ: 'consultations:read',
+  CONSULTATIONS_UPDATE: 'consultations:update',
+  CONSULTATIONS_SIGN: 'consultations:sign', // sign off and amend clinical notes
+  CONSULTATIONS_DELETE: 'consultations:delete',
+  CLINICAL_READ: 'clinical:read', // transcript, clinical summary, medical insights
+  VITALS_RECORD: 'vitals:record',
+  PRESCRIPTIONS_CREATE: 'prescriptions:create', // write, edit and renew drafts
+  PRESCRIPTIONS_SIGN: 'prescriptions:sign', // sign and cancel
+  PRESCRIPTIONS_DISPENSE: 'prescriptions:dispense',
+  REPORTS_EXPORT: 'reports:export',
+  STATS_READ: 'stats:read',
+  USERS_MANAGE: 'users:manage',
+  AUDIT_READ: 'audit:read',
+  TRASH_MANAGE: 'trash:manage', // view, restore deleted consultations
+  LEGAL_HOLD_MANAGE: 'legal_hold:manage',
+  RESEARCH_EXPORT: 'research:export' // de-identified datasets of all consultations
+};
+
+const ROLE_PERMISSIONS = {
+  admin: Object.values(PERMISSIONS),
+  clinician: [
+    PERMISSIONS.PATIENTS_READ,
+    PERMISSIONS.PATIENTS_REGISTER,
+    PERMISSIONS.CONSULTATIONS_RECORD,
+    PERMISSIONS.CONSULTATIONS_READ,
+    PERMISSIONS.CONSULTATIONS_UPDATE,
+    PERMISSIONS.CONSULTATIONS_SIGN,
+    PERMISSIONS.CLINICAL_READ,
+    PERMISSIONS.VITALS_RECORD,
+    PERMISSIONS.PRESCRIPTIONS_CREATE,
+    PERMISSIONS.PRESCRIPTIONS_SIGN,
+    PERMISSIONS.PRESCRIPTIONS_DISPENSE,
+    PERMISSIONS.REPORTS_EXPORT
+  ],
+  nurse: [
+    PERMISSIONS.PATIENTS_READ,
+    PERMISSIONS.PATIENTS_REGISTER,
+    PERMISSIONS.CONSULTATIONS_RECORD,
+    PERMISSIONS.CONSULTATIONS_READ,
+    PERMISSIONS.CLINICAL_READ,
+    PERMISSIONS.VITALS_RECORD,
+    PERMISSIONS.PRESCRIPTIONS_DISPENSE,
+    PERMISSIONS.REPORTS_EXPORT
+  ],
+  front_desk: [
+    PERMISSIONS.PATIENTS_READ,
+    PERMISSIONS.PATIENTS_REGISTER,
+    PERMISSIONS.CONSULTATIONS_READ
+  ]
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+function permissionsForRole(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+function hasPermission(user, permission) {
+  return Boolean(user) && permissionsForRole(user.role).includes(permission);
+}
+
+// Express middleware: must run after auth.requireAuth
+function requirePermission(...permissions) {
+  return (req, res, next) => {
+    if (permissions.every(permission => hasPermission(req.user, permission))) {
+      return next();
+    }
+    console.warn(`⛔ ${req.user ? req.user.username : 'anonymous'} denied ${req.method} ${req.path}`);
+    res.status(403).json({
+      error: 'You do not have permission to perform this action',
+      code: 'FORBIDDEN'
+    });
+  };
+}
+
+// Strip clinical content from a consultation for users who may only see
+// administrative details (e.g. front-desk staff). Follow-up reminders keep
+// their type and due date for booking, but not the message.
+function redactConsultation(consultation, user) {
+  if (hasPermission(user, PERMISSIONS.CLINICAL_READ)) return consultation;
+
+  const {
+    transcript,
+    clinicalSummary,
+    medicalInsights,
+    intervalChange,
+    keyPoints,
+    prescriptions,
+    followUpReminders,
+    ...administrative
+  } = consultation;
+  if (followUpReminders) {
+    administrative.followUpReminders = followUpReminders.map(({ type, dueDate }) => ({ type, dueDate }));
+  }
+  return administrative;
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  permissionsForRole,
+  hasPermission,
+  requirePermission,
+  redactConsultation
+};
@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const Consultation = require('./models/Consultation');
+const { ConsultationStatusError } = require('./consultationReview');
+const { courseDays } = require('./patientHistory');
+const prescriptionSafety = require('./prescriptionSafety');
+
+// Lifecycle of a prescription on a consultation: draft → signed → dispensed,
+// or cancelled (with a reason) at any point, which also takes it out of the
+// patient's active medications. Drafts are edited freely and checked again
+// each time (prescriptionSafety.js); a draft with blocking warnings can't be
+// signed, and signing checks it once more against the patient's record as
+// it is then. Renewing an issued prescription creates a new draft with the same
+// medications, linked to it by `renewedFrom`. Signed prescriptions expire
+// when their longest course ends, and never later than PRESCRIPTION_MAX_DAYS,
+// so ongoing medications have to be renewed.
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PRESCRIPTION_MAX_DAYS = parseInt(process.env.PRESCRIPTION_MAX_DAYS || '90', 10);
+
+const ISSUED_STATUSES = ['signed', 'dispensed'];
+
+// Unique even for prescriptions created in the same millisecond
+function newPrescriptionId() {
+  return `RX-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+// Safety check results stored with a draft
+const SAFETY_FIELDS = ['warnings', 'uncheckedMedications', 'uncheckedDoses', 'blocked'];
+
+// Prescriptions saved before the lifecycle existed were issued as generated, and count as signed
+const prescriptionStatus = prescription => prescription.status || 'signed';
+const inStatus = statuses => (statuses.includes('signed') ? { $in: [...statuses, null] } : { $in: statuses });
+
+const findPrescription = (consultation, prescriptionId) =>
+  consultation.prescriptions.find(prescription => prescription.prescriptionId === prescriptionId);
+
+function expiryFor(medications, signedAt) {
+  const longest = Math.max(0, ...medications.map(courseDays));
+  return new Date(signedAt.getTime() + Math.min(longest, PRESCRIPTION_MAX_DAYS) * DAY_MS);
+}
+
+// The editable parts of a prescription with the result of its safety check
+function draftFields(prescription, safetyCheck) {
+  const fields = {
+    medications: safetyCheck.medications,
+    additionalInstructions: prescription.additionalInstructions
+  };
+  SAFETY_FIELDS.forEach((field) => {
+    fields[field] = safetyCheck[field];
+  });
+  return fields;
+}
+
+// Resolves to { consultation, prescription }, or null if either doesn't exist
+async function getPrescription(consultationId, prescriptionId) {
+  const consultation = await Consultation.findOne({ consultationId, 'prescriptions.prescriptionId': prescriptionId })
+    .select('consultationId patientInfo prescriptions');
+  if (!consultation) return null;
+  return { consultation, prescription: findPrescription(consultation, prescriptionId) };
+}
+
+// Add a draft to a consultation. `safetyCheck` is the result of
+// prescriptionSafety.checkPrescription for its medications. Resolves to
+// { consultation, prescription }, or null if there is no such consultation.
+async function createPrescription(consultationId, prescription, safetyCheck, { username, renewedFrom } = {}) {
+  const draft = {
+    ...draftFields(prescription, safetyCheck),
+    prescriptionId: prescription.prescriptionId || newPrescriptionId(),
+    status: 'draft',
+    createdBy: username,
+    updatedAt: new Date(),
+    renewedFrom
+  };
+
+  const updated = await Consultation.findOneAndUpdate(
+    { consultationId },
+    { $push: { prescriptions: draft }, $set: { updatedAt: new Date() } },
+    { new: true, runValidators: true }
+  );
+  if (!updated) return null;
+  return { consultation: updated, prescription: findPrescription(updated, draft.prescriptionId) };
+}
+
+// Set `changes` on the prescription only if it is in one of `statuses` and,
+// when `pin` is given (e.g. { updatedAt }), still matches it. Resolves to
+// { consultation, prescription }, or null if there is none; throws
+// ConsultationStatusError if it exists but is in another status or has
+// changed since it was read.
+async function updateInStatus(consultationId, prescriptionId, statuses, changes, statusError, pin = {}) {
+  const $set = { 'prescriptions.$.updatedAt': new Date() };
+  Object.entries(changes).forEach(([field, value]) => {
+    $set[`prescriptions.$.${field}`] = value;
+  });
+
+  const updated = await Consultation.findOneAndUpdate(
+    { consultationId, prescriptions: { $elemMatch: { ...pin, prescriptionId, status: inStatus(statuses) } } },
+    { $set },
+    { new: true, runValidators: true }
+  );
+  if (updated) return { consultation: updated, prescription: findPrescription(updated, prescriptionId) };
+
+  const existing = await getPrescription(consultationId, prescriptionId);
+  if (!existing) return null;
+  const status = prescriptionStatus(existing.prescription);
+  if (statuses.includes(status)) {
+    throw new ConsultationStatusError('This prescription was changed by someone else; review it and try again', 'PRESCRIPTION_CHANGED', status);
+  }
+  throw statusError(status);
+}
+
+const notDraftError = status => new ConsultationStatusError(
+  'This prescription has already been signed; cancel it and write a new one, or renew it',
+  'PRESCRIPTION_SIGNED',
+  status
+);
+
+function updateDraft(consultationId, prescriptionId, prescription, safetyCheck) {
+  return updateInStatus(consultationId, prescriptionId, ['draft'], draftFields(prescription, safetyCheck), notDraftError);
+}
+
+// The stored medications as prescribed, for checking them again
+const prescribedMedications = prescription => prescription.toObject().medications
+  .map(({ _id, structured, conceptSuggestions, ...medication }) => medication);
+
+const warningKey = warning => [warning.type, warning.severity, warning.mechanism].join('|');
+
+// Sign a draft. It is checked again first, since the patient's allergies,
+// active medications or renal function may have changed since it was
+// written. Drafts with blocking warnings are refused, as are drafts with
+// warnings the prescriber hasn't seen yet (the new check is stored so they
+// can); any other warnings must have been acknowledged. Only the version
+// that was checked is signed.
+async function signPrescription(consultationId, prescriptionId, { username, warningsAcknowledged }) {
+  const existing = await getPrescription(consultationId, prescriptionId);
+  if (!existing) return null;
+
+  const { consultation, prescription } = existing;
+  const status = prescriptionStatus(prescription);
+  if (status !== 'draft') throw notDraftError(status);
+
+  const pin = { updatedAt: prescription.updatedAt || null };
+  const safetyCheck = await prescriptionSafety.checkPrescription(consultation.patientInfo, prescribedMedications(prescription), {
+    renews: prescription.renewedFrom
+  });
+  const seen = new Set((prescription.warnings || []).map(warningKey));
+  const unseen = safetyCheck.warnings.filter(warning => !seen.has(warningKey(warning)));
+
+  if (safetyCheck.blocked || unseen.length > 0) {
+    await updateInStatus(consultationId, prescriptionId, ['draft'], draftFields(prescription, safetyCheck), notDraftError, pin);
+    if (safetyCheck.blocked) {
+      throw new ConsultationStatusError('This prescription has doses that must be corrected before it can be signed', 'PRESCRIPTION_BLOCKED', status);
+    }
+    throw new ConsultationStatusError('New safety warnings were found since this prescription was checked; review them before signing', 'NEW_WARNINGS', status);
+  }
+  const hasWarnings = safetyCheck.warnings.length > 0;
+  if (hasWarnings && !warningsAcknowledged) {
+    throw new ConsultationStatusError('The safety warnings on this prescription must be acknowledged before it is signed', 'WARNINGS_NOT_ACKNOWLEDGED', status);
+  }
+
+  const signedAt = new Date();
+  return updateInStatus(consultationId, prescriptionId, ['draft'], {
+    ...draftFields(prescription, safetyCheck),
+    status: 'signed',
+    signedBy: username,
+    signedAt,
+    warningsAcknowledged: hasWarnings,
+    expiresAt: expiryFor(prescription.medications, signedAt)
+  }, notDraftError, pin);
+}
+
+function dispensePrescription(consultationId, prescriptionId, username) {
+  return updateInStatus(consultationId, prescriptionId, ['signed'], {
+    status: 'dispensed',
+    dispensedBy: username,
+    dispensedAt: new Date()
+  }, status => new ConsultationStatusError(
+    status === 'draft' ? 'This prescription must be signed before it is dispensed' : `This prescription is ${status} and can't be dispensed`,
+    'PRESCRIPTION_NOT_SIGNED',
+    status
+  ));
+}
+
+function cancelPrescription(consultationId, prescriptionId, { username, reason }) {
+  return updateInStatus(consultationId, prescriptionId, ['draft', 'signed', 'dispensed'], {
+    status: 'cancelled',
+    cancelledBy: username,
+    cancelledAt: new Date(),
+    cancellationReason: reason
+  }, status => new ConsultationStatusError('This prescription has already been cancelled', 'PRESCRIPTION_CANCELLED', status));
+}
+
+// The medications of an issued prescription, for renewing it. Resolves to
+// the source { consultation, prescription }, or null; throws
+// ConsultationStatusError unless it was signed or dispensed.
+async function renewalSource(consultationId, prescriptionId) {
+  const existing = await getPrescription(consultationId, prescriptionId);
+  if (!existing) return null;
+
+  const status = prescriptionStatus(existing.prescription);
+  if (!ISSUED_STATUSES.includes(status)) {
+    throw new ConsultationStatusError('Only signed or dispensed prescriptions can be renewed', 'PRESCRIPTION_NOT_ISSUED', status);
+  }
+  return existing;
+}
+
+module.exports = {
+  newPrescriptionId,
+  getPrescription,
+  createPrescription,
+  updateDraft,
+  signPrescription,
+  dispensePrescription,
+  cancelPrescription,
+  renewalSource
+};
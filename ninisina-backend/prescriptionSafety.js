@@ -0,0 +1,65 @@
+const Patient = require('./models/Patient');
+const patientHistory = require('./patientHistory');
+const drugDictionary = require('./drugDictionary');
+const drugInteractions = require('./drugInteractions');
+const doseValidation = require('./doseValidation');
+
+// Everything checked before a prescription is issued: each medication is
+// first mapped to a drug dictionary concept (drugDictionary.js), then checked
+// for interactions, allergy conflicts and duplications (drugInteractions.js)
+// and dose limits for the patient's age, weight, pregnancy and renal function
+// (doseValidation.js).
+// Warnings marked `blocking` stop the prescription from being issued; the
+// others must be acknowledged by the prescriber.
+
+// The parts of the registry record that dosing depends on
+function dosingContext(patient, patientInfo) {
+  if (!patient) return { age: patientInfo.age, gender: patientInfo.gender };
+  return {
+    age: patient.age,
+    gender: patient.gender,
+    weightKg: patient.weightKg,
+    pregnancyStatus: patient.pregnancyStatus,
+    egfr: patient.renalFunction && patient.renalFunction.egfr
+  };
+}
+
+// Check medications for the patient described by patientInfo (as resolved by
+// Patient.resolvePatientInfo). Without a patientId only the medications
+// themselves and the given age are checked. Resolves to { medications,
+// warnings, uncheckedMedications, uncheckedDoses, blocked }, where
+// medications carry their dictionary `concept` (with `conceptSuggestions` if
+// it couldn't be resolved) and their parsed `structured` dose. `renews` is
+// the prescriptionId of the prescription a renewal replaces: its medications
+// aren't counted as active, or each would duplicate itself.
+async function checkPrescription(patientInfo = {}, prescribed = [], { renews } = {}) {
+  const { patientId } = patientInfo;
+  const [patient, consultations] = patientId
+    ? await Promise.all([Patient.findOne({ patientId }), patientHistory.getPatientTimeline(patientId)])
+    : [null, []];
+  const medications = drugDictionary.normalizeMedications(prescribed);
+
+  const interactions = drugInteractions.checkPrescription({
+    medications,
+    allergies: (patient && patient.allergies) || [],
+    activeMedications: patientHistory.getActiveMedications(consultations, new Date(), {
+      excludePrescriptionIds: renews ? [renews] : []
+    })
+  });
+  const doses = doseValidation.validateDoses(medications, dosingContext(patient, patientInfo));
+
+  const warnings = [...doses.warnings, ...interactions.warnings].sort((a, b) =>
+    drugInteractions.SEVERITIES.indexOf(a.severity) - drugInteractions.SEVERITIES.indexOf(b.severity));
+
+  return {
+    medications: doses.medications,
+    warnings,
+    uncheckedMedications: interactions.unrecognized,
+    uncheckedDoses: doses.unchecked,
+    blocked: warnings.some(warning => warning.blocking)
+  };
+}
+
+module.exports = {
+  checkPrescription
+};
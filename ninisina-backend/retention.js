@@ -0,0 +1,158 @@
+const Consultation = require('./models/Consultation');
+const ConsultationRevision = require('./models/ConsultationRevision');
+const Job = require('./models/Job');
+const { ConsultationStatusError } = require('./consultationReview');
+const auditLog = require('./auditLog');
+
+// Deletion and retention of consultations. Deleting only moves a consultation
+// to the trash, with who deleted it and why; an admin can restore it until the
+// scheduled purge removes it for good once the trash retention period has
+// passed, together with its revisions and the processing jobs that produced
+// it (their stage outputs hold the transcript). Optionally every consultation
+// is purged once it reaches the record retention period. Consultations under
+// legal hold can be neither deleted nor purged.
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS || '30', 10);
+const RECORD_RETENTION_YEARS = parseInt(process.env.RECORD_RETENTION_YEARS || '0', 10); // 0: keep indefinitely
+const RETENTION_PURGE_INTERVAL_MS = parseInt(process.env.RETENTION_PURGE_INTERVAL_MS || String(DAY_MS), 10);
+
+const notOnHold = { 'legalHold.active': { $ne: true } };
+
+const legalHoldError = status => new ConsultationStatusError(
+  'This consultation is under legal hold and cannot be deleted',
+  'LEGAL_HOLD',
+  status
+);
+
+// When a consultation deleted at `deletedAt` will be purged
+function purgeDate(deletedAt) {
+  return new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+}
+
+// Move a consultation to the trash. Resolves to the deleted consultation, or
+// null if there is none; throws ConsultationStatusError under legal hold.
+async function softDelete(consultationId, { username, reason }) {
+  const deleted = await Consultation.findOneAndUpdate(
+    { consultationId, ...notOnHold },
+    { $set: { deletedAt: new Date(), deletedBy: username, deletionReason: reason } },
+    { new: true }
+  );
+  if (deleted) return deleted;
+
+  const existing = await Consultation.findOne({ consultationId }).select('status').lean();
+  if (!existing) return null;
+  throw legalHoldError(existing.status);
+}
+
+// Take a consultation back out of the trash. Resolves to it, or null if it isn't in the trash.
+function restore(consultationId) {
+  return Consultation.findOneAndUpdate(
+    { consultationId, deletedAt: { $ne: null } },
+    { $unset: { deletedAt: 1, deletedBy: 1, deletionReason: 1 } },
+    { new: true }
+  );
+}
+
+// Place or lift a legal hold, whether or not the consultation is in the trash
+function setLegalHold(consultationId, { active, reason, username }) {
+  const legalHold = active
+    ? { active: true, reason, placedBy: username, placedAt: new Date() }
+    : { active: false };
+  return Consultation.findOneAndUpdate({ consultationId }, { $set: { legalHold } }, { new: true })
+    .setOptions({ withDeleted: true });
+}
+
+// The trash, most recently deleted first
+async function listTrash({ page = 1, limit = 20 }) {
+  const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+  const pageSize = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+  const filter = { deletedAt: { $ne: null } };
+
+  const [consultations, total] = await Promise.all([
+    Consultation.find(filter)
+      .sort({ deletedAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .select('consultationId patientInfo clinicalSummary.chiefComplaint createdAt deletedAt deletedBy deletionReason legalHold')
+      .lean(),
+    Consultation.countDocuments(filter)
+  ]);
+
+  return {
+    consultations: consultations.map(consultation => ({
+      ...consultation,
+      purgeAfter: consultation.legalHold && consultation.legalHold.active ? null : purgeDate(consultation.deletedAt)
+    })),
+    retentionDays: TRASH_RETENTION_DAYS,
+    pagination: {
+      currentPage: pageNumber,
+      totalPages: Math.ceil(total / pageSize),
+      totalItems: total,
+      itemsPerPage: pageSize
+    }
+  };
+}
+
+// Permanently remove every consultation past its retention period. Resolves
+// to the number purged.
+async function purgeExpired(now = new Date()) {
+  const expired = [{ deletedAt: { $ne: null, $lte: new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS) } }];
+  if (RECORD_RETENTION_YEARS > 0) {
+    const cutoff = new Date(now);
+    cutoff.setFullYear(cutoff.getFullYear() - RECORD_RETENTION_YEARS);
+    expired.push({ createdAt: { $lte: cutoff } });
+  }
+
+  const consultations = await Consultation.find({ $or: expired, ...notOnHold })
+    .setOptions({ withDeleted: true })
+    .select('consultationId patientInfo.patientId deletedAt')
+    .lean();
+
+  let purged = 0;
+  for (const consultation of consultations) {
+    const { deletedCount } = await Consultation.deleteOne({ consultationId: consultation.consultationId, ...notOnHold });
+    if (!deletedCount) continue; // placed on hold since
+    await ConsultationRevision.deleteMany({ consultationId: consultation.consultationId });
+    await Job.deleteMany({ consultationId: consultation.consultationId });
+    await auditLog.record({
+      username: 'system',
+      action: 'delete',
+      resource: 'consultations',
+      resourceId: consultation.consultationId,
+      patientId: consultation.patientInfo && consultation.patientInfo.patientId,
+      details: { purged: true, policy: consultation.deletedAt ? 'trash' : 'record' }
+    });
+    purged++;
+  }
+
+  if (purged > 0) console.log(`🧹 Purged ${purged} consultation(s) past their retention period`);
+  return purged;
+}
+
+let timer = null;
+
+function runPurge() {
+  purgeExpired().catch(error => console.error('❌ Retention purge failed:', error.message));
+}
+
+function start() {
+  if (timer) return;
+  timer = setInterval(runPurge, RETENTION_PURGE_INTERVAL_MS);
+  console.log(`✅ Retention purge scheduled (trash kept ${TRASH_RETENTION_DAYS} days${RECORD_RETENTION_YEARS > 0 ? `, records ${RECORD_RETENTION_YEARS} years` : ''})`);
+  runPurge();
+}
+
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  softDelete,
+  restore,
+  setLegalHold,
+  listTrash,
+  purgeExpired,
+  start,
+  stop
+};
@@ -0,0 +1,123 @@
+// Rotate the encryption keys (see encryption.js). Re-wraps every data key in
+// the database and in uploads/ with the active key-encryption key, and
+// encrypts any consultation, revision or job content and any upload still
+// stored in the clear. Old keys stay in the keyfile; remove them by hand once
+// this has run.
+// Usage: npm run rotate-keys -- [--new-key]
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+const encryption = require('./encryption');
+const Consultation = require('./models/Consultation');
+const ConsultationRevision = require('./models/ConsultationRevision');
+const Job = require('./models/Job');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/ninisina_medical';
+
+const uploadsDir = path.join(__dirname, 'uploads');
+
+// Encrypted fields per model, as passed to encryptedFieldsPlugin
+const ENCRYPTED_MODELS = [
+  [Consultation, ['transcript', 'clinicalSummary', 'medicalInsights', 'intervalChange']],
+  [ConsultationRevision, ['snapshot']],
+  [Job, ['data', 'result', 'patientInfo']]
+];
+
+// Works on the raw collection, so documents are neither decrypted nor validated
+async function rotateCollection(Model, fields) {
+  const counts = { rewrapped: 0, encrypted: 0 };
+  const projection = Object.fromEntries(fields.flatMap(field => [[field, 1], [`encryptedFields.${field}`, 1]]));
+  const cursor = Model.collection.find({}, { projection });
+
+  for await (const raw of cursor) {
+    const $set = {};
+    const $unset = {};
+    for (const field of fields) {
+      const envelope = raw.encryptedFields && raw.encryptedFields[field];
+      if (encryption.isEnvelope(envelope)) {
+        const rewrapped = encryption.rewrapValue(envelope);
+        if (rewrapped) {
+          $set[`encryptedFields.${field}`] = rewrapped;
+          counts.rewrapped++;
+        }
+      } else if (raw[field] !== undefined) {
+        $set[`encryptedFields.${field}`] = encryption.encryptValue(raw[field]);
+        $unset[field] = '';
+        counts.encrypted++;
+      }
+    }
+
+    const update = {};
+    if (Object.keys($set).length > 0) update.$set = $set;
+    if (Object.keys($unset).length > 0) update.$unset = $unset;
+    if (Object.keys(update).length > 0) await Model.collection.updateOne({ _id: raw._id }, update);
+  }
+
+  return counts;
+}
+
+// Jobs queued before patientInfo was encrypted kept it in `input`
+async function moveJobPatientInfo() {
+  let moved = 0;
+  const cursor = Job.collection.find({ 'input.patientInfo': { $exists: true } }, { projection: { 'input.patientInfo': 1 } });
+  for await (const raw of cursor) {
+    await Job.collection.updateOne({ _id: raw._id }, {
+      $set: { 'encryptedFields.patientInfo': encryption.encryptValue(raw.input.patientInfo) },
+      $unset: { 'input.patientInfo': '' }
+    });
+    moved++;
+  }
+  return moved;
+}
+
+async function rotateUploads() {
+  const counts = { rewrapped: 0, encrypted: 0 };
+  const filenames = fs.existsSync(uploadsDir) ? await fs.promises.readdir(uploadsDir) : [];
+  for (const filename of filenames) {
+    const filePath = path.join(uploadsDir, filename);
+    if (!(await fs.promises.stat(filePath)).isFile()) continue;
+
+    if (await encryption.isEncryptedFile(filePath)) {
+      if (await encryption.rewrapFile(filePath)) counts.rewrapped++;
+      continue;
+    }
+
+    // Uploaded before encryption at rest: encrypted under the same name, which its job refers to
+    const encryptedPath = `${filePath}.encrypting`;
+    try {
+      await encryption.encryptFile(filePath, encryptedPath);
+      await fs.promises.rename(encryptedPath, filePath);
+    } catch (error) {
+      await fs.promises.unlink(encryptedPath).catch(() => {});
+      throw error;
+    }
+    counts.encrypted++;
+  }
+  return counts;
+}
+
+async function main() {
+  if (process.argv.slice(2).includes('--new-key')) {
+    console.log(`🔑 Added encryption key ${encryption.addKey()}`);
+  }
+  console.log(`🔑 Active encryption key: ${encryption.activeKeyId()}`);
+
+  await mongoose.connect(MONGODB_URI);
+
+  console.log(`✅ jobs: ${await moveJobPatientInfo()} patientInfo field(s) moved out of input and encrypted`);
+  for (const [Model, fields] of ENCRYPTED_MODELS) {
+    const { rewrapped, encrypted } = await rotateCollection(Model, fields);
+    console.log(`✅ ${Model.collection.collectionName}: ${rewrapped} field(s) re-wrapped, ${encrypted} field(s) encrypted`);
+  }
+  const uploads = await rotateUploads();
+  console.log(`✅ uploads: ${uploads.rewrapped} file(s) re-wrapped, ${uploads.encrypted} file(s) encrypted`);
+
+  await mongoose.connection.close();
+}
+
+main().catch(async (error) => {
+  console.error('❌ Failed to rotate encryption keys:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
@@ -0,0 +1,50 @@
+// Import the sample patients in mockPatients.js into the patient registry.
+// Safe to re-run: patients are upserted by MRN.
+// Usage: npm run seed
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Patient = require('./models/Patient');
+const mockPatients = require('./mockPatients');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/ninisina_medical';
+
+async function main() {
+  await mongoose.connect(MONGODB_URI);
+
+  for (const mock of mockPatients) {
+    const [firstName, ...rest] = mock.name.split(' ');
+    const mrn = `MRN-${mock.id.toUpperCase()}`;
+
+    // The mock data only has an age, so approximate DOB as 1 January of the birth year
+    const dateOfBirth = new Date(Date.UTC(new Date().getFullYear() - mock.age, 0, 1));
+
+    const patient = await Patient.findOneAndUpdate(
+      { mrn },
+      {
+        $set: {
+          firstName,
+          lastName: rest.join(' ') || '-',
+          dateOfBirth,
+          gender: mock.gender.toLowerCase(),
+          notes: mock.visitReason,
+          updatedAt: new Date()
+        },
+        $setOnInsert: {
+          mrn,
+          patientId: `PAT-${mock.id.toUpperCase()}`,
+          createdBy: 'seed'
+        }
+      },
+      { upsert: true, new: true, runValidators: true }
+    );
+    console.log(`✅ Seeded patient ${patient.fullName} (${patient.mrn})`);
+  }
+
+  await mongoose.connection.close();
+}
+
+main().catch(async (error) => {
+  console.error('❌ Failed to seed patients:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
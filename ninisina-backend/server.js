@@ -3,10 +3,32 @@ const multer = require('multer');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
-const FormData = require('form-data');
-const fetch = require('node-fetch');
 const mongoose = require('mongoose');
 require('dotenv').config();
+const auth = require('./auth');
+const User = require('./models/User');
+const Patient = require('./models/Patient');
+const Consultation = require('./models/Consultation');
+const patientHistory = require('./patientHistory');
+const consultationReview = require('./consultationReview');
+const consultationRevisions = require('./consultationRevisions');
+const auditLog = require('./auditLog');
+const retention = require('./retention');
+const audioStorage = require('./audioStorage');
+const deidentify = require('./deidentify');
+const prescriptionSafety = require('./prescriptionSafety');
+const drugDictionary = require('./drugDictionary');
+const prescriptionLifecycle = require('./prescriptionLifecycle');
+const llm = require('./llmProviders');
+const analysisPipeline = require('./analysisPipeline');
+const jobWorker = require('./jobWorker');
+const jobEvents = require('./jobEvents');
+const liveTranscription = require('./liveTranscription');
+const Job = require('./models/Job');
+const transcription = require('./transcriptionProviders');
+const audioSegmentation = require('./audioSegmentation');
+const audioNormalization = require('./audioNormalization');
+const { PERMISSIONS, ROLES, hasPermission, requirePermission, redactConsultation } = require('./permissions');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -14,6 +36,7 @@ const PORT = process.env.PORT || 3001;
 // Middleware
 app.use(cors());
 app.use(express.json());
+app.use(auditLog.auditTrail);
 
 // MongoDB Connection
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/ninisina_medical';
@@ -24,110 +47,21 @@ mongoose.connect(MONGODB_URI, {
 })
 .then(() => {
   console.log('✅ Connected to MongoDB successfully');
+  retention.start();
+  audioStorage.start();
+  return jobWorker.start();
 })
 .catch((error) => {
   console.error('❌ MongoDB connection error:', error);
   process.exit(1);
 });
 
-// MongoDB Schema for Consultations
-const consultationSchema = new mongoose.Schema({
-  consultationId: {
-    type: String,
-    required: true,
-    unique: true,
-    default: () => `CONS-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
-  },
-  patientInfo: {
-    name: String,
-    age: Number,
-    gender: String,
-    visitType: String,
-    patientId: String
-  },
-  transcript: {
-    type: String,
-    required: true
-  },
-  clinicalSummary: {
-    chiefComplaint: String,
-    historyOfPresentIllness: String,
-    assessment: String,
-    plan: mongoose.Schema.Types.Mixed,
-    vitals: String,
-    riskFactors: [String]
-  },
-  medicalInsights: {
-    differentialDiagnosis: [{
-      condition: String,
-      probability: String,
-      reasoning: String,
-      icd10: String
-    }],
-    redFlags: [{
-      flag: String,
-      status: String,
-      action: String
-    }],
-    recommendations: [{
-      category: String,
-      items: [String]
-    }],
-    clinicalDecisionSupport: {
-      guidelines: String,
-      evidenceLevel: String,
-      recommendedActions: [String]
-    }
-  },
-  keyPoints: [String],
-  followUpReminders: [{
-    type: { type: String },
-    message: { type: String },
-    dueDate: { type: Date }
-  }],
-  analysisMetadata: {
-    processedAt: {
-      type: Date,
-      default: Date.now
-    },
-    transcriptLength: Number,
-    aiModel: String,
-    confidenceScore: Number,
-    consultationDuration: String
-  },
-  prescriptions: [{
-    prescriptionId: String,
-    medications: [{
-      name: String,
-      dosage: String,
-      frequency: String,
-      duration: String,
-      instructions: String
-    }],
-    additionalInstructions: String,
-    createdAt: {
-      type: Date,
-      default: Date.now
-    }
-  }],
-  createdAt: {
-    type: Date,
-    default: Date.now
-  },
-  updatedAt: {
-    type: Date,
-    default: Date.now
-  }
-});
-
-// Update the updatedAt field before saving
-consultationSchema.pre('save', function(next) {
-  this.updatedAt = Date.now();
-  next();
+// Uploads can't be validated or normalized without ffmpeg and ffprobe
+audioNormalization.checkAudioTools().catch((error) => {
+  console.error('❌ Audio tools check failed:', error.message);
+  process.exit(1);
 });
 
-const Consultation = mongoose.model('Consultation', consultationSchema);
-
 // Create uploads directory if it doesn't exist
 const uploadsDir = path.join(__dirname, 'uploads');
 if (!fs.existsSync(uploadsDir)) {
@@ -150,378 +84,159 @@ const upload = multer({
   limits: {
     fileSize: 100 * 1024 * 1024 // 100MB limit
   },
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith('audio/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only audio files are allowed'), false);
-    }
-  }
+  // No mimetype filter: phones label m4a/amr dictation as video/* or
+  // application/octet-stream, so uploads are validated by content instead
+  // (see audioNormalization.normalizeUpload)
 });
 
-// OpenAI API configuration
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+// A recording resumed after an interruption arrives as several `audio` files
+const MAX_AUDIO_SEGMENTS = 20;
 
-if (!OPENAI_API_KEY) {
-  console.error('⚠️  OPENAI_API_KEY environment variable is required.');
-  console.log('Please create a .env file and set your OpenAI API key: OPENAI_API_KEY=your_key_here');
+function discardUploads(req) {
+  (req.files || []).forEach(file => fs.unlink(file.path, () => {}));
 }
 
-// --- AI Prompts for Medical Analysis ---
-const MEDICAL_PROMPTS = {
-  systemPrompt: `You are Ninisina, an expert medical AI assistant specialized in clinical documentation and analysis. Your purpose is to assist healthcare professionals by processing consultation audio into structured, accurate, and insightful medical data. You must adhere to the highest standards of clinical accuracy and provide evidence-based reasoning. Always output your final analysis in the requested JSON format with proper string formatting.`,
-
-  analysisPrompt: (transcript, patientInfo) => `
-    PATIENT INFORMATION:
-    Name: ${patientInfo.name || 'Not Provided'}
-    Age: ${patientInfo.age || 'Not Provided'}
-    Gender: ${patientInfo.gender || 'Not Provided'}
-    Visit Type: ${patientInfo.visitType || 'Not Provided'}
-
-    CONSULTATION TRANSCRIPT:
-    """
-    ${transcript}
-    """
-
-    Based on the provided transcript and patient information, perform a comprehensive medical analysis. Generate a response in the following strict JSON format ONLY. Do not include any text or markdown formatting outside of the JSON object.
-
-    IMPORTANT: All field values must be strings or properly formatted arrays. Do not use nested objects for simple fields.
-
-    {
-      "clinicalSummary": {
-        "chiefComplaint": "A concise summary of the patient's primary reason for the visit.",
-        "historyOfPresentIllness": "A detailed narrative of the patient's current symptoms, including onset, duration, severity, and associated factors.",
-        "assessment": "Your clinical assessment, including the most likely diagnosis and rationale.",
-        "plan": "A structured plan for patient care as a formatted string. Include: Immediate Treatment: [details], Follow-up Treatment: [details], Additional Care: [details]",
-        "vitals": "Vital signs if mentioned in the transcript, otherwise 'Not recorded'.",
-        "riskFactors": ["List of relevant risk factors identified from the conversation."]
-      },
-      "medicalInsights": {
-          "differentialDiagnosis": [
-            {
-              "condition": "Primary or alternative diagnosis",
-              "probability": "High | Moderate | Low (e.g., 'High (approx. 85%)')",
-              "reasoning": "Brief clinical reasoning based on transcript evidence.",
-              "icd10": "The most appropriate ICD-10 code."
-            }
-          ],
-          "redFlags": [
-            {
-              "flag": "Any symptom or finding that requires urgent attention.",
-              "status": "Critical | Monitor | Noted",
-              "action": "Recommended immediate action for this flag."
-            }
-          ],
-          "recommendations": [
-            {
-              "category": "Immediate",
-              "items": ["Actionable recommendations for immediate consideration."]
-            },
-            {
-              "category": "Follow-up",
-              "items": ["Recommendations for future appointments or monitoring."]
-            },
-            {
-              "category": "Lifestyle",
-              "items": ["Suggestions for lifestyle changes, diet, exercise, etc."]
-            }
-          ],
-          "clinicalDecisionSupport": {
-            "guidelines": "Mention relevant clinical guidelines (e.g., 'AHA/ACC Guidelines for Hypertension').",
-            "evidenceLevel": "Level A | Level B | Level C",
-            "recommendedActions": ["Key actions supported by evidence."]
-          }
-        }
+// Validate and normalize the uploaded recording, joining its segments first
+// if there are several, and store it encrypted. Returns the stored upload, or
+// sends a 422 and returns null if the audio is unsupported, corrupt or
+// silent. The uploaded files are removed if this fails.
+async function normalizeUploadedAudio(req, res) {
+  const parts = req.files.map(file => file.path);
+  let filePath = parts[0];
+  try {
+    if (parts.length > 1) {
+      filePath = await audioNormalization.concatenateRecordings(parts);
     }
-  `,
-
-  prescriptionPrompt: (transcript, patientInfo) => `
-    PATIENT INFORMATION:
-    Name: ${patientInfo.name || 'Not Provided'}
-    Age: ${patientInfo.age || 'Not Provided'}
-    Gender: ${patientInfo.gender || 'Not Provided'}
-    Visit Type: ${patientInfo.visitType || 'Not Provided'}
+    const audio = await audioNormalization.normalizeUpload(filePath);
+    const filename = await audioStorage.storeEncrypted(audio.filePath);
+    return { ...audio, filename, filePath: path.join(uploadsDir, filename) };
+  } catch (error) {
+    discardUploads(req);
+    if (filePath !== parts[0]) fs.unlink(filePath, () => {});
+    if (!(error instanceof audioNormalization.AudioValidationError)) throw error;
+    console.warn(`⚠️  Rejected upload ${req.files.map(file => file.originalname).join(', ')}: ${error.message}`);
+    res.status(422).json({ error: error.message, code: error.code });
+    return null;
+  }
+}
 
-    PRESCRIPTION TRANSCRIPT:
-    """
-    ${transcript}
-    """
+// Escape user input before building a RegExp from it
+function escapeRegExp(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
 
-    You are tasked with generating a structured e-prescription based on the doctor's verbal instructions in the transcript. Extract medication details (name, dosage, frequency, duration, instructions) and any additional instructions. Output in the following strict JSON format ONLY:
+// --- API ROUTES ---
 
-    {
-      "prescriptionId": "Generate a unique ID using timestamp",
-      "medications": [
-        {
-          "name": "Medication name",
-          "dosage": "Dosage amount (e.g., 500 mg)",
-          "frequency": "Frequency of administration (e.g., twice daily)",
-          "duration": "Duration of treatment (e.g., 7 days)",
-          "instructions": "Specific instructions or null if none"
-        }
-      ],
-      "additionalInstructions": "Any additional instructions or null if none"
-    }
-  `,
-};
+// Health check
+app.get('/', (req, res) => {
+  res.json({ 
+    message: 'Ninisina V1 Medical AI Backend is running',
+    mongodb: mongoose.connection.readyState === 1 ? 'Connected' : 'Disconnected',
+    timestamp: new Date().toISOString()
+  });
+});
 
-// Helper function to make OpenAI API calls
-async function callOpenAI(endpoint, options, retries = 3) {
-  for (let i = 0; i < retries; i++) {
-    try {
-      const response = await fetch(`${OPENAI_BASE_URL}${endpoint}`, {
-        ...options,
-        headers: {
-          'Authorization': `Bearer ${OPENAI_API_KEY}`,
-          ...options.headers
-        }
-      });
+// --- AUTH ROUTES ---
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`OpenAI API Error (${response.status}): ${errorText}`);
-      }
-      return response.json();
-    } catch (error) {
-      console.error(`OpenAI API attempt ${i + 1} failed:`, error.message);
-      if (i === retries - 1) throw error;
-      await new Promise(resolve => setTimeout(resolve, 2000 * (i + 1))); // Exponential backoff
+// Log in with username/password and receive access + refresh tokens
+app.post('/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    auditLog.annotate(req, { username });
+    if (!username || !password) {
+      return res.status(400).json({ error: 'Username and password are required' });
     }
-  }
-}
 
-// New helper function for speaker diarization
-async function diarizeTranscript(transcript) {
-  console.log('🗣️  Applying speaker diarization...');
-  
-  const diarizationPrompt = `
-You are a highly accurate AI assistant specializing in processing medical transcripts.
-Your task is to add speaker labels ("Doctor:" and "Patient:") to the following raw transcript.
-The conversation is between a doctor and a patient. Analyze the dialogue to correctly identify who is speaking at each turn.
-Maintain the original wording precisely. Do not add any extra text, summary, or commentary.
-Your output should ONLY be the formatted transcript with the added labels.
-
-RAW TRANSCRIPT:
-"""
-${transcript}
-"""
-
-FORMATTED TRANSCRIPT:
-  `;
+    const session = await auth.login(username, password, req);
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
 
-  try {
-    const response = await callOpenAI('/chat/completions', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        model: 'gpt-4-turbo-preview',
-        messages: [{ role: 'user', content: diarizationPrompt }],
-        temperature: 0.0,
-        max_tokens: transcript.length + 500,
-      }),
-    });
-
-    const labeledTranscript = response.choices[0].message.content.trim();
-    console.log('✅ Diarization complete.');
-    return labeledTranscript;
-  } catch (error) {
-    console.error('Diarization failed:', error);
-    return transcript;
-  }
-}
+    console.log(`🔑 User logged in: ${session.user.username}`);
+    res.json(session);
 
-// Enhanced medical analysis function
-async function analyzeMedicalConsultation(transcript, patientInfo = {}) {
-  const analysisPrompt = MEDICAL_PROMPTS.analysisPrompt(transcript, patientInfo);
-  try {
-    const response = await callOpenAI('/chat/completions', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        model: 'gpt-4-turbo-preview',
-        messages: [
-          { role: 'system', content: MEDICAL_PROMPTS.systemPrompt },
-          { role: 'user', content: analysisPrompt }
-        ],
-        response_format: { type: "json_object" },
-        max_tokens: 3000,
-        temperature: 0.3
-      })
-    });
-    const analysisContent = response.choices[0].message.content;
-    return JSON.parse(analysisContent);
   } catch (error) {
-    console.error('Medical analysis AI call error:', error);
-    throw error;
+    console.error('Login error:', error);
+    res.status(500).json({ 
+      error: 'Failed to log in',
+      details: error.message 
+    });
   }
-}
+});
 
-// Data sanitization function
-function sanitizeAnalysisData(analysis) {
+// Exchange a refresh token for a new token pair
+app.post('/auth/refresh', async (req, res) => {
   try {
-    // Handle plan field - convert object to string if needed
-    if (analysis.clinicalSummary && analysis.clinicalSummary.plan) {
-      if (typeof analysis.clinicalSummary.plan === 'object') {
-        // Convert object to formatted string
-        if (analysis.clinicalSummary.plan.immediateTreatment) {
-          analysis.clinicalSummary.plan = 
-            `Immediate Treatment: ${analysis.clinicalSummary.plan.immediateTreatment}\n` +
-            `Follow-up Treatment: ${analysis.clinicalSummary.plan.followUpTreatment || 'Not specified'}\n` +
-            `Additional Care: ${analysis.clinicalSummary.plan.additionalCare || 'Not specified'}`;
-        } else {
-          analysis.clinicalSummary.plan = JSON.stringify(analysis.clinicalSummary.plan);
-        }
-      }
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
     }
 
-    // Ensure all required nested objects exist
-    if (!analysis.clinicalSummary) analysis.clinicalSummary = {};
-    if (!analysis.medicalInsights) analysis.medicalInsights = {};
-    
-    // Ensure arrays exist and are properly formatted
-    if (!Array.isArray(analysis.medicalInsights.recommendations)) {
-      analysis.medicalInsights.recommendations = [];
-    }
-    
-    if (!Array.isArray(analysis.medicalInsights.redFlags)) {
-      analysis.medicalInsights.redFlags = [];
-    }
-    
-    if (!Array.isArray(analysis.medicalInsights.differentialDiagnosis)) {
-      analysis.medicalInsights.differentialDiagnosis = [];
+    const session = await auth.refresh(refreshToken);
+    if (!session) {
+      return res.status(401).json({ error: 'Session is invalid or has expired', code: 'SESSION_EXPIRED' });
     }
 
-    // Ensure clinicalDecisionSupport exists
-    if (!analysis.medicalInsights.clinicalDecisionSupport) {
-      analysis.medicalInsights.clinicalDecisionSupport = {
-        guidelines: "",
-        evidenceLevel: "",
-        recommendedActions: []
-      };
-    }
+    res.json(session);
 
-    return analysis;
   } catch (error) {
-    console.error('Error sanitizing analysis data:', error);
-    return analysis;
-  }
-}
-
-// Helper function to generate follow-up reminders
-function generateFollowUpReminders(analysis) {
-  const reminders = [];
-  
-  // Check if analysis and medicalInsights exist
-  if (!analysis || !analysis.medicalInsights) {
-    console.warn('⚠️ Analysis or medicalInsights is missing');
-    return reminders;
-  }
-  
-  // Safely handle recommendations
-  if (analysis.medicalInsights.recommendations && Array.isArray(analysis.medicalInsights.recommendations)) {
-    try {
-      analysis.medicalInsights.recommendations
-        .filter(rec => rec && rec.category === 'Follow-up' && Array.isArray(rec.items))
-        .forEach(rec => {
-          rec.items.forEach(item => {
-            if (item && typeof item === 'string') {
-              reminders.push({ 
-                type: 'followup', 
-                message: item, 
-                dueDate: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000) 
-              });
-            }
-          });
-        });
-    } catch (error) {
-      console.error('Error processing recommendations for follow-up reminders:', error);
-    }
-  }
-
-  // Safely handle redFlags
-  if (analysis.medicalInsights.redFlags && Array.isArray(analysis.medicalInsights.redFlags)) {
-    try {
-      analysis.medicalInsights.redFlags
-        .filter(flag => flag && flag.status === 'Critical')
-        .forEach(flag => {
-          if (flag.flag && flag.action) {
-            reminders.push({ 
-              type: 'urgent', 
-              message: `Urgent Action: ${flag.flag} - ${flag.action}`, 
-              dueDate: new Date(Date.now() + 24 * 60 * 60 * 1000) 
-            });
-          }
-        });
-    } catch (error) {
-      console.error('Error processing redFlags for follow-up reminders:', error);
-    }
+    console.error('Token refresh error:', error);
+    res.status(500).json({ 
+      error: 'Failed to refresh session',
+      details: error.message 
+    });
   }
-  
-  return reminders;
-}
+});
 
-// Helper function to calculate confidence score
-function calculateConfidenceScore(analysis) {
-  if (!analysis || !analysis.medicalInsights) {
-    console.warn('⚠️ Analysis or medicalInsights missing for confidence calculation');
-    return 0.7;
-  }
-  
-  let score = 0.7; // Base score
+// Every route registered below this line requires a valid access token
+app.use(auth.requireAuth);
 
+// End the current session
+app.post('/auth/logout', async (req, res) => {
   try {
-    // Check differential diagnosis
-    if (analysis.medicalInsights.differentialDiagnosis && 
-        Array.isArray(analysis.medicalInsights.differentialDiagnosis) && 
-        analysis.medicalInsights.differentialDiagnosis.length > 1) {
-      score += 0.1;
-    }
-
-    // Check red flags
-    if (analysis.medicalInsights.redFlags && 
-        Array.isArray(analysis.medicalInsights.redFlags) && 
-        analysis.medicalInsights.redFlags.length > 0) {
-      score += 0.1;
-    }
-
-    // Check clinical decision support
-    if (analysis.medicalInsights.clinicalDecisionSupport && 
-        analysis.medicalInsights.clinicalDecisionSupport.guidelines) {
-      score += 0.1;
-    }
+    await auth.logout(req.sessionId);
+    console.log(`🔒 User logged out: ${req.user.username}`);
+    res.json({ message: 'Logged out successfully' });
   } catch (error) {
-    console.error('Error calculating confidence score:', error);
+    console.error('Logout error:', error);
+    res.status(500).json({ 
+      error: 'Failed to log out',
+      details: error.message 
+    });
   }
+});
 
-  return Math.min(score, 0.98);
-}
-
-// --- API ROUTES ---
-
-// Health check
-app.get('/', (req, res) => {
-  res.json({ 
-    message: 'Ninisina V1 Medical AI Backend is running',
-    mongodb: mongoose.connection.readyState === 1 ? 'Connected' : 'Disconnected',
-    timestamp: new Date().toISOString()
-  });
+// Current user profile
+app.get('/auth/me', (req, res) => {
+  res.json({ user: req.user });
 });
 
 // 1. Upload audio file
-app.post('/upload', upload.single('audio'), (req, res, next) => {
-  if (!req.file) {
+app.post('/upload', requirePermission(PERMISSIONS.CONSULTATIONS_RECORD), upload.array('audio', MAX_AUDIO_SEGMENTS), async (req, res) => {
+  if (!req.files || req.files.length === 0) {
     return res.status(400).json({ error: 'No audio file provided.' });
   }
-  console.log(`📁 Audio file uploaded: ${req.file.filename}`);
-  res.json({
-    message: 'File uploaded successfully.',
-    filename: req.file.filename,
-  });
+
+  try {
+    const audio = await normalizeUploadedAudio(req, res);
+    if (!audio) return;
+
+    console.log(`📁 Audio file uploaded: ${audio.filename}`);
+    res.json({
+      message: 'File uploaded successfully.',
+      filename: audio.filename,
+      format: audio.format,
+      duration: audio.duration
+    });
+
+  } catch (error) {
+    console.error('Upload error:', error);
+    res.status(500).json({ error: 'Failed to process audio file.', details: error.message });
+  }
 });
 
 // 2. Transcribe audio file
-app.post('/transcribe', async (req, res) => {
+app.post('/transcribe', requirePermission(PERMISSIONS.CONSULTATIONS_RECORD), async (req, res) => {
   const { filename } = req.body;
   if (!filename) {
     return res.status(400).json({ error: 'Filename is required.' });
@@ -534,19 +249,13 @@ app.post('/transcribe', async (req, res) => {
 
   try {
     console.log(`🎤 Transcribing: ${filename}`);
-    const formData = new FormData();
-    formData.append('file', fs.createReadStream(filePath));
-    formData.append('model', 'whisper-1');
-    formData.append('prompt', 'This is a medical consultation between a doctor and a patient. Key terms include symptoms, diagnosis, medication, hypertension, diabetes, migraine, etc.');
+    const transcriptionResult = await audioStorage.withDecryptedAudio(filename, audioPath => audioSegmentation.transcribeRecording(audioPath));
 
-    const transcriptionResult = await callOpenAI('/audio/transcriptions', {
-      method: 'POST',
-      body: formData,
-      headers: formData.getHeaders()
+    console.log(`✅ Transcription successful for: ${filename} (${transcriptionResult.provider}, ${transcriptionResult.segments.length} segments)`);
+    res.json({
+      transcript: transcriptionResult.text,
+      transcription: transcriptionResult
     });
-
-    console.log(`✅ Transcription successful for: ${filename}`);
-    res.json({ transcript: transcriptionResult.text });
     
     fs.unlink(filePath, (err) => {
       if (err) console.error(`Error deleting temp file ${filePath}:`, err);
@@ -560,150 +269,22 @@ app.post('/transcribe', async (req, res) => {
 });
 
 // 3. Analyze transcript
-app.post('/analyze', async (req, res) => {
+app.post('/analyze', requirePermission(PERMISSIONS.CONSULTATIONS_RECORD), async (req, res) => {
   try {
-    const { transcript, patientInfo, consultationDuration } = req.body;
+    const { transcript, consultationDuration } = req.body;
     
     if (!transcript) {
       return res.status(400).json({ error: 'Transcript is required' });
     }
 
-    console.log('🔍 Starting full analysis pipeline...');
-
-    const labeledTranscript = await diarizeTranscript(transcript);
-
-    console.log('🔬 Performing clinical analysis on labeled transcript...');
-    let analysis;
-    let sanitizedAnalysis; // Declare sanitizedAnalysis here
-    try {
-      analysis = await analyzeMedicalConsultation(labeledTranscript, patientInfo);
-      
-      // Validate analysis structure
-      if (!analysis || typeof analysis !== 'object') {
-        throw new Error('Invalid analysis response from AI');
-      }
-      
-      // Sanitize the analysis data
-      sanitizedAnalysis = sanitizeAnalysisData(analysis);
-      
-    } catch (aiError) {
-      console.error('AI Analysis failed:', aiError);
-      // Provide fallback analysis structure
-      sanitizedAnalysis = {
-        clinicalSummary: {
-          chiefComplaint: "Unable to extract - AI analysis failed",
-          historyOfPresentIllness: "Unable to extract - AI analysis failed",
-          assessment: "Unable to extract - AI analysis failed",
-          plan: "Unable to extract - AI analysis failed",
-          vitals: "Not recorded",
-          riskFactors: []
-        },
-        medicalInsights: {
-          differentialDiagnosis: [],
-          redFlags: [],
-          recommendations: [],
-          clinicalDecisionSupport: {
-            guidelines: "",
-            evidenceLevel: "",
-            recommendedActions: []
-          }
-        }
-      };
-    }
-
-    // Generate key points with error handling
-    let keyPoints = [];
-    try {
-      const keyPointsPrompt = `Extract the most important clinical points from this medical consultation transcript:\n\n"${labeledTranscript}"\n\nProvide 5-8 concise bullet points.`;
-      const keyPointsResponse = await callOpenAI('/chat/completions', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          model: 'gpt-4-turbo-preview',
-          messages: [
-            { role: 'system', content: 'You are a medical scribe extracting key clinical points.' },
-            { role: 'user', content: keyPointsPrompt }
-          ],
-          max_tokens: 800,
-          temperature: 0.3
-        })
-      });
-      const keyPointsText = keyPointsResponse.choices[0].message.content;
-      keyPoints = keyPointsText.split('\n')
-        .filter(line => line.trim().length > 0)
-        .map(line => line.replace(/^[-•*]\s*/, '').trim());
-    } catch (keyPointsError) {
-      console.error('Key points extraction failed:', keyPointsError);
-      keyPoints = ['Key points extraction failed - please review transcript manually'];
-    }
-
-    // Generate follow-up reminders and confidence score with error handling
-    const followUpReminders = generateFollowUpReminders(sanitizedAnalysis);
-    const confidenceScore = calculateConfidenceScore(sanitizedAnalysis);
-
-    // Save to MongoDB
-    console.log('💾 Saving consultation to database...');
-    try {
-      const consultation = new Consultation({
-        patientInfo: patientInfo || {},
-        transcript: labeledTranscript,
-        clinicalSummary: sanitizedAnalysis.clinicalSummary,
-        medicalInsights: sanitizedAnalysis.medicalInsights,
-        keyPoints: keyPoints,
-        followUpReminders: followUpReminders,
-        analysisMetadata: {
-          processedAt: new Date(),
-          transcriptLength: labeledTranscript.length,
-          aiModel: 'gpt-4-turbo-preview',
-          confidenceScore: confidenceScore,
-          consultationDuration: consultationDuration || 'N/A'
-        }
-      });
-
-      const savedConsultation = await consultation.save();
-      console.log(`✅ Consultation saved with ID: ${savedConsultation.consultationId}`);
-
-      console.log('✅ Comprehensive medical analysis completed');
-
-      const response = {
-        consultationId: savedConsultation.consultationId,
-        transcript: labeledTranscript, 
-        ...sanitizedAnalysis,
-        keyPoints: keyPoints,
-        followUpReminders: followUpReminders,
-        analysisMetadata: {
-          processedAt: new Date().toISOString(),
-          transcriptLength: labeledTranscript.length,
-          patientInfo: patientInfo || {},
-          aiModel: 'gpt-4-turbo-preview',
-          confidenceScore: confidenceScore
-        }
-      };
-
-      res.json(response);
-      
-    } catch (dbError) {
-      console.error('Database save error:', dbError);
-      // Still return the analysis even if DB save fails
-      const response = {
-        consultationId: `TEMP-${Date.now()}`, // Temporary ID
-        transcript: labeledTranscript, 
-        ...sanitizedAnalysis,
-        keyPoints: keyPoints,
-        followUpReminders: followUpReminders,
-        analysisMetadata: {
-          processedAt: new Date().toISOString(),
-          transcriptLength: labeledTranscript.length,
-          patientInfo: patientInfo || {},
-          aiModel: 'gpt-4-turbo-preview',
-          confidenceScore: confidenceScore
-        },
-        warning: 'Analysis completed but not saved to database'
-      };
-
-      res.json(response);
+    const patientInfo = await Patient.resolvePatientInfo(req.body.patientInfo);
+    if (!patientInfo) {
+      return res.status(404).json({ error: 'Patient not found' });
     }
 
+    const response = await analysisPipeline.analyzeTranscript({ transcript, patientInfo, consultationDuration });
+    res.json(response);
+
   } catch (error) {
     console.error('Medical analysis error:', error);
     res.status(500).json({ 
@@ -714,43 +295,54 @@ app.post('/analyze', async (req, res) => {
 });
 
 // 4. Generate prescription and save to consultation
-app.post('/generate-prescription', async (req, res) => {
+app.post('/generate-prescription', requirePermission(PERMISSIONS.PRESCRIPTIONS_CREATE), async (req, res) => {
   try {
-    const { transcript, patientInfo, consultationId } = req.body;
+    const { transcript, consultationId } = req.body;
 
     if (!transcript) {
       return res.status(400).json({ error: 'Transcript is required' });
     }
 
+    const patientInfo = await Patient.resolvePatientInfo(req.body.patientInfo);
+    if (!patientInfo) {
+      return res.status(404).json({ error: 'Patient not found' });
+    }
+
     console.log('💊 Generating e-prescription...');
-    const prescriptionPrompt = MEDICAL_PROMPTS.prescriptionPrompt(transcript, patientInfo);
+    const phi = await deidentify.pseudonymizerFor(patientInfo);
+    const prescriptionPrompt = phi.deidentify(analysisPipeline.MEDICAL_PROMPTS.prescriptionPrompt(transcript, phi.patientInfo(patientInfo)));
     
-    const response = await callOpenAI('/chat/completions', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        model: 'gpt-4-turbo-preview',
-        messages: [
-          { role: 'system', content: MEDICAL_PROMPTS.systemPrompt },
-          { role: 'user', content: prescriptionPrompt }
-        ],
-        response_format: { type: "json_object" },
-        max_tokens: 1500,
-        temperature: 0.3
-      })
-    });
-
-    const prescriptionData = JSON.parse(response.choices[0].message.content);
-    prescriptionData.prescriptionId = `RX-${Date.now()}`; // Ensure unique ID
+    const { content } = await llm.chatCompletion({
+      task: 'prescription',
+      messages: [
+        { role: 'system', content: analysisPipeline.MEDICAL_PROMPTS.systemPrompt },
+        { role: 'user', content: prescriptionPrompt }
+      ],
+      json: true,
+      maxTokens: 1500,
+      temperature: 0.3
+    });
+
+    const prescriptionData = phi.reidentify(llm.parseJSONResponse(content));
+    prescriptionData.prescriptionId = prescriptionLifecycle.newPrescriptionId();
+
+    // Safety check against the patient's allergies, active medications and
+    // dose limits, done before the prescription is saved so it isn't compared
+    // with itself
+    const safetyCheck = await prescriptionSafety.checkPrescription(patientInfo, prescriptionData.medications || []);
+    Object.assign(prescriptionData, safetyCheck);
+    if (safetyCheck.warnings.length > 0) {
+      console.log(`⚠️ ${safetyCheck.warnings.length} prescription safety warning(s) for ${prescriptionData.prescriptionId}${safetyCheck.blocked ? ' (blocked)' : ''}`);
+    }
 
     // If consultationId is provided, add prescription to existing consultation
+    // as a draft, to be corrected if need be and then signed
     if (consultationId) {
       try {
-        const consultation = await Consultation.findOne({ consultationId });
-        if (consultation) {
-          consultation.prescriptions.push(prescriptionData);
-          await consultation.save();
-          console.log(`✅ Prescription added to consultation ${consultationId}`);
+        const saved = await prescriptionLifecycle.createPrescription(consultationId, prescriptionData, safetyCheck, { username: req.user.username });
+        if (saved) {
+          Object.assign(prescriptionData, { consultationId, status: 'draft' });
+          console.log(`✅ Draft prescription added to consultation ${consultationId}`);
         }
       } catch (dbError) {
         console.error('Error saving prescription to consultation:', dbError);
@@ -765,6 +357,7 @@ app.post('/generate-prescription', async (req, res) => {
       transcript: transcript
     };
 
+    auditLog.annotate(req, { resourceId: prescriptionData.prescriptionId, patientId: patientInfo.patientId, details: consultationId ? { consultationId } : undefined });
     console.log('✅ E-prescription generated successfully');
     res.json(responseData);
     // ===================== MODIFICATION END =======================
@@ -778,237 +371,1388 @@ app.post('/generate-prescription', async (req, res) => {
   }
 });
 
-// 5. Save consultation to MongoDB (Manual save endpoint)
-app.post('/consultations', async (req, res) => {
+// 4a. Re-check a prescription after the prescriber corrects it
+app.post('/prescriptions/check', requirePermission(PERMISSIONS.PRESCRIPTIONS_CREATE), async (req, res) => {
   try {
-    const consultationData = req.body;
+    const { medications } = req.body;
 
-    // Validate required fields
-    if (!consultationData.transcript) {
-      return res.status(400).json({ error: 'Transcript is required' });
+    if (!Array.isArray(medications)) {
+      return res.status(400).json({ error: 'Medications are required' });
     }
 
-    const consultation = new Consultation(consultationData);
-    const savedConsultation = await consultation.save();
+    const patientInfo = await Patient.resolvePatientInfo(req.body.patientInfo);
+    if (!patientInfo) {
+      return res.status(404).json({ error: 'Patient not found' });
+    }
 
-    console.log(`✅ Consultation manually saved with ID: ${savedConsultation.consultationId}`);
-    res.status(201).json({
-      message: 'Consultation saved successfully',
-      consultationId: savedConsultation.consultationId,
-      consultation: savedConsultation
-    });
+    auditLog.annotate(req, { action: 'read', patientId: patientInfo.patientId }); // nothing is saved
+    res.json(await prescriptionSafety.checkPrescription(patientInfo, medications));
 
   } catch (error) {
-    console.error('Error saving consultation:', error);
-    if (error.code === 11000) {
-      res.status(400).json({ error: 'Consultation with this ID already exists' });
-    } else {
-      res.status(500).json({ 
-        error: 'Failed to save consultation',
-        details: error.message 
-      });
-    }
+    console.error('Prescription check error:', error);
+    res.status(500).json({ 
+      error: 'Failed to check prescription',
+      details: error.message 
+    });
   }
 });
 
-// 6. Retrieve consultation history with pagination and filtering
-app.get('/consultations', async (req, res) => {
-  try {
-    const { 
-      page = 1, 
-      limit = 10, 
-      patientName, 
-      patientId, 
-      startDate, 
-      endDate,
-      sortBy = 'createdAt',
-      sortOrder = 'desc'
-    } = req.query;
+// 4b. Search the drug dictionary, for choosing the drug a transcribed name meant
+app.get('/drugs/search', requirePermission(PERMISSIONS.PRESCRIPTIONS_CREATE), (req, res) => {
+  const { q, limit = 10 } = req.query;
 
-    // Build filter object
-    const filter = {};
-    if (patientName) {
-      filter['patientInfo.name'] = new RegExp(patientName, 'i');
-    }
-    if (patientId) {
-      filter['patientInfo.patientId'] = patientId;
-    }
-    if (startDate || endDate) {
-      filter.createdAt = {};
-      if (startDate) filter.createdAt.$gte = new Date(startDate);
-      if (endDate) filter.createdAt.$lte = new Date(endDate);
-    }
+  if (!q || !q.trim()) {
+    return res.status(400).json({ error: 'Search query is required' });
+  }
 
-    // Build sort object
-    const sort = {};
-    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+  res.json({ concepts: drugDictionary.searchConcepts(q, Math.min(parseInt(limit) || 10, 25)) });
+});
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+// Medications sent for a prescription, with their parsed dose left out so it
+// is read again from the (possibly edited) text
+const prescribedMedications = medications => medications.map(({ structured, ...medication }) => medication);
 
-    const consultations = await Consultation.find(filter)
-      .sort(sort)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .select('-transcript') // Exclude full transcript for performance
-      .lean();
+// 4c. Write a draft prescription on a consultation. Body: { medications, additionalInstructions }
+app.post('/consultations/:consultationId/prescriptions', requirePermission(PERMISSIONS.PRESCRIPTIONS_CREATE), async (req, res) => {
+  try {
+    const { consultationId } = req.params;
+    const { medications } = req.body;
 
-    const total = await Consultation.countDocuments(filter);
+    if (!Array.isArray(medications) || medications.length === 0) {
+      return res.status(400).json({ error: 'Medications are required' });
+    }
 
-    console.log(`📋 Retrieved ${consultations.length} consultations (page ${page})`);
+    const consultation = await Consultation.findOne({ consultationId }).select('patientInfo');
+    if (!consultation) {
+      return res.status(404).json({ error: 'Consultation not found' });
+    }
 
-    res.json({
-      consultations,
-      pagination: {
-        current: parseInt(page),
-        total: Math.ceil(total / parseInt(limit)),
-        count: consultations.length,
-        totalRecords: total
-      }
+    const safetyCheck = await prescriptionSafety.checkPrescription(consultation.patientInfo, prescribedMedications(medications));
+    const created = await prescriptionLifecycle.createPrescription(consultationId, { additionalInstructions: req.body.additionalInstructions }, safetyCheck, { username: req.user.username });
+    if (!created) {
+      return res.status(404).json({ error: 'Consultation not found' });
+    }
+
+    auditLog.annotate(req, { resourceId: created.prescription.prescriptionId, patientId: consultation.patientInfo.patientId, details: { consultationId } });
+    console.log(`💊 Draft prescription ${created.prescription.prescriptionId} written by ${req.user.username}`);
+    res.status(201).json({
+      message: 'Draft prescription saved successfully',
+      prescription: created.prescription
     });
 
   } catch (error) {
-    console.error('Error retrieving consultations:', error);
+    console.error('Error creating prescription:', error);
     res.status(500).json({ 
-      error: 'Failed to retrieve consultations',
+      error: 'Failed to create prescription',
       details: error.message 
     });
   }
 });
 
-// 7. Retrieve a specific consultation by ID
-app.get('/consultations/:consultationId', async (req, res) => {
+// 4d. Edit a draft prescription. Body: { medications, additionalInstructions }.
+// The prescription is checked again with its changes.
+app.put('/consultations/:consultationId/prescriptions/:prescriptionId', requirePermission(PERMISSIONS.PRESCRIPTIONS_CREATE), async (req, res) => {
   try {
-    const { consultationId } = req.params;
+    const { consultationId, prescriptionId } = req.params;
+    const { medications } = req.body;
 
-    const consultation = await Consultation.findOne({ consultationId }).lean();
+    if (!Array.isArray(medications) || medications.length === 0) {
+      return res.status(400).json({ error: 'Medications are required' });
+    }
 
-    if (!consultation) {
-      return res.status(404).json({ error: 'Consultation not found' });
+    const existing = await prescriptionLifecycle.getPrescription(consultationId, prescriptionId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Prescription not found' });
     }
 
-    console.log(`📋 Retrieved consultation: ${consultationId}`);
-    res.json(consultation);
+    const { patientInfo } = existing.consultation;
+    const safetyCheck = await prescriptionSafety.checkPrescription(patientInfo, prescribedMedications(medications), {
+      renews: existing.prescription.renewedFrom
+    });
+    const updated = await prescriptionLifecycle.updateDraft(consultationId, prescriptionId, { additionalInstructions: req.body.additionalInstructions }, safetyCheck);
+    if (!updated) {
+      return res.status(404).json({ error: 'Prescription not found' });
+    }
+
+    auditLog.annotate(req, { resourceId: prescriptionId, patientId: patientInfo.patientId, details: { consultationId } });
+    console.log(`✏️ Draft prescription ${prescriptionId} edited by ${req.user.username}`);
+    res.json({
+      message: 'Draft prescription updated successfully',
+      prescription: updated.prescription
+    });
 
   } catch (error) {
-    console.error('Error retrieving consultation:', error);
+    if (error instanceof consultationReview.ConsultationStatusError) {
+      return respondToStatusError(res, error);
+    }
+    console.error('Error updating prescription:', error);
     res.status(500).json({ 
-      error: 'Failed to retrieve consultation',
+      error: 'Failed to update prescription',
       details: error.message 
     });
   }
 });
 
-// 8. Delete consultation by ID
-app.delete('/consultations/:consultationId', async (req, res) => {
+// 4e. Sign a draft prescription, checking it once more first. Body:
+// { warningsAcknowledged }, required when the prescription has safety warnings
+app.post('/consultations/:consultationId/prescriptions/:prescriptionId/sign', requirePermission(PERMISSIONS.PRESCRIPTIONS_SIGN), async (req, res) => {
   try {
-    const { consultationId } = req.params;
-
-    const deletedConsultation = await Consultation.findOneAndDelete({ consultationId });
+    const { consultationId, prescriptionId } = req.params;
+    const result = await prescriptionLifecycle.signPrescription(consultationId, prescriptionId, {
+      username: req.user.username,
+      warningsAcknowledged: req.body.warningsAcknowledged === true
+    });
 
-    if (!deletedConsultation) {
-      return res.status(404).json({ error: 'Consultation not found' });
+    if (!result) {
+      return res.status(404).json({ error: 'Prescription not found' });
     }
 
-    console.log(`🗑️ Deleted consultation: ${consultationId}`);
-    res.json({ 
-      message: 'Consultation deleted successfully',
-      consultationId: deletedConsultation.consultationId
+    auditLog.annotate(req, { action: 'update', resourceId: prescriptionId, patientId: result.consultation.patientInfo.patientId, details: { consultationId, status: 'signed' } });
+    console.log(`✍️ Prescription ${prescriptionId} signed by ${req.user.username}`);
+    res.json({
+      message: 'Prescription signed successfully',
+      prescription: result.prescription
     });
 
   } catch (error) {
-    console.error('Error deleting consultation:', error);
+    if (error instanceof consultationReview.ConsultationStatusError) {
+      return respondToStatusError(res, error);
+    }
+    console.error('Error signing prescription:', error);
     res.status(500).json({ 
-      error: 'Failed to delete consultation',
+      error: 'Failed to sign prescription',
       details: error.message 
     });
   }
 });
 
-// 9. Update consultation by ID
-app.put('/consultations/:consultationId', async (req, res) => {
+// 4f. Record that a signed prescription was dispensed
+app.post('/consultations/:consultationId/prescriptions/:prescriptionId/dispense', requirePermission(PERMISSIONS.PRESCRIPTIONS_DISPENSE), async (req, res) => {
   try {
-    const { consultationId } = req.params;
-    const updateData = req.body;
+    const { consultationId, prescriptionId } = req.params;
+    const result = await prescriptionLifecycle.dispensePrescription(consultationId, prescriptionId, req.user.username);
 
-    // Remove fields that shouldn't be updated
-    delete updateData._id;
-    delete updateData.consultationId;
-    delete updateData.createdAt;
-
-    const updatedConsultation = await Consultation.findOneAndUpdate(
-      { consultationId },
-      { ...updateData, updatedAt: new Date() },
-      { new: true, runValidators: true }
-    );
-
-    if (!updatedConsultation) {
-      return res.status(404).json({ error: 'Consultation not found' });
+    if (!result) {
+      return res.status(404).json({ error: 'Prescription not found' });
     }
 
-    console.log(`✅ Updated consultation: ${consultationId}`);
+    auditLog.annotate(req, { action: 'update', resourceId: prescriptionId, patientId: result.consultation.patientInfo.patientId, details: { consultationId, status: 'dispensed' } });
+    console.log(`📦 Prescription ${prescriptionId} dispensed by ${req.user.username}`);
     res.json({
-      message: 'Consultation updated successfully',
-      consultation: updatedConsultation
+      message: 'Prescription dispensed successfully',
+      prescription: result.prescription
     });
 
   } catch (error) {
-    console.error('Error updating consultation:', error);
+    if (error instanceof consultationReview.ConsultationStatusError) {
+      return respondToStatusError(res, error);
+    }
+    console.error('Error dispensing prescription:', error);
     res.status(500).json({ 
-      error: 'Failed to update consultation',
+      error: 'Failed to dispense prescription',
       details: error.message 
     });
   }
 });
 
-// 10. Get consultation statistics
-app.get('/stats/consultations', async (req, res) => {
+// 4g. Cancel a prescription, e.g. one written in error or a medication
+// that was stopped. Body: { reason }
+app.post('/consultations/:consultationId/prescriptions/:prescriptionId/cancel', requirePermission(PERMISSIONS.PRESCRIPTIONS_SIGN), async (req, res) => {
   try {
-    const { startDate, endDate } = req.query;
+    const { consultationId, prescriptionId } = req.params;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
 
-    // Build date filter
-    const dateFilter = {};
-    if (startDate || endDate) {
-      dateFilter.createdAt = {};
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason for cancelling is required' });
+    }
+
+    const result = await prescriptionLifecycle.cancelPrescription(consultationId, prescriptionId, {
+      username: req.user.username,
+      reason
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Prescription not found' });
+    }
+
+    auditLog.annotate(req, { action: 'update', resourceId: prescriptionId, patientId: result.consultation.patientInfo.patientId, details: { consultationId, status: 'cancelled' } });
+    console.log(`🚫 Prescription ${prescriptionId} cancelled by ${req.user.username}`);
+    res.json({
+      message: 'Prescription cancelled successfully',
+      prescription: result.prescription
+    });
+
+  } catch (error) {
+    if (error instanceof consultationReview.ConsultationStatusError) {
+      return respondToStatusError(res, error);
+    }
+    console.error('Error cancelling prescription:', error);
+    res.status(500).json({ 
+      error: 'Failed to cancel prescription',
+      details: error.message 
+    });
+  }
+});
+
+// 4h. Renew a signed or dispensed prescription: a new draft on the same
+// consultation with the same medications, checked against the patient's
+// current record
+app.post('/consultations/:consultationId/prescriptions/:prescriptionId/renew', requirePermission(PERMISSIONS.PRESCRIPTIONS_CREATE), async (req, res) => {
+  try {
+    const { consultationId, prescriptionId } = req.params;
+
+    const source = await prescriptionLifecycle.renewalSource(consultationId, prescriptionId);
+    if (!source) {
+      return res.status(404).json({ error: 'Prescription not found' });
+    }
+
+    const { patientInfo } = source.consultation;
+    const { medications, additionalInstructions } = source.prescription.toObject();
+    const safetyCheck = await prescriptionSafety.checkPrescription(
+      patientInfo,
+      prescribedMedications(medications.map(({ _id, ...medication }) => medication)),
+      { renews: prescriptionId }
+    );
+    const renewal = await prescriptionLifecycle.createPrescription(consultationId, { additionalInstructions }, safetyCheck, {
+      username: req.user.username,
+      renewedFrom: prescriptionId
+    });
+    if (!renewal) {
+      return res.status(404).json({ error: 'Prescription not found' });
+    }
+
+    auditLog.annotate(req, { resourceId: renewal.prescription.prescriptionId, patientId: patientInfo.patientId, details: { consultationId, renewedFrom: prescriptionId } });
+    console.log(`🔁 Prescription ${prescriptionId} renewed as ${renewal.prescription.prescriptionId} by ${req.user.username}`);
+    res.status(201).json({
+      message: 'Prescription renewed as a new draft',
+      prescription: renewal.prescription
+    });
+
+  } catch (error) {
+    if (error instanceof consultationReview.ConsultationStatusError) {
+      return respondToStatusError(res, error);
+    }
+    console.error('Error renewing prescription:', error);
+    res.status(500).json({ 
+      error: 'Failed to renew prescription',
+      details: error.message 
+    });
+  }
+});
+
+// 5. Save consultation to MongoDB (Manual save endpoint)
+app.post('/consultations', requirePermission(PERMISSIONS.CONSULTATIONS_RECORD), async (req, res) => {
+  try {
+    const consultationData = req.body;
+
+    // A note starts as a draft whatever the client sends; see consultationReview.js
+    ['status', 'reviewedBy', 'reviewedAt', 'signedBy', 'signedAt', 'amendments'].forEach(field => delete consultationData[field]);
+
+    // Validate required fields
+    if (!consultationData.transcript) {
+      return res.status(400).json({ error: 'Transcript is required' });
+    }
+
+    if (consultationData.patientInfo) {
+      consultationData.patientInfo = await Patient.resolvePatientInfo(consultationData.patientInfo);
+      if (!consultationData.patientInfo) {
+        return res.status(404).json({ error: 'Patient not found' });
+      }
+    }
+
+    const consultation = new Consultation(consultationData);
+    const savedConsultation = await consultation.save();
+    await consultationRevisions.recordRevision(savedConsultation, { kind: 'edit', author: req.user.username });
+    auditLog.annotate(req, { resourceId: savedConsultation.consultationId, patientId: savedConsultation.patientInfo.patientId });
+
+    console.log(`✅ Consultation manually saved with ID: ${savedConsultation.consultationId}`);
+    res.status(201).json({
+      message: 'Consultation saved successfully',
+      consultationId: savedConsultation.consultationId,
+      consultation: savedConsultation
+    });
+
+  } catch (error) {
+    console.error('Error saving consultation:', error);
+    if (error.code === 11000) {
+      res.status(400).json({ error: 'Consultation with this ID already exists' });
+    } else {
+      res.status(500).json({ 
+        error: 'Failed to save consultation',
+        details: error.message 
+      });
+    }
+  }
+});
+
+// 6. Retrieve consultation history with pagination and filtering
+app.get('/consultations', requirePermission(PERMISSIONS.CONSULTATIONS_READ), async (req, res) => {
+  try {
+    const { 
+      page = 1, 
+      limit = 10, 
+      patientName, 
+      patientId, 
+      startDate, 
+      endDate,
+      sortBy = 'createdAt',
+      sortOrder = 'desc'
+    } = req.query;
+
+    // Build filter object
+    const filter = {};
+    if (patientName) {
+      filter['patientInfo.name'] = new RegExp(escapeRegExp(patientName), 'i');
+    }
+    if (patientId) {
+      filter['patientInfo.patientId'] = patientId;
+    }
+    if (startDate || endDate) {
+      filter.createdAt = {};
+      if (startDate) filter.createdAt.$gte = new Date(startDate);
+      if (endDate) filter.createdAt.$lte = new Date(endDate);
+    }
+
+    // Build sort object
+    const sort = {};
+    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const consultations = await Consultation.find(filter)
+      .sort(sort)
+      .skip(skip)
+      .limit(parseInt(limit))
+      .select('-transcript') // Exclude full transcript for performance
+      .lean();
+
+    const total = await Consultation.countDocuments(filter);
+
+    console.log(`📋 Retrieved ${consultations.length} consultations (page ${page})`);
+
+    res.json({
+      consultations: consultations.map(consultation => redactConsultation(consultation, req.user)),
+      pagination: {
+        current: parseInt(page),
+        total: Math.ceil(total / parseInt(limit)),
+        count: consultations.length,
+        totalRecords: total
+      }
+    });
+
+  } catch (error) {
+    console.error('Error retrieving consultations:', error);
+    res.status(500).json({ 
+      error: 'Failed to retrieve consultations',
+      details: error.message 
+    });
+  }
+});
+
+// 7. Retrieve a specific consultation by ID
+app.get('/consultations/:consultationId', requirePermission(PERMISSIONS.CONSULTATIONS_READ), async (req, res) => {
+  try {
+    const { consultationId } = req.params;
+
+    const consultation = await Consultation.findOne({ consultationId }).lean();
+
+    if (!consultation) {
+      return res.status(404).json({ error: 'Consultation not found' });
+    }
+
+    auditLog.annotate(req, { patientId: consultation.patientInfo && consultation.patientInfo.patientId });
+    console.log(`📋 Retrieved consultation: ${consultationId}`);
+    res.json(redactConsultation(consultation, req.user));
+
+  } catch (error) {
+    console.error('Error retrieving consultation:', error);
+    res.status(500).json({ 
+      error: 'Failed to retrieve consultation',
+      details: error.message 
+    });
+  }
+});
+
+// 409 for a change refused by the review or prescription lifecycle or a legal hold
+function respondToStatusError(res, error) {
+  res.status(409).json({ error: error.message, code: error.code, status: error.status });
+}
+
+// 8. Delete consultation by ID. Moves it to the trash (see retention.js);
+// body: { reason }. Refused while the consultation is under legal hold.
+app.delete('/consultations/:consultationId', requirePermission(PERMISSIONS.CONSULTATIONS_DELETE), async (req, res) => {
+  try {
+    const { consultationId } = req.params;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason for deleting the consultation is required' });
+    }
+
+    const deletedConsultation = await retention.softDelete(consultationId, { username: req.user.username, reason });
+
+    if (!deletedConsultation) {
+      return res.status(404).json({ error: 'Consultation not found' });
+    }
+
+    auditLog.annotate(req, { patientId: deletedConsultation.patientInfo.patientId, details: { reason } });
+    console.log(`🗑️ Moved consultation to trash: ${consultationId} (by ${req.user.username}: ${reason})`);
+    res.json({ 
+      message: 'Consultation moved to trash',
+      consultationId: deletedConsultation.consultationId
+    });
+
+  } catch (error) {
+    if (error instanceof consultationReview.ConsultationStatusError) {
+      return respondToStatusError(res, error);
+    }
+    console.error('Error deleting consultation:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete consultation',
+      details: error.message 
+    });
+  }
+});
+
+// 8a. Deleted consultations awaiting purge (admin)
+app.get('/trash/consultations', requirePermission(PERMISSIONS.TRASH_MANAGE), async (req, res) => {
+  try {
+    res.json(await retention.listTrash(req.query));
+  } catch (error) {
+    console.error('Error retrieving trash:', error);
+    res.status(500).json({ 
+      error: 'Failed to retrieve deleted consultations',
+      details: error.message 
+    });
+  }
+});
+
+// 8b. Restore a consultation from the trash
+app.post('/consultations/:consultationId/restore', requirePermission(PERMISSIONS.TRASH_MANAGE), async (req, res) => {
+  try {
+    const { consultationId } = req.params;
+
+    const restoredConsultation = await retention.restore(consultationId);
+
+    if (!restoredConsultation) {
+      return res.status(404).json({ error: 'Consultation not found in trash' });
+    }
+
+    auditLog.annotate(req, { action: 'update', patientId: restoredConsultation.patientInfo.patientId, details: { restored: true } });
+    console.log(`♻️ Restored consultation: ${consultationId} (by ${req.user.username})`);
+    res.json({
+      message: 'Consultation restored successfully',
+      consultationId: restoredConsultation.consultationId
+    });
+
+  } catch (error) {
+    console.error('Error restoring consultation:', error);
+    res.status(500).json({ 
+      error: 'Failed to restore consultation',
+      details: error.message 
+    });
+  }
+});
+
+// 8c. Place or lift a legal hold. Body: { active, reason }
+app.put('/consultations/:consultationId/legal-hold', requirePermission(PERMISSIONS.LEGAL_HOLD_MANAGE), async (req, res) => {
+  try {
+    const { consultationId } = req.params;
+    const active = req.body.active === true;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (active && !reason) {
+      return res.status(400).json({ error: 'A reason for the legal hold is required' });
+    }
+
+    const consultation = await retention.setLegalHold(consultationId, { active, reason, username: req.user.username });
+
+    if (!consultation) {
+      return res.status(404).json({ error: 'Consultation not found' });
+    }
+
+    auditLog.annotate(req, { patientId: consultation.patientInfo.patientId, details: { legalHold: active, reason: reason || undefined } });
+    console.log(`⚖️  Legal hold ${active ? 'placed on' : 'lifted from'} consultation ${consultationId} by ${req.user.username}`);
+    res.json({
+      message: active ? 'Legal hold placed' : 'Legal hold lifted',
+      consultationId,
+      legalHold: consultation.legalHold
+    });
+
+  } catch (error) {
+    console.error('Error updating legal hold:', error);
+    res.status(500).json({ 
+      error: 'Failed to update legal hold',
+      details: error.message 
+    });
+  }
+});
+
+// 9. Update consultation by ID (clinician review). Only draft and reviewed
+// notes can be edited; signed ones are changed through an amendment (9c).
+app.put('/consultations/:consultationId', requirePermission(PERMISSIONS.CONSULTATIONS_UPDATE), async (req, res) => {
+  try {
+    const { consultationId } = req.params;
+    const changes = consultationReview.pickEditableFields(req.body);
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ error: 'No editable fields provided' });
+    }
+
+    const updatedConsultation = await consultationReview.reviewConsultation(consultationId, changes, req.user.username);
+
+    if (!updatedConsultation) {
+      return res.status(404).json({ error: 'Consultation not found' });
+    }
+
+    auditLog.annotate(req, { patientId: updatedConsultation.patientInfo.patientId });
+    console.log(`✅ Updated consultation: ${consultationId} (reviewed by ${req.user.username})`);
+    res.json({
+      message: 'Consultation updated successfully',
+      consultation: updatedConsultation
+    });
+
+  } catch (error) {
+    if (error instanceof consultationReview.ConsultationStatusError) {
+      return respondToStatusError(res, error);
+    }
+    console.error('Error updating consultation:', error);
+    res.status(500).json({ 
+      error: 'Failed to update consultation',
+      details: error.message 
+    });
+  }
+});
+
+// 9a. Record vital signs on a consultation (nursing staff)
+app.patch('/consultations/:consultationId/vitals', requirePermission(PERMISSIONS.VITALS_RECORD), async (req, res) => {
+  try {
+    const { consultationId } = req.params;
+    const { vitals } = req.body;
+
+    if (typeof vitals !== 'string' || !vitals.trim()) {
+      return res.status(400).json({ error: 'Vitals are required' });
+    }
+
+    const updatedConsultation = await consultationReview.recordVitals(consultationId, vitals.trim(), req.user.username);
+
+    if (!updatedConsultation) {
+      return res.status(404).json({ error: 'Consultation not found' });
+    }
+
+    auditLog.annotate(req, { patientId: updatedConsultation.patientInfo.patientId });
+    console.log(`🩺 Vitals recorded for consultation ${consultationId} by ${req.user.username}`);
+    res.json({
+      message: 'Vitals recorded successfully',
+      vitals: updatedConsultation.clinicalSummary.vitals
+    });
+
+  } catch (error) {
+    if (error instanceof consultationReview.ConsultationStatusError) {
+      return respondToStatusError(res, error);
+    }
+    console.error('Error recording vitals:', error);
+    res.status(500).json({ 
+      error: 'Failed to record vitals',
+      details: error.message 
+    });
+  }
+});
+
+// 9b. Sign off a consultation note, recording who approved it and when
+app.post('/consultations/:consultationId/sign', requirePermission(PERMISSIONS.CONSULTATIONS_SIGN), async (req, res) => {
+  try {
+    const { consultationId } = req.params;
+
+    const signedConsultation = await consultationReview.signConsultation(consultationId, req.user.username);
+
+    if (!signedConsultation) {
+      return res.status(404).json({ error: 'Consultation not found' });
+    }
+
+    auditLog.annotate(req, { action: 'update', patientId: signedConsultation.patientInfo.patientId, details: { signed: true } });
+    console.log(`✍️  Consultation ${consultationId} signed off by ${req.user.username}`);
+    res.json({
+      message: 'Consultation signed off successfully',
+      consultation: signedConsultation
+    });
+
+  } catch (error) {
+    if (error instanceof consultationReview.ConsultationStatusError) {
+      return respondToStatusError(res, error);
+    }
+    console.error('Error signing consultation:', error);
+    res.status(500).json({ 
+      error: 'Failed to sign consultation',
+      details: error.message 
+    });
+  }
+});
+
+// 9c. Amend a signed consultation. Body: { reason, ...edited sections }
+app.post('/consultations/:consultationId/amendments', requirePermission(PERMISSIONS.CONSULTATIONS_SIGN), async (req, res) => {
+  try {
+    const { consultationId } = req.params;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    const changes = consultationReview.pickEditableFields(req.body);
+
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason for the amendment is required' });
+    }
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ error: 'No editable fields provided' });
+    }
+
+    const amendedConsultation = await consultationReview.amendConsultation(consultationId, changes, {
+      username: req.user.username,
+      reason
+    });
+
+    if (!amendedConsultation) {
+      return res.status(404).json({ error: 'Consultation not found' });
+    }
+
+    auditLog.annotate(req, { action: 'update', patientId: amendedConsultation.patientInfo.patientId, details: { amendment: reason } });
+    console.log(`📝 Consultation ${consultationId} amended by ${req.user.username}: ${Object.keys(changes).join(', ')}`);
+    res.status(201).json({
+      message: 'Amendment recorded successfully',
+      consultation: amendedConsultation
+    });
+
+  } catch (error) {
+    if (error instanceof consultationReview.ConsultationStatusError) {
+      return respondToStatusError(res, error);
+    }
+    console.error('Error amending consultation:', error);
+    res.status(500).json({ 
+      error: 'Failed to amend consultation',
+      details: error.message 
+    });
+  }
+});
+
+// 9d. Version history of a consultation note: the AI original, every
+// clinician edit, vitals entry and amendment, oldest first
+app.get('/consultations/:consultationId/revisions', requirePermission(PERMISSIONS.CONSULTATIONS_READ, PERMISSIONS.CLINICAL_READ), async (req, res) => {
+  try {
+    const { consultationId } = req.params;
+
+    if (!(await Consultation.exists({ consultationId }))) {
+      return res.status(404).json({ error: 'Consultation not found' });
+    }
+
+    const revisions = await consultationRevisions.listRevisions(consultationId);
+    res.json({
+      consultationId,
+      revisions: revisions.map(({ _id, __v, ...revision }) => revision)
+    });
+
+  } catch (error) {
+    console.error('Error retrieving consultation revisions:', error);
+    res.status(500).json({ 
+      error: 'Failed to retrieve consultation revisions',
+      details: error.message 
+    });
+  }
+});
+
+// 9e. Field-level changes between two versions: ?from=1&to=3
+app.get('/consultations/:consultationId/revisions/diff', requirePermission(PERMISSIONS.CONSULTATIONS_READ, PERMISSIONS.CLINICAL_READ), async (req, res) => {
+  try {
+    const { consultationId } = req.params;
+    const from = parseInt(req.query.from, 10);
+    const to = parseInt(req.query.to, 10);
+
+    if (!Number.isInteger(from) || !Number.isInteger(to)) {
+      return res.status(400).json({ error: 'Both from and to versions are required' });
+    }
+
+    const [fromRevision, toRevision] = await Promise.all([
+      consultationRevisions.getRevision(consultationId, from),
+      consultationRevisions.getRevision(consultationId, to)
+    ]);
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    const describe = ({ version, kind, author, reason, createdAt }) => ({ version, kind, author, reason, createdAt });
+    res.json({
+      consultationId,
+      from: describe(fromRevision),
+      to: describe(toRevision),
+      changes: consultationRevisions.diffSnapshots(fromRevision.snapshot, toRevision.snapshot)
+    });
+
+  } catch (error) {
+    console.error('Error comparing consultation revisions:', error);
+    res.status(500).json({ 
+      error: 'Failed to compare consultation revisions',
+      details: error.message 
+    });
+  }
+});
+
+// 10. Get consultation statistics
+app.get('/stats/consultations', requirePermission(PERMISSIONS.STATS_READ), async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    // Build date filter
+    const dateFilter = {};
+    if (startDate || endDate) {
+      dateFilter.createdAt = {};
       if (startDate) dateFilter.createdAt.$gte = new Date(startDate);
       if (endDate) dateFilter.createdAt.$lte = new Date(endDate);
     }
 
-    const [totalStats, recentStats] = await Promise.all([
-      Consultation.aggregate([
-        { $match: dateFilter },
-        {
-          $group: {
-            _id: null,
-            totalConsultations: { $sum: 1 },
-            avgConfidenceScore: { $avg: '$analysisMetadata.confidenceScore' },
-            totalPatients: { $addToSet: '$patientInfo.patientId' }
-          }
-        }
-      ]),
-      Consultation.aggregate([
-        { $match: { createdAt: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) } } },
-        {
-          $group: {
-            _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
-            count: { $sum: 1 }
-          }
-        },
-        { $sort: { _id: 1 } }
-      ])
+    const [totalStats, recentStats] = await Promise.all([
+      Consultation.aggregate([
+        { $match: dateFilter },
+        {
+          $group: {
+            _id: null,
+            totalConsultations: { $sum: 1 },
+            avgConfidenceScore: { $avg: '$analysisMetadata.confidenceScore' },
+            totalPatients: { $addToSet: '$patientInfo.patientId' }
+          }
+        }
+      ]),
+      Consultation.aggregate([
+        { $match: { createdAt: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) } } },
+        {
+          $group: {
+            _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+            count: { $sum: 1 }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ])
+    ]);
+
+    const stats = {
+      total: totalStats[0] || { totalConsultations: 0, avgConfidenceScore: 0, totalPatients: [] },
+      dailyTrend: recentStats,
+      uniquePatients: totalStats[0] ? totalStats[0].totalPatients.length : 0
+    };
+
+    res.json(stats);
+
+  } catch (error) {
+    console.error('Error retrieving consultation stats:', error);
+    res.status(500).json({ 
+      error: 'Failed to retrieve consultation statistics',
+      details: error.message 
+    });
+  }
+});
+
+// --- BACKGROUND JOB ROUTES ---
+
+// Load a job the current user may see: their own, or any job for admins
+async function findVisibleJob(req) {
+  const job = await Job.findOne({ jobId: req.params.jobId });
+  if (!job) return null;
+  if (job.createdBy !== req.user.username && !hasPermission(req.user, PERMISSIONS.USERS_MANAGE)) return null;
+  return job;
+}
+
+// Submit a consultation (audio file or transcript) for background processing.
+// Accepts multipart form data, with patientInfo as a JSON string, or plain JSON.
+// Several `audio` files are joined in order into one recording. With an
+// Idempotency-Key header, resubmitting returns the job created the first time
+// (200 instead of 202), so clients can retry uploads safely.
+app.post('/jobs/consultations', requirePermission(PERMISSIONS.CONSULTATIONS_RECORD), upload.array('audio', MAX_AUDIO_SEGMENTS), async (req, res) => {
+  const hasAudio = Boolean(req.files && req.files.length > 0);
+  const idempotencyKey = req.get('Idempotency-Key') || undefined;
+  let audio;
+  const discardUpload = () => {
+    if (audio) fs.unlink(audio.filePath, () => {});
+    else discardUploads(req);
+  };
+  const findPreviousSubmission = async () => (idempotencyKey
+    ? Job.findOne({ createdBy: req.user.username, idempotencyKey })
+    : null);
+
+  try {
+    const previousJob = await findPreviousSubmission();
+    if (previousJob) {
+      discardUpload();
+      console.log(`🔁 Duplicate submission ${idempotencyKey}, returning job ${previousJob.jobId}`);
+      return res.json(previousJob.toStatusJSON());
+    }
+
+    const { transcript, consultationDuration } = req.body;
+    if (!hasAudio && !transcript) {
+      return res.status(400).json({ error: 'An audio file or transcript is required' });
+    }
+
+    let requestedPatientInfo = req.body.patientInfo;
+    if (typeof requestedPatientInfo === 'string') {
+      try {
+        requestedPatientInfo = JSON.parse(requestedPatientInfo);
+      } catch (parseError) {
+        discardUpload();
+        return res.status(400).json({ error: 'patientInfo must be valid JSON' });
+      }
+    }
+
+    const patientInfo = await Patient.resolvePatientInfo(requestedPatientInfo);
+    if (!patientInfo) {
+      discardUpload();
+      return res.status(404).json({ error: 'Patient not found' });
+    }
+
+    if (hasAudio) {
+      audio = await normalizeUploadedAudio(req, res);
+      if (!audio) return;
+    }
+
+    const job = await jobWorker.enqueueConsultationJob({
+      audioFile: audio ? audio.filename : undefined,
+      transcript,
+      patientInfo,
+      consultationDuration,
+      createdBy: req.user.username,
+      idempotencyKey
+    });
+
+    auditLog.annotate(req, { resourceId: job.jobId, patientId: patientInfo.patientId });
+    res.status(202).json(job.toStatusJSON());
+
+  } catch (error) {
+    discardUpload();
+    // The same submission raced in on another connection and won
+    const previousJob = error.code === 11000 ? await findPreviousSubmission().catch(() => null) : null;
+    if (previousJob) {
+      return res.json(previousJob.toStatusJSON());
+    }
+    console.error('Error submitting consultation job:', error);
+    res.status(500).json({ 
+      error: 'Failed to submit consultation',
+      details: error.message 
+    });
+  }
+});
+
+// Poll a job's status; the analysis result is included once it is done
+app.get('/jobs/:jobId', requirePermission(PERMISSIONS.CONSULTATIONS_RECORD), async (req, res) => {
+  try {
+    const job = await findVisibleJob(req);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(job.toStatusJSON());
+
+  } catch (error) {
+    console.error('Error retrieving job:', error);
+    res.status(500).json({ 
+      error: 'Failed to retrieve job',
+      details: error.message 
+    });
+  }
+});
+
+// Live progress as Server-Sent Events. Sends a "status" snapshot first, then
+// "stage", "tokens", "saved", "done" and "failed" events as the worker runs.
+// EventSource can't send headers, so the access token may be given as ?access_token=.
+app.get('/jobs/:jobId/events', requirePermission(PERMISSIONS.CONSULTATIONS_RECORD), async (req, res) => {
+  // Subscribe before loading the job so no event is missed in between
+  const pending = [];
+  let deliver = event => pending.push(event);
+  const unsubscribe = jobEvents.subscribe(req.params.jobId, event => deliver(event));
+
+  let job;
+  try {
+    job = await findVisibleJob(req);
+  } catch (error) {
+    unsubscribe();
+    console.error('Error retrieving job:', error);
+    return res.status(500).json({ 
+      error: 'Failed to retrieve job',
+      details: error.message 
+    });
+  }
+  if (!job) {
+    unsubscribe();
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // stop nginx from buffering the stream
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  };
+  req.on('close', close);
+
+  const send = (type, data) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    if (type === 'done' || type === 'failed') close();
+  };
+
+  const { result, ...status } = job.toStatusJSON(); // the result is fetched separately once done
+  send('status', status);
+  if (job.status === 'done' || job.status === 'failed') {
+    return send(job.status, { jobId: job.jobId, consultationId: job.consultationId, error: job.error });
+  }
+
+  deliver = ({ type, data }) => send(type, data);
+  pending.forEach(deliver);
+});
+
+// Retry a failed job from the stage that failed
+app.post('/jobs/:jobId/retry', requirePermission(PERMISSIONS.CONSULTATIONS_RECORD), async (req, res) => {
+  try {
+    const job = await findVisibleJob(req);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (job.status !== 'failed') {
+      return res.status(409).json({ error: `Only failed jobs can be retried (job is ${job.status})` });
+    }
+
+    await jobWorker.retryJob(job);
+    console.log(`🔁 Job ${job.jobId} requeued by ${req.user.username}`);
+    res.status(202).json(job.toStatusJSON());
+
+  } catch (error) {
+    console.error('Error retrying job:', error);
+    res.status(500).json({ 
+      error: 'Failed to retry job',
+      details: error.message 
+    });
+  }
+});
+
+// --- PATIENT REGISTRY ROUTES ---
+
+// Fields a client may set on a patient record
+const PATIENT_FIELDS = ['mrn', 'firstName', 'lastName', 'dateOfBirth', 'gender', 'contact', 'allergies', 'chronicConditions', 'weightKg', 'pregnancyStatus', 'renalFunction', 'notes'];
+
+function pickPatientFields(body) {
+  return PATIENT_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+}
+
+// Register a patient
+app.post('/patients', requirePermission(PERMISSIONS.PATIENTS_REGISTER), async (req, res) => {
+  try {
+    const patient = new Patient({
+      ...pickPatientFields(req.body),
+      createdBy: req.user.username
+    });
+    const savedPatient = await patient.save();
+
+    console.log(`🧑 Patient registered: ${savedPatient.patientId}`);
+    res.status(201).json({
+      message: 'Patient registered successfully',
+      patient: savedPatient
+    });
+
+  } catch (error) {
+    console.error('Error registering patient:', error);
+    if (error.code === 11000) {
+      res.status(400).json({ error: 'A patient with this MRN already exists' });
+    } else if (error.name === 'ValidationError') {
+      res.status(400).json({ error: 'Invalid patient data', details: error.message });
+    } else {
+      res.status(500).json({ 
+        error: 'Failed to register patient',
+        details: error.message 
+      });
+    }
+  }
+});
+
+// Search patients by name, MRN, patient ID or phone number
+app.get('/patients', requirePermission(PERMISSIONS.PATIENTS_READ), async (req, res) => {
+  try {
+    const { search, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (search && search.trim()) {
+      const terms = search.trim().split(/\s+/).map(term => new RegExp(escapeRegExp(term), 'i'));
+      // Every search term must match at least one identifying field
+      filter.$and = terms.map(term => ({
+        $or: [
+          { firstName: term },
+          { lastName: term },
+          { mrn: term },
+          { patientId: term },
+          { 'contact.phone': term }
+        ]
+      }));
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [patients, total] = await Promise.all([
+      Patient.find(filter)
+        .sort({ lastName: 1, firstName: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Patient.countDocuments(filter)
     ]);
 
-    const stats = {
-      total: totalStats[0] || { totalConsultations: 0, avgConfidenceScore: 0, totalPatients: [] },
-      dailyTrend: recentStats,
-      uniquePatients: totalStats[0] ? totalStats[0].totalPatients.length : 0
-    };
+    res.json({
+      patients,
+      pagination: {
+        current: parseInt(page),
+        total: Math.ceil(total / parseInt(limit)),
+        count: patients.length,
+        totalRecords: total
+      }
+    });
 
-    res.json(stats);
+  } catch (error) {
+    console.error('Error searching patients:', error);
+    res.status(500).json({ 
+      error: 'Failed to retrieve patients',
+      details: error.message 
+    });
+  }
+});
+
+// Retrieve a patient
+app.get('/patients/:patientId', requirePermission(PERMISSIONS.PATIENTS_READ), async (req, res) => {
+  try {
+    const patient = await Patient.findOne({ patientId: req.params.patientId });
+
+    if (!patient) {
+      return res.status(404).json({ error: 'Patient not found' });
+    }
+
+    res.json(patient);
 
   } catch (error) {
-    console.error('Error retrieving consultation stats:', error);
+    console.error('Error retrieving patient:', error);
     res.status(500).json({ 
-      error: 'Failed to retrieve consultation statistics',
+      error: 'Failed to retrieve patient',
+      details: error.message 
+    });
+  }
+});
+
+// Longitudinal chart: every consultation for the patient in date order,
+// with diagnosis trends, active medications and outstanding follow-ups
+app.get('/patients/:patientId/timeline', requirePermission(PERMISSIONS.PATIENTS_READ, PERMISSIONS.CLINICAL_READ), async (req, res) => {
+  try {
+    const patient = await Patient.findOne({ patientId: req.params.patientId });
+
+    if (!patient) {
+      return res.status(404).json({ error: 'Patient not found' });
+    }
+
+    const chart = await patientHistory.buildPatientChart(patient.patientId);
+
+    console.log(`📈 Built chart for patient ${patient.patientId} (${chart.timeline.length} consultations)`);
+    res.json({ patient, ...chart });
+
+  } catch (error) {
+    console.error('Error building patient timeline:', error);
+    res.status(500).json({ 
+      error: 'Failed to retrieve patient timeline',
+      details: error.message 
+    });
+  }
+});
+
+// Active medications: from signed or dispensed prescriptions that haven't
+// been cancelled or expired, and whose course hasn't ended
+app.get('/patients/:patientId/medications', requirePermission(PERMISSIONS.PATIENTS_READ, PERMISSIONS.CLINICAL_READ), async (req, res) => {
+  try {
+    const patient = await Patient.findOne({ patientId: req.params.patientId });
+
+    if (!patient) {
+      return res.status(404).json({ error: 'Patient not found' });
+    }
+
+    const consultations = await patientHistory.getPatientTimeline(patient.patientId);
+    res.json({ medications: patientHistory.getActiveMedications(consultations) });
+
+  } catch (error) {
+    console.error('Error retrieving active medications:', error);
+    res.status(500).json({ 
+      error: 'Failed to retrieve active medications',
+      details: error.message 
+    });
+  }
+});
+
+// Update a patient
+app.put('/patients/:patientId', requirePermission(PERMISSIONS.PATIENTS_REGISTER), async (req, res) => {
+  try {
+    const patient = await Patient.findOne({ patientId: req.params.patientId });
+
+    if (!patient) {
+      return res.status(404).json({ error: 'Patient not found' });
+    }
+
+    patient.set(pickPatientFields(req.body));
+    const updatedPatient = await patient.save();
+
+    console.log(`✅ Updated patient: ${updatedPatient.patientId}`);
+    res.json({
+      message: 'Patient updated successfully',
+      patient: updatedPatient
+    });
+
+  } catch (error) {
+    console.error('Error updating patient:', error);
+    if (error.code === 11000) {
+      res.status(400).json({ error: 'A patient with this MRN already exists' });
+    } else if (error.name === 'ValidationError') {
+      res.status(400).json({ error: 'Invalid patient data', details: error.message });
+    } else {
+      res.status(500).json({ 
+        error: 'Failed to update patient',
+        details: error.message 
+      });
+    }
+  }
+});
+
+// Delete a patient that has no consultations on record
+app.delete('/patients/:patientId', requirePermission(PERMISSIONS.PATIENTS_DELETE), async (req, res) => {
+  try {
+    const { patientId } = req.params;
+
+    // Consultations in the trash still count until they are purged
+    const consultationCount = await Consultation.countDocuments({ 'patientInfo.patientId': patientId })
+      .setOptions({ withDeleted: true });
+    if (consultationCount > 0) {
+      return res.status(409).json({ 
+        error: 'Patient has consultations on record and cannot be deleted',
+        consultationCount 
+      });
+    }
+
+    const deletedPatient = await Patient.findOneAndDelete({ patientId });
+
+    if (!deletedPatient) {
+      return res.status(404).json({ error: 'Patient not found' });
+    }
+
+    console.log(`🗑️ Deleted patient: ${patientId}`);
+    res.json({ 
+      message: 'Patient deleted successfully',
+      patientId: deletedPatient.patientId
+    });
+
+  } catch (error) {
+    console.error('Error deleting patient:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete patient',
+      details: error.message 
+    });
+  }
+});
+
+// --- USER MANAGEMENT ROUTES (admin) ---
+
+// List users
+app.get('/users', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  try {
+    const users = await User.find().sort({ username: 1 });
+    res.json({
+      users: users.map(user => ({
+        ...user.toPublicJSON(),
+        active: user.active,
+        lastLoginAt: user.lastLoginAt
+      })),
+      roles: ROLES
+    });
+  } catch (error) {
+    console.error('Error retrieving users:', error);
+    res.status(500).json({ 
+      error: 'Failed to retrieve users',
+      details: error.message 
+    });
+  }
+});
+
+// Create a user
+app.post('/users', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  try {
+    const { username, password, displayName, role } = req.body;
+
+    if (!username || !password || password.length < 8) {
+      return res.status(400).json({ error: 'Username and a password of at least 8 characters are required' });
+    }
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    const user = await User.create({
+      username,
+      passwordHash: await auth.hashPassword(password),
+      displayName,
+      role
+    });
+
+    console.log(`👤 User ${user.username} (${user.role}) created by ${req.user.username}`);
+    res.status(201).json({ message: 'User created successfully', user: user.toPublicJSON() });
+
+  } catch (error) {
+    console.error('Error creating user:', error);
+    if (error.code === 11000) {
+      res.status(400).json({ error: 'A user with this username already exists' });
+    } else {
+      res.status(500).json({ 
+        error: 'Failed to create user',
+        details: error.message 
+      });
+    }
+  }
+});
+
+// Change a user's role, status or password
+app.put('/users/:userId', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  try {
+    const { role, active, displayName, password } = req.body;
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (role !== undefined && !ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+    if (password !== undefined && password.length < 8) {
+      return res.status(400).json({ error: 'Password must be at least 8 characters long' });
+    }
+
+    if (role !== undefined) user.role = role;
+    if (active !== undefined) user.active = Boolean(active);
+    if (displayName !== undefined) user.displayName = displayName;
+    if (password !== undefined) user.passwordHash = await auth.hashPassword(password);
+    await user.save();
+
+    console.log(`👤 User ${user.username} updated by ${req.user.username}`);
+    res.json({ message: 'User updated successfully', user: user.toPublicJSON() });
+
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(500).json({ 
+      error: 'Failed to update user',
+      details: error.message 
+    });
+  }
+});
+
+// --- AUDIT LOG ROUTES ---
+
+// What the browser exports, with the permission needed to export it
+const EXPORT_PERMISSIONS = {
+  consultations: PERMISSIONS.REPORTS_EXPORT,
+  prescriptions: PERMISSIONS.PRESCRIPTIONS_CREATE
+};
+
+// Record a report or prescription the browser exported (PDFs are generated
+// client-side, so the server wouldn't otherwise know). Body: { resource,
+// resourceId, patientId, format }, where resource is 'consultations' or
+// 'prescriptions'. The entry is written by auditLog.auditTrail.
+app.post('/audit/exports', (req, res) => {
+  const { resource, resourceId, patientId, format } = req.body;
+  if (!Object.prototype.hasOwnProperty.call(EXPORT_PERMISSIONS, resource)) {
+    return res.status(400).json({ error: `The exported resource must be one of: ${Object.keys(EXPORT_PERMISSIONS).join(', ')}` });
+  }
+
+  // The permission depends on what was exported
+  requirePermission(EXPORT_PERMISSIONS[resource])(req, res, () => {
+    auditLog.annotate(req, {
+      action: 'export',
+      resource,
+      resourceId: resourceId ? String(resourceId) : undefined,
+      patientId: patientId ? String(patientId) : undefined,
+      details: { format: format || 'pdf' }
+    });
+    res.status(201).json({ message: 'Export recorded' });
+  });
+});
+
+// Query the audit trail: ?username=&patientId=&action=&resource=&startDate=&endDate=&page=&limit=
+app.get('/audit', requirePermission(PERMISSIONS.AUDIT_READ), async (req, res) => {
+  try {
+    res.json(await auditLog.queryAuditLog(req.query));
+  } catch (error) {
+    console.error('Error retrieving audit log:', error);
+    res.status(500).json({ 
+      error: 'Failed to retrieve audit log',
+      details: error.message 
+    });
+  }
+});
+
+// Recompute the hash chain to check no entry was altered or removed
+app.get('/audit/verify', requirePermission(PERMISSIONS.AUDIT_READ), async (req, res) => {
+  try {
+    const result = await auditLog.verifyChain();
+    if (!result.valid) {
+      console.error(`🚨 Audit log chain broken at entry ${result.brokenAt}`);
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Error verifying audit log:', error);
+    res.status(500).json({ 
+      error: 'Failed to verify audit log',
+      details: error.message 
+    });
+  }
+});
+
+// --- RESEARCH EXPORT ROUTES ---
+
+// De-identified research dataset built from the consultations, one record per
+// line (NDJSON, see deidentify.researchRecord). ?startDate=&endDate=
+app.get('/research/consultations/export', requirePermission(PERMISSIONS.RESEARCH_EXPORT), async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const filter = {};
+    if (startDate || endDate) {
+      filter.createdAt = {};
+      if (startDate) filter.createdAt.$gte = new Date(startDate);
+      if (endDate) filter.createdAt.$lte = new Date(endDate);
+    }
+
+    const key = deidentify.researchExportKey();
+    const identifiersByPatient = new Map(); // each registered patient is looked up once
+    const cursor = Consultation.find(filter).sort({ createdAt: 1 }).cursor(); // not lean: documents are decrypted as they load
+
+    res.attachment(`ninisina-research-export-${new Date().toISOString().slice(0, 10)}.ndjson`);
+    res.type('application/x-ndjson');
+
+    let records = 0;
+    for await (const document of cursor) {
+      const consultation = document.toObject();
+      const patientId = consultation.patientInfo && consultation.patientInfo.patientId;
+      let identifiers = patientId && identifiersByPatient.get(patientId);
+      if (!identifiers) {
+        identifiers = await deidentify.identifiersFor(consultation.patientInfo);
+        if (patientId) identifiersByPatient.set(patientId, identifiers);
+      }
+      res.write(`${JSON.stringify(deidentify.researchRecord(consultation, identifiers, key))}\n`);
+      records++;
+    }
+
+    auditLog.annotate(req, { action: 'export', resource: 'research', details: { format: 'ndjson', records } });
+    console.log(`🔬 Research export of ${records} de-identified consultation(s)`);
+    res.end();
+  } catch (error) {
+    console.error('Error exporting research dataset:', error);
+    if (res.headersSent) return res.destroy(error); // part of the file is already out
+    res.status(500).json({ 
+      error: 'Failed to export research dataset',
       details: error.message 
     });
   }
@@ -1029,18 +1773,21 @@ app.use((error, req, res, next) => {
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('🔄 Shutting down gracefully...');
+  jobWorker.stop();
+  retention.stop();
+  audioStorage.stop();
   await mongoose.connection.close();
   console.log('✅ MongoDB connection closed.');
   process.exit(0);
 });
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`🚀 Ninisina Medical AI Backend running on http://localhost:${PORT}`);
-  if (OPENAI_API_KEY) {
-    console.log('✅ OpenAI API key loaded successfully.');
-  } else {
-    console.log('⚠️  Warning: OpenAI API key is NOT configured. The application will not work.');
-  }
+  console.log(`🎤 Transcription provider: ${transcription.getTranscriptionProvider().name}`);
+  console.log(`🤖 LLM provider: ${llm.getLLMProvider().name} (analysis model: ${llm.modelFor('analysis')})`);
   console.log(`🔗 MongoDB URI: ${MONGODB_URI}`);
-});
\ No newline at end of file
+});
+
+// Live transcription WebSocket (/live-transcription)
+liveTranscription.attach(server);
\ No newline at end of file
@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { planSegments, stitchTranscriptions } = require('../audioSegmentation');
+
+const options = { targetSeconds: 600, maxSeconds: 720, overlapSeconds: 2 };
+
+test('a recording within the maximum is one segment', () => {
+  assert.deepEqual(planSegments(300, [], options), [{ start: 0, end: 300, keepFrom: 0, keepUntil: 300 }]);
+});
+
+test('cuts are placed in the silence closest to the target length, widened by the overlap', () => {
+  const silences = [{ start: 580, end: 590 }, { start: 700, end: 701 }, { start: 1190, end: 1200 }];
+  assert.deepEqual(planSegments(1500, silences, options), [
+    { start: 0, end: 587, keepFrom: 0, keepUntil: 585 },
+    { start: 583, end: 1197, keepFrom: 585, keepUntil: 1195 },
+    { start: 1193, end: 1500, keepFrom: 1195, keepUntil: 1500 }
+  ]);
+});
+
+test('without a silence in range the recording is cut hard at the maximum', () => {
+  const plans = planSegments(1500, [{ start: 100, end: 101 }], options);
+  assert.deepEqual(plans.map(plan => plan.keepUntil), [718, 1434, 1500]);
+  plans.forEach(plan => assert.ok(plan.end - plan.start <= options.maxSeconds));
+});
+
+const result = (segments, language = 'en') => ({
+  text: segments.map(segment => segment.text).join(' '),
+  language,
+  segments,
+  provider: 'openai',
+  model: 'whisper-1'
+});
+
+test('stitching offsets timestamps and keeps each phrase of the overlap once', () => {
+  const plans = [
+    { start: 0, end: 12, keepFrom: 0, keepUntil: 10 },
+    { start: 8, end: 20, keepFrom: 10, keepUntil: 20 }
+  ];
+  const stitched = stitchTranscriptions(plans, [
+    result([{ start: 0, end: 4, text: 'Good morning.' }, { start: 9, end: 11.5, text: 'Any allergies?' }]),
+    result([{ start: 1, end: 3.5, text: 'Any allergies?' }, { start: 4, end: 8, text: 'None that I know of.' }])
+  ], 20);
+
+  assert.equal(stitched.text, 'Good morning. Any allergies? None that I know of.');
+  assert.deepEqual(stitched.segments.map(segment => [segment.start, segment.end]), [[0, 4], [9, 11.5], [12, 16]]);
+  assert.equal(stitched.duration, 20);
+  assert.equal(stitched.provider, 'openai');
+});
+
+test('a segment without timestamps is kept whole for the span it owns', () => {
+  const plans = [
+    { start: 0, end: 12, keepFrom: 0, keepUntil: 10 },
+    { start: 8, end: 20, keepFrom: 10, keepUntil: 20 }
+  ];
+  const stitched = stitchTranscriptions(plans, [
+    result([{ start: 0, end: 4, text: 'Good morning.' }], 'fr'),
+    { text: 'How are you?', language: 'en', segments: [], provider: 'openai', model: 'whisper-1' },
+    { text: '', language: 'en', segments: [], provider: 'openai', model: 'whisper-1' }
+  ], 20);
+
+  assert.deepEqual(stitched.segments.map(segment => [segment.start, segment.end, segment.text]), [[0, 4, 'Good morning.'], [10, 20, 'How are you?']]);
+  assert.equal(stitched.language, 'en');
+});
@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { diffSnapshots } = require('../consultationRevisions');
+
+test('identical snapshots have no differences', () => {
+  const snapshot = { clinicalSummary: { assessment: 'Viral URTI' }, keyPoints: ['Rest', 'Fluids'] };
+  assert.deepEqual(diffSnapshots(snapshot, JSON.parse(JSON.stringify(snapshot))), []);
+});
+
+test('changed fields are reported by their path', () => {
+  const before = { clinicalSummary: { assessment: 'Viral URTI', plan: 'Rest' }, medicalInsights: { redFlags: [{ flag: 'Fever', status: 'Monitor' }] } };
+  const after = { clinicalSummary: { assessment: 'Bacterial sinusitis', plan: 'Rest' }, medicalInsights: { redFlags: [{ flag: 'Fever', status: 'Noted' }] } };
+  assert.deepEqual(diffSnapshots(before, after), [
+    { path: 'clinicalSummary.assessment', before: 'Viral URTI', after: 'Bacterial sinusitis' },
+    { path: 'medicalInsights.redFlags[0].status', before: 'Monitor', after: 'Noted' }
+  ]);
+});
+
+test('added and removed array items show up field by field', () => {
+  assert.deepEqual(diffSnapshots({ keyPoints: ['Rest'] }, { keyPoints: ['Rest', 'Fluids'] }), [
+    { path: 'keyPoints[1]', before: undefined, after: 'Fluids' }
+  ]);
+  assert.deepEqual(diffSnapshots(
+    { followUpReminders: [{ type: 'lab', message: 'FBC' }] },
+    { followUpReminders: [] }
+  ), [
+    { path: 'followUpReminders[0].type', before: 'lab', after: undefined },
+    { path: 'followUpReminders[0].message', before: 'FBC', after: undefined }
+  ]);
+});
+
+test('a field added to a snapshot is reported against undefined', () => {
+  assert.deepEqual(diffSnapshots({}, { intervalChange: { summary: 'Improved' } }), [
+    { path: 'intervalChange.summary', before: undefined, after: 'Improved' }
+  ]);
+});
+
+test('a value that changes type is reported whole', () => {
+  assert.deepEqual(diffSnapshots({ clinicalSummary: { vitals: 'BP 120/80' } }, { clinicalSummary: { vitals: { bp: '120/80' } } }), [
+    { path: 'clinicalSummary.vitals', before: 'BP 120/80', after: { bp: '120/80' } }
+  ]);
+});
@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPseudonymizer } = require('../deidentify');
+
+test('the patient\'s names are replaced wherever they are written capitalised', () => {
+  const { deidentify } = createPseudonymizer({ name: 'Grace Hope', firstName: 'Grace', lastName: 'Hope' });
+  assert.equal(
+    deidentify('Grace Hope came in today. GRACE says Hope is her maiden name.'),
+    '[PATIENT_NAME] came in today. [PATIENT_FIRST_NAME] says [PATIENT_LAST_NAME] is her maiden name.'
+  );
+});
+
+test('clinical text that shares words with the patient\'s names survives', () => {
+  const { deidentify } = createPseudonymizer({ name: 'May Gray', firstName: 'May', lastName: 'Gray' });
+  const text = 'Symptoms may return after the grace period; we hope the gray matter lesion is stable.';
+  assert.equal(deidentify(text), text);
+});
+
+test('other identifiers are replaced whatever their case, and put back afterwards', () => {
+  const { deidentify, reidentify } = createPseudonymizer({ name: 'Ada Lovelace', mrn: 'AB12345', contact: { email: 'ada@example.org' } });
+  const text = 'MRN ab12345, reachable at ada@example.org. Seen by Dr. Babbage on 12/03/2024.';
+  const deidentified = deidentify(text);
+  assert.doesNotMatch(deidentified, /ab12345|ada@example\.org|Babbage|12\/03\/2024/i);
+  assert.match(deidentified, /\[ID_MRN\]/);
+  assert.equal(reidentify(deidentified), text.replace('ab12345', 'AB12345'));
+});
+
+test('the same value gets the same placeholder throughout', () => {
+  const { deidentify } = createPseudonymizer();
+  assert.deepEqual(
+    deidentify({ note: 'Mr Smith called.', plan: ['Call Mr Smith back', 'Ask Mrs Jones'] }),
+    { note: 'Mr [PERSON_1] called.', plan: ['Call Mr [PERSON_1] back', 'Ask Mrs [PERSON_2]'] }
+  );
+});
+
+test('ages over 89 are reported as a band and the patient id is dropped', () => {
+  const { patientInfo } = createPseudonymizer({ name: 'Ada Lovelace' });
+  assert.deepEqual(patientInfo({ name: 'Ada Lovelace', patientId: 'PAT-1', age: 93, gender: 'female' }), {
+    name: '[PATIENT_NAME]',
+    patientId: undefined,
+    age: '90 or older',
+    gender: 'female'
+  });
+});
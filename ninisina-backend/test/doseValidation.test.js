@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseFrequency, validateDoses } = require('../doseValidation');
+
+const dailyWarnings = warnings => warnings.filter(warning => /per day exceeds/.test(warning.mechanism));
+
+test('a range of intervals counts doses a day at the shortest interval', () => {
+  assert.deepEqual(parseFrequency('every 4-6 hours as needed'), {
+    dosesPerDay: 6,
+    intervalHours: 4,
+    asNeeded: true,
+    single: false
+  });
+  assert.equal(parseFrequency('q2-6h').dosesPerDay, 12);
+});
+
+test('a stated maximum a day takes precedence over the interval', () => {
+  assert.equal(parseFrequency('every 4 to 6 hours prn, max 3 doses in 24 hours').dosesPerDay, 3);
+  assert.equal(parseFrequency('every 4 hours, up to 4 times a day').dosesPerDay, 4);
+});
+
+test('paracetamol 1000 mg every 4-6 hours as needed is 6 g a day, over the maximum', () => {
+  const { warnings } = validateDoses([
+    { name: 'Paracetamol', dosage: '1000 mg', frequency: 'every 4-6 hours as needed' }
+  ], { age: 40 });
+  const [warning] = dailyWarnings(warnings);
+  assert.ok(warning);
+  assert.match(warning.mechanism, /^6000 mg per day exceeds the maximum of 4000 mg/);
+  assert.equal(warning.blocking, true);
+});
+
+test('paracetamol 1000 mg every 4-6 hours with a stated maximum of 4 doses a day is allowed', () => {
+  const { warnings } = validateDoses([
+    { name: 'Paracetamol', dosage: '1000 mg', frequency: 'every 4-6 hours as needed, max 4 doses in 24 hours' }
+  ], { age: 40 });
+  assert.deepEqual(warnings, []);
+});
+
+test('tramadol 100 mg every 4 to 6 hours exceeds the daily maximum', () => {
+  const { warnings } = validateDoses([
+    { name: 'Tramadol', dosage: '100 mg', frequency: 'every 4 to 6 hours' }
+  ], { age: 40 });
+  const [warning] = dailyWarnings(warnings);
+  assert.match(warning.mechanism, /^600 mg per day exceeds the maximum of 400 mg/);
+});
+
+test('paracetamol 1000 mg every 4 hours exceeds the daily maximum', () => {
+  const { warnings } = validateDoses([
+    { name: 'Paracetamol', dosage: '1000 mg', frequency: 'every 4 hours' }
+  ], { age: 40 });
+  assert.equal(warnings.length, 1);
+  assert.equal(warnings[0].blocking, true);
+});
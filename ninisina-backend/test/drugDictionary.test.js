@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { matchMedication, normalizeMedications, searchConcepts } = require('../drugDictionary');
+
+test('a brand name is matched exactly, with the strength and form it names', () => {
+  const { status, concept } = matchMedication({ name: 'Amoxil 500mg capsules' });
+  assert.equal(status, 'matched');
+  assert.equal(concept.generic, 'amoxicillin');
+  assert.equal(concept.brand, 'Amoxil');
+  assert.equal(concept.strength, '500mg');
+  assert.equal(concept.strengthListed, true);
+  assert.equal(concept.form, 'capsule');
+  assert.equal(concept.matchedBy, 'exact');
+});
+
+test('misspelt names are matched by spelling or by sound', () => {
+  const spelling = matchMedication({ name: 'sertaline' });
+  assert.equal(spelling.concept.generic, 'sertraline');
+  assert.equal(spelling.concept.matchedBy, 'spelling');
+
+  const phonetic = matchMedication({ name: 'ibuprophen' });
+  assert.equal(phonetic.concept.generic, 'ibuprofen');
+  assert.equal(phonetic.concept.matchedBy, 'phonetic');
+});
+
+test('a name with no clear winner offers suggestions instead of a concept', () => {
+  const { status, concept, suggestions } = matchMedication({ name: 'cephalex' });
+  assert.equal(status, 'ambiguous');
+  assert.equal(concept, null);
+  assert.equal(suggestions[0].generic, 'cephalexin');
+});
+
+test('unknown names are unmatched', () => {
+  assert.deepEqual(matchMedication({ name: 'Zorblax' }), { status: 'unmatched', concept: null, suggestions: [] });
+});
+
+test('a concept the clinician chose is kept', () => {
+  const { status, concept } = matchMedication({ name: 'the antibiotic', concept: { conceptId: '900006', matchedBy: 'clinician', brand: 'Amoxil' } });
+  assert.equal(status, 'matched');
+  assert.equal(concept.generic, 'amoxicillin');
+  assert.equal(concept.brand, 'Amoxil');
+  assert.equal(concept.matchedBy, 'clinician');
+});
+
+test('normalizeMedications attaches concepts and suggestions, skipping empty lines', () => {
+  const [unknown, known] = normalizeMedications([{ name: 'Zorblax' }, null, { name: 'ibuprofen' }]);
+  assert.deepEqual(unknown, { name: 'Zorblax', concept: null, conceptSuggestions: [] });
+  assert.equal(known.concept.generic, 'ibuprofen');
+  assert.equal('conceptSuggestions' in known, false);
+});
+
+test('search finds drugs from a partly typed name', () => {
+  assert.deepEqual(searchConcepts('amox', 3).map(concept => concept.generic), ['amoxicillin', 'amoxicillin/clavulanate']);
+  assert.deepEqual(searchConcepts('500 mg'), []);
+});
@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { SEVERITIES, resolveMedication, checkPrescription } = require('../drugInteractions');
+
+test('medication names resolve by alias and to the combination product before its parts', () => {
+  assert.equal(resolveMedication({ name: 'Coumadin 5mg' }).id, 'warfarin');
+  assert.deepEqual(resolveMedication({ name: 'Amoxicillin/Clavulanate 625mg' }), { id: 'amoxicillin-clavulanate', classes: ['penicillins'] });
+  assert.equal(resolveMedication({ name: 'Zorblax' }), null);
+});
+
+test('a dictionary concept takes precedence over the medication name', () => {
+  assert.equal(resolveMedication({ name: 'the blood thinner', concept: { drugId: 'warfarin' } }).id, 'warfarin');
+});
+
+test('an interaction between two classes is reported for drugs in them', () => {
+  const { warnings } = checkPrescription({ medications: [{ name: 'Warfarin 5mg' }, { name: 'Ibuprofen 400mg' }] });
+  assert.equal(warnings.length, 1);
+  assert.equal(warnings[0].type, 'interaction');
+  assert.equal(warnings[0].severity, 'major');
+  assert.deepEqual(warnings[0].medications, ['Warfarin 5mg', 'Ibuprofen 400mg']);
+});
+
+test('an allergy to a class contraindicates its drugs and warns about cross-reactive classes', () => {
+  const allergies = [{ substance: 'Penicillin', reaction: 'rash' }];
+
+  const [contraindicated] = checkPrescription({ medications: [{ name: 'Amoxil 500 mg' }], allergies }).warnings;
+  assert.equal(contraindicated.type, 'allergy');
+  assert.equal(contraindicated.severity, 'contraindicated');
+  assert.equal(contraindicated.reaction, 'rash');
+
+  const [crossReactive] = checkPrescription({ medications: [{ name: 'Cephalexin' }], allergies }).warnings;
+  assert.equal(crossReactive.type, 'allergy');
+  assert.equal(crossReactive.severity, 'major');
+});
+
+test('allergies to substances that are not drugs are ignored', () => {
+  assert.deepEqual(checkPrescription({ medications: [{ name: 'Amoxicillin' }], allergies: [{ substance: 'latex' }] }).warnings, []);
+});
+
+test('duplicates within a prescription and with active medications are told apart', () => {
+  const { warnings, unrecognized } = checkPrescription({
+    medications: [{ name: 'Omeprazole' }, { name: 'omeprazole 20mg' }, { name: 'Zorblax' }],
+    activeMedications: [{ name: 'Omeprazole' }]
+  });
+  assert.deepEqual(warnings.map(warning => [warning.type, warning.severity, warning.withActive]), [
+    ['duplication', 'moderate', false],
+    ['duplication', 'minor', true],
+    ['duplication', 'minor', true]
+  ]);
+  assert.deepEqual(unrecognized, ['Zorblax']);
+});
+
+test('warnings come most severe first', () => {
+  const { warnings } = checkPrescription({
+    medications: [{ name: 'Warfarin' }, { name: 'Ibuprofen' }, { name: 'Amoxicillin' }],
+    allergies: [{ substance: 'penicillin' }],
+    activeMedications: [{ name: 'Warfarin' }]
+  });
+  const ranks = warnings.map(warning => SEVERITIES.indexOf(warning.severity));
+  assert.deepEqual(ranks, [...ranks].sort((a, b) => a - b));
+  assert.equal(warnings[0].severity, 'contraindicated');
+});
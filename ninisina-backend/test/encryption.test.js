@@ -0,0 +1,95 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The keyfile path is read when encryption.js is loaded
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ninisina-encryption-test-'));
+process.env.ENCRYPTION_KEYFILE = path.join(workDir, 'keys.json');
+
+const mongoose = require('mongoose');
+const encryption = require('../encryption');
+
+after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+const value = { assessment: 'Community-acquired pneumonia', vitals: { spo2: 93 }, keyPoints: ['Amoxicillin 500 mg'] };
+
+test('the keyfile is created with a first key when there is none', () => {
+  const keyId = encryption.activeKeyId();
+  const keyfile = JSON.parse(fs.readFileSync(process.env.ENCRYPTION_KEYFILE, 'utf8'));
+  assert.equal(keyfile.activeKeyId, keyId);
+  assert.equal(Buffer.from(keyfile.keys[keyId], 'base64').length, 32);
+});
+
+test('values round-trip through an envelope that does not hold them in the clear', () => {
+  const envelope = encryption.encryptValue(value);
+  assert.equal(encryption.isEnvelope(envelope), true);
+  assert.doesNotMatch(JSON.stringify(envelope), /pneumonia|Amoxicillin/);
+  assert.deepEqual(encryption.decryptValue(envelope), value);
+});
+
+test('a tampered envelope is refused', () => {
+  const envelope = encryption.encryptValue(value);
+  const data = Buffer.from(envelope.data, 'base64');
+  data[data.length - 1] ^= 1;
+  assert.throws(() => encryption.decryptValue({ ...envelope, data: data.toString('base64') }));
+});
+
+test('files round-trip, and only encrypted files are recognised as such', async () => {
+  const plaintextPath = path.join(workDir, 'recording.wav');
+  const encryptedPath = path.join(workDir, 'recording.wav.enc');
+  const decryptedPath = path.join(workDir, 'recording.decrypted.wav');
+  const contents = Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(100000, 7)]);
+  fs.writeFileSync(plaintextPath, contents);
+
+  await encryption.encryptFile(plaintextPath, encryptedPath);
+  assert.equal(await encryption.isEncryptedFile(encryptedPath), true);
+  assert.equal(await encryption.isEncryptedFile(plaintextPath), false);
+
+  await encryption.decryptFile(encryptedPath, decryptedPath);
+  assert.deepEqual(fs.readFileSync(decryptedPath), contents);
+});
+
+test('an empty file round-trips', async () => {
+  const plaintextPath = path.join(workDir, 'empty');
+  fs.writeFileSync(plaintextPath, '');
+  await encryption.encryptFile(plaintextPath, `${plaintextPath}.enc`);
+  await encryption.decryptFile(`${plaintextPath}.enc`, `${plaintextPath}.decrypted`);
+  assert.equal(fs.readFileSync(`${plaintextPath}.decrypted`).length, 0);
+});
+
+test('after a new key is added, values and files are re-wrapped with it and still decrypt', async () => {
+  const envelope = encryption.encryptValue(value);
+  const encryptedPath = path.join(workDir, 'rotated.enc');
+  const plaintextPath = path.join(workDir, 'rotated');
+  fs.writeFileSync(plaintextPath, 'audio');
+  await encryption.encryptFile(plaintextPath, encryptedPath);
+
+  const keyId = encryption.addKey();
+  assert.equal(encryption.activeKeyId(), keyId);
+
+  const rewrapped = encryption.rewrapValue(envelope);
+  assert.equal(rewrapped.kid, keyId);
+  assert.equal(rewrapped.data, envelope.data);
+  assert.deepEqual(encryption.decryptValue(rewrapped), value);
+  assert.equal(encryption.rewrapValue(rewrapped), null);
+
+  assert.equal(await encryption.rewrapFile(encryptedPath), true);
+  assert.equal(await encryption.rewrapFile(encryptedPath), false);
+  await encryption.decryptFile(encryptedPath, `${plaintextPath}.decrypted`);
+  assert.equal(fs.readFileSync(`${plaintextPath}.decrypted`, 'utf8'), 'audio');
+});
+
+test('encrypted fields are decrypted as documents are loaded', () => {
+  const schema = new mongoose.Schema({ noteId: String, summary: mongoose.Schema.Types.Mixed });
+  schema.plugin(encryption.encryptedFieldsPlugin, { fields: ['summary'] });
+  const Note = mongoose.model('EncryptionTestNote', schema);
+
+  const note = Note.hydrate({ noteId: 'N-1', encryptedFields: { summary: encryption.encryptValue(value) } });
+  assert.deepEqual(note.summary, value);
+  assert.equal(note.get('encryptedFields.summary'), undefined);
+
+  // Saved before encryption was enabled: read as it is
+  assert.deepEqual(Note.hydrate({ noteId: 'N-2', summary: value }).summary, value);
+});
@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDurationDays, courseDays, getActiveMedications } = require('../patientHistory');
+
+test('durations are converted to days', () => {
+  assert.equal(parseDurationDays('7 days'), 7);
+  assert.equal(parseDurationDays('10d'), 10);
+  assert.equal(parseDurationDays('2 weeks'), 14);
+  assert.equal(parseDurationDays('3 months'), 90);
+  assert.equal(parseDurationDays('1.5 years'), 547.5);
+});
+
+test('open-ended courses last forever and unreadable ones are unknown', () => {
+  assert.equal(parseDurationDays('ongoing'), Infinity);
+  assert.equal(parseDurationDays('Long-term'), Infinity);
+  assert.equal(parseDurationDays('as needed'), null);
+  assert.equal(parseDurationDays('5 tablets'), null);
+  assert.equal(parseDurationDays(''), null);
+  assert.equal(parseDurationDays(undefined), null);
+});
+
+test('a course without a readable duration runs for the default 30 days', () => {
+  assert.equal(courseDays({ duration: 'until review' }), 30);
+  assert.equal(courseDays({ duration: '5 days' }), 5);
+});
+
+const consultation = (createdAt, prescriptions) => ({ consultationId: `C-${createdAt}`, createdAt: new Date(createdAt), prescriptions });
+
+test('only issued prescriptions whose course is still running are active', () => {
+  const consultations = [
+    consultation('2026-01-01', [
+      { prescriptionId: 'RX-1', status: 'signed', medications: [{ name: 'Amoxicillin', duration: '7 days' }, { name: 'Levothyroxine', duration: 'ongoing' }] }
+    ]),
+    consultation('2026-03-01', [
+      { prescriptionId: 'RX-2', status: 'draft', medications: [{ name: 'Ibuprofen', duration: '5 days' }] },
+      { prescriptionId: 'RX-3', status: 'cancelled', medications: [{ name: 'Naproxen', duration: '5 days' }] },
+      { prescriptionId: 'RX-4', status: 'dispensed', medications: [{ name: 'Omeprazole', duration: '4 weeks' }] }
+    ])
+  ];
+
+  const active = getActiveMedications(consultations, new Date('2026-03-10'));
+  assert.deepEqual(active.map(med => med.name).sort(), ['Levothyroxine', 'Omeprazole']);
+  assert.deepEqual(getActiveMedications(consultations, new Date('2026-03-10'), { excludePrescriptionIds: ['RX-4'] }).map(med => med.name), ['Levothyroxine']);
+});
+
+test('brand and generic names of one concept count as one drug, the latest course winning', () => {
+  const concept = { conceptId: '900053', generic: 'paracetamol' };
+  const active = getActiveMedications([
+    consultation('2026-03-01', [{ prescriptionId: 'RX-1', status: 'signed', medications: [{ name: 'Paracetamol', dosage: '500 mg', duration: 'ongoing', concept }] }]),
+    consultation('2026-03-05', [{ prescriptionId: 'RX-2', status: 'signed', medications: [{ name: 'Panadol', dosage: '1 g', duration: 'ongoing', concept }] }])
+  ], new Date('2026-03-10'));
+
+  assert.equal(active.length, 1);
+  assert.equal(active[0].name, 'Panadol');
+  assert.equal(active[0].prescriptionId, 'RX-2');
+});
@@ -0,0 +1,214 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const FormData = require('form-data');
+const { fetchWithRetry } = require('./llmProviders');
+
+const execFileAsync = promisify(execFile);
+
+// --- Speech-to-text provider configuration ---
+// TRANSCRIPTION_PROVIDER selects the backend used by /transcribe:
+//   openai       - OpenAI audio transcriptions API (default)
+//   whisper-http - a local server with an OpenAI-style /v1/audio/transcriptions
+//                  endpoint (faster-whisper-server, whisper.cpp server, ...)
+//   whisper-cli  - a whisper.cpp binary run on this machine
+//   fake         - canned transcript from a fixture file, for CI and offline demos
+const TRANSCRIPTION_PROVIDER = process.env.TRANSCRIPTION_PROVIDER || 'openai';
+const TRANSCRIPTION_MODEL = process.env.TRANSCRIPTION_MODEL || 'whisper-1';
+const TRANSCRIPTION_LANGUAGE = process.env.TRANSCRIPTION_LANGUAGE; // unset = auto-detect
+
+// Vocabulary hint passed to Whisper so medical terms are spelled correctly
+const MEDICAL_TRANSCRIPTION_PROMPT = 'This is a medical consultation between a doctor and a patient. Key terms include symptoms, diagnosis, medication, hypertension, diabetes, migraine, etc.';
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Whisper reports the average token log-probability per segment; turn it into a 0..1 score
+function confidenceFromLogprob(avgLogprob) {
+  if (typeof avgLogprob !== 'number') return null;
+  return round(Math.min(1, Math.max(0, Math.exp(avgLogprob))));
+}
+
+// Every provider resolves to this shape:
+// { text, language, duration, segments: [{ id, start, end, text, confidence }], provider, model }
+// Times are in seconds; confidence is 0..1 or null when the backend doesn't report it.
+function normalizeTranscription({ text, language, duration, segments }, provider, model) {
+  const normalizedSegments = (segments || [])
+    .map((segment, index) => ({
+      id: index,
+      start: round(Number(segment.start) || 0),
+      end: round(Number(segment.end) || 0),
+      text: (segment.text || '').trim(),
+      confidence: typeof segment.confidence === 'number' ? round(segment.confidence) : null
+    }))
+    .filter(segment => segment.text.length > 0);
+
+  const lastSegment = normalizedSegments[normalizedSegments.length - 1];
+  return {
+    text: (text || normalizedSegments.map(segment => segment.text).join(' ')).trim(),
+    language: language || null,
+    duration: typeof duration === 'number' ? round(duration) : (lastSegment ? lastSegment.end : null),
+    segments: normalizedSegments,
+    provider,
+    model
+  };
+}
+
+// OpenAI and local Whisper servers share the verbose_json response format
+function fromVerboseJSON(result) {
+  return {
+    text: result.text,
+    language: result.language,
+    duration: result.duration,
+    segments: (result.segments || []).map(segment => ({
+      start: segment.start,
+      end: segment.end,
+      text: segment.text,
+      confidence: confidenceFromLogprob(segment.avg_logprob)
+    }))
+  };
+}
+
+function createVerboseJSONProvider({ name, url, headers }) {
+  return {
+    name,
+    async transcribe(filePath) {
+      const result = await fetchWithRetry(url, () => {
+        const formData = new FormData();
+        formData.append('file', fs.createReadStream(filePath));
+        formData.append('model', TRANSCRIPTION_MODEL);
+        formData.append('prompt', MEDICAL_TRANSCRIPTION_PROMPT);
+        formData.append('response_format', 'verbose_json');
+        formData.append('timestamp_granularities[]', 'segment');
+        if (TRANSCRIPTION_LANGUAGE) formData.append('language', TRANSCRIPTION_LANGUAGE);
+        return {
+          method: 'POST',
+          body: formData,
+          headers: { ...formData.getHeaders(), ...headers }
+        };
+      }, name);
+
+      return normalizeTranscription(fromVerboseJSON(result), name, TRANSCRIPTION_MODEL);
+    }
+  };
+}
+
+function createOpenAITranscriptionProvider() {
+  const apiKey = process.env.OPENAI_API_KEY;
+  if (!apiKey) {
+    console.error('⚠️  OPENAI_API_KEY environment variable is required for TRANSCRIPTION_PROVIDER=openai.');
+    console.log('Please create a .env file and set your OpenAI API key: OPENAI_API_KEY=your_key_here');
+  }
+  return createVerboseJSONProvider({
+    name: 'OpenAI Whisper',
+    url: 'https://api.openai.com/v1/audio/transcriptions',
+    headers: { 'Authorization': `Bearer ${apiKey}` }
+  });
+}
+
+function createWhisperHTTPProvider() {
+  const url = process.env.WHISPER_HTTP_URL || 'http://localhost:8000/v1/audio/transcriptions';
+  return createVerboseJSONProvider({
+    name: 'Whisper HTTP',
+    url,
+    headers: process.env.WHISPER_HTTP_API_KEY ? { 'Authorization': `Bearer ${process.env.WHISPER_HTTP_API_KEY}` } : {}
+  });
+}
+
+// Runs whisper.cpp with full JSON output (-ojf) and reads the result file.
+// whisper.cpp offsets are in milliseconds and each token carries a probability.
+function createWhisperCLIProvider() {
+  const binary = process.env.WHISPER_CLI_PATH || 'whisper-cli';
+  const modelPath = process.env.WHISPER_CLI_MODEL;
+  const timeoutMs = parseInt(process.env.WHISPER_CLI_TIMEOUT_MS || '600000', 10);
+  if (!modelPath) {
+    console.error('⚠️  WHISPER_CLI_MODEL (path to a ggml model) is required for TRANSCRIPTION_PROVIDER=whisper-cli.');
+  }
+
+  return {
+    name: 'whisper.cpp',
+    async transcribe(filePath) {
+      const outputPrefix = path.join(os.tmpdir(), `ninisina-whisper-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`);
+      const args = [
+        '-m', modelPath,
+        '-f', filePath,
+        '-l', TRANSCRIPTION_LANGUAGE || 'auto',
+        '--prompt', MEDICAL_TRANSCRIPTION_PROMPT,
+        '-ojf',
+        '-of', outputPrefix,
+        '-np'
+      ];
+
+      try {
+        await execFileAsync(binary, args, { timeout: timeoutMs, maxBuffer: 10 * 1024 * 1024 });
+        const result = JSON.parse(await fs.promises.readFile(`${outputPrefix}.json`, 'utf8'));
+
+        const segments = (result.transcription || []).map(segment => {
+          const probabilities = (segment.tokens || [])
+            .filter(token => typeof token.p === 'number' && !/^\[_/.test(token.text || ''))
+            .map(token => token.p);
+          return {
+            start: segment.offsets.from / 1000,
+            end: segment.offsets.to / 1000,
+            text: segment.text,
+            confidence: probabilities.length
+              ? probabilities.reduce((sum, p) => sum + p, 0) / probabilities.length
+              : null
+          };
+        });
+
+        return normalizeTranscription({
+          language: result.result && result.result.language,
+          segments
+        }, 'whisper.cpp', path.basename(modelPath || ''));
+      } finally {
+        fs.promises.unlink(`${outputPrefix}.json`).catch(() => {});
+      }
+    }
+  };
+}
+
+// Deterministic provider: every file "transcribes" to the same fixture
+function createFakeTranscriptionProvider() {
+  const fixturePath = process.env.TRANSCRIPTION_FIXTURE || path.join(__dirname, 'fixtures', 'transcription', 'consultation.json');
+  return {
+    name: 'Fake',
+    async transcribe() {
+      const fixture = JSON.parse(await fs.promises.readFile(fixturePath, 'utf8'));
+      return normalizeTranscription(fixture, 'Fake', 'fake');
+    }
+  };
+}
+
+const PROVIDER_FACTORIES = {
+  'openai': createOpenAITranscriptionProvider,
+  'whisper-http': createWhisperHTTPProvider,
+  'whisper-cli': createWhisperCLIProvider,
+  'fake': createFakeTranscriptionProvider
+};
+
+let provider = null;
+
+function getTranscriptionProvider() {
+  if (!provider) {
+    const factory = PROVIDER_FACTORIES[TRANSCRIPTION_PROVIDER];
+    if (!factory) {
+      throw new Error(`Unknown TRANSCRIPTION_PROVIDER "${TRANSCRIPTION_PROVIDER}". Valid providers: ${Object.keys(PROVIDER_FACTORIES).join(', ')}`);
+    }
+    provider = factory();
+  }
+  return provider;
+}
+
+// Transcribe an audio file into the normalized shape described above
+function transcribeFile(filePath) {
+  return getTranscriptionProvider().transcribe(filePath);
+}
+
+module.exports = {
+  TRANSCRIPTION_PROVIDER,
+  normalizeTranscription,
+  getTranscriptionProvider,
+  transcribeFile
+};
@@ -0,0 +1,66 @@
+// Service worker: keeps the app shell available offline so a clinic that
+// loses its connection can still open Ninisina and record consultations
+// (they wait in the offline queue until the connection returns).
+//
+// Only this origin's static files are cached. API requests go to a different
+// origin and are never touched, so patient data is never stored here.
+const CACHE_NAME = 'ninisina-shell-v1';
+const SHELL_FILES = ['/', '/index.html', '/stethoscope.svg'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+const cacheResponse = async (request, response) => {
+  if (response.ok) {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.put(request, response.clone());
+  }
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  // Pages: network first so deploys show up, the cached shell when offline
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then(response => cacheResponse('/index.html', response))
+        .catch(() => caches.match('/index.html'))
+    );
+    return;
+  }
+
+  // Vite's build output has content-hashed names, so a cached copy never goes stale
+  if (url.pathname.startsWith('/assets/')) {
+    event.respondWith(
+      caches.match(request).then(cached => cached || fetch(request).then(response => cacheResponse(request, response)))
+    );
+    return;
+  }
+
+  // Anything else (icons): cached copy straight away, refreshed in the background
+  event.respondWith(
+    caches.match(request).then((cached) => {
+      const network = fetch(request)
+        .then(response => cacheResponse(request, response))
+        .catch(() => cached);
+      return cached || network;
+    })
+  );
+});
@@ -1,34 +1,60 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { jsPDF } from 'jspdf';
 import EPrescription from './EPrescription';
+import PatientPicker from './PatientPicker';
+import PatientChart from './PatientChart';
+import { apiFetch, getCurrentUser, login, logout, onSessionExpired } from './api';
+import { PERMISSIONS, can } from './permissions';
+import JobProgress from './JobProgress';
+import { openLiveTranscription } from './liveTranscription';
+import { audioFileDuration } from './audioFormats';
+import AudioDropzone from './AudioDropzone';
+import BatchImport from './BatchImport';
+import { useBatchImport } from './useBatchImport';
+import { useRecorder } from './useRecorder';
+import RecoveryPrompt from './RecoveryPrompt';
+import PendingUploads from './PendingUploads';
+import { useOfflineQueue } from './useOfflineQueue';
+import { isNetworkError, newIdempotencyKey } from './offlineQueue';
+import ReviewStatus from './ReviewStatus';
+import ClinicalNoteEditor from './ClinicalNoteEditor';
+import RevisionHistory from './RevisionHistory';
+import AuditLog from './AuditLog';
+import { recordExport } from './audit';
+import { downloadResearchExport } from './researchExport';
+import Trash from './Trash';
+import { deleteConsultation as moveToTrash, setLegalHold } from './retention';
+import { STATUS_LABELS, STATUS_STYLES, amendNote, describeReviewStatus, draftFromConsultation, isSigned, reviewStatus, saveReview, signOff } from './consultationReview';
+import { applyJobEvent, clearActiveJob, followJob, getActiveJob, historyEntryForJob, submitConsultationJob } from './consultationJobs';
 import {
   Mic, Square, Upload, Download, FileText, Stethoscope,
   ClipboardList, Activity, UsersIcon, Calendar, AlertCircle,
   CheckCircle, Clock, Search, Filter, Trash2, Pill,
-  Target, Heart, Brain, Shield,
-  LogIn // Added for the login button
+  Target, Heart, Brain, Shield, TrendingUp,
+  LogIn, LogOut, Pause, Play, CloudOff, ScrollText, Lock, LockOpen
 } from 'lucide-react';
 
-// ===================== NEW LOGIN COMPONENT START =====================
-// This is a new, self-contained component for the login screen.
-// It uses hardcoded credentials and calls the `onLogin` function on success.
+// ===================== LOGIN COMPONENT START =====================
+// Self-contained login screen. Credentials are verified by the backend
+// (/auth/login); `onLogin` is called with the signed-in user on success.
 
-const Login = ({ onLogin }) => {
+const Login = ({ onLogin, notice }) => {
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
 
-  // Hardcoded credentials for the login
-  const HARDCODED_USERNAME = 'ninisina';
-  const HARDCODED_PASSWORD = 'password';
-
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
-    if (username === HARDCODED_USERNAME && password === HARDCODED_PASSWORD) {
-      setError('');
-      onLogin(); // Callback to the parent component to grant access
-    } else {
-      setError('Invalid username or password. Please try again.');
+    setIsSubmitting(true);
+    setError('');
+    try {
+      const user = await login(username, password);
+      onLogin(user); // Callback to the parent component to grant access
+    } catch (err) {
+      setError(`Sign in failed: ${err.message}. Please try again.`);
+    } finally {
+      setIsSubmitting(false);
     }
   };
 
@@ -42,6 +68,11 @@ const Login = ({ onLogin }) => {
             </div>
           <p className="text-gray-600">Please sign in to access the dashboard</p>
         </div>
+        {notice && (
+          <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 text-sm text-yellow-800 text-center">
+            {notice}
+          </div>
+        )}
         <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
           <div className="rounded-md shadow-sm -space-y-px">
             <div>
@@ -79,12 +110,13 @@ const Login = ({ onLogin }) => {
           <div>
             <button
               type="submit"
-              className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+              disabled={isSubmitting}
+              className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
             >
               <span className="absolute left-0 inset-y-0 flex items-center pl-3">
                 <LogIn className="h-5 w-5 text-blue-500 group-hover:text-blue-400" aria-hidden="true" />
               </span>
-              Sign in
+              {isSubmitting ? 'Signing in...' : 'Sign in'}
             </button>
           </div>
         </form>
@@ -92,31 +124,59 @@ const Login = ({ onLogin }) => {
     </div>
   );
 };
-// ===================== NEW LOGIN COMPONENT END =======================
+// ===================== LOGIN COMPONENT END =======================
+
+// Permission required to see each tab; tabs are hidden for other roles
+const TAB_PERMISSIONS = {
+  record: PERMISSIONS.CONSULTATIONS_RECORD,
+  analysis: PERMISSIONS.CLINICAL_READ,
+  prescription: PERMISSIONS.PRESCRIPTIONS_CREATE,
+  patients: PERMISSIONS.PATIENTS_READ,
+  chart: PERMISSIONS.CLINICAL_READ,
+  history: PERMISSIONS.CONSULTATIONS_READ,
+  audit: PERMISSIONS.AUDIT_READ,
+  trash: PERMISSIONS.TRASH_MANAGE
+};
+
+const EMPTY_PATIENT_INFO = {
+  patientId: '',
+  name: '',
+  age: '',
+  gender: '',
+  visitType: 'follow-up'
+};
+
+const firstAllowedTab = (user) =>
+  Object.keys(TAB_PERMISSIONS).find(tab => can(user, TAB_PERMISSIONS[tab])) || 'history';
 
 
 const NinisinaApp = () => {
   // ===================== LOGIN INTEGRATION START =====================
-  const [isAuthenticated, setIsAuthenticated] = useState(false); // State to track login status
+  const [currentUser, setCurrentUser] = useState(getCurrentUser); // Restored from sessionStorage on reload
+  const [loginNotice, setLoginNotice] = useState('');
+  const isAuthenticated = Boolean(currentUser);
   // ===================== LOGIN INTEGRATION END =======================
   
-  const [isRecording, setIsRecording] = useState(false);
-  const [audioBlob, setAudioBlob] = useState(null);
   const [isProcessing, setIsProcessing] = useState(false);
   const [processingStatus, setProcessingStatus] = useState('');
+  const [activeJob, setActiveJob] = useState(getActiveJob); // Background job being followed, restored on reload
+  const [jobProgress, setJobProgress] = useState(null); // Stage-by-stage progress from job events
+  const [liveTranscript, setLiveTranscript] = useState(''); // Rolling transcript while recording
+  const [finalTranscript, setFinalTranscript] = useState(null); // Live transcription result for the whole recording
+  const [isFinalizingTranscript, setIsFinalizingTranscript] = useState(false);
+  const [importedFileName, setImportedFileName] = useState(''); // Set when the recording came from disk
+  const [offlineNotice, setOfflineNotice] = useState(''); // Shown after a consultation was queued offline
   const [results, setResults] = useState(null);
-  const [recordingTime, setRecordingTime] = useState(0);
   const [error, setError] = useState(null);
-  const [patientInfo, setPatientInfo] = useState({
-    name: '',
-    age: '',
-    gender: '',
-    visitType: 'follow-up'
-  });
-  const [activeTab, setActiveTab] = useState('record');
+  const [patientInfo, setPatientInfo] = useState(EMPTY_PATIENT_INFO);
+  const [activeTab, setActiveTab] = useState(() => firstAllowedTab(currentUser));
   const [searchTerm, setSearchTerm] = useState('');
+  const [vitalsDraft, setVitalsDraft] = useState(null);
+  const [noteDraft, setNoteDraft] = useState(null); // Sections being edited in clinician review
+  const [isSavingNote, setIsSavingNote] = useState(false);
   const [consultationHistory, setConsultationHistory] = useState([]);
   const [selectedConsultation, setSelectedConsultation] = useState(null);
+  const [isExportingResearch, setIsExportingResearch] = useState(false);
   const [filterParams, setFilterParams] = useState({
     page: 1,
     limit: 10,
@@ -124,11 +184,47 @@ const NinisinaApp = () => {
     startDate: ''
   });
 
-  const mediaRecorderRef = useRef(null);
-  const audioChunksRef = useRef([]);
-  const timerRef = useRef(null);
+  const liveSessionRef = useRef(null);
+
+  // When recording stops, the live session runs a final pass over the whole recording
+  const finalizeLiveTranscript = () => {
+    const liveSession = liveSessionRef.current;
+    if (!liveSession) return;
+    setIsFinalizingTranscript(true);
+    liveSession.finish().then((final) => {
+      if (liveSessionRef.current !== liveSession) return; // reset or re-recorded meanwhile
+      setFinalTranscript(final);
+      if (final) setLiveTranscript(final.transcript);
+      setIsFinalizingTranscript(false);
+    });
+  };
+
+  const recorder = useRecorder({
+    kind: 'consultation',
+    username: currentUser?.username,
+    onChunk: (data) => liveSessionRef.current?.sendChunk(data),
+    onStop: finalizeLiveTranscript
+  });
+  const { isRecording, isPaused, recordingTime, audioBlob } = recorder;
+
+  const batch = useBatchImport({
+    onSaved: (consultation) => setConsultationHistory(prev => [consultation, ...prev])
+  });
+
+  const offlineQueue = useOfflineQueue({
+    username: currentUser?.username,
+    onSaved: (consultation) => setConsultationHistory(prev => [consultation, ...prev])
+  });
 
-  const API_BASE = 'https://ninisina-test.onrender.com';
+  useEffect(() => {
+    // Bounce back to the login screen when the session can no longer be refreshed
+    // (useRecorder stops the recording itself)
+    return onSessionExpired(() => {
+      liveSessionRef.current?.close();
+      setCurrentUser(null);
+      setLoginNotice('Your session has expired. Please sign in again.');
+    });
+  }, []);
 
   useEffect(() => {
     // ===================== LOGIN INTEGRATION START =====================
@@ -137,12 +233,50 @@ const NinisinaApp = () => {
       fetchConsultations();
     }
     // ===================== LOGIN INTEGRATION END =======================
+  }, [filterParams, isAuthenticated]); // Add isAuthenticated to dependency array
+
+  useEffect(() => {
+    // Follow the submitted consultation job until the backend finishes it.
+    // Also picks up a job that was still running when the page was reloaded.
+    if (!isAuthenticated || !activeJob) return;
+
+    const controller = new AbortController();
+    setIsProcessing(true);
+
+    followJob(activeJob.jobId, {
+      signal: controller.signal,
+      onEvent: (type, data) => setJobProgress(prev => applyJobEvent(prev, type, data))
+    })
+      .then((job) => {
+        if (!job) return;
+        if (job.status === 'failed') {
+          throw new Error(job.error || 'Processing failed');
+        }
+
+        setResults(job.result);
+        setActiveTab('analysis');
+        setConsultationHistory(prev => [historyEntryForJob(job, activeJob), ...prev]);
+      })
+      .catch((err) => {
+        if (controller.signal.aborted) return;
+        setError(`An error occurred: ${err.message}. Please check the console and ensure the backend server is running.`);
+        console.error('Processing error:', err);
+      })
+      .finally(() => {
+        if (controller.signal.aborted) return;
+        clearActiveJob();
+        setActiveJob(null);
+        setJobProgress(null);
+        setIsProcessing(false);
+        setProcessingStatus('');
+      });
+
     return () => {
-      if (timerRef.current) {
-        clearInterval(timerRef.current);
-      }
+      controller.abort();
+      setJobProgress(null);
+      setIsProcessing(false);
     };
-  }, [filterParams, isAuthenticated]); // Add isAuthenticated to dependency array
+  }, [activeJob, isAuthenticated]);
 
   // ... (the rest of the functions: fetchConsultations, deleteConsultation, etc. remain the same)
   const fetchConsultations = async () => {
@@ -154,7 +288,7 @@ const NinisinaApp = () => {
         ...(filterParams.startDate && { startDate: filterParams.startDate })
       }).toString();
 
-      const response = await fetch(`${API_BASE}/consultations?${queryParams}`);
+      const response = await apiFetch(`/consultations?${queryParams}`);
       if (!response.ok) {
         throw new Error('Failed to fetch consultations');
       }
@@ -167,6 +301,8 @@ const NinisinaApp = () => {
         chiefComplaint: consultation.clinicalSummary?.chiefComplaint || 'Not specified',
         duration: consultation.analysisMetadata?.consultationDuration || 'N/A',
         priority: consultation.medicalInsights?.redFlags?.some(flag => flag.status === 'Critical') ? 'High' : 'Normal',
+        status: reviewStatus(consultation),
+        legalHold: Boolean(consultation.legalHold?.active),
         fullResults: consultation,
         patientInfo: consultation.patientInfo
       }));
@@ -179,13 +315,10 @@ const NinisinaApp = () => {
   };
 
   const deleteConsultation = async (consultationId) => {
+    const reason = window.prompt('Why is this consultation being deleted? It will be moved to the trash, where an administrator can restore it.');
+    if (!reason?.trim()) return;
     try {
-      const response = await fetch(`${API_BASE}/consultations/${consultationId}`, {
-        method: 'DELETE'
-      });
-      if (!response.ok) {
-        throw new Error('Failed to delete consultation');
-      }
+      await moveToTrash(consultationId, reason.trim());
       setConsultationHistory(prev => prev.filter(consultation => consultation.id !== consultationId));
       if (selectedConsultation?.id === consultationId) {
         reset(true);
@@ -196,59 +329,88 @@ const NinisinaApp = () => {
     }
   };
 
-  const startRecording = async () => {
+  // A legal hold blocks deletion and the retention purge
+  const toggleLegalHold = async (consultation) => {
+    let reason;
+    if (consultation.legalHold) {
+      if (!window.confirm('Lift the legal hold on this consultation? It can then be deleted and purged.')) return;
+    } else {
+      reason = window.prompt('Reason for the legal hold (e.g. litigation or investigation reference):');
+      if (!reason?.trim()) return;
+    }
+    try {
+      const legalHold = await setLegalHold(consultation.id, !consultation.legalHold, reason?.trim());
+      setConsultationHistory(prev => prev.map(entry => (entry.id === consultation.id ? { ...entry, legalHold: legalHold.active } : entry)));
+    } catch (err) {
+      setError(`Failed to update legal hold: ${err.message}`);
+      console.error('Legal hold error:', err);
+    }
+  };
+
+  // De-identified dataset of all consultations since the start date filter
+  const exportResearchDataset = async () => {
+    setIsExportingResearch(true);
     try {
-      setAudioBlob(null);
+      await downloadResearchExport({ startDate: filterParams.startDate });
+    } catch (err) {
+      setError(`Failed to export research dataset: ${err.message}`);
+      console.error('Research export error:', err);
+    } finally {
+      setIsExportingResearch(false);
+    }
+  };
+
+  // Start a new recording, or continue an interrupted one (`resumeFrom`) as a further segment
+  const startRecording = async (resumeFrom = null) => {
+    try {
+      setImportedFileName('');
+      setOfflineNotice('');
       setResults(null);
-      setRecordingTime(0);
       setError(null);
       setProcessingStatus('');
-      audioChunksRef.current = [];
-
-      const stream = await navigator.mediaDevices.getUserMedia({
-        audio: {
-          echoCancellation: true,
-          noiseSuppression: true,
-          sampleRate: 44100
-        }
+      setLiveTranscript('');
+      setFinalTranscript(null);
+
+      // Stream each one-second chunk for live transcription as it is recorded
+      liveSessionRef.current?.close();
+      liveSessionRef.current = openLiveTranscription({
+        onPartial: setLiveTranscript,
+        onError: (message) => console.warn('Live transcription:', message)
       });
 
-      mediaRecorderRef.current = new MediaRecorder(stream, {
-        mimeType: 'audio/webm;codecs=opus'
-      });
-      audioChunksRef.current = [];
-
-      mediaRecorderRef.current.ondataavailable = (event) => {
-        if (event.data.size > 0) {
-          audioChunksRef.current.push(event.data);
-        }
-      };
-
-      mediaRecorderRef.current.onstop = () => {
-        const blob = new Blob(audioChunksRef.current, { type: 'audio/webm' });
-        setAudioBlob(blob);
-        stream.getTracks().forEach(track => track.stop());
-      };
-
-      mediaRecorderRef.current.start(1000);
-      setIsRecording(true);
-      setRecordingTime(0);
-
-      timerRef.current = setInterval(() => {
-        setRecordingTime(prev => prev + 1);
-      }, 1000);
+      await recorder.start({ patientInfo, resumeFrom });
     } catch (err) {
+      liveSessionRef.current?.close();
+      liveSessionRef.current = null;
       setError('Failed to access microphone. Please check permissions and refresh the page.');
       console.error('Recording error:', err);
     }
   };
 
   const stopRecording = () => {
-    if (mediaRecorderRef.current && isRecording) {
-      mediaRecorderRef.current.stop();
-      setIsRecording(false);
-      clearInterval(timerRef.current);
-    }
+    if (isRecording) recorder.stop();
+  };
+
+  const resumeInterruptedRecording = () => {
+    const recording = recorder.interruptedRecording;
+    if (recording.patientInfo) setPatientInfo(recording.patientInfo);
+    startRecording(recording);
+  };
+
+  const recoverInterruptedRecording = async () => {
+    const recording = await recorder.recoverInterrupted();
+    if (recording?.patientInfo) setPatientInfo(recording.patientInfo);
+  };
+
+  // Use a recording from disk (phone or handheld dictation) instead of the microphone
+  const importRecording = async ([file]) => {
+    reset(true);
+    setImportedFileName(file.name);
+    recorder.loadFile(file, await audioFileDuration(file));
+  };
+
+  const rejectFiles = (names) => {
+    setError(`Not an audio file: ${names.join(', ')}`);
   };
 
   const formatTime = (seconds) => {
@@ -257,81 +419,52 @@ const NinisinaApp = () => {
     return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
   };
 
+  // Keep the consultation on this device and upload it once the connection returns
+  const queueOffline = async (submission) => {
+    await offlineQueue.enqueue(submission);
+    reset(true);
+    setOfflineNotice(`No connection to the server. The consultation for ${submission.patientInfo.name || 'this patient'} was saved on this device and will be uploaded and analyzed automatically when the connection returns.`);
+  };
+
   const processAudio = async () => {
     if (!audioBlob) return;
 
     setIsProcessing(true);
     setError(null);
 
-    try {
-      setProcessingStatus('Uploading audio...');
-      const formData = new FormData();
-      formData.append('audio', audioBlob, `consultation-${Date.now()}.webm`);
-
-      const uploadResponse = await fetch(`${API_BASE}/upload`, {
-        method: 'POST',
-        body: formData,
-      });
-
-      if (!uploadResponse.ok) {
-        const errData = await uploadResponse.json();
-        throw new Error(`Upload failed: ${errData.error || uploadResponse.statusText}`);
-      }
-      const uploadData = await uploadResponse.json();
-      const { filename } = uploadData;
-
-      setProcessingStatus('Transcribing consultation...');
-      const transcribeResponse = await fetch(`${API_BASE}/transcribe`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ filename }),
-      });
-
-      if (!transcribeResponse.ok) {
-        const errData = await transcribeResponse.json();
-        throw new Error(`Transcription failed: ${errData.error || transcribeResponse.statusText}`);
-      }
-      const transcribeData = await transcribeResponse.json();
-      const { transcript } = transcribeData;
-
-      setProcessingStatus('Analyzing clinical data...');
-      const analyzeResponse = await fetch(`${API_BASE}/analyze`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ 
-          transcript, 
-          patientInfo, 
-          consultationDuration: formatTime(recordingTime) 
-        })
-      });
+    // Live transcription already has the transcript; only upload the audio without it.
+    // A recording resumed after an interruption was only partly heard live.
+    const submission = {
+      idempotencyKey: newIdempotencyKey(),
+      audioBlob: recorder.segments,
+      transcript: recorder.segments.length === 1 ? finalTranscript?.transcript : undefined,
+      patientInfo,
+      consultationDuration: formatTime(recordingTime)
+    };
 
-      if (!analyzeResponse.ok) {
-        const errData = await analyzeResponse.json();
-        throw new Error(`Analysis failed: ${errData.error || analyzeResponse.statusText}`);
+    try {
+      if (!navigator.onLine) {
+        await queueOffline(submission);
+        setIsProcessing(false);
+        return;
       }
-      const analysisData = await analyzeResponse.json();
-      
-      setResults(analysisData);
-      setActiveTab('analysis');
 
-      const newConsultation = {
-        id: analysisData.consultationId,
-        date: new Date().toLocaleDateString(),
-        patientName: patientInfo.name || 'Unknown Patient',
-        chiefComplaint: analysisData.clinicalSummary.chiefComplaint,
-        duration: formatTime(recordingTime),
-        priority: analysisData.medicalInsights.redFlags.some(flag => flag.status === 'Critical') ? 'High' : 'Normal',
-        fullResults: analysisData,
-        patientInfo
-      };
-
-      setConsultationHistory(prev => [newConsultation, ...prev]);
+      setProcessingStatus('Uploading audio...');
+      const job = await submitConsultationJob(submission);
+      recorder.releaseBackup();
+      setActiveJob(job);
     } catch (err) {
-      setError(`An error occurred: ${err.message}. Please check the console and ensure the backend server is running.`);
-      console.error('Processing error:', err);
-    } finally {
       setIsProcessing(false);
       setProcessingStatus('');
+      if (isNetworkError(err)) {
+        // Same idempotency key, so a retry can't duplicate an upload that did get through
+        await queueOffline(submission).catch((queueError) => {
+          setError(`Could not reach the server or save the consultation offline: ${queueError.message}`);
+        });
+        return;
+      }
+      setError(`An error occurred: ${err.message}. Please check the console and ensure the backend server is running.`);
+      console.error('Processing error:', err);
     }
   };
 
@@ -361,7 +494,8 @@ const NinisinaApp = () => {
       `Gender: ${patientInfo.gender || results.patientInfo?.gender || 'Not provided'}`,
       `Visit Type: ${patientInfo.visitType || results.patientInfo?.visitType || 'Not provided'}`,
       `Date: ${new Date().toLocaleDateString()}`,
-      `Duration: ${formatTime(recordingTime)}`
+      `Duration: ${formatTime(recordingTime)}`,
+      `Review: ${describeReviewStatus(results)}`
     ];
     
     let y = 45;
@@ -392,6 +526,27 @@ const NinisinaApp = () => {
     doc.text(assessmentLines, 20, y + 7);
     y += assessmentLines.length * 7 + 10;
 
+    if (results.intervalChange?.summary) {
+      if (y > 250) {
+        doc.addPage();
+        y = 20;
+      }
+      doc.text("Interval Change Since Last Visit:", 20, y);
+      const intervalLines = doc.splitTextToSize(results.intervalChange.summary, 170);
+      doc.text(intervalLines, 20, y + 7);
+      y += intervalLines.length * 7 + 5;
+      results.intervalChange.changes.forEach(change => {
+        if (y > 260) {
+          doc.addPage();
+          y = 20;
+        }
+        const changeLines = doc.splitTextToSize(`• ${change.aspect} (${change.trend}): ${change.previous} → ${change.current}`, 170);
+        doc.text(changeLines, 20, y);
+        y += changeLines.length * 7;
+      });
+      y += 5;
+    }
+
     if (y > 250) {
       doc.addPage();
       y = 20;
@@ -522,18 +677,25 @@ const NinisinaApp = () => {
     
     const patientName = patientInfo.name || 'patient';
     doc.save(`consultation-${patientName}-${Date.now()}.pdf`);
+    recordExport({
+      resource: 'consultations',
+      resourceId: results.consultationId,
+      patientId: patientInfo.patientId || results.patientInfo?.patientId
+    });
   };
 
   const viewConsultationDetails = async (consultation) => {
     try {
-      const response = await fetch(`${API_BASE}/consultations/${consultation.id}`);
+      const response = await apiFetch(`/consultations/${consultation.id}`);
       if (!response.ok) {
         throw new Error('Failed to fetch consultation details');
       }
       const consultationData = await response.json();
       setSelectedConsultation(consultation);
       setResults(consultationData);
+      setNoteDraft(null);
       setPatientInfo({
+        patientId: consultationData.patientInfo?.patientId || '',
         name: consultationData.patientInfo?.name || consultation.patientName,
         age: consultationData.patientInfo?.age || '',
         gender: consultationData.patientInfo?.gender || '',
@@ -546,25 +708,103 @@ const NinisinaApp = () => {
     }
   };
 
+  const saveVitals = async () => {
+    if (!results?.consultationId || !vitalsDraft?.trim()) return;
+    try {
+      const response = await apiFetch(`/consultations/${results.consultationId}/vitals`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ vitals: vitalsDraft }),
+      });
+      if (!response.ok) {
+        const errData = await response.json();
+        throw new Error(errData.error || response.statusText);
+      }
+      const { vitals } = await response.json();
+      setResults(prev => ({ ...prev, clinicalSummary: { ...prev.clinicalSummary, vitals } }));
+      setVitalsDraft(null);
+    } catch (err) {
+      setError(`Failed to record vitals: ${err.message}`);
+      console.error('Record vitals error:', err);
+    }
+  };
+
+  // Show the reviewed note and keep its history entry in step
+  const applyReviewedNote = (consultation) => {
+    setResults(prev => ({ ...prev, ...consultation }));
+    setConsultationHistory(prev => prev.map(entry => (entry.id === consultation.consultationId ? {
+      ...entry,
+      chiefComplaint: consultation.clinicalSummary?.chiefComplaint || entry.chiefComplaint,
+      priority: consultation.medicalInsights?.redFlags?.some(flag => flag.status === 'Critical') ? 'High' : 'Normal',
+      status: reviewStatus(consultation)
+    } : entry)));
+  };
+
+  // Signed notes are changed through an amendment, which needs a reason
+  const saveNote = async (reason) => {
+    if (!results?.consultationId || !noteDraft) return;
+    setIsSavingNote(true);
+    try {
+      const consultation = isSigned(results)
+        ? await amendNote(results.consultationId, noteDraft, reason)
+        : await saveReview(results.consultationId, noteDraft);
+      applyReviewedNote(consultation);
+      setNoteDraft(null);
+    } catch (err) {
+      setError(`Failed to save review: ${err.message}`);
+      console.error('Save review error:', err);
+    } finally {
+      setIsSavingNote(false);
+    }
+  };
+
+  const signNote = async () => {
+    if (!results?.consultationId) return;
+    if (!window.confirm('Sign off this consultation note? After signing, changes can only be made as amendments.')) return;
+    setIsSavingNote(true);
+    try {
+      applyReviewedNote(await signOff(results.consultationId));
+    } catch (err) {
+      setError(`Failed to sign off consultation: ${err.message}`);
+      console.error('Sign off error:', err);
+    } finally {
+      setIsSavingNote(false);
+    }
+  };
+
   const reset = (preservePatientInfo = false) => {
-    setAudioBlob(null);
+    recorder.discard();
     setResults(null);
-    setRecordingTime(0);
     setError(null);
     setProcessingStatus('');
-    audioChunksRef.current = [];
     setSelectedConsultation(null);
+    setVitalsDraft(null);
+    setNoteDraft(null);
+    liveSessionRef.current?.close();
+    liveSessionRef.current = null;
+    setLiveTranscript('');
+    setFinalTranscript(null);
+    setIsFinalizingTranscript(false);
+    setImportedFileName('');
     
     if (!preservePatientInfo) {
-      setPatientInfo({
-        name: '',
-        age: '',
-        gender: '',
-        visitType: 'follow-up'
-      });
+      setPatientInfo(EMPTY_PATIENT_INFO);
     }
   };
 
+  // Keep the visit type chosen for this visit when switching patients
+  const selectPatient = (patient) => {
+    setPatientInfo(prev => patient ? {
+      ...prev,
+      patientId: patient.patientId,
+      mrn: patient.mrn,
+      name: patient.fullName,
+      age: patient.age,
+      gender: patient.gender,
+      allergies: patient.allergies
+    } : { ...EMPTY_PATIENT_INFO, visitType: prev.visitType });
+  };
+
   const TabButton = ({ id, label, icon: Icon, count }) => (
     <button
       onClick={() => setActiveTab(id)}
@@ -594,14 +834,28 @@ const NinisinaApp = () => {
 
   // ===================== LOGIN INTEGRATION START =====================
   // This function is passed to the Login component.
-  const handleLogin = () => {
-    setIsAuthenticated(true);
+  const handleLogin = (user) => {
+    setLoginNotice('');
+    setCurrentUser(user);
+    setActiveTab(firstAllowedTab(user));
+  };
+
+  const handleLogout = async () => {
+    if (isRecording) stopRecording();
+    clearActiveJob(); // don't hand an unfinished job over to the next user
+    setActiveJob(null);
+    batch.clear();
+    recorder.discard(); // don't leave audio behind in this browser
+    await logout();
+    reset();
+    setConsultationHistory([]);
+    setCurrentUser(null);
   };
 
   // If the user is not authenticated, show the Login screen.
   // The onLogin prop is passed down to be called on successful login.
   if (!isAuthenticated) {
-    return <Login onLogin={handleLogin} />;
+    return <Login onLogin={handleLogin} notice={loginNotice} />;
   }
   // ===================== LOGIN INTEGRATION END =======================
   
@@ -609,7 +863,28 @@ const NinisinaApp = () => {
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 p-4">
       <div className="max-w-8xl mx-auto">
-        {/* ... The rest of the NinisinaApp JSX remains unchanged ... */}
+        <div className="flex justify-end items-center space-x-3 mb-2 text-sm text-gray-600">
+          {(!offlineQueue.isOnline || offlineQueue.queued.length > 0) && (
+            <button
+              onClick={() => setActiveTab('history')}
+              className="flex items-center space-x-1 px-3 py-1 rounded-lg bg-yellow-50 border border-yellow-200 text-yellow-800 font-medium"
+            >
+              <CloudOff className="w-4 h-4" />
+              <span>
+                {offlineQueue.isOnline ? 'Online' : 'Offline'}
+                {offlineQueue.queued.length > 0 && ` · ${offlineQueue.queued.length} pending upload`}
+              </span>
+            </button>
+          )}
+          <span>Signed in as <span className="font-semibold">{currentUser.displayName}</span></span>
+          <button
+            onClick={handleLogout}
+            className="flex items-center space-x-1 px-3 py-1 rounded-lg bg-white hover:bg-gray-100 border border-gray-200 font-medium transition-colors"
+          >
+            <LogOut className="w-4 h-4" />
+            <span>Sign out</span>
+          </button>
+        </div>
         <div className="text-center mb-8">
         <div className="flex flex-col items-center justify-center mb-4 space-y-3">
           <div className="flex items-center justify-center">
@@ -628,17 +903,80 @@ const NinisinaApp = () => {
       </div>
 
         <div className="flex flex-wrap justify-center gap-2 mb-6">
-          <TabButton id="record" label="Record Consultation" icon={Mic} />
-          <TabButton id="analysis" label="Clinical Analysis" icon={FileText} />
-          <TabButton id="prescription" label="E-Prescription" icon={Pill} />
-          <TabButton id="history" label="Consultation History" icon={Clock} count={consultationHistory.length} />
+          {can(currentUser, TAB_PERMISSIONS.record) && (
+            <TabButton id="record" label="Record Consultation" icon={Mic} />
+          )}
+          {can(currentUser, TAB_PERMISSIONS.analysis) && (
+            <TabButton id="analysis" label="Clinical Analysis" icon={FileText} />
+          )}
+          {can(currentUser, TAB_PERMISSIONS.prescription) && (
+            <TabButton id="prescription" label="E-Prescription" icon={Pill} />
+          )}
+          {can(currentUser, TAB_PERMISSIONS.patients) && (
+            <TabButton id="patients" label="Patients" icon={UsersIcon} />
+          )}
+          {can(currentUser, TAB_PERMISSIONS.chart) && (
+            <TabButton id="chart" label="Patient Chart" icon={TrendingUp} />
+          )}
+          {can(currentUser, TAB_PERMISSIONS.history) && (
+            <TabButton id="history" label="Consultation History" icon={Clock} count={consultationHistory.length} />
+          )}
+          {can(currentUser, TAB_PERMISSIONS.audit) && (
+            <TabButton id="audit" label="Audit Log" icon={ScrollText} />
+          )}
+          {can(currentUser, TAB_PERMISSIONS.trash) && (
+            <TabButton id="trash" label="Trash" icon={Trash2} />
+          )}
         </div>
 
-        {activeTab === 'prescription' && (
-          <EPrescription patientInfo={patientInfo} />
+        {activeTab === 'prescription' && can(currentUser, TAB_PERMISSIONS.prescription) && (
+          <EPrescription
+            patientInfo={patientInfo}
+            username={currentUser.username}
+            // Prescriptions are saved on the consultation analyzed for the same patient
+            consultationId={results?.patientInfo?.patientId === patientInfo.patientId ? results.consultationId : undefined}
+            canSign={can(currentUser, PERMISSIONS.PRESCRIPTIONS_SIGN)}
+          />
+        )}
+
+        {activeTab === 'audit' && can(currentUser, TAB_PERMISSIONS.audit) && (
+          <AuditLog />
         )}
 
-        {activeTab === 'record' && (
+        {activeTab === 'trash' && can(currentUser, TAB_PERMISSIONS.trash) && (
+          <Trash
+            canManageLegalHold={can(currentUser, PERMISSIONS.LEGAL_HOLD_MANAGE)}
+            onRestored={fetchConsultations}
+          />
+        )}
+
+        {activeTab === 'patients' && can(currentUser, TAB_PERMISSIONS.patients) && (
+          <div className="bg-white rounded-xl shadow-lg p-6">
+            <h2 className="text-2xl font-semibold text-gray-800 mb-4 flex items-center">
+              <UsersIcon className="w-6 h-6 mr-2" />
+              Patient Registry
+            </h2>
+            <PatientPicker
+              selectedPatient={patientInfo}
+              onSelect={selectPatient}
+              canRegister={can(currentUser, PERMISSIONS.PATIENTS_REGISTER)}
+            />
+          </div>
+        )}
+
+        {activeTab === 'chart' && can(currentUser, TAB_PERMISSIONS.chart) && (
+          <PatientChart
+            patientInfo={patientInfo}
+            onSelectPatient={selectPatient}
+            canRegister={can(currentUser, PERMISSIONS.PATIENTS_REGISTER)}
+            canPrescribe={can(currentUser, PERMISSIONS.PRESCRIPTIONS_CREATE)}
+            canSignPrescriptions={can(currentUser, PERMISSIONS.PRESCRIPTIONS_SIGN)}
+            canDispense={can(currentUser, PERMISSIONS.PRESCRIPTIONS_DISPENSE)}
+            onOpenConsultation={viewConsultationDetails}
+          />
+        )}
+
+        {activeTab === 'record' && can(currentUser, TAB_PERMISSIONS.record) && (
           <div className="space-y-6">
             <div className="bg-white rounded-xl shadow-lg p-6">
               <h2 className="text-2xl font-semibold text-gray-800 mb-4 flex items-center">
@@ -646,30 +984,13 @@ const NinisinaApp = () => {
                 Patient Information
               </h2>
               <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
-                <input
-                  type="text"
-                  placeholder="Patient Name"
-                  value={patientInfo.name}
-                  onChange={(e) => setPatientInfo({...patientInfo, name: e.target.value})}
-                  className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                />
-                <input
-                  type="number"
-                  placeholder="Age"
-                  value={patientInfo.age}
-                  onChange={(e) => setPatientInfo({...patientInfo, age: e.target.value})}
-                  className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                />
-                <select
-                  value={patientInfo.gender}
-                  onChange={(e) => setPatientInfo({...patientInfo, gender: e.target.value})}
-                  className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                >
-                  <option value="">Select Gender</option>
-                  <option value="male">Male</option>
-                  <option value="female">Female</option>
-                  <option value="other">Other</option>
-                </select>
+                <div className="md:col-span-3">
+                  <PatientPicker
+                    selectedPatient={patientInfo}
+                    onSelect={selectPatient}
+                    canRegister={can(currentUser, PERMISSIONS.PATIENTS_REGISTER)}
+                  />
+                </div>
                 <select
                   value={patientInfo.visitType}
                   onChange={(e) => setPatientInfo({...patientInfo, visitType: e.target.value})}
@@ -689,33 +1010,52 @@ const NinisinaApp = () => {
                 Audio Recording
               </h2>
               <div className="flex flex-col items-center space-y-4">
+                {recorder.interruptedRecording && !isRecording && (
+                  <div className="w-full">
+                    <RecoveryPrompt
+                      recording={recorder.interruptedRecording}
+                      onResume={resumeInterruptedRecording}
+                      onProcess={recoverInterruptedRecording}
+                      onDiscard={recorder.discardInterrupted}
+                    />
+                  </div>
+                )}
                 <div className="flex items-center space-x-4">
                   {!isRecording ? (
                     <button
-                      onClick={startRecording}
-                      disabled={isProcessing}
+                      onClick={() => startRecording()}
+                      disabled={isProcessing || Boolean(recorder.interruptedRecording)}
                       className="bg-red-500 hover:bg-red-600 disabled:bg-gray-400 text-white px-8 py-4 rounded-lg font-semibold flex items-center space-x-2 transition-colors text-lg"
                     >
                       <Mic className="w-6 h-6" />
                       <span>Start Recording</span>
                     </button>
                   ) : (
-                    <button
-                      onClick={stopRecording}
-                      className="bg-gray-600 hover:bg-gray-700 text-white px-8 py-4 rounded-lg font-semibold flex items-center space-x-2 transition-colors text-lg"
-                    >
-                      <Square className="w-6 h-6" />
-                      <span>Stop Recording</span>
-                    </button>
+                    <>
+                      <button
+                        onClick={isPaused ? recorder.resume : recorder.pause}
+                        className="bg-yellow-500 hover:bg-yellow-600 text-white px-6 py-4 rounded-lg font-semibold flex items-center space-x-2 transition-colors text-lg"
+                      >
+                        {isPaused ? <Play className="w-6 h-6" /> : <Pause className="w-6 h-6" />}
+                        <span>{isPaused ? 'Resume' : 'Pause'}</span>
+                      </button>
+                      <button
+                        onClick={stopRecording}
+                        className="bg-gray-600 hover:bg-gray-700 text-white px-8 py-4 rounded-lg font-semibold flex items-center space-x-2 transition-colors text-lg"
+                      >
+                        <Square className="w-6 h-6" />
+                        <span>Stop Recording</span>
+                      </button>
+                    </>
                   )}
                   {audioBlob && !isRecording && (
                     <button
                       onClick={processAudio}
-                      disabled={isProcessing}
+                      disabled={isProcessing || isFinalizingTranscript || !patientInfo.patientId}
                       className="bg-blue-500 hover:bg-blue-600 disabled:bg-gray-400 text-white px-8 py-4 rounded-lg font-semibold flex items-center space-x-2 transition-colors text-lg"
                     >
                       <Upload className="w-6 h-6" />
-                      <span>{isProcessing ? 'Analyzing...' : 'Analyze Consultation'}</span>
+                      <span>{isProcessing ? 'Analyzing...' : isFinalizingTranscript ? 'Finalizing transcript...' : 'Analyze Consultation'}</span>
                     </button>
                   )}
                   {(audioBlob || results) && (
@@ -729,20 +1069,66 @@ const NinisinaApp = () => {
                 </div>
                 {isRecording && (
                   <div className="flex items-center space-x-3">
-                    <div className="w-4 h-4 bg-red-500 rounded-full animate-pulse"></div>
+                    <div className={`w-4 h-4 rounded-full ${isPaused ? 'bg-yellow-500' : 'bg-red-500 animate-pulse'}`}></div>
                     <span className="text-2xl font-mono font-bold">{formatTime(recordingTime)}</span>
-                    <span className="text-gray-600">Recording in progress...</span>
+                    <span className="text-gray-600">{isPaused ? 'Paused' : 'Recording in progress...'}</span>
                   </div>
                 )}
                 {audioBlob && !isRecording && !results && !isProcessing && (
                   <div className="text-green-600 font-semibold text-lg flex items-center">
                     <CheckCircle className="w-5 h-5 mr-2" />
-                    Recording completed ({formatTime(recordingTime)}). Ready to analyze.
+                    {importedFileName
+                      ? `Imported ${importedFileName}${recordingTime ? ` (${formatTime(recordingTime)})` : ''}.`
+                      : `Recording completed (${formatTime(recordingTime)}).`}
+                    {' '}{patientInfo.patientId ? 'Ready to analyze.' : 'Select a patient to analyze.'}
                   </div>
                 )}
+                {!isRecording && !recorder.interruptedRecording && (
+                  <AudioDropzone
+                    onFiles={importRecording}
+                    onReject={rejectFiles}
+                    disabled={isProcessing}
+                    label="Or drop a recording from your phone or dictation device here"
+                  />
+                )}
               </div>
             </div>
 
+            <BatchImport
+              batch={batch}
+              patientInfo={patientInfo}
+              onOpen={viewConsultationDetails}
+              onReject={rejectFiles}
+            />
+
+            {(isRecording || liveTranscript) && !results && (
+              <div className="bg-white rounded-xl shadow-lg p-6">
+                <h2 className="text-2xl font-semibold text-gray-800 mb-4 flex items-center justify-between">
+                  <span className="flex items-center">
+                    <FileText className="w-6 h-6 mr-2" />
+                    Live Transcript
+                  </span>
+                  <span className="text-sm font-normal text-gray-500">
+                    {isPaused ? 'Paused' : isRecording ? 'Updates every few seconds' : isFinalizingTranscript ? 'Finalizing...' : finalTranscript ? 'Final' : 'Will be transcribed after upload'}
+                  </span>
+                </h2>
+                <div className="bg-gray-50 rounded-lg p-4 max-h-64 overflow-y-auto">
+                  <p className="text-gray-700 whitespace-pre-wrap leading-relaxed">
+                    {liveTranscript || 'Listening...'}
+                  </p>
+                </div>
+              </div>
+            )}
+
+            {offlineNotice && (
+              <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
+                <div className="flex items-center space-x-2">
+                  <CloudOff className="w-5 h-5 text-yellow-600" />
+                  <p className="text-yellow-800 font-medium">{offlineNotice}</p>
+                </div>
+              </div>
+            )}
+
             {error && (
               <div className="bg-red-50 border border-red-200 rounded-lg p-4">
                 <div className="flex items-center space-x-2">
@@ -752,7 +1138,9 @@ const NinisinaApp = () => {
               </div>
             )}
 
-            {isProcessing && (
+            {isProcessing && jobProgress && <JobProgress progress={jobProgress} />}
+
+            {isProcessing && !jobProgress && (
               <div className="bg-blue-50 border border-blue-200 rounded-lg p-6">
                 <div className="flex items-center justify-center space-x-3">
                   <Activity className="w-8 h-8 text-blue-600 animate-spin" />
@@ -766,132 +1154,260 @@ const NinisinaApp = () => {
           </div>
         )}
 
-        {activeTab === 'analysis' && results && (
+        {activeTab === 'analysis' && results && can(currentUser, TAB_PERMISSIONS.analysis) && (
           <div className="space-y-6">
-            <div className="flex justify-center space-x-4">
-              <button
-                onClick={downloadResults}
-                className="bg-green-500 hover:bg-green-600 text-white px-6 py-3 rounded-lg font-semibold flex items-center space-x-2 transition-colors"
-              >
-                <Download className="w-5 h-5" />
-                <span>Download PDF Report</span>
-              </button>
-            </div>
-
-            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-              <div className="bg-white rounded-xl shadow-lg p-6">
-                <h3 className="text-xl font-semibold text-gray-800 mb-4 flex items-center">
-                  <Target className="w-5 h-5 mr-2 text-red-500" />
-                  Primary Concern
-                </h3>
-                <p className="text-gray-700 bg-red-50 rounded-lg p-4">{results.clinicalSummary.chiefComplaint}</p>
+            {can(currentUser, PERMISSIONS.REPORTS_EXPORT) && (
+              <div className="flex justify-center space-x-4">
+                <button
+                  onClick={downloadResults}
+                  className="bg-green-500 hover:bg-green-600 text-white px-6 py-3 rounded-lg font-semibold flex items-center space-x-2 transition-colors"
+                >
+                  <Download className="w-5 h-5" />
+                  <span>Download PDF Report</span>
+                </button>
               </div>
+            )}
 
-              <div className="bg-white rounded-xl shadow-lg p-6">
-                <h3 className="text-xl font-semibold text-gray-800 mb-4 flex items-center">
-                  <Heart className="w-5 h-5 mr-2 text-blue-500" />
-                  Assessment
-                </h3>
-                <p className="text-gray-700 bg-blue-50 rounded-lg p-4">{results.clinicalSummary.assessment}</p>
-              </div>
-            </div>
+            {can(currentUser, PERMISSIONS.CLINICAL_READ) && (
+              <ReviewStatus
+                consultation={results}
+                canEdit={can(currentUser, PERMISSIONS.CONSULTATIONS_UPDATE)}
+                canSign={can(currentUser, PERMISSIONS.CONSULTATIONS_SIGN)}
+                isEditing={noteDraft !== null}
+                isSaving={isSavingNote}
+                onEdit={() => setNoteDraft(draftFromConsultation(results))}
+                onSign={signNote}
+              />
+            )}
 
-            <div className="bg-white rounded-xl shadow-lg p-6">
-              <h3 className="text-xl font-semibold text-gray-800 mb-4 flex items-center">
-                <Brain className="w-5 h-5 mr-2" />
-                Possible Causes of Symptoms
-              </h3>
-              <div className="space-y-3">
-                {results.medicalInsights.differentialDiagnosis.map((dx, index) => (
-                  <div key={index} className={`p-4 rounded-lg border-l-4 ${getSeverityColor(dx.probability)} border-l-current`}>
-                    <div className="flex justify-between items-start mb-2">
-                      <h4 className="font-semibold">{dx.condition}</h4>
-                      <div className="flex items-center space-x-2">
-                        <span className="text-sm font-medium">{dx.probability}</span>
-                        <span className="text-xs bg-gray-100 px-2 py-1 rounded">{dx.icd10}</span>
+            {can(currentUser, PERMISSIONS.CLINICAL_READ) && results.consultationId && (
+              <RevisionHistory consultationId={results.consultationId} updatedAt={results.updatedAt} />
+            )}
+
+            {noteDraft ? (
+              <ClinicalNoteEditor
+                draft={noteDraft}
+                onChange={setNoteDraft}
+                amending={isSigned(results)}
+                isSaving={isSavingNote}
+                onSave={saveNote}
+                onCancel={() => setNoteDraft(null)}
+              />
+            ) : (
+              <>
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                  <div className="bg-white rounded-xl shadow-lg p-6">
+                    <h3 className="text-xl font-semibold text-gray-800 mb-4 flex items-center">
+                      <Target className="w-5 h-5 mr-2 text-red-500" />
+                      Primary Concern
+                    </h3>
+                    <p className="text-gray-700 bg-red-50 rounded-lg p-4">{results.clinicalSummary.chiefComplaint}</p>
+                  </div>
+
+                  <div className="bg-white rounded-xl shadow-lg p-6">
+                    <h3 className="text-xl font-semibold text-gray-800 mb-4 flex items-center">
+                      <Heart className="w-5 h-5 mr-2 text-blue-500" />
+                      Assessment
+                    </h3>
+                    <p className="text-gray-700 bg-blue-50 rounded-lg p-4">{results.clinicalSummary.assessment}</p>
+                  </div>
+                </div>
+
+                {results.clinicalSummary.plan && (
+                  <div className="bg-white rounded-xl shadow-lg p-6">
+                    <h3 className="text-xl font-semibold text-gray-800 mb-4 flex items-center">
+                      <ClipboardList className="w-5 h-5 mr-2 text-blue-500" />
+                      Plan
+                    </h3>
+                    <p className="text-gray-700 bg-blue-50 rounded-lg p-4 whitespace-pre-wrap">{results.clinicalSummary.plan}</p>
+                  </div>
+                )}
+
+                {results.intervalChange?.summary && (
+                  <div className="bg-white rounded-xl shadow-lg p-6">
+                    <h3 className="text-xl font-semibold text-gray-800 mb-4 flex items-center">
+                      <TrendingUp className="w-5 h-5 mr-2 text-indigo-500" />
+                      Interval Change Since Last Visit
+                    </h3>
+                    <p className="text-gray-700 bg-indigo-50 rounded-lg p-4 mb-4">{results.intervalChange.summary}</p>
+                    {results.intervalChange.changes.length > 0 && (
+                      <div className="overflow-x-auto">
+                        <table className="w-full text-sm">
+                          <thead>
+                            <tr className="text-left text-gray-500 border-b">
+                              <th className="py-2 pr-4">Aspect</th>
+                              <th className="py-2 pr-4">Last Visit</th>
+                              <th className="py-2 pr-4">Today</th>
+                              <th className="py-2">Trend</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {results.intervalChange.changes.map((change, index) => (
+                              <tr key={index} className="border-b last:border-0">
+                                <td className="py-2 pr-4 font-medium text-gray-800">{change.aspect}</td>
+                                <td className="py-2 pr-4 text-gray-600">{change.previous}</td>
+                                <td className="py-2 pr-4 text-gray-600">{change.current}</td>
+                                <td className="py-2">
+                                  <span className={`text-xs px-2 py-1 rounded-full ${
+                                    change.trend === 'Improved' || change.trend === 'Resolved' ? 'bg-green-100 text-green-800' :
+                                    change.trend === 'Worsened' || change.trend === 'New' ? 'bg-red-100 text-red-800' :
+                                    'bg-gray-100 text-gray-800'
+                                  }`}>
+                                    {change.trend}
+                                  </span>
+                                </td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
                       </div>
-                    </div>
-                    <p className="text-sm text-gray-600">{dx.reasoning}</p>
+                    )}
                   </div>
-                ))}
-              </div>
-            </div>
+                )}
 
-            <div className="bg-white rounded-xl shadow-lg p-6">
-              <h3 className="text-xl font-semibold text-gray-800 mb-4 flex items-center">
-                <Shield className="w-5 h-5 mr-2 text-orange-500" />
-                Serious Warning Signs
-              </h3>
-              <div className="space-y-3">
-                {results.medicalInsights.redFlags.map((flag, index) => (
-                  <div key={index} className="flex items-start space-x-3 p-3 bg-gray-50 rounded-lg">
-                    <AlertCircle className={`w-5 h-5 mt-1 ${
-                      flag.status === 'Critical' ? 'text-red-500' : 
-                      flag.status === 'Monitor' ? 'text-yellow-500' : 'text-green-500'
-                    }`} />
-                    <div className="flex-1">
-                      <p className="font-medium">{flag.flag}</p>
-                      <p className="text-sm text-gray-600">{flag.action}</p>
+                <div className="bg-white rounded-xl shadow-lg p-6">
+                  <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-xl font-semibold text-gray-800 flex items-center">
+                      <Activity className="w-5 h-5 mr-2 text-green-500" />
+                      Vital Signs
+                    </h3>
+                    {can(currentUser, PERMISSIONS.VITALS_RECORD) && results.consultationId && !isSigned(results) && vitalsDraft === null && (
+                      <button
+                        onClick={() => setVitalsDraft(results.clinicalSummary.vitals || '')}
+                        className="text-blue-500 hover:text-blue-700 font-medium"
+                      >
+                        Record Vitals
+                      </button>
+                    )}
+                  </div>
+                  {vitalsDraft === null ? (
+                    <p className="text-gray-700 bg-green-50 rounded-lg p-4">{results.clinicalSummary.vitals || 'Not recorded'}</p>
+                  ) : (
+                    <div className="space-y-3">
+                      <textarea
+                        value={vitalsDraft}
+                        onChange={(e) => setVitalsDraft(e.target.value)}
+                        rows={3}
+                        placeholder="e.g. BP 128/82 mmHg, HR 76 bpm, Temp 37.1 °C, SpO2 98%"
+                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
+                      <div className="flex space-x-2">
+                        <button
+                          onClick={saveVitals}
+                          disabled={!vitalsDraft.trim()}
+                          className="bg-blue-500 hover:bg-blue-600 disabled:bg-gray-400 text-white px-4 py-2 rounded-lg font-medium transition-colors"
+                        >
+                          Save Vitals
+                        </button>
+                        <button
+                          onClick={() => setVitalsDraft(null)}
+                          className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-4 py-2 rounded-lg font-medium transition-colors"
+                        >
+                          Cancel
+                        </button>
+                      </div>
                     </div>
-                    <span className={`text-xs px-2 py-1 rounded-full ${
-                      flag.status === 'Critical' ? 'bg-red-100 text-red-800' :
-                      flag.status === 'Monitor' ? 'bg-yellow-100 text-yellow-800' :
-                      'bg-green-100 text-green-800'
-                    }`}>
-                      {flag.status}
-                    </span>
+                  )}
+                </div>
+
+                <div className="bg-white rounded-xl shadow-lg p-6">
+                  <h3 className="text-xl font-semibold text-gray-800 mb-4 flex items-center">
+                    <Brain className="w-5 h-5 mr-2" />
+                    Possible Causes of Symptoms
+                  </h3>
+                  <div className="space-y-3">
+                    {results.medicalInsights.differentialDiagnosis.map((dx, index) => (
+                      <div key={index} className={`p-4 rounded-lg border-l-4 ${getSeverityColor(dx.probability)} border-l-current`}>
+                        <div className="flex justify-between items-start mb-2">
+                          <h4 className="font-semibold">{dx.condition}</h4>
+                          <div className="flex items-center space-x-2">
+                            <span className="text-sm font-medium">{dx.probability}</span>
+                            <span className="text-xs bg-gray-100 px-2 py-1 rounded">{dx.icd10}</span>
+                          </div>
+                        </div>
+                        <p className="text-sm text-gray-600">{dx.reasoning}</p>
+                      </div>
+                    ))}
                   </div>
-                ))}
-              </div>
-            </div>
+                </div>
 
-            <div className="bg-white rounded-xl shadow-lg p-6">
-              <h3 className="text-xl font-semibold text-gray-800 mb-4 flex items-center">
-                <ClipboardList className="w-5 h-5 mr-2" />
-                Clinical Recommendations
-              </h3>
-              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-                {results.medicalInsights.recommendations.map((rec, index) => (
-                  <div key={index} className="bg-gray-50 rounded-lg p-4">
-                    <h4 className="font-semibold text-gray-800 mb-2 flex items-center">
-                      {rec.category === 'Immediate' && <AlertCircle className="w-4 h-4 mr-1 text-red-500" />}
-                      {rec.category === 'Follow-up' && <Calendar className="w-4 h-4 mr-1 text-blue-500" />}
-                      {rec.category === 'Lifestyle' && <Heart className="w-4 h-4 mr-1 text-green-500" />}
-                      {rec.category}
-                    </h4>
-                    <ul className="space-y-1">
-                      {rec.items.map((item, idx) => (
-                        <li key={idx} className="text-sm text-gray-600 flex items-start">
-                          <CheckCircle className="w-3 h-3 mr-2 mt-1 text-green-500 flex-shrink-0" />
-                          {item}
-                        </li>
-                      ))}
-                    </ul>
+                <div className="bg-white rounded-xl shadow-lg p-6">
+                  <h3 className="text-xl font-semibold text-gray-800 mb-4 flex items-center">
+                    <Shield className="w-5 h-5 mr-2 text-orange-500" />
+                    Serious Warning Signs
+                  </h3>
+                  <div className="space-y-3">
+                    {results.medicalInsights.redFlags.map((flag, index) => (
+                      <div key={index} className="flex items-start space-x-3 p-3 bg-gray-50 rounded-lg">
+                        <AlertCircle className={`w-5 h-5 mt-1 ${
+                          flag.status === 'Critical' ? 'text-red-500' : 
+                          flag.status === 'Monitor' ? 'text-yellow-500' : 'text-green-500'
+                        }`} />
+                        <div className="flex-1">
+                          <p className="font-medium">{flag.flag}</p>
+                          <p className="text-sm text-gray-600">{flag.action}</p>
+                        </div>
+                        <span className={`text-xs px-2 py-1 rounded-full ${
+                          flag.status === 'Critical' ? 'bg-red-100 text-red-800' :
+                          flag.status === 'Monitor' ? 'bg-yellow-100 text-yellow-800' :
+                          'bg-green-100 text-green-800'
+                        }`}>
+                          {flag.status}
+                        </span>
+                      </div>
+                    ))}
                   </div>
-                ))}
-              </div>
-            </div>
+                </div>
 
-            <div className="bg-white rounded-xl shadow-lg p-6">
-              <h3 className="text-xl font-semibold text-gray-800 mb-4 flex items-center">
-                <Clock className="w-5 h-5 mr-2 text-purple-500" />
-                Next Steps
-              </h3>
-              <div className="space-y-3">
-                {results.followUpReminders.map((reminder, index) => (
-                  <div key={index} className="flex items-center justify-between p-3 bg-purple-50 rounded-lg border border-purple-200">
-                    <div className="flex items-center space-x-3">
-                      <div className={`w-3 h-3 rounded-full ${
-                        reminder.type === 'urgent' ? 'bg-red-500' :
-                        reminder.type === 'monitoring' ? 'bg-yellow-500' : 'bg-green-500'
-                      }`}></div>
-                      <span className="font-medium flex-1">{reminder.message}</span>
-                    </div>
-                    <p className="text-sm text-gray-600 whitespace-nowrap">Due: {new Date(reminder.dueDate).toLocaleDateString()}</p>
+                <div className="bg-white rounded-xl shadow-lg p-6">
+                  <h3 className="text-xl font-semibold text-gray-800 mb-4 flex items-center">
+                    <ClipboardList className="w-5 h-5 mr-2" />
+                    Clinical Recommendations
+                  </h3>
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    {results.medicalInsights.recommendations.map((rec, index) => (
+                      <div key={index} className="bg-gray-50 rounded-lg p-4">
+                        <h4 className="font-semibold text-gray-800 mb-2 flex items-center">
+                          {rec.category === 'Immediate' && <AlertCircle className="w-4 h-4 mr-1 text-red-500" />}
+                          {rec.category === 'Follow-up' && <Calendar className="w-4 h-4 mr-1 text-blue-500" />}
+                          {rec.category === 'Lifestyle' && <Heart className="w-4 h-4 mr-1 text-green-500" />}
+                          {rec.category}
+                        </h4>
+                        <ul className="space-y-1">
+                          {rec.items.map((item, idx) => (
+                            <li key={idx} className="text-sm text-gray-600 flex items-start">
+                              <CheckCircle className="w-3 h-3 mr-2 mt-1 text-green-500 flex-shrink-0" />
+                              {item}
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    ))}
                   </div>
-                ))}
-              </div>
-            </div>
+                </div>
+
+                <div className="bg-white rounded-xl shadow-lg p-6">
+                  <h3 className="text-xl font-semibold text-gray-800 mb-4 flex items-center">
+                    <Clock className="w-5 h-5 mr-2 text-purple-500" />
+                    Next Steps
+                  </h3>
+                  <div className="space-y-3">
+                    {results.followUpReminders.map((reminder, index) => (
+                      <div key={index} className="flex items-center justify-between p-3 bg-purple-50 rounded-lg border border-purple-200">
+                        <div className="flex items-center space-x-3">
+                          <div className={`w-3 h-3 rounded-full ${
+                            reminder.type === 'urgent' ? 'bg-red-500' :
+                            reminder.type === 'monitoring' ? 'bg-yellow-500' : 'bg-green-500'
+                          }`}></div>
+                          <span className="font-medium flex-1">{reminder.message}</span>
+                        </div>
+                        <p className="text-sm text-gray-600 whitespace-nowrap">Due: {new Date(reminder.dueDate).toLocaleDateString()}</p>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              </>
+            )}
 
             <div className="bg-white rounded-xl shadow-lg p-6">
               <h3 className="text-xl font-semibold text-gray-800 mb-4 flex items-center">
@@ -905,7 +1421,7 @@ const NinisinaApp = () => {
           </div>
         )}
 
-        {activeTab === 'history' && (
+        {activeTab === 'history' && can(currentUser, TAB_PERMISSIONS.history) && (
           <div className="bg-white rounded-xl shadow-lg p-6">
             <div className="flex justify-between items-center mb-6">
               <h2 className="text-2xl font-semibold text-gray-800 flex items-center">
@@ -933,8 +1449,21 @@ const NinisinaApp = () => {
                   />
                 </div>
                 <Filter className="w-5 h-5 text-gray-400" />
+                {can(currentUser, PERMISSIONS.RESEARCH_EXPORT) && (
+                  <button
+                    onClick={exportResearchDataset}
+                    disabled={isExportingResearch}
+                    className="bg-gray-100 hover:bg-gray-200 disabled:text-gray-400 text-gray-700 px-4 py-2 rounded-lg font-medium flex items-center space-x-2 transition-colors"
+                    title="Download every consultation with names, ids and exact dates removed"
+                  >
+                    <Download className="w-4 h-4" />
+                    <span>{isExportingResearch ? 'Exporting...' : 'Research Export'}</span>
+                  </button>
+                )}
               </div>
             </div>
+
+            <PendingUploads queue={offlineQueue} />
             
             {consultationHistory.length === 0 ? (
               <div className="text-center py-12">
@@ -955,6 +1484,15 @@ const NinisinaApp = () => {
                           }`}>
                             {consultation.priority} Priority
                           </span>
+                          <span className={`px-2 py-1 rounded-full text-xs font-medium ${STATUS_STYLES[consultation.status]}`}>
+                            {STATUS_LABELS[consultation.status]}
+                          </span>
+                          {consultation.legalHold && (
+                            <span className="px-2 py-1 rounded-full text-xs font-medium bg-gray-800 text-white flex items-center">
+                              <Lock className="w-3 h-3 mr-1" />
+                              Legal Hold
+                            </span>
+                          )}
                         </div>
                         <p className="text-gray-600 mb-2">{consultation.chiefComplaint}</p>
                         <div className="flex items-center space-x-4 text-sm text-gray-500">
@@ -969,18 +1507,32 @@ const NinisinaApp = () => {
                         </div>
                       </div>
                       <div className="flex space-x-2">
-                        <button
-                          onClick={() => viewConsultationDetails(consultation)}
-                          className="text-blue-500 hover:text-blue-700 font-medium"
-                        >
-                          View Details
-                        </button>
-                        <button
-                          onClick={() => deleteConsultation(consultation.id)}
-                          className="text-red-500 hover:text-red-700 font-medium"
-                        >
-                          <Trash2 className="w-5 h-5" />
-                        </button>
+                        {can(currentUser, PERMISSIONS.CLINICAL_READ) && (
+                          <button
+                            onClick={() => viewConsultationDetails(consultation)}
+                            className="text-blue-500 hover:text-blue-700 font-medium"
+                          >
+                            View Details
+                          </button>
+                        )}
+                        {can(currentUser, PERMISSIONS.LEGAL_HOLD_MANAGE) && (
+                          <button
+                            onClick={() => toggleLegalHold(consultation)}
+                            className="text-gray-500 hover:text-gray-700 font-medium"
+                            title={consultation.legalHold ? 'Lift legal hold' : 'Place legal hold'}
+                          >
+                            {consultation.legalHold ? <LockOpen className="w-5 h-5" /> : <Lock className="w-5 h-5" />}
+                          </button>
+                        )}
+                        {can(currentUser, PERMISSIONS.CONSULTATIONS_DELETE) && !consultation.legalHold && (
+                          <button
+                            onClick={() => deleteConsultation(consultation.id)}
+                            className="text-red-500 hover:text-red-700 font-medium"
+                            title="Move to trash"
+                          >
+                            <Trash2 className="w-5 h-5" />
+                          </button>
+                        )}
                       </div>
                     </div>
                   </div>
@@ -990,17 +1542,19 @@ const NinisinaApp = () => {
           </div>
         )}
 
-        {!results && activeTab === 'analysis' && (
+        {!results && activeTab === 'analysis' && can(currentUser, TAB_PERMISSIONS.analysis) && (
           <div className="bg-white rounded-xl shadow-lg p-12 text-center">
             <FileText className="w-16 h-16 text-gray-300 mx-auto mb-4" />
             <p className="text-gray-500 text-lg mb-2">No consultation data available</p>
             <p className="text-gray-400">Record and analyze a consultation to view detailed medical insights</p>
-            <button
-              onClick={() => setActiveTab('record')}
-              className="mt-4 bg-blue-500 hover:bg-blue-600 text-white px-6 py-2 rounded-lg font-medium transition-colors"
-            >
-              Start Recording
-            </button>
+            {can(currentUser, TAB_PERMISSIONS.record) && (
+              <button
+                onClick={() => setActiveTab('record')}
+                className="mt-4 bg-blue-500 hover:bg-blue-600 text-white px-6 py-2 rounded-lg font-medium transition-colors"
+              >
+                Start Recording
+              </button>
+            )}
           </div>
         )}
       </div>
@@ -0,0 +1,65 @@
+import React, { useRef, useState } from 'react';
+import { FolderOpen } from 'lucide-react';
+import { IMPORT_ACCEPT, isAudioFile } from './audioFormats';
+
+// Drop target and file picker for importing recordings from disk. Calls
+// onFiles with the audio files chosen and onReject with the names of any
+// files that aren't audio.
+const AudioDropzone = ({ onFiles, onReject, multiple = false, disabled = false, label }) => {
+  const inputRef = useRef(null);
+  const [isDragging, setIsDragging] = useState(false);
+
+  const handleFiles = (fileList) => {
+    const files = Array.from(fileList || []);
+    const accepted = files.filter(isAudioFile);
+    const rejected = files.filter(file => !isAudioFile(file));
+    if (rejected.length > 0) onReject?.(rejected.map(file => file.name));
+    if (accepted.length > 0) onFiles(multiple ? accepted : accepted.slice(0, 1));
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    if (!disabled) handleFiles(e.dataTransfer.files);
+  };
+
+  return (
+    <div
+      onDragOver={(e) => {
+        e.preventDefault();
+        if (!disabled) setIsDragging(true);
+      }}
+      onDragLeave={() => setIsDragging(false)}
+      onDrop={handleDrop}
+      className={`w-full border-2 border-dashed rounded-lg p-4 text-center transition-colors ${
+        isDragging ? 'border-blue-500 bg-blue-50' : 'border-gray-300'
+      } ${disabled ? 'opacity-50' : ''}`}
+    >
+      <p className="text-gray-600 mb-2">
+        {label || (multiple ? 'Drop recordings here to import them' : 'Drop a recording here to import it')}
+      </p>
+      <button
+        type="button"
+        onClick={() => inputRef.current?.click()}
+        disabled={disabled}
+        className="bg-gray-100 hover:bg-gray-200 disabled:cursor-not-allowed text-gray-700 px-4 py-2 rounded-lg font-medium inline-flex items-center space-x-2 transition-colors"
+      >
+        <FolderOpen className="w-5 h-5" />
+        <span>{multiple ? 'Choose files' : 'Choose file'}</span>
+      </button>
+      <input
+        ref={inputRef}
+        type="file"
+        accept={IMPORT_ACCEPT}
+        multiple={multiple}
+        className="hidden"
+        onChange={(e) => {
+          handleFiles(e.target.files);
+          e.target.value = ''; // allow picking the same file again
+        }}
+      />
+    </div>
+  );
+};
+
+export default AudioDropzone;
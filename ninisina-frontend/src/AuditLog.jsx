@@ -0,0 +1,237 @@
+import React, { useEffect, useState } from 'react';
+import { AlertCircle, Calendar, ScrollText, Search, ShieldAlert, ShieldCheck } from 'lucide-react';
+import { fetchAuditLog, verifyAuditLog } from './audit';
+
+const ACTIONS = ['read', 'create', 'update', 'delete', 'export', 'login', 'login_failed', 'logout'];
+
+const ACTION_STYLES = {
+  read: 'bg-gray-100 text-gray-800',
+  create: 'bg-green-100 text-green-800',
+  update: 'bg-blue-100 text-blue-800',
+  delete: 'bg-red-100 text-red-800',
+  export: 'bg-purple-100 text-purple-800',
+  login: 'bg-green-100 text-green-800',
+  login_failed: 'bg-red-100 text-red-800',
+  logout: 'bg-gray-100 text-gray-800'
+};
+
+const EMPTY_FILTERS = {
+  username: '',
+  patientId: '',
+  action: '',
+  startDate: '',
+  endDate: ''
+};
+
+const PAGE_SIZE = 50;
+
+const inputClassName = 'px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+// Admin screen for the audit trail: who accessed or changed what, when
+const AuditLog = () => {
+  const [filters, setFilters] = useState(EMPTY_FILTERS); // Being edited in the form
+  const [query, setQuery] = useState({ ...EMPTY_FILTERS, page: 1 }); // Applied
+  const [entries, setEntries] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [verification, setVerification] = useState(null);
+  const [isVerifying, setIsVerifying] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+
+    // endDate is inclusive of the whole day
+    const endDate = query.endDate ? `${query.endDate}T23:59:59.999` : '';
+    fetchAuditLog({ ...query, endDate, limit: PAGE_SIZE })
+      .then((data) => {
+        if (cancelled) return;
+        setEntries(data.entries);
+        setPagination(data.pagination);
+        setError(null);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(`Failed to load audit log: ${err.message}`);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [query]);
+
+  const search = (e) => {
+    e.preventDefault();
+    setQuery({ ...filters, page: 1 });
+  };
+
+  const verify = async () => {
+    setIsVerifying(true);
+    try {
+      setVerification(await verifyAuditLog());
+    } catch (err) {
+      setError(`Failed to verify audit log: ${err.message}`);
+    } finally {
+      setIsVerifying(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6">
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-2xl font-semibold text-gray-800 flex items-center">
+          <ScrollText className="w-6 h-6 mr-2" />
+          Audit Log
+        </h2>
+        <button
+          onClick={verify}
+          disabled={isVerifying}
+          className="bg-gray-100 hover:bg-gray-200 disabled:text-gray-400 text-gray-700 px-4 py-2 rounded-lg font-medium flex items-center space-x-2 transition-colors"
+        >
+          <ShieldCheck className="w-4 h-4" />
+          <span>{isVerifying ? 'Verifying...' : 'Verify Integrity'}</span>
+        </button>
+      </div>
+
+      {verification && (
+        <div className={`mb-4 rounded-lg p-4 flex items-center ${
+          verification.valid ? 'bg-green-50 border border-green-200 text-green-800' : 'bg-red-50 border border-red-200 text-red-800'
+        }`}>
+          {verification.valid ? <ShieldCheck className="w-5 h-5 mr-2" /> : <ShieldAlert className="w-5 h-5 mr-2" />}
+          {verification.valid
+            ? `All ${verification.checked} entries verified; the chain is intact.`
+            : `Tampering detected: the chain is broken at entry #${verification.brokenAt} (${verification.checked} entries verified before it).`}
+        </div>
+      )}
+
+      <form onSubmit={search} className="flex flex-wrap items-center gap-3 mb-6">
+        <input
+          type="text"
+          placeholder="Username"
+          value={filters.username}
+          onChange={(e) => setFilters({ ...filters, username: e.target.value })}
+          className={inputClassName}
+        />
+        <input
+          type="text"
+          placeholder="Patient ID"
+          value={filters.patientId}
+          onChange={(e) => setFilters({ ...filters, patientId: e.target.value })}
+          className={inputClassName}
+        />
+        <select
+          value={filters.action}
+          onChange={(e) => setFilters({ ...filters, action: e.target.value })}
+          className={inputClassName}
+        >
+          <option value="">All actions</option>
+          {ACTIONS.map(action => <option key={action} value={action}>{action}</option>)}
+        </select>
+        <div className="relative">
+          <Calendar className="w-4 h-4 absolute left-3 top-3 text-gray-400" />
+          <input
+            type="date"
+            value={filters.startDate}
+            onChange={(e) => setFilters({ ...filters, startDate: e.target.value })}
+            className={`${inputClassName} pl-10`}
+            title="From"
+          />
+        </div>
+        <div className="relative">
+          <Calendar className="w-4 h-4 absolute left-3 top-3 text-gray-400" />
+          <input
+            type="date"
+            value={filters.endDate}
+            onChange={(e) => setFilters({ ...filters, endDate: e.target.value })}
+            className={`${inputClassName} pl-10`}
+            title="To"
+          />
+        </div>
+        <button
+          type="submit"
+          className="bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded-lg font-medium flex items-center space-x-2 transition-colors"
+        >
+          <Search className="w-4 h-4" />
+          <span>Search</span>
+        </button>
+      </form>
+
+      {error && (
+        <p className="text-sm text-red-600 flex items-center mb-4">
+          <AlertCircle className="w-4 h-4 mr-1" />
+          {error}
+        </p>
+      )}
+
+      {entries.length === 0 ? (
+        <p className="text-center text-gray-500 py-12">{isLoading ? 'Loading...' : 'No audit entries match these filters'}</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-2 pr-4">#</th>
+                <th className="py-2 pr-4">Time</th>
+                <th className="py-2 pr-4">User</th>
+                <th className="py-2 pr-4">Action</th>
+                <th className="py-2 pr-4">Resource</th>
+                <th className="py-2 pr-4">Patient</th>
+                <th className="py-2 pr-4">Status</th>
+                <th className="py-2">IP</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map(entry => (
+                <tr key={entry.sequence} className="border-b last:border-0 align-top">
+                  <td className="py-2 pr-4 text-gray-400">{entry.sequence}</td>
+                  <td className="py-2 pr-4 text-gray-600 whitespace-nowrap">{new Date(entry.timestamp).toLocaleString()}</td>
+                  <td className="py-2 pr-4 text-gray-800">
+                    {entry.username || 'unknown'}
+                    {entry.role && <span className="text-gray-400"> ({entry.role})</span>}
+                  </td>
+                  <td className="py-2 pr-4">
+                    <span className={`text-xs px-2 py-1 rounded-full ${ACTION_STYLES[entry.action] || ACTION_STYLES.read}`}>
+                      {entry.action}
+                    </span>
+                  </td>
+                  <td className="py-2 pr-4 text-gray-600">
+                    <span title={`${entry.method} ${entry.path}`}>{entry.resource}</span>
+                    {entry.resourceId && <span className="text-gray-400"> {entry.resourceId}</span>}
+                  </td>
+                  <td className="py-2 pr-4 text-gray-600">{entry.patientId || '—'}</td>
+                  <td className={`py-2 pr-4 ${entry.statusCode >= 400 ? 'text-red-600' : 'text-gray-600'}`}>{entry.statusCode}</td>
+                  <td className="py-2 text-gray-400">{entry.ip}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {pagination && pagination.totalPages > 1 && (
+        <div className="flex justify-between items-center mt-4 text-sm text-gray-600">
+          <button
+            onClick={() => setQuery({ ...query, page: query.page - 1 })}
+            disabled={query.page <= 1 || isLoading}
+            className="text-blue-500 hover:text-blue-700 disabled:text-gray-400 font-medium"
+          >
+            Newer
+          </button>
+          <span>Page {pagination.currentPage} of {pagination.totalPages} · {pagination.totalItems} entries</span>
+          <button
+            onClick={() => setQuery({ ...query, page: query.page + 1 })}
+            disabled={query.page >= pagination.totalPages || isLoading}
+            className="text-blue-500 hover:text-blue-700 disabled:text-gray-400 font-medium"
+          >
+            Older
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuditLog;
@@ -0,0 +1,96 @@
+import React from 'react';
+import { Activity, AlertCircle, CheckCircle, Clock, FolderOpen, Trash2, Upload } from 'lucide-react';
+import AudioDropzone from './AudioDropzone';
+import { formatDuration } from './useBatchImport';
+
+const StatusIcon = ({ status }) => {
+  if (status === 'done') return <CheckCircle className="w-5 h-5 text-green-500" />;
+  if (status === 'failed') return <AlertCircle className="w-5 h-5 text-red-500" />;
+  if (status === 'ready') return <Clock className="w-5 h-5 text-gray-400" />;
+  return <Activity className="w-5 h-5 text-blue-600 animate-spin" />;
+};
+
+// Batch import card on the Record tab; the batch itself lives in useBatchImport
+const BatchImport = ({ batch, patientInfo, onOpen, onReject }) => {
+  const readyCount = batch.items.filter(item => item.status === 'ready').length;
+  const isBusy = batch.items.some(item => !['ready', 'done', 'failed'].includes(item.status));
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6">
+      <h2 className="text-2xl font-semibold text-gray-800 mb-4 flex items-center">
+        <FolderOpen className="w-6 h-6 mr-2" />
+        Batch Import
+      </h2>
+      <p className="text-gray-600 mb-4">
+        Each recording becomes its own consultation for the patient selected when it was added.
+      </p>
+
+      <AudioDropzone
+        multiple
+        disabled={!patientInfo.patientId}
+        label={patientInfo.patientId
+          ? `Drop recordings for ${patientInfo.name} here`
+          : 'Select a patient before adding recordings'}
+        onFiles={(files) => batch.addFiles(files, patientInfo)}
+        onReject={onReject}
+      />
+
+      {batch.items.length > 0 && (
+        <>
+          <ul className="divide-y divide-gray-100 mt-4">
+            {batch.items.map(item => (
+              <li key={item.key} className="flex items-center justify-between py-3">
+                <div className="flex items-start space-x-3">
+                  <StatusIcon status={item.status} />
+                  <div>
+                    <p className="font-medium text-gray-800">{item.file.name}</p>
+                    <p className="text-sm text-gray-600">
+                      {item.patientInfo.name} · {formatDuration(item.duration)}
+                      {item.detail && ` · ${item.detail}`}
+                    </p>
+                  </div>
+                </div>
+                {item.status === 'ready' && (
+                  <button
+                    onClick={() => batch.removeItem(item.key)}
+                    className="text-gray-400 hover:text-red-500"
+                    title="Remove from batch"
+                  >
+                    <Trash2 className="w-5 h-5" />
+                  </button>
+                )}
+                {item.status === 'done' && (
+                  <button
+                    onClick={() => onOpen(item.consultation)}
+                    className="text-blue-600 hover:text-blue-800 font-medium"
+                  >
+                    View
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+          <div className="flex space-x-3 mt-4">
+            <button
+              onClick={batch.processAll}
+              disabled={readyCount === 0}
+              className="bg-blue-500 hover:bg-blue-600 disabled:bg-gray-400 text-white px-6 py-3 rounded-lg font-semibold flex items-center space-x-2 transition-colors"
+            >
+              <Upload className="w-5 h-5" />
+              <span>Analyze {readyCount} {readyCount === 1 ? 'Recording' : 'Recordings'}</span>
+            </button>
+            <button
+              onClick={batch.clear}
+              disabled={isBusy}
+              className="bg-gray-500 hover:bg-gray-600 disabled:bg-gray-400 text-white px-6 py-3 rounded-lg font-semibold transition-colors"
+            >
+              Clear
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BatchImport;
@@ -0,0 +1,236 @@
+import React, { useState } from 'react';
+import { Brain, ClipboardList, Plus, Save, Shield, Target, X } from 'lucide-react';
+import { RED_FLAG_STATUSES } from './consultationReview';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const EMPTY_DIAGNOSIS = { condition: '', probability: '', reasoning: '', icd10: '' };
+const EMPTY_RED_FLAG = { flag: '', status: 'Monitor', action: '' };
+
+// Inline editor for the AI-generated note. `draft` comes from
+// draftFromConsultation(); when `amending` a signed note a reason is required.
+const ClinicalNoteEditor = ({ draft, onChange, amending, isSaving, onSave, onCancel }) => {
+  const [reason, setReason] = useState('');
+  const { clinicalSummary, medicalInsights } = draft;
+
+  const setSummary = (field, value) => onChange({ ...draft, clinicalSummary: { ...clinicalSummary, [field]: value } });
+  const setInsights = (list, items) => onChange({ ...draft, medicalInsights: { ...medicalInsights, [list]: items } });
+  const updateItem = (list, index, changes) =>
+    setInsights(list, medicalInsights[list].map((item, i) => (i === index ? { ...item, ...changes } : item)));
+  const removeItem = (list, index) => setInsights(list, medicalInsights[list].filter((item, i) => i !== index));
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-xl shadow-lg p-6 space-y-4">
+        <h3 className="text-xl font-semibold text-gray-800 flex items-center">
+          <Target className="w-5 h-5 mr-2 text-red-500" />
+          Clinical Summary
+        </h3>
+        <label className="block">
+          <span className="text-sm font-medium text-gray-700">Primary Concern</span>
+          <input
+            type="text"
+            value={clinicalSummary.chiefComplaint || ''}
+            onChange={(e) => setSummary('chiefComplaint', e.target.value)}
+            className={inputClass}
+          />
+        </label>
+        <label className="block">
+          <span className="text-sm font-medium text-gray-700">History of Present Illness</span>
+          <textarea
+            value={clinicalSummary.historyOfPresentIllness || ''}
+            onChange={(e) => setSummary('historyOfPresentIllness', e.target.value)}
+            rows={4}
+            className={inputClass}
+          />
+        </label>
+        <label className="block">
+          <span className="text-sm font-medium text-gray-700">Assessment</span>
+          <textarea
+            value={clinicalSummary.assessment || ''}
+            onChange={(e) => setSummary('assessment', e.target.value)}
+            rows={3}
+            className={inputClass}
+          />
+        </label>
+        <label className="block">
+          <span className="text-sm font-medium text-gray-700">Plan</span>
+          <textarea
+            value={clinicalSummary.plan}
+            onChange={(e) => setSummary('plan', e.target.value)}
+            rows={4}
+            className={inputClass}
+          />
+        </label>
+      </div>
+
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-xl font-semibold text-gray-800 flex items-center">
+            <Brain className="w-5 h-5 mr-2" />
+            Possible Causes of Symptoms
+          </h3>
+          <button
+            onClick={() => setInsights('differentialDiagnosis', [...medicalInsights.differentialDiagnosis, { ...EMPTY_DIAGNOSIS }])}
+            className="text-blue-500 hover:text-blue-700 font-medium flex items-center space-x-1"
+          >
+            <Plus className="w-4 h-4" />
+            <span>Add Diagnosis</span>
+          </button>
+        </div>
+        <div className="space-y-3">
+          {medicalInsights.differentialDiagnosis.map((dx, index) => (
+            <div key={index} className="p-4 rounded-lg bg-gray-50 space-y-2">
+              <div className="flex space-x-2">
+                <input
+                  type="text"
+                  value={dx.condition}
+                  onChange={(e) => updateItem('differentialDiagnosis', index, { condition: e.target.value })}
+                  placeholder="Condition"
+                  className={`${inputClass} flex-1`}
+                />
+                <input
+                  type="text"
+                  value={dx.probability}
+                  onChange={(e) => updateItem('differentialDiagnosis', index, { probability: e.target.value })}
+                  placeholder="Probability"
+                  className={`${inputClass} w-40`}
+                />
+                <input
+                  type="text"
+                  value={dx.icd10}
+                  onChange={(e) => updateItem('differentialDiagnosis', index, { icd10: e.target.value })}
+                  placeholder="ICD-10"
+                  className={`${inputClass} w-28`}
+                />
+                <button
+                  onClick={() => removeItem('differentialDiagnosis', index)}
+                  className="text-red-500 hover:text-red-700"
+                  title="Remove diagnosis"
+                >
+                  <X className="w-5 h-5" />
+                </button>
+              </div>
+              <textarea
+                value={dx.reasoning}
+                onChange={(e) => updateItem('differentialDiagnosis', index, { reasoning: e.target.value })}
+                placeholder="Reasoning"
+                rows={2}
+                className={inputClass}
+              />
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-xl font-semibold text-gray-800 flex items-center">
+            <Shield className="w-5 h-5 mr-2 text-orange-500" />
+            Serious Warning Signs
+          </h3>
+          <button
+            onClick={() => setInsights('redFlags', [...medicalInsights.redFlags, { ...EMPTY_RED_FLAG }])}
+            className="text-blue-500 hover:text-blue-700 font-medium flex items-center space-x-1"
+          >
+            <Plus className="w-4 h-4" />
+            <span>Add Warning Sign</span>
+          </button>
+        </div>
+        <div className="space-y-3">
+          {medicalInsights.redFlags.map((flag, index) => (
+            <div key={index} className="flex items-start space-x-2 p-3 bg-gray-50 rounded-lg">
+              <div className="flex-1 space-y-2">
+                <input
+                  type="text"
+                  value={flag.flag}
+                  onChange={(e) => updateItem('redFlags', index, { flag: e.target.value })}
+                  placeholder="Warning sign"
+                  className={inputClass}
+                />
+                <input
+                  type="text"
+                  value={flag.action}
+                  onChange={(e) => updateItem('redFlags', index, { action: e.target.value })}
+                  placeholder="Action"
+                  className={inputClass}
+                />
+              </div>
+              <select
+                value={flag.status}
+                onChange={(e) => updateItem('redFlags', index, { status: e.target.value })}
+                className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                {/* Keep a status outside the usual three if the AI produced one */}
+                {[...new Set([...RED_FLAG_STATUSES, flag.status])].map(status => (
+                  <option key={status} value={status}>{status}</option>
+                ))}
+              </select>
+              <button
+                onClick={() => removeItem('redFlags', index)}
+                className="text-red-500 hover:text-red-700 mt-2"
+                title="Remove warning sign"
+              >
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <h3 className="text-xl font-semibold text-gray-800 mb-4 flex items-center">
+          <ClipboardList className="w-5 h-5 mr-2" />
+          Clinical Recommendations
+        </h3>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          {medicalInsights.recommendations.map((rec, index) => (
+            <label key={index} className="block">
+              <span className="text-sm font-medium text-gray-700">{rec.category} (one per line)</span>
+              <textarea
+                value={rec.items.join('\n')}
+                onChange={(e) => updateItem('recommendations', index, { items: e.target.value.split('\n') })}
+                rows={5}
+                className={inputClass}
+              />
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div className="bg-white rounded-xl shadow-lg p-6 space-y-4">
+        {amending && (
+          <label className="block">
+            <span className="text-sm font-medium text-gray-700">Reason for amendment</span>
+            <input
+              type="text"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              placeholder="e.g. Lab results received, diagnosis revised"
+              className={inputClass}
+            />
+          </label>
+        )}
+        <div className="flex space-x-2">
+          <button
+            onClick={() => onSave(reason.trim())}
+            disabled={isSaving || (amending && !reason.trim())}
+            className="bg-blue-500 hover:bg-blue-600 disabled:bg-gray-400 text-white px-4 py-2 rounded-lg font-medium flex items-center space-x-2 transition-colors"
+          >
+            <Save className="w-4 h-4" />
+            <span>{isSaving ? 'Saving...' : amending ? 'Save Amendment' : 'Save Review'}</span>
+          </button>
+          <button
+            onClick={onCancel}
+            disabled={isSaving}
+            className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-4 py-2 rounded-lg font-medium transition-colors"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ClinicalNoteEditor;
@@ -0,0 +1,101 @@
+import React, { useState, useEffect } from 'react';
+import { HelpCircle, Search, BookOpen } from 'lucide-react';
+import { searchDrugs } from './prescriptions';
+
+const MATCH_LABELS = {
+  exact: 'dictionary match',
+  spelling: 'matched by spelling',
+  phonetic: 'matched by sound',
+  clinician: 'chosen by prescriber',
+};
+
+const conceptLabel = ({ generic, brand }) => (brand ? `${brand} (${generic})` : generic);
+
+// The drug dictionary concept a prescribed name was matched to
+// (ninisina-backend/drugDictionary.js). When the name couldn't be matched on
+// its own the prescriber picks from the suggestions or searches the dictionary.
+const DrugConceptPicker = ({ medication, onChoose, disabled }) => {
+  const [searchTerm, setSearchTerm] = useState('');
+  const [matches, setMatches] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!searchTerm.trim()) {
+      setMatches([]);
+      return;
+    }
+
+    // Debounce so we only search once the user pauses typing
+    const timeout = setTimeout(async () => {
+      try {
+        setMatches(await searchDrugs(searchTerm));
+        setError(null);
+      } catch (err) {
+        setError(`Drug search failed: ${err.message}`);
+        console.error('Drug search error:', err);
+      }
+    }, 300);
+
+    return () => clearTimeout(timeout);
+  }, [searchTerm]);
+
+  const { concept, conceptSuggestions = [] } = medication;
+
+  if (concept) {
+    return (
+      <p className="text-xs text-gray-500 mt-1 flex items-center">
+        <BookOpen className="w-3 h-3 mr-1" />
+        {conceptLabel(concept)} · concept {concept.conceptId}
+        {concept.form && ` · ${concept.form}`}
+        {` · ${MATCH_LABELS[concept.matchedBy] || concept.matchedBy}`}
+        {concept.strengthListed === false && (
+          <span className="ml-2 text-orange-700 font-medium">{concept.strength} is not a listed strength</span>
+        )}
+      </p>
+    );
+  }
+
+  const choose = (choice) => {
+    setSearchTerm('');
+    setMatches([]);
+    onChoose(choice);
+  };
+
+  const choiceButton = (choice) => (
+    <button
+      key={choice.conceptId}
+      onClick={() => choose(choice)}
+      disabled={disabled}
+      className="px-3 py-1 rounded-full border border-amber-300 bg-white text-amber-900 text-sm hover:bg-amber-100 disabled:opacity-50"
+    >
+      {conceptLabel(choice)}
+    </button>
+  );
+
+  return (
+    <div className="mt-2 bg-amber-50 border border-amber-200 rounded-lg p-3 space-y-2">
+      <p className="text-sm text-amber-900 flex items-center">
+        <HelpCircle className="w-4 h-4 mr-2" />
+        {conceptSuggestions.length > 0
+          ? `"${medication.name}" could be more than one drug. Which was meant?`
+          : `"${medication.name}" isn't in the drug dictionary. Search for the drug that was meant.`}
+      </p>
+      {conceptSuggestions.length > 0 && (
+        <div className="flex flex-wrap gap-2">{conceptSuggestions.map(choiceButton)}</div>
+      )}
+      <div className="relative">
+        <Search className="w-4 h-4 text-gray-400 absolute left-3 top-2.5" />
+        <input
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+          placeholder="Search the drug dictionary"
+          className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+      </div>
+      {matches.length > 0 && <div className="flex flex-wrap gap-2">{matches.map(choiceButton)}</div>}
+      {error && <p className="text-sm text-red-700">{error}</p>}
+    </div>
+  );
+};
+
+export default DrugConceptPicker;
@@ -1,83 +1,103 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState } from 'react';
 import { jsPDF } from 'jspdf';
-import { Mic, Square, Upload, Download, Pill, AlertCircle, CheckCircle, Activity, User, Calendar, Stethoscope, FileText } from 'lucide-react';
-
-const EPrescription = ({ patientInfo }) => {
-  const [isRecording, setIsRecording] = useState(false);
-  const [audioBlob, setAudioBlob] = useState(null);
+import { Mic, Square, Upload, Download, Pill, AlertCircle, CheckCircle, Activity, User, Calendar, Stethoscope, FileText, Pause, Play, Edit3, RefreshCw, PenTool } from 'lucide-react';
+import { apiFetch } from './api';
+import { audioFileDuration, extensionForType } from './audioFormats';
+import AudioDropzone from './AudioDropzone';
+import RecoveryPrompt from './RecoveryPrompt';
+import PrescriptionWarnings from './PrescriptionWarnings';
+import DrugConceptPicker from './DrugConceptPicker';
+import { useRecorder } from './useRecorder';
+import { recordExport } from './audit';
+import {
+  checkPrescription, describeStructuredDose, withChosenConcept, updatePrescription, signPrescription,
+  prescriptionStatus, PRESCRIPTION_STATUS_LABELS, PRESCRIPTION_STATUS_STYLES,
+} from './prescriptions';
+
+const EPrescription = ({ patientInfo, username, consultationId, canSign }) => {
   const [isProcessing, setIsProcessing] = useState(false);
   const [processingStatus, setProcessingStatus] = useState('');
   const [prescription, setPrescription] = useState(null);
-  const [recordingTime, setRecordingTime] = useState(0);
+  const [warningsAcknowledged, setWarningsAcknowledged] = useState(false);
+  const [editingIndex, setEditingIndex] = useState(null); // Medication whose dose is being corrected
+  const [doseDraft, setDoseDraft] = useState({ dosage: '', frequency: '', duration: '' });
+  const [isChecking, setIsChecking] = useState(false);
   const [error, setError] = useState(null);
+  const [importedFileName, setImportedFileName] = useState(''); // Set when the dictation came from disk
+
+  const recorder = useRecorder({ kind: 'prescription', username });
+  const { isRecording, isPaused, recordingTime, audioBlob } = recorder;
+
+  // Registry identifier of the patient selected in the Record tab
+  const patientId = patientInfo?.mrn || patientInfo?.patientId || 'Not selected';
+
+  // Blocking warnings must be corrected, and the rest acknowledged, before the
+  // prescription is signed. One saved on a consultation is released as a PDF
+  // once signed; one that isn't saved once its warnings are acknowledged.
+  const isSaved = Boolean(prescription?.consultationId);
+  const status = isSaved ? prescriptionStatus(prescription) : null;
+  const isEditable = !isSaved || status === 'draft';
+  const signBlocked = Boolean(prescription?.blocked) || (prescription?.warnings?.length > 0 && !warningsAcknowledged);
+  const downloadBlocked = isSaved ? !['signed', 'dispensed'].includes(status) : signBlocked;
+
+  const editDose = (index) => {
+    const { dosage = '', frequency = '', duration = '' } = prescription.medications[index];
+    setDoseDraft({ dosage, frequency, duration });
+    setEditingIndex(index);
+  };
 
-  const mediaRecorderRef = useRef(null);
-  const audioChunksRef = useRef([]);
-  const timerRef = useRef(null);
-
-  const API_BASE = 'https://ninisina-test.onrender.com';
-
-  // Generate random patient ID
-  const generatePatientId = () => {
-    const prefix = 'PAT';
-    const randomNum = Math.floor(Math.random() * 100000000).toString().padStart(8, '0');
-    return `${prefix}${randomNum}`;
+  // Check the whole prescription again after a correction, saving it if it's a draft
+  const recheck = async (medications) => {
+    setIsChecking(true);
+    setError(null);
+    try {
+      const result = isSaved
+        ? await updatePrescription(prescription.consultationId, prescription.prescriptionId, { ...prescription, medications })
+        : await checkPrescription(patientInfo, medications);
+      setPrescription(prev => ({ ...prev, ...result }));
+      setWarningsAcknowledged(false);
+      setEditingIndex(null);
+    } catch (err) {
+      setError(`Failed to re-check the prescription: ${err.message}`);
+      console.error('Prescription check error:', err);
+    } finally {
+      setIsChecking(false);
+    }
   };
 
-  // Store patient ID consistently
-  const [patientId, setPatientId] = useState(() => 
-    patientInfo?.id || generatePatientId()
-  );
+  // The backend parses the dose again from the edited text
+  const applyDose = () => recheck(prescription.medications.map((med, index) =>
+    index === editingIndex ? { ...med, ...doseDraft, structured: undefined } : med
+  ));
 
-  useEffect(() => {
-    return () => {
-      if (timerRef.current) {
-        clearInterval(timerRef.current);
-      }
-    };
-  }, []);
+  // The prescriber picked the drug a transcribed name meant
+  const chooseConcept = (medIndex, choice) => recheck(prescription.medications.map((med, index) =>
+    index === medIndex ? withChosenConcept(med, choice) : med
+  ));
 
-  const startRecording = async () => {
+  const sign = async () => {
+    setIsChecking(true);
+    setError(null);
     try {
-      setAudioBlob(null);
+      const signed = await signPrescription(prescription.consultationId, prescription.prescriptionId, warningsAcknowledged);
+      setPrescription(prev => ({ ...prev, ...signed }));
+    } catch (err) {
+      console.error('Prescription signing error:', err);
+      // Signing checks the draft again; show any warnings that check found
+      await recheck(prescription.medications);
+      setError(`Failed to sign the prescription: ${err.message}`);
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  const startRecording = async (resumeFrom = null) => {
+    try {
+      setImportedFileName('');
       setPrescription(null);
-      setRecordingTime(0);
       setError(null);
       setProcessingStatus('');
-      audioChunksRef.current = [];
-
-      const stream = await navigator.mediaDevices.getUserMedia({
-        audio: {
-          echoCancellation: true,
-          noiseSuppression: true,
-          sampleRate: 44100
-        }
-      });
-
-      mediaRecorderRef.current = new MediaRecorder(stream, {
-        mimeType: 'audio/webm;codecs=opus'
-      });
-      audioChunksRef.current = [];
-
-      mediaRecorderRef.current.ondataavailable = (event) => {
-        if (event.data.size > 0) {
-          audioChunksRef.current.push(event.data);
-        }
-      };
-
-      mediaRecorderRef.current.onstop = () => {
-        const blob = new Blob(audioChunksRef.current, { type: 'audio/webm' });
-        setAudioBlob(blob);
-        stream.getTracks().forEach(track => track.stop());
-      };
-
-      mediaRecorderRef.current.start(1000);
-      setIsRecording(true);
-      setRecordingTime(0);
-
-      timerRef.current = setInterval(() => {
-        setRecordingTime(prev => prev + 1);
-      }, 1000);
+      await recorder.start({ patientInfo, resumeFrom });
     } catch (err) {
       setError('Failed to access microphone. Please check permissions and refresh the page.');
       console.error('Recording error:', err);
@@ -85,11 +105,16 @@ const EPrescription = ({ patientInfo }) => {
   };
 
   const stopRecording = () => {
-    if (mediaRecorderRef.current && isRecording) {
-      mediaRecorderRef.current.stop();
-      setIsRecording(false);
-      clearInterval(timerRef.current);
-    }
+    if (isRecording) recorder.stop();
+  };
+
+  // Use a dictation recorded on a phone or handheld recorder instead of the microphone
+  const importRecording = async ([file]) => {
+    setPrescription(null);
+    setError(null);
+    setProcessingStatus('');
+    setImportedFileName(file.name);
+    recorder.loadFile(file, await audioFileDuration(file));
   };
 
   const formatTime = (seconds) => {
@@ -106,10 +131,13 @@ const EPrescription = ({ patientInfo }) => {
 
     try {
       setProcessingStatus('Uploading audio...');
+      // Several segments when the dictation was resumed after an interruption; the backend joins them
       const formData = new FormData();
-      formData.append('audio', audioBlob, `prescription-${Date.now()}.webm`);
+      recorder.segments.forEach((blob, index) => {
+        formData.append('audio', blob, blob.name || `prescription-${Date.now()}-${index}.${extensionForType(blob.type)}`);
+      });
 
-      const uploadResponse = await fetch(`${API_BASE}/upload`, {
+      const uploadResponse = await apiFetch('/upload', {
         method: 'POST',
         body: formData,
       });
@@ -120,9 +148,10 @@ const EPrescription = ({ patientInfo }) => {
       }
       const uploadData = await uploadResponse.json();
       const { filename } = uploadData;
+      recorder.releaseBackup();
 
       setProcessingStatus('Transcribing prescription...');
-      const transcribeResponse = await fetch(`${API_BASE}/transcribe`, {
+      const transcribeResponse = await apiFetch('/transcribe', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ filename }),
@@ -136,10 +165,10 @@ const EPrescription = ({ patientInfo }) => {
       const { transcript } = transcribeData;
 
       setProcessingStatus('Generating prescription...');
-      const prescriptionResponse = await fetch(`${API_BASE}/generate-prescription`, {
+      const prescriptionResponse = await apiFetch('/generate-prescription', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ transcript, patientInfo }),
+        body: JSON.stringify({ transcript, patientInfo, consultationId }),
       });
 
       if (!prescriptionResponse.ok) {
@@ -147,6 +176,8 @@ const EPrescription = ({ patientInfo }) => {
         throw new Error(`Prescription generation failed: ${errData.error || prescriptionResponse.statusText}`);
       }
       const prescriptionData = await prescriptionResponse.json();
+      setWarningsAcknowledged(false);
+      setEditingIndex(null);
       setPrescription(prescriptionData);
     } catch (err) {
       setError(`An error occurred: ${err.message}. Please check the console and ensure the backend server is running.`);
@@ -158,7 +189,7 @@ const EPrescription = ({ patientInfo }) => {
   };
 
   const downloadPrescription = () => {
-    if (!prescription) return;
+    if (!prescription || downloadBlocked) return;
 
     const doc = new jsPDF();
     const pageWidth = doc.internal.pageSize.width;
@@ -359,7 +390,13 @@ const EPrescription = ({ patientInfo }) => {
     doc.setFont("helvetica", "normal");
     doc.setFontSize(11);
     
-    const signatureFields = [
+    // Filled in from the electronic signature when the prescription was signed in the app
+    const signatureFields = prescription.signedAt ? [
+      `Physician Name: ${prescription.signedBy}`,
+      "License Number: _________________________________",
+      `Digital Signature: Electronically signed (${prescription.prescriptionId})`,
+      `Date: ${new Date(prescription.signedAt).toLocaleString()}`
+    ] : [
       "Physician Name: _________________________________",
       "License Number: _________________________________",
       "Digital Signature: _______________________________",
@@ -383,6 +420,7 @@ const EPrescription = ({ patientInfo }) => {
     
     const patientName = patientInfo?.name || 'patient';
     doc.save(`Medical-Prescription-${patientName.replace(/\s+/g, '-')}-${Date.now()}.pdf`);
+    recordExport({ resource: 'prescriptions', resourceId: prescription.prescriptionId, patientId: patientInfo?.patientId });
   };
 
   return (
@@ -433,30 +471,50 @@ const EPrescription = ({ patientInfo }) => {
           </h2>
           
           <div className="flex flex-col items-center space-y-6">
+            {recorder.interruptedRecording && !isRecording && (
+              <div className="w-full">
+                <RecoveryPrompt
+                  recording={recorder.interruptedRecording}
+                  onResume={() => startRecording(recorder.interruptedRecording)}
+                  onProcess={recorder.recoverInterrupted}
+                  onDiscard={recorder.discardInterrupted}
+                />
+              </div>
+            )}
+
             <div className="flex items-center space-x-4">
               {!isRecording ? (
                 <button
-                  onClick={startRecording}
-                  disabled={isProcessing}
+                  onClick={() => startRecording()}
+                  disabled={isProcessing || Boolean(recorder.interruptedRecording)}
                   className="bg-gradient-to-r from-red-500 to-red-600 hover:from-red-600 hover:to-red-700 disabled:from-gray-400 disabled:to-gray-500 text-white px-10 py-4 rounded-xl font-semibold flex items-center space-x-3 transition-all duration-300 transform hover:scale-105 shadow-lg text-lg"
                 >
                   <Mic className="w-7 h-7" />
                   <span>Start Recording</span>
                 </button>
               ) : (
-                <button
-                  onClick={stopRecording}
-                  className="bg-gradient-to-r from-gray-600 to-gray-700 hover:from-gray-700 hover:to-gray-800 text-white px-10 py-4 rounded-xl font-semibold flex items-center space-x-3 transition-all duration-300 transform hover:scale-105 shadow-lg text-lg"
-                >
-                  <Square className="w-7 h-7" />
-                  <span>Stop Recording</span>
-                </button>
+                <>
+                  <button
+                    onClick={isPaused ? recorder.resume : recorder.pause}
+                    className="bg-gradient-to-r from-yellow-500 to-yellow-600 hover:from-yellow-600 hover:to-yellow-700 text-white px-8 py-4 rounded-xl font-semibold flex items-center space-x-3 transition-all duration-300 transform hover:scale-105 shadow-lg text-lg"
+                  >
+                    {isPaused ? <Play className="w-7 h-7" /> : <Pause className="w-7 h-7" />}
+                    <span>{isPaused ? 'Resume' : 'Pause'}</span>
+                  </button>
+                  <button
+                    onClick={stopRecording}
+                    className="bg-gradient-to-r from-gray-600 to-gray-700 hover:from-gray-700 hover:to-gray-800 text-white px-10 py-4 rounded-xl font-semibold flex items-center space-x-3 transition-all duration-300 transform hover:scale-105 shadow-lg text-lg"
+                  >
+                    <Square className="w-7 h-7" />
+                    <span>Stop Recording</span>
+                  </button>
+                </>
               )}
               
               {audioBlob && !isRecording && (
                 <button
                   onClick={processPrescriptionAudio}
-                  disabled={isProcessing}
+                  disabled={isProcessing || !patientInfo?.patientId}
                   className="bg-gradient-to-r from-blue-500 to-blue-600 hover:from-blue-600 hover:to-blue-700 disabled:from-gray-400 disabled:to-gray-500 text-white px-10 py-4 rounded-xl font-semibold flex items-center space-x-3 transition-all duration-300 transform hover:scale-105 shadow-lg text-lg"
                 >
                   <Upload className="w-7 h-7" />
@@ -467,10 +525,10 @@ const EPrescription = ({ patientInfo }) => {
             
             {isRecording && (
               <div className="bg-red-50 border-2 border-red-200 rounded-xl p-6 flex items-center space-x-4">
-                <div className="w-6 h-6 bg-red-500 rounded-full animate-pulse"></div>
+                <div className={`w-6 h-6 rounded-full ${isPaused ? 'bg-yellow-500' : 'bg-red-500 animate-pulse'}`}></div>
                 <div className="text-center">
                   <div className="text-3xl font-mono font-bold text-red-600">{formatTime(recordingTime)}</div>
-                  <p className="text-red-700 font-medium">Recording in progress...</p>
+                  <p className="text-red-700 font-medium">{isPaused ? 'Paused' : 'Recording in progress...'}</p>
                 </div>
               </div>
             )}
@@ -479,11 +537,24 @@ const EPrescription = ({ patientInfo }) => {
               <div className="bg-green-50 border-2 border-green-200 rounded-xl p-4 flex items-center space-x-3">
                 <CheckCircle className="w-6 h-6 text-green-600" />
                 <div>
-                  <p className="text-green-800 font-semibold">Recording completed successfully!</p>
-                  <p className="text-green-600 text-sm">Duration: {formatTime(recordingTime)} - Ready to generate prescription</p>
+                  <p className="text-green-800 font-semibold">
+                    {importedFileName ? `Imported ${importedFileName}` : 'Recording completed successfully!'}
+                  </p>
+                  <p className="text-green-600 text-sm">
+                    Duration: {recordingTime || !importedFileName ? formatTime(recordingTime) : 'N/A'} - {patientInfo?.patientId ? 'Ready to generate prescription' : 'Select a patient in the Record tab to generate a prescription'}
+                  </p>
                 </div>
               </div>
             )}
+
+            {!isRecording && !recorder.interruptedRecording && (
+              <AudioDropzone
+                onFiles={importRecording}
+                onReject={(names) => setError(`Not an audio file: ${names.join(', ')}`)}
+                disabled={isProcessing}
+                label="Or drop a dictation from your phone or recorder here"
+              />
+            )}
           </div>
         </div>
 
@@ -531,21 +602,56 @@ const EPrescription = ({ patientInfo }) => {
                       month: 'long', 
                       day: 'numeric' 
                     })}
+                    {status && (
+                      <span className={`ml-3 px-2 py-0.5 rounded-full text-xs font-semibold ${PRESCRIPTION_STATUS_STYLES[status]}`}>
+                        {PRESCRIPTION_STATUS_LABELS[status]}
+                      </span>
+                    )}
                   </p>
+                  {status === 'signed' && (
+                    <p className="text-green-100 text-sm mt-1">Signed by {prescription.signedBy} on {new Date(prescription.signedAt).toLocaleString()}</p>
+                  )}
+                  {!isSaved && (
+                    <p className="text-green-100 text-sm mt-1">Not saved to a consultation: analyze a consultation first to keep prescriptions on record.</p>
+                  )}
+                </div>
+                <div className="flex items-center space-x-3">
+                  {status === 'draft' && canSign && (
+                    <button
+                      onClick={sign}
+                      disabled={signBlocked || isChecking}
+                      title={signBlocked ? 'Correct or acknowledge the safety warnings first' : undefined}
+                      className="bg-green-800 text-white hover:bg-green-900 disabled:bg-gray-200 disabled:text-gray-500 disabled:cursor-not-allowed px-6 py-3 rounded-lg font-semibold flex items-center space-x-2 transition-colors shadow-lg"
+                    >
+                      <PenTool className="w-5 h-5" />
+                      <span>Sign Prescription</span>
+                    </button>
+                  )}
+                  <button
+                    onClick={downloadPrescription}
+                    disabled={downloadBlocked}
+                    title={downloadBlocked ? (isSaved ? 'The prescription must be signed first' : 'Review and acknowledge the safety warnings first') : undefined}
+                    className="bg-white text-green-600 hover:bg-green-50 disabled:bg-gray-200 disabled:text-gray-500 disabled:cursor-not-allowed px-6 py-3 rounded-lg font-semibold flex items-center space-x-2 transition-colors shadow-lg"
+                  >
+                    <Download className="w-5 h-5" />
+                    <span>Download PDF</span>
+                  </button>
                 </div>
-                <button
-                  onClick={downloadPrescription}
-                  className="bg-white text-green-600 hover:bg-green-50 px-6 py-3 rounded-lg font-semibold flex items-center space-x-2 transition-colors shadow-lg"
-                >
-                  <Download className="w-5 h-5" />
-                  <span>Download PDF</span>
-                </button>
               </div>
             </div>
 
             {/* Prescription Content */}
             <div className="p-6">
               <div className="space-y-6">
+                <PrescriptionWarnings
+                  warnings={prescription.warnings}
+                  uncheckedMedications={prescription.uncheckedMedications}
+                  uncheckedDoses={prescription.uncheckedDoses}
+                  blocked={prescription.blocked}
+                  acknowledged={warningsAcknowledged}
+                  onAcknowledge={setWarningsAcknowledged}
+                />
+
                 {prescription.medications.map((med, index) => (
                   <div key={index} className="bg-gray-50 border border-gray-200 rounded-lg p-6 hover:shadow-md transition-shadow">
                     {/* ... (existing medication mapping code remains unchanged) ... */}
@@ -554,25 +660,77 @@ const EPrescription = ({ patientInfo }) => {
                         {index + 1}
                       </div>
                       <div className="flex-1">
-                        <h4 className="text-xl font-bold text-gray-800 mb-3">{med.name}</h4>
-                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                          <div className="space-y-2">
-                            <div className="flex items-center">
-                              <span className="text-sm font-semibold text-gray-600 w-20">Dosage:</span>
-                              <span className="text-gray-800 font-medium">{med.dosage}</span>
-                            </div>
-                            <div className="flex items-center">
-                              <span className="text-sm font-semibold text-gray-600 w-20">Frequency:</span>
-                              <span className="text-gray-800 font-medium">{med.frequency}</span>
+                        <div className="flex justify-between items-start mb-3">
+                          <div>
+                            <h4 className="text-xl font-bold text-gray-800">{med.name}</h4>
+                            {med.structured && (
+                              <p className="text-xs text-gray-500 mt-1">{describeStructuredDose(med.structured)}</p>
+                            )}
+                            <DrugConceptPicker
+                              medication={med}
+                              onChoose={(choice) => chooseConcept(index, choice)}
+                              disabled={isChecking || !isEditable}
+                            />
+                          </div>
+                          {editingIndex === null && isEditable && (
+                            <button
+                              onClick={() => editDose(index)}
+                              className="text-gray-500 hover:text-blue-600 flex items-center space-x-1 text-sm"
+                            >
+                              <Edit3 className="w-4 h-4" />
+                              <span>Correct dose</span>
+                            </button>
+                          )}
+                        </div>
+                        {editingIndex === index ? (
+                          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                            {['dosage', 'frequency', 'duration'].map(field => (
+                              <input
+                                key={field}
+                                value={doseDraft[field]}
+                                placeholder={field.charAt(0).toUpperCase() + field.slice(1)}
+                                onChange={(e) => setDoseDraft({ ...doseDraft, [field]: e.target.value })}
+                                className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                              />
+                            ))}
+                            <div className="md:col-span-3 flex space-x-2">
+                              <button
+                                onClick={applyDose}
+                                disabled={isChecking}
+                                className="bg-blue-500 hover:bg-blue-600 disabled:bg-gray-400 text-white px-4 py-2 rounded-lg font-medium flex items-center space-x-2 transition-colors"
+                              >
+                                <RefreshCw className={`w-4 h-4 ${isChecking ? 'animate-spin' : ''}`} />
+                                <span>Apply &amp; Re-check</span>
+                              </button>
+                              <button
+                                onClick={() => setEditingIndex(null)}
+                                disabled={isChecking}
+                                className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-4 py-2 rounded-lg font-medium transition-colors"
+                              >
+                                Cancel
+                              </button>
                             </div>
                           </div>
-                          <div className="space-y-2">
-                            <div className="flex items-center">
-                              <span className="text-sm font-semibold text-gray-600 w-20">Duration:</span>
-                              <span className="text-gray-800 font-medium">{med.duration}</span>
+                        ) : (
+                          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                            <div className="space-y-2">
+                              <div className="flex items-center">
+                                <span className="text-sm font-semibold text-gray-600 w-20">Dosage:</span>
+                                <span className="text-gray-800 font-medium">{med.dosage}</span>
+                              </div>
+                              <div className="flex items-center">
+                                <span className="text-sm font-semibold text-gray-600 w-20">Frequency:</span>
+                                <span className="text-gray-800 font-medium">{med.frequency}</span>
+                              </div>
+                            </div>
+                            <div className="space-y-2">
+                              <div className="flex items-center">
+                                <span className="text-sm font-semibold text-gray-600 w-20">Duration:</span>
+                                <span className="text-gray-800 font-medium">{med.duration}</span>
+                              </div>
                             </div>
                           </div>
-                        </div>
+                        )}
                         {med.instructions && med.instructions !== 'None' && (
                           <div className="mt-3 p-3 bg-yellow-50 border border-yellow-200 rounded-md">
                             <span className="text-sm font-semibold text-yellow-800">Instructions:</span>
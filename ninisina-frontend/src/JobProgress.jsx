@@ -0,0 +1,58 @@
+import React from 'react';
+import { Activity, AlertCircle, CheckCircle, Clock } from 'lucide-react';
+import { STAGE_LABELS, describeJobProgress } from './consultationJobs';
+
+const StageIcon = ({ stage }) => {
+  if (stage.status === 'done' && stage.degraded) return <AlertCircle className="w-5 h-5 text-yellow-500" />;
+  if (stage.status === 'done') return <CheckCircle className="w-5 h-5 text-green-500" />;
+  if (stage.status === 'failed') return <AlertCircle className="w-5 h-5 text-red-500" />;
+  if (stage.status === 'running') return <Activity className="w-5 h-5 text-blue-600 animate-spin" />;
+  if (stage.status === 'retrying') return <Activity className="w-5 h-5 text-orange-500 animate-spin" />;
+  return <Clock className="w-5 h-5 text-gray-400" />;
+};
+
+const stageDetail = (stage, progress) => {
+  if (stage.status === 'retrying') return `Attempt ${stage.attempts} failed, retrying...`;
+  if (stage.status === 'failed') return stage.error;
+  if (stage.status === 'done' && stage.degraded) return 'Completed with a fallback result';
+  if (stage.name === 'analyze' && stage.status === 'running' && progress.tokens > 0) {
+    return `${progress.tokens} tokens received`;
+  }
+  if (stage.name === 'save' && progress.consultationId) return `Saved as ${progress.consultationId}`;
+  return null;
+};
+
+// Stage-by-stage view of a background consultation job, driven by job events
+const JobProgress = ({ progress }) => {
+  const stages = (progress.stages || []).filter(stage => stage.status !== 'skipped');
+
+  return (
+    <div className="bg-blue-50 border border-blue-200 rounded-lg p-6">
+      <div className="flex items-center space-x-3 mb-4">
+        <Activity className="w-8 h-8 text-blue-600 animate-spin" />
+        <div>
+          <p className="text-blue-800 font-semibold text-lg">Processing Medical Consultation</p>
+          <p className="text-blue-600">{describeJobProgress(progress)}</p>
+        </div>
+      </div>
+      <ol className="space-y-3">
+        {stages.map(stage => {
+          const detail = stageDetail(stage, progress);
+          return (
+            <li key={stage.name} className="flex items-start space-x-3 bg-white rounded-lg p-3">
+              <StageIcon stage={stage} />
+              <div>
+                <p className={`font-medium ${stage.status === 'queued' ? 'text-gray-500' : 'text-gray-800'}`}>
+                  {STAGE_LABELS[stage.name] || stage.name}
+                </p>
+                {detail && <p className="text-sm text-gray-600">{detail}</p>}
+              </div>
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+};
+
+export default JobProgress;
@@ -0,0 +1,279 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Activity, AlertCircle, Calendar, Clock, Pill, TrendingUp,
+  User, FileText, Shield
+} from 'lucide-react';
+import { apiFetch } from './api';
+import PatientPicker from './PatientPicker';
+import PrescriptionRecord from './PrescriptionRecord';
+import { PRESCRIPTION_STATUS_LABELS } from './prescriptions';
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : 'N/A');
+
+const PatientChart = ({ patientInfo, onSelectPatient, canRegister, canPrescribe, canSignPrescriptions, canDispense, onOpenConsultation }) => {
+  const [chart, setChart] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [prescriptionError, setPrescriptionError] = useState(null);
+  const [reloadCount, setReloadCount] = useState(0); // Bumped after a prescription changes
+
+  const patientId = patientInfo?.patientId;
+
+  useEffect(() => {
+    if (!patientId) {
+      setChart(null);
+      return;
+    }
+
+    let cancelled = false;
+    const fetchChart = async () => {
+      setChart(null);
+      setIsLoading(true);
+      setError(null);
+      try {
+        const response = await apiFetch(`/patients/${encodeURIComponent(patientId)}/timeline`);
+        if (!response.ok) {
+          const errData = await response.json();
+          throw new Error(errData.error || response.statusText);
+        }
+        const data = await response.json();
+        if (!cancelled) setChart(data);
+      } catch (err) {
+        if (!cancelled) setError(`Failed to load patient chart: ${err.message}`);
+        console.error('Patient chart error:', err);
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    fetchChart();
+    return () => {
+      cancelled = true;
+    };
+  }, [patientId, reloadCount]);
+
+  const reloadChart = () => {
+    setPrescriptionError(null);
+    setReloadCount(count => count + 1);
+  };
+
+  if (!patientId) {
+    return (
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <h2 className="text-2xl font-semibold text-gray-800 mb-4 flex items-center">
+          <User className="w-6 h-6 mr-2" />
+          Patient Chart
+        </h2>
+        <p className="text-gray-500 mb-4">Select a patient to view their longitudinal chart.</p>
+        <PatientPicker selectedPatient={patientInfo} onSelect={onSelectPatient} canRegister={canRegister} />
+      </div>
+    );
+  }
+
+  if (isLoading || (!chart && !error)) {
+    return (
+      <div className="bg-blue-50 border border-blue-200 rounded-lg p-6 flex items-center justify-center space-x-3">
+        <Activity className="w-8 h-8 text-blue-600 animate-spin" />
+        <p className="text-blue-800 font-semibold">Loading patient chart...</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="bg-red-50 border border-red-200 rounded-lg p-4 flex items-center space-x-2">
+        <AlertCircle className="w-5 h-5 text-red-500" />
+        <p className="text-red-700 font-medium">{error}</p>
+      </div>
+    );
+  }
+
+  const { patient, timeline, diagnosisTrends, activeMedications, outstandingReminders } = chart;
+  const visitCount = timeline.length;
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <div className="flex justify-between items-start">
+          <div>
+            <h2 className="text-2xl font-semibold text-gray-800 flex items-center">
+              <User className="w-6 h-6 mr-2" />
+              {patient.fullName}
+            </h2>
+            <p className="text-gray-600 mt-1">
+              DOB {formatDate(patient.dateOfBirth)} ({patient.age} yrs) · <span className="capitalize">{patient.gender}</span> · <span className="font-mono">{patient.mrn || patient.patientId}</span>
+            </p>
+          </div>
+          <button
+            onClick={() => onSelectPatient(null)}
+            className="text-blue-500 hover:text-blue-700 font-medium"
+          >
+            Change Patient
+          </button>
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+          <div className="bg-red-50 rounded-lg p-3">
+            <span className="text-sm font-semibold text-red-800">Allergies</span>
+            <p className="text-red-700">
+              {patient.allergies.length > 0 ? patient.allergies.map(allergy => allergy.substance).join(', ') : 'No known allergies'}
+            </p>
+          </div>
+          <div className="bg-gray-50 rounded-lg p-3">
+            <span className="text-sm font-semibold text-gray-700">Chronic Conditions</span>
+            <p className="text-gray-700">
+              {patient.chronicConditions.length > 0 ? patient.chronicConditions.map(condition => condition.name).join(', ') : 'None recorded'}
+            </p>
+          </div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="bg-white rounded-xl shadow-lg p-6">
+          <h3 className="text-xl font-semibold text-gray-800 mb-4 flex items-center">
+            <Pill className="w-5 h-5 mr-2 text-blue-500" />
+            Active Medications
+          </h3>
+          {activeMedications.length === 0 ? (
+            <p className="text-gray-500">No active medications</p>
+          ) : (
+            <ul className="space-y-3">
+              {activeMedications.map(med => (
+                <li key={`${med.prescriptionId}-${med.name}`} className="bg-blue-50 rounded-lg p-3">
+                  <p className="font-semibold text-gray-800">{med.name}</p>
+                  <p className="text-sm text-gray-600">{[med.dosage, med.frequency].filter(Boolean).join(' · ')}</p>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {PRESCRIPTION_STATUS_LABELS[med.status]} {formatDate(med.prescribedAt)} · {med.endsAt ? `until ${formatDate(med.endsAt)}` : 'ongoing'}
+                  </p>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="bg-white rounded-xl shadow-lg p-6">
+          <h3 className="text-xl font-semibold text-gray-800 mb-4 flex items-center">
+            <Clock className="w-5 h-5 mr-2 text-purple-500" />
+            Outstanding Follow-ups
+          </h3>
+          {outstandingReminders.length === 0 ? (
+            <p className="text-gray-500">No outstanding follow-ups</p>
+          ) : (
+            <ul className="space-y-3">
+              {outstandingReminders.map((reminder, index) => (
+                <li key={index} className={`rounded-lg p-3 border ${reminder.overdue ? 'bg-red-50 border-red-200' : 'bg-purple-50 border-purple-200'}`}>
+                  <p className="font-medium text-gray-800">{reminder.message}</p>
+                  <p className={`text-xs mt-1 ${reminder.overdue ? 'text-red-700 font-semibold' : 'text-gray-500'}`}>
+                    {reminder.overdue ? 'Overdue since' : 'Due'} {formatDate(reminder.dueDate)}
+                  </p>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="bg-white rounded-xl shadow-lg p-6">
+          <h3 className="text-xl font-semibold text-gray-800 mb-4 flex items-center">
+            <TrendingUp className="w-5 h-5 mr-2 text-green-500" />
+            Diagnosis Trends
+          </h3>
+          {diagnosisTrends.length === 0 ? (
+            <p className="text-gray-500">No diagnoses recorded</p>
+          ) : (
+            <ul className="space-y-3">
+              {diagnosisTrends.slice(0, 8).map(trend => (
+                <li key={`${trend.icd10}-${trend.condition}`}>
+                  <div className="flex justify-between text-sm">
+                    <span className="font-medium text-gray-800">{trend.condition}</span>
+                    <span className="text-gray-500">{trend.occurrences}/{visitCount} visits</span>
+                  </div>
+                  <div className="w-full bg-gray-100 rounded-full h-2 mt-1">
+                    <div
+                      className="bg-green-500 h-2 rounded-full"
+                      style={{ width: `${Math.round((trend.occurrences / visitCount) * 100)}%` }}
+                    ></div>
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {trend.icd10 && <span className="font-mono mr-2">{trend.icd10}</span>}
+                    {trend.history.map(entry => entry.probability).filter(Boolean).join(' → ')}
+                  </p>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <h3 className="text-xl font-semibold text-gray-800 mb-6 flex items-center">
+          <Calendar className="w-5 h-5 mr-2" />
+          Visit Timeline
+        </h3>
+        {prescriptionError && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-3 mb-4 flex items-center space-x-2">
+            <AlertCircle className="w-5 h-5 text-red-500" />
+            <p className="text-red-700 text-sm">{prescriptionError}</p>
+          </div>
+        )}
+        {timeline.length === 0 ? (
+          <p className="text-gray-500">No consultations recorded for this patient</p>
+        ) : (
+          <ol className="relative border-l-2 border-blue-200 ml-3 space-y-8">
+            {[...timeline].reverse().map(visit => (
+              <li key={visit.consultationId} className="ml-6">
+                <span className="absolute -left-2 w-4 h-4 bg-blue-500 rounded-full border-2 border-white"></span>
+                <div className="flex justify-between items-start">
+                  <div>
+                    <p className="text-sm text-gray-500">
+                      {formatDate(visit.date)} · <span className="capitalize">{visit.visitType || 'visit'}</span>
+                      {visit.duration && visit.duration !== 'N/A' && ` · ${visit.duration}`}
+                    </p>
+                    <h4 className="font-semibold text-gray-800 text-lg">{visit.clinicalSummary.chiefComplaint || 'Not specified'}</h4>
+                  </div>
+                  <button
+                    onClick={() => onOpenConsultation({ id: visit.consultationId, patientName: patient.fullName })}
+                    className="text-blue-500 hover:text-blue-700 font-medium flex items-center"
+                  >
+                    <FileText className="w-4 h-4 mr-1" />
+                    Open
+                  </button>
+                </div>
+                {visit.clinicalSummary.assessment && (
+                  <p className="text-gray-700 mt-2">{visit.clinicalSummary.assessment}</p>
+                )}
+                {visit.differentialDiagnosis.length > 0 && (
+                  <div className="flex flex-wrap gap-2 mt-2">
+                    {visit.differentialDiagnosis.map((dx, index) => (
+                      <span key={index} className="text-xs bg-gray-100 text-gray-700 px-2 py-1 rounded">
+                        {dx.condition}{dx.icd10 && ` (${dx.icd10})`}
+                      </span>
+                    ))}
+                  </div>
+                )}
+                {visit.redFlags.filter(flag => flag.status !== 'Noted').map((flag, index) => (
+                  <p key={index} className={`text-sm mt-2 flex items-center ${flag.status === 'Critical' ? 'text-red-700' : 'text-yellow-700'}`}>
+                    <Shield className="w-4 h-4 mr-1" />
+                    {flag.flag} ({flag.status})
+                  </p>
+                ))}
+                {visit.prescriptions.map(prescription => (
+                  <PrescriptionRecord
+                    key={prescription.prescriptionId}
+                    prescription={prescription}
+                    consultationId={visit.consultationId}
+                    canPrescribe={canPrescribe}
+                    canSign={canSignPrescriptions}
+                    canDispense={canDispense}
+                    onChanged={reloadChart}
+                    onError={setPrescriptionError}
+                  />
+                ))}
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PatientChart;
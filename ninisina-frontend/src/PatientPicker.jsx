@@ -0,0 +1,254 @@
+import React, { useState, useEffect } from 'react';
+import { Search, UserPlus, User, AlertCircle, X } from 'lucide-react';
+import { apiFetch } from './api';
+
+const EMPTY_REGISTRATION = {
+  firstName: '',
+  lastName: '',
+  dateOfBirth: '',
+  gender: '',
+  mrn: '',
+  phone: '',
+  email: '',
+  address: '',
+  allergies: '',
+  chronicConditions: '',
+  weightKg: '',
+  egfr: '',
+  pregnancyStatus: 'unknown'
+};
+
+const inputClassName = 'px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+// Comma-separated free text -> list of trimmed, non-empty entries
+const splitList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+const PatientPicker = ({ selectedPatient, onSelect, canRegister }) => {
+  const [searchTerm, setSearchTerm] = useState('');
+  const [matches, setMatches] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+  const [isRegistering, setIsRegistering] = useState(false);
+  const [registration, setRegistration] = useState(EMPTY_REGISTRATION);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!searchTerm.trim()) {
+      setMatches([]);
+      return;
+    }
+
+    // Debounce so we only search once the user pauses typing
+    const timeout = setTimeout(async () => {
+      setIsSearching(true);
+      try {
+        const response = await apiFetch(`/patients?${new URLSearchParams({ search: searchTerm, limit: 8 })}`);
+        if (!response.ok) {
+          throw new Error('Failed to search patients');
+        }
+        const data = await response.json();
+        setMatches(data.patients);
+        setError(null);
+      } catch (err) {
+        setError(`Patient search failed: ${err.message}`);
+        console.error('Patient search error:', err);
+      } finally {
+        setIsSearching(false);
+      }
+    }, 300);
+
+    return () => clearTimeout(timeout);
+  }, [searchTerm]);
+
+  const selectPatient = (patient) => {
+    onSelect(patient);
+    setSearchTerm('');
+    setMatches([]);
+  };
+
+  const registerPatient = async (e) => {
+    e.preventDefault();
+    setError(null);
+    try {
+      const response = await apiFetch('/patients', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          firstName: registration.firstName,
+          lastName: registration.lastName,
+          dateOfBirth: registration.dateOfBirth,
+          gender: registration.gender || undefined,
+          mrn: registration.mrn || undefined,
+          contact: {
+            phone: registration.phone,
+            email: registration.email,
+            address: registration.address
+          },
+          allergies: splitList(registration.allergies).map(substance => ({ substance })),
+          chronicConditions: splitList(registration.chronicConditions).map(name => ({ name })),
+          // Used for prescription dose checks
+          weightKg: registration.weightKg ? parseFloat(registration.weightKg) : undefined,
+          renalFunction: registration.egfr ? { egfr: parseFloat(registration.egfr), measuredAt: new Date() } : undefined,
+          pregnancyStatus: registration.gender === 'female' ? registration.pregnancyStatus : undefined
+        }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.details || data.error || response.statusText);
+      }
+      setIsRegistering(false);
+      setRegistration(EMPTY_REGISTRATION);
+      selectPatient(data.patient);
+    } catch (err) {
+      setError(`Failed to register patient: ${err.message}`);
+      console.error('Register patient error:', err);
+    }
+  };
+
+  if (selectedPatient?.patientId && !isRegistering) {
+    return (
+      <div className="flex items-start justify-between bg-blue-50 border border-blue-200 rounded-lg p-4">
+        <div className="flex items-start space-x-3">
+          <User className="w-8 h-8 text-blue-600 mt-1" />
+          <div>
+            <p className="font-semibold text-gray-800 text-lg">{selectedPatient.name}</p>
+            <p className="text-sm text-gray-600">
+              {selectedPatient.age != null && selectedPatient.age !== '' && `${selectedPatient.age} yrs · `}
+              <span className="capitalize">{selectedPatient.gender || 'unknown'}</span>
+              {' · '}
+              <span className="font-mono">{selectedPatient.mrn || selectedPatient.patientId}</span>
+            </p>
+            {selectedPatient.allergies?.length > 0 && (
+              <p className="text-sm text-red-700 mt-1 flex items-center">
+                <AlertCircle className="w-4 h-4 mr-1" />
+                Allergies: {selectedPatient.allergies.map(allergy => allergy.substance).join(', ')}
+              </p>
+            )}
+          </div>
+        </div>
+        <button
+          onClick={() => onSelect(null)}
+          className="text-blue-500 hover:text-blue-700 font-medium"
+        >
+          Change
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      {!isRegistering && (
+        <div className="flex items-center space-x-3">
+          <div className="relative flex-1">
+            <Search className="w-4 h-4 absolute left-3 top-3 text-gray-400" />
+            <input
+              type="text"
+              placeholder="Search patients by name, MRN or phone..."
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+              className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+          {canRegister && (
+            <button
+              onClick={() => setIsRegistering(true)}
+              className="bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded-lg font-medium flex items-center space-x-2 transition-colors"
+            >
+              <UserPlus className="w-4 h-4" />
+              <span>Register New Patient</span>
+            </button>
+          )}
+        </div>
+      )}
+
+      {!isRegistering && searchTerm.trim() && (
+        <div className="border border-gray-200 rounded-lg divide-y">
+          {isSearching && <p className="p-3 text-sm text-gray-500">Searching...</p>}
+          {!isSearching && matches.length === 0 && (
+            <p className="p-3 text-sm text-gray-500">No matching patients found</p>
+          )}
+          {matches.map(patient => (
+            <button
+              key={patient.patientId}
+              onClick={() => selectPatient(patient)}
+              className="w-full text-left p-3 hover:bg-gray-50 flex justify-between items-center"
+            >
+              <span className="font-medium text-gray-800">{patient.fullName}</span>
+              <span className="text-sm text-gray-500">
+                DOB {new Date(patient.dateOfBirth).toLocaleDateString()} · <span className="font-mono">{patient.mrn || patient.patientId}</span>
+              </span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {isRegistering && (
+        <form onSubmit={registerPatient} className="border border-gray-200 rounded-lg p-4 space-y-4">
+          <div className="flex justify-between items-center">
+            <h3 className="font-semibold text-gray-800 flex items-center">
+              <UserPlus className="w-5 h-5 mr-2" />
+              Register New Patient
+            </h3>
+            <button type="button" onClick={() => setIsRegistering(false)} className="text-gray-400 hover:text-gray-600">
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <input required placeholder="First Name" value={registration.firstName}
+              onChange={(e) => setRegistration({...registration, firstName: e.target.value})} className={inputClassName} />
+            <input required placeholder="Last Name" value={registration.lastName}
+              onChange={(e) => setRegistration({...registration, lastName: e.target.value})} className={inputClassName} />
+            <input required type="date" title="Date of Birth" value={registration.dateOfBirth}
+              onChange={(e) => setRegistration({...registration, dateOfBirth: e.target.value})} className={inputClassName} />
+            <select value={registration.gender}
+              onChange={(e) => setRegistration({...registration, gender: e.target.value})} className={inputClassName}>
+              <option value="">Select Gender</option>
+              <option value="male">Male</option>
+              <option value="female">Female</option>
+              <option value="other">Other</option>
+            </select>
+            <input placeholder="MRN (optional)" value={registration.mrn}
+              onChange={(e) => setRegistration({...registration, mrn: e.target.value})} className={inputClassName} />
+            <input type="tel" placeholder="Phone" value={registration.phone}
+              onChange={(e) => setRegistration({...registration, phone: e.target.value})} className={inputClassName} />
+            <input type="email" placeholder="Email" value={registration.email}
+              onChange={(e) => setRegistration({...registration, email: e.target.value})} className={inputClassName} />
+            <input placeholder="Address" value={registration.address}
+              onChange={(e) => setRegistration({...registration, address: e.target.value})} className={`${inputClassName} md:col-span-2`} />
+            <input placeholder="Allergies (comma-separated)" value={registration.allergies}
+              onChange={(e) => setRegistration({...registration, allergies: e.target.value})} className={`${inputClassName} md:col-span-3`} />
+            <input placeholder="Chronic conditions (comma-separated)" value={registration.chronicConditions}
+              onChange={(e) => setRegistration({...registration, chronicConditions: e.target.value})} className={`${inputClassName} md:col-span-3`} />
+            <input type="number" min="0" step="0.1" placeholder="Weight (kg)" value={registration.weightKg}
+              onChange={(e) => setRegistration({...registration, weightKg: e.target.value})} className={inputClassName} />
+            <input type="number" min="0" placeholder="eGFR (mL/min/1.73m²)" value={registration.egfr}
+              onChange={(e) => setRegistration({...registration, egfr: e.target.value})} className={inputClassName} />
+            {registration.gender === 'female' && (
+              <select value={registration.pregnancyStatus}
+                onChange={(e) => setRegistration({...registration, pregnancyStatus: e.target.value})} className={inputClassName}>
+                <option value="unknown">Pregnancy status unknown</option>
+                <option value="not_pregnant">Not pregnant</option>
+                <option value="pregnant">Pregnant</option>
+              </select>
+            )}
+          </div>
+          <button
+            type="submit"
+            className="bg-blue-500 hover:bg-blue-600 text-white px-6 py-2 rounded-lg font-medium transition-colors"
+          >
+            Register Patient
+          </button>
+        </form>
+      )}
+
+      {error && (
+        <p className="text-sm text-red-600 flex items-center">
+          <AlertCircle className="w-4 h-4 mr-1" />
+          {error}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default PatientPicker;
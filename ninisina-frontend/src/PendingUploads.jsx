@@ -0,0 +1,107 @@
+import React from 'react';
+import { Activity, AlertCircle, CloudOff, RefreshCw, Trash2, Upload } from 'lucide-react';
+
+const formatQueuedAt = (timestamp) => new Date(timestamp).toLocaleString();
+
+// Consultations recorded offline, shown at the top of Consultation History
+// until the backend has processed them
+const PendingUploads = ({ queue }) => {
+  if (queue.queued.length === 0 && queue.processing.length === 0) return null;
+
+  return (
+    <div className="mb-6 space-y-3">
+      <div className="flex justify-between items-center">
+        <h3 className="font-semibold text-gray-700 flex items-center">
+          <CloudOff className="w-5 h-5 mr-2" />
+          Pending Upload
+        </h3>
+        {queue.queued.some(item => item.status === 'pending') && (
+          <button
+            onClick={queue.sync}
+            disabled={!queue.isOnline || queue.isSyncing}
+            className="text-blue-500 hover:text-blue-700 disabled:text-gray-400 font-medium flex items-center space-x-1"
+          >
+            <RefreshCw className={`w-4 h-4 ${queue.isSyncing ? 'animate-spin' : ''}`} />
+            <span>{queue.isSyncing ? 'Uploading...' : queue.isOnline ? 'Upload now' : 'Waiting for connection'}</span>
+          </button>
+        )}
+      </div>
+
+      {queue.queued.map(item => (
+        <div key={item.id} className="border border-yellow-200 bg-yellow-50 rounded-lg p-4 flex justify-between items-start">
+          <div>
+            <div className="flex items-center space-x-3 mb-1">
+              <h3 className="font-semibold text-gray-800">{item.patientInfo?.name || 'Unknown Patient'}</h3>
+              <span className={`px-2 py-1 rounded-full text-xs font-medium ${
+                item.status === 'rejected' ? 'bg-red-100 text-red-800' : 'bg-yellow-100 text-yellow-800'
+              }`}>
+                {item.status === 'rejected' ? 'Upload rejected' : 'Pending upload'}
+              </span>
+            </div>
+            <p className="text-sm text-gray-600">
+              Recorded {formatQueuedAt(item.createdAt)} · {item.consultationDuration}
+              {item.attempts > 0 && ` · ${item.attempts} failed ${item.attempts === 1 ? 'attempt' : 'attempts'}`}
+            </p>
+            {item.lastError && (
+              <p className="text-sm text-red-600 flex items-center mt-1">
+                <AlertCircle className="w-4 h-4 mr-1" />
+                {item.lastError}
+              </p>
+            )}
+          </div>
+          <div className="flex space-x-2">
+            {item.status === 'rejected' && (
+              <button
+                onClick={() => queue.retry(item.id)}
+                className="text-blue-500 hover:text-blue-700 font-medium flex items-center space-x-1"
+              >
+                <Upload className="w-4 h-4" />
+                <span>Retry</span>
+              </button>
+            )}
+            <button
+              onClick={() => {
+                if (window.confirm('Discard this recording? It has not been uploaded and cannot be recovered.')) {
+                  queue.discard(item.id);
+                }
+              }}
+              className="text-red-500 hover:text-red-700 font-medium"
+              title="Discard recording"
+            >
+              <Trash2 className="w-5 h-5" />
+            </button>
+          </div>
+        </div>
+      ))}
+
+      {queue.processing.map(item => (
+        <div key={item.id} className="border border-blue-200 bg-blue-50 rounded-lg p-4 flex justify-between items-start">
+          <div>
+            <div className="flex items-center space-x-3 mb-1">
+              <h3 className="font-semibold text-gray-800">{item.patientInfo?.name || 'Unknown Patient'}</h3>
+              <span className={`px-2 py-1 rounded-full text-xs font-medium ${
+                item.status === 'failed' ? 'bg-red-100 text-red-800' : 'bg-blue-100 text-blue-800'
+              }`}>
+                {item.status === 'failed' ? 'Processing failed' : 'Processing'}
+              </span>
+            </div>
+            <p className="text-sm text-gray-600 flex items-center">
+              {item.status !== 'failed' && <Activity className="w-4 h-4 mr-1 animate-spin" />}
+              {item.detail}
+            </p>
+          </div>
+          {item.status === 'failed' && (
+            <button
+              onClick={() => queue.dismissFailed(item.id)}
+              className="text-gray-500 hover:text-gray-700 font-medium"
+            >
+              Dismiss
+            </button>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default PendingUploads;
@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import { Pill, PenTool, Package, Ban, RotateCcw } from 'lucide-react';
+import {
+  prescriptionStatus, signPrescription, dispensePrescription, cancelPrescription, renewPrescription,
+  PRESCRIPTION_STATUS_LABELS, PRESCRIPTION_STATUS_STYLES,
+} from './prescriptions';
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : 'N/A');
+
+const actionClassName = 'text-xs font-medium flex items-center hover:underline disabled:opacity-50 disabled:no-underline';
+
+// A prescription on a patient's chart with the lifecycle steps the user may
+// take on it. `onChanged` is called after each step so the chart reloads.
+const PrescriptionRecord = ({ prescription, consultationId, canPrescribe, canSign, canDispense, onChanged, onError }) => {
+  const [isBusy, setIsBusy] = useState(false);
+  const status = prescriptionStatus(prescription);
+  const { prescriptionId } = prescription;
+
+  const run = async (step) => {
+    setIsBusy(true);
+    try {
+      await step();
+      onChanged();
+    } catch (err) {
+      // It may have changed meanwhile (e.g. new warnings found when signing)
+      onChanged();
+      onError(`Failed to update prescription ${prescriptionId}: ${err.message}`);
+      console.error('Prescription update error:', err);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const sign = () => {
+    const warningCount = prescription.warnings?.length || 0;
+    if (warningCount > 0 && !window.confirm(`${warningCount} safety warning${warningCount === 1 ? ' was' : 's were'} raised for this prescription. Sign it anyway?`)) return;
+    run(() => signPrescription(consultationId, prescriptionId, warningCount > 0));
+  };
+
+  const cancel = () => {
+    const reason = window.prompt('Why is this prescription being cancelled?');
+    if (!reason?.trim()) return;
+    run(() => cancelPrescription(consultationId, prescriptionId, reason.trim()));
+  };
+
+  return (
+    <div className="mt-2">
+      <p className={`text-sm flex items-center ${status === 'cancelled' ? 'text-gray-500 line-through' : 'text-blue-700'}`}>
+        <Pill className="w-4 h-4 mr-1" />
+        {prescription.medications.map(med => `${med.name} ${med.dosage || ''}`.trim()).join(', ')}
+      </p>
+      <div className="flex flex-wrap items-center gap-3 ml-5 mt-1 text-xs text-gray-500">
+        <span className={`px-2 py-0.5 rounded-full font-semibold ${PRESCRIPTION_STATUS_STYLES[status]}`}>
+          {PRESCRIPTION_STATUS_LABELS[status]}
+        </span>
+        {prescription.signedAt && <span>Signed by {prescription.signedBy} on {formatDate(prescription.signedAt)}</span>}
+        {prescription.dispensedAt && <span>Dispensed {formatDate(prescription.dispensedAt)}</span>}
+        {prescription.expiresAt && status !== 'cancelled' && <span>Expires {formatDate(prescription.expiresAt)}</span>}
+        {prescription.renewedFrom && <span>Renews {prescription.renewedFrom}</span>}
+        {status === 'cancelled' && <span>Cancelled by {prescription.cancelledBy}: {prescription.cancellationReason}</span>}
+
+        {status === 'draft' && canSign && (
+          <button
+            onClick={sign}
+            disabled={isBusy || prescription.blocked}
+            title={prescription.blocked ? 'Has doses that must be corrected before it can be signed' : undefined}
+            className={`${actionClassName} text-green-700`}
+          >
+            <PenTool className="w-3 h-3 mr-1" />
+            Sign
+          </button>
+        )}
+        {status === 'signed' && canDispense && (
+          <button onClick={() => run(() => dispensePrescription(consultationId, prescriptionId))} disabled={isBusy} className={`${actionClassName} text-blue-700`}>
+            <Package className="w-3 h-3 mr-1" />
+            Mark dispensed
+          </button>
+        )}
+        {['signed', 'dispensed'].includes(status) && canPrescribe && (
+          <button onClick={() => run(() => renewPrescription(consultationId, prescriptionId))} disabled={isBusy} className={`${actionClassName} text-purple-700`}>
+            <RotateCcw className="w-3 h-3 mr-1" />
+            Renew
+          </button>
+        )}
+        {status !== 'cancelled' && canSign && (
+          <button onClick={cancel} disabled={isBusy} className={`${actionClassName} text-red-700`}>
+            <Ban className="w-3 h-3 mr-1" />
+            Cancel
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PrescriptionRecord;
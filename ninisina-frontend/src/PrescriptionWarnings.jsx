@@ -0,0 +1,106 @@
+import React from 'react';
+import { AlertTriangle, Ban, HelpCircle, ShieldCheck } from 'lucide-react';
+
+const SEVERITY_STYLES = {
+  contraindicated: 'bg-red-100 text-red-800 border-red-300',
+  major: 'bg-orange-100 text-orange-800 border-orange-300',
+  moderate: 'bg-yellow-100 text-yellow-800 border-yellow-300',
+  minor: 'bg-blue-100 text-blue-800 border-blue-300',
+};
+
+const TYPE_LABELS = {
+  allergy: 'Allergy',
+  interaction: 'Interaction',
+  duplication: 'Duplication',
+  dose: 'Dose',
+};
+
+// Safety warnings returned with a generated prescription
+// (ninisina-backend/prescriptionSafety.js). Blocking warnings must be
+// corrected; the others must be acknowledged before the PDF can be downloaded.
+const PrescriptionWarnings = ({ warnings = [], uncheckedMedications = [], uncheckedDoses = [], blocked, acknowledged, onAcknowledge }) => {
+  // Medications missing from the knowledge base are listed once, not twice
+  const doseOnly = uncheckedDoses.filter(name => !uncheckedMedications.includes(name));
+
+  if (warnings.length === 0 && uncheckedMedications.length === 0 && doseOnly.length === 0) {
+    return (
+      <div className="bg-green-50 border border-green-200 rounded-lg p-4 flex items-center space-x-3">
+        <ShieldCheck className="w-5 h-5 text-green-600" />
+        <p className="text-green-800 text-sm">No interactions, allergy conflicts, duplications or dose problems found.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      {warnings.length > 0 && (
+        <div className="bg-red-50 border-l-4 border-red-500 rounded-lg p-4">
+          <h4 className="text-lg font-bold text-red-800 mb-3 flex items-center">
+            <AlertTriangle className="w-5 h-5 mr-2" />
+            {warnings.length} Safety Warning{warnings.length === 1 ? '' : 's'}
+          </h4>
+          <ul className="space-y-3">
+            {warnings.map((warning, index) => (
+              <li key={index} className={`border rounded-md p-3 ${SEVERITY_STYLES[warning.severity] || SEVERITY_STYLES.minor}`}>
+                <div className="flex flex-wrap items-center gap-2 mb-1">
+                  <span className="px-2 py-0.5 rounded-full text-xs font-semibold uppercase bg-white bg-opacity-60">{warning.severity}</span>
+                  <span className="text-xs font-medium">{TYPE_LABELS[warning.type] || warning.type}</span>
+                  {warning.blocking && (
+                    <span className="px-2 py-0.5 rounded-full text-xs font-semibold bg-red-600 text-white flex items-center">
+                      <Ban className="w-3 h-3 mr-1" />
+                      Must be corrected
+                    </span>
+                  )}
+                  <span className="font-semibold">
+                    {warning.medications.join(' + ')}
+                    {warning.allergy && ` · allergy: ${warning.allergy}`}
+                    {warning.withActive && ' (active medication)'}
+                  </span>
+                </div>
+                <p className="text-sm">{warning.mechanism}</p>
+                {warning.reaction && <p className="text-sm">Recorded reaction: {warning.reaction}</p>}
+                {warning.management && <p className="text-sm mt-1 font-medium">{warning.management}</p>}
+              </li>
+            ))}
+          </ul>
+          {blocked ? (
+            <p className="mt-4 text-red-900 font-medium flex items-center">
+              <Ban className="w-4 h-4 mr-2" />
+              This prescription can't be issued until the doses marked above are corrected.
+            </p>
+          ) : (
+            <label className="mt-4 flex items-center space-x-2 text-red-900 font-medium">
+              <input
+                type="checkbox"
+                checked={acknowledged}
+                onChange={(e) => onAcknowledge(e.target.checked)}
+                className="w-4 h-4"
+              />
+              <span>I have reviewed these warnings and still want to issue this prescription</span>
+            </label>
+          )}
+        </div>
+      )}
+
+      {uncheckedMedications.length > 0 && (
+        <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 flex items-start space-x-3">
+          <HelpCircle className="w-5 h-5 text-gray-500 mt-0.5" />
+          <p className="text-gray-700 text-sm">
+            Not in the interaction knowledge base, so not checked: {uncheckedMedications.join(', ')}
+          </p>
+        </div>
+      )}
+
+      {doseOnly.length > 0 && (
+        <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 flex items-start space-x-3">
+          <HelpCircle className="w-5 h-5 text-gray-500 mt-0.5" />
+          <p className="text-gray-700 text-sm">
+            Dose not in the formulary or not readable, so not checked: {doseOnly.join(', ')}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PrescriptionWarnings;
@@ -0,0 +1,48 @@
+import React from 'react';
+import { AlertCircle, Mic, Trash2, Upload } from 'lucide-react';
+
+const formatElapsed = (seconds) =>
+  `${Math.floor(seconds / 60).toString().padStart(2, '0')}:${(seconds % 60).toString().padStart(2, '0')}`;
+
+// Shown when a recording backed up in IndexedDB was never finished, e.g. the
+// tab crashed or was reloaded mid-consultation
+const RecoveryPrompt = ({ recording, onResume, onProcess, onDiscard, processLabel = 'Use Recording' }) => (
+  <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
+    <div className="flex items-start space-x-3">
+      <AlertCircle className="w-6 h-6 text-yellow-600 flex-shrink-0" />
+      <div className="flex-1">
+        <p className="text-yellow-800 font-semibold">Unfinished recording found</p>
+        <p className="text-yellow-700 text-sm">
+          Started {new Date(recording.startedAt).toLocaleString()}
+          {recording.patientInfo?.name && ` for ${recording.patientInfo.name}`}
+          {' '}· {formatElapsed(recording.elapsedSeconds)} recorded
+        </p>
+        <div className="flex flex-wrap gap-3 mt-3">
+          <button
+            onClick={onResume}
+            className="bg-red-500 hover:bg-red-600 text-white px-4 py-2 rounded-lg font-medium flex items-center space-x-2 transition-colors"
+          >
+            <Mic className="w-4 h-4" />
+            <span>Resume Recording</span>
+          </button>
+          <button
+            onClick={onProcess}
+            className="bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded-lg font-medium flex items-center space-x-2 transition-colors"
+          >
+            <Upload className="w-4 h-4" />
+            <span>{processLabel}</span>
+          </button>
+          <button
+            onClick={onDiscard}
+            className="bg-gray-200 hover:bg-gray-300 text-gray-700 px-4 py-2 rounded-lg font-medium flex items-center space-x-2 transition-colors"
+          >
+            <Trash2 className="w-4 h-4" />
+            <span>Discard</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  </div>
+);
+
+export default RecoveryPrompt;
@@ -0,0 +1,63 @@
+import React from 'react';
+import { BadgeCheck, Edit3, FileSignature } from 'lucide-react';
+import { STATUS_LABELS, STATUS_STYLES, describeReviewStatus, isSigned, reviewStatus } from './consultationReview';
+
+// Top of the Analysis tab: where the note is in its review lifecycle, its
+// amendment log, and the actions the user may take on it
+const ReviewStatus = ({ consultation, canEdit, canSign, isEditing, isSaving, onEdit, onSign }) => {
+  const status = reviewStatus(consultation);
+  const signed = isSigned(consultation);
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6">
+      <div className="flex flex-wrap justify-between items-center gap-4">
+        <div className="flex items-center space-x-3">
+          <BadgeCheck className={`w-6 h-6 ${signed ? 'text-green-500' : 'text-gray-400'}`} />
+          <span className={`px-2 py-1 rounded-full text-xs font-medium ${STATUS_STYLES[status]}`}>
+            {STATUS_LABELS[status]}
+          </span>
+          <span className="text-sm text-gray-600">{describeReviewStatus(consultation)}</span>
+        </div>
+        {consultation.consultationId && !isEditing && (
+          <div className="flex space-x-2">
+            {((!signed && canEdit) || (signed && canSign)) && (
+              <button
+                onClick={onEdit}
+                className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-4 py-2 rounded-lg font-medium flex items-center space-x-2 transition-colors"
+              >
+                <Edit3 className="w-4 h-4" />
+                <span>{signed ? 'Amend Note' : 'Review & Edit'}</span>
+              </button>
+            )}
+            {!signed && canSign && (
+              <button
+                onClick={onSign}
+                disabled={isSaving}
+                className="bg-green-500 hover:bg-green-600 disabled:bg-gray-400 text-white px-4 py-2 rounded-lg font-medium flex items-center space-x-2 transition-colors"
+              >
+                <FileSignature className="w-4 h-4" />
+                <span>Sign Off</span>
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      {consultation.amendments?.length > 0 && (
+        <div className="mt-4 border-t pt-4">
+          <h4 className="text-sm font-semibold text-gray-700 mb-2">Amendments</h4>
+          <ul className="space-y-1">
+            {consultation.amendments.map((amendment, index) => (
+              <li key={index} className="text-sm text-gray-600">
+                {new Date(amendment.amendedAt).toLocaleString()} · {amendment.amendedBy}: {amendment.reason}
+                {amendment.fields?.length > 0 && <span className="text-gray-400"> ({amendment.fields.join(', ')})</span>}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReviewStatus;
@@ -0,0 +1,191 @@
+import React, { useEffect, useState } from 'react';
+import { AlertCircle, ChevronDown, ChevronUp, History } from 'lucide-react';
+import { fetchRevisionDiff, fetchRevisions } from './consultationReview';
+
+const KIND_LABELS = {
+  ai_original: 'AI original',
+  edit: 'Clinician edit',
+  vitals: 'Vitals recorded',
+  amendment: 'Amendment'
+};
+
+const FIELD_LABELS = {
+  patientInfo: 'Patient',
+  clinicalSummary: 'Clinical Summary',
+  chiefComplaint: 'Primary Concern',
+  historyOfPresentIllness: 'History of Present Illness',
+  assessment: 'Assessment',
+  plan: 'Plan',
+  vitals: 'Vital Signs',
+  riskFactors: 'Risk Factors',
+  medicalInsights: 'Medical Insights',
+  differentialDiagnosis: 'Possible Causes',
+  redFlags: 'Warning Signs',
+  recommendations: 'Recommendations',
+  clinicalDecisionSupport: 'Decision Support',
+  intervalChange: 'Interval Change',
+  keyPoints: 'Key Points',
+  followUpReminders: 'Next Steps'
+};
+
+// 'medicalInsights.redFlags[0].status' → 'Medical Insights › Warning Signs #1 › status'
+const describePath = (path) => path
+  .replace(/\[(\d+)\]/g, (match, index) => ` #${Number(index) + 1}`)
+  .split('.')
+  .map((part) => {
+    const [key, ...position] = part.split(' ');
+    return [FIELD_LABELS[key] || key, ...position].join(' ');
+  })
+  .join(' › ');
+
+const formatValue = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+const describeRevision = (revision) =>
+  `v${revision.version} · ${KIND_LABELS[revision.kind] || revision.kind} · ${revision.author || 'unknown'} · ${new Date(revision.createdAt).toLocaleString()}`;
+
+// Every saved version of a note (AI original, clinician edits, amendments) and
+// what changed between any two of them. `updatedAt` reloads the list after a save.
+const RevisionHistory = ({ consultationId, updatedAt }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [revisions, setRevisions] = useState([]);
+  const [from, setFrom] = useState(null);
+  const [to, setTo] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!isOpen || !consultationId) return;
+    let cancelled = false;
+
+    fetchRevisions(consultationId)
+      .then((list) => {
+        if (cancelled) return;
+        setRevisions(list);
+        setError(null);
+        // Start with the latest change
+        setTo(list.length > 0 ? list[list.length - 1].version : null);
+        setFrom(list.length > 1 ? list[list.length - 2].version : null);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(`Failed to load version history: ${err.message}`);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, consultationId, updatedAt]);
+
+  useEffect(() => {
+    if (!consultationId || from === null || to === null) return setDiff(null);
+    let cancelled = false;
+
+    fetchRevisionDiff(consultationId, from, to)
+      .then((result) => {
+        if (!cancelled) setDiff(result);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(`Failed to compare versions: ${err.message}`);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [consultationId, from, to]);
+
+  const versionSelect = (value, onChange) => (
+    <select
+      value={value ?? ''}
+      onChange={(e) => onChange(Number(e.target.value))}
+      className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+    >
+      {revisions.map(revision => (
+        <option key={revision.version} value={revision.version}>{describeRevision(revision)}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6">
+      <button
+        onClick={() => setIsOpen(open => !open)}
+        className="w-full flex justify-between items-center text-xl font-semibold text-gray-800"
+      >
+        <span className="flex items-center">
+          <History className="w-5 h-5 mr-2 text-gray-500" />
+          Version History
+        </span>
+        {isOpen ? <ChevronUp className="w-5 h-5" /> : <ChevronDown className="w-5 h-5" />}
+      </button>
+
+      {isOpen && (
+        <div className="mt-4 space-y-4">
+          {error && (
+            <p className="text-sm text-red-600 flex items-center">
+              <AlertCircle className="w-4 h-4 mr-1" />
+              {error}
+            </p>
+          )}
+
+          {revisions.length === 0 && !error && <p className="text-gray-500">No versions recorded yet.</p>}
+
+          {revisions.length === 1 && (
+            <p className="text-gray-600 text-sm">{describeRevision(revisions[0])}. The note has not been changed since.</p>
+          )}
+
+          {revisions.length > 1 && (
+            <>
+              <div className="flex flex-wrap items-center gap-3 text-sm text-gray-700">
+                <span>Compare</span>
+                {versionSelect(from, setFrom)}
+                <span>with</span>
+                {versionSelect(to, setTo)}
+              </div>
+
+              {diff?.to.reason && (
+                <p className="text-sm text-gray-600">Reason for v{diff.to.version}: {diff.to.reason}</p>
+              )}
+
+              {diff && diff.changes.length === 0 && <p className="text-gray-500 text-sm">No differences between these versions.</p>}
+
+              {diff && diff.changes.length > 0 && (
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-gray-500 border-b">
+                        <th className="py-2 pr-4">Field</th>
+                        <th className="py-2 pr-4">v{diff.from.version}</th>
+                        <th className="py-2">v{diff.to.version}</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {diff.changes.map(change => (
+                        <tr key={change.path} className="border-b last:border-0 align-top">
+                          <td className="py-2 pr-4 font-medium text-gray-800">{describePath(change.path)}</td>
+                          <td className="py-2 pr-4">
+                            {formatValue(change.before) === null
+                              ? <span className="text-gray-400 italic">none</span>
+                              : <span className="bg-red-50 text-red-800 line-through whitespace-pre-wrap">{formatValue(change.before)}</span>}
+                          </td>
+                          <td className="py-2">
+                            {formatValue(change.after) === null
+                              ? <span className="text-gray-400 italic">removed</span>
+                              : <span className="bg-green-50 text-green-800 whitespace-pre-wrap">{formatValue(change.after)}</span>}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RevisionHistory;
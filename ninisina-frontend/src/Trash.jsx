@@ -0,0 +1,178 @@
+import React, { useEffect, useState } from 'react';
+import { AlertCircle, ArchiveRestore, Lock, LockOpen, Trash2 } from 'lucide-react';
+import { fetchTrash, restoreConsultation, setLegalHold } from './retention';
+
+// Admin screen for deleted consultations: restore them before the retention
+// purge removes them, or place them under legal hold so they are kept
+const Trash = ({ canManageLegalHold, onRestored }) => {
+  const [page, setPage] = useState(1);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [consultations, setConsultations] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [pagination, setPagination] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+
+    fetchTrash(page)
+      .then((data) => {
+        if (cancelled) return;
+        setConsultations(data.consultations);
+        setRetentionDays(data.retentionDays);
+        setPagination(data.pagination);
+        setError(null);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(`Failed to load trash: ${err.message}`);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [page, reloadKey]);
+
+  const restore = async (consultation) => {
+    setBusyId(consultation.consultationId);
+    try {
+      await restoreConsultation(consultation.consultationId);
+      setReloadKey(key => key + 1);
+      onRestored?.();
+    } catch (err) {
+      setError(`Failed to restore consultation: ${err.message}`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const toggleLegalHold = async (consultation) => {
+    const active = !consultation.legalHold?.active;
+    let reason;
+    if (active) {
+      reason = window.prompt('Reason for the legal hold (e.g. litigation or investigation reference):');
+      if (!reason?.trim()) return;
+    } else if (!window.confirm('Lift the legal hold? The consultation will be purged once its retention period has passed.')) {
+      return;
+    }
+
+    setBusyId(consultation.consultationId);
+    try {
+      await setLegalHold(consultation.consultationId, active, reason?.trim());
+      setReloadKey(key => key + 1); // purge dates change with the hold
+    } catch (err) {
+      setError(`Failed to update legal hold: ${err.message}`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6">
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-2xl font-semibold text-gray-800 flex items-center">
+          <Trash2 className="w-6 h-6 mr-2" />
+          Trash
+        </h2>
+        {retentionDays !== null && (
+          <span className="text-sm text-gray-500">Deleted consultations are purged after {retentionDays} days</span>
+        )}
+      </div>
+
+      {error && (
+        <p className="text-sm text-red-600 flex items-center mb-4">
+          <AlertCircle className="w-4 h-4 mr-1" />
+          {error}
+        </p>
+      )}
+
+      {consultations.length === 0 ? (
+        <p className="text-center text-gray-500 py-12">{isLoading ? 'Loading...' : 'The trash is empty'}</p>
+      ) : (
+        <div className="space-y-4">
+          {consultations.map(consultation => (
+            <div key={consultation.consultationId} className="border border-gray-200 rounded-lg p-4">
+              <div className="flex justify-between items-start">
+                <div className="flex-1">
+                  <div className="flex items-center space-x-3 mb-2">
+                    <h3 className="font-semibold text-gray-800">
+                      {consultation.patientInfo?.name || 'Unknown Patient'}
+                    </h3>
+                    {consultation.patientInfo?.patientId && (
+                      <span className="text-sm text-gray-500">({consultation.patientInfo.patientId})</span>
+                    )}
+                    {consultation.legalHold?.active && (
+                      <span className="px-2 py-1 rounded-full text-xs font-medium bg-gray-800 text-white flex items-center">
+                        <Lock className="w-3 h-3 mr-1" />
+                        Legal Hold
+                      </span>
+                    )}
+                  </div>
+                  <p className="text-gray-600 mb-2">
+                    {consultation.clinicalSummary?.chiefComplaint || 'No chief complaint recorded'}
+                  </p>
+                  <p className="text-sm text-gray-500">
+                    Deleted by {consultation.deletedBy || 'unknown'} on {new Date(consultation.deletedAt).toLocaleString()}
+                    {consultation.deletionReason && <> · Reason: {consultation.deletionReason}</>}
+                  </p>
+                  <p className="text-sm text-gray-500">
+                    {consultation.legalHold?.active
+                      ? `Held by ${consultation.legalHold.placedBy || 'unknown'}: ${consultation.legalHold.reason}`
+                      : `Purged after ${new Date(consultation.purgeAfter).toLocaleDateString()}`}
+                  </p>
+                </div>
+                <div className="flex items-center space-x-3">
+                  {canManageLegalHold && (
+                    <button
+                      onClick={() => toggleLegalHold(consultation)}
+                      disabled={busyId === consultation.consultationId}
+                      className="text-gray-500 hover:text-gray-700 disabled:text-gray-300"
+                      title={consultation.legalHold?.active ? 'Lift legal hold' : 'Place legal hold'}
+                    >
+                      {consultation.legalHold?.active ? <LockOpen className="w-5 h-5" /> : <Lock className="w-5 h-5" />}
+                    </button>
+                  )}
+                  <button
+                    onClick={() => restore(consultation)}
+                    disabled={busyId === consultation.consultationId}
+                    className="bg-blue-500 hover:bg-blue-600 disabled:bg-gray-300 text-white px-4 py-2 rounded-lg font-medium flex items-center space-x-2 transition-colors"
+                  >
+                    <ArchiveRestore className="w-4 h-4" />
+                    <span>Restore</span>
+                  </button>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {pagination && pagination.totalPages > 1 && (
+        <div className="flex justify-between items-center mt-4 text-sm text-gray-600">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1 || isLoading}
+            className="text-blue-500 hover:text-blue-700 disabled:text-gray-400 font-medium"
+          >
+            Newer
+          </button>
+          <span>Page {pagination.currentPage} of {pagination.totalPages} · {pagination.totalItems} consultations</span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={page >= pagination.totalPages || isLoading}
+            className="text-blue-500 hover:text-blue-700 disabled:text-gray-400 font-medium"
+          >
+            Older
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Trash;
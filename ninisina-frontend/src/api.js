@@ -0,0 +1,128 @@
+// Shared API client: keeps the signed-in session and attaches the access
+// token to every request, refreshing it transparently when it expires.
+
+export const API_BASE = 'https://ninisina-test.onrender.com';
+
+const SESSION_STORAGE_KEY = 'ninisina.session';
+
+const sessionExpiredListeners = new Set();
+let refreshPromise = null;
+
+const loadSession = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(SESSION_STORAGE_KEY));
+  } catch {
+    return null;
+  }
+};
+
+let session = loadSession();
+
+const saveSession = (nextSession) => {
+  session = nextSession;
+  if (nextSession) {
+    sessionStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(nextSession));
+  } else {
+    sessionStorage.removeItem(SESSION_STORAGE_KEY);
+  }
+};
+
+export const getCurrentUser = () => session?.user || null;
+
+// Register a callback fired when the session can no longer be refreshed.
+// Returns an unsubscribe function, suitable for useEffect cleanup.
+export const onSessionExpired = (listener) => {
+  sessionExpiredListeners.add(listener);
+  return () => sessionExpiredListeners.delete(listener);
+};
+
+const expireSession = () => {
+  saveSession(null);
+  sessionExpiredListeners.forEach(listener => listener());
+};
+
+export const login = async (username, password) => {
+  const response = await fetch(`${API_BASE}/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password }),
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || response.statusText);
+  }
+  saveSession(data);
+  return data.user;
+};
+
+export const logout = async () => {
+  try {
+    await apiFetch('/auth/logout', { method: 'POST' });
+  } catch (err) {
+    console.error('Logout error:', err);
+  } finally {
+    saveSession(null);
+  }
+};
+
+const refreshSession = () => {
+  // Concurrent requests that all hit an expired token share one refresh call
+  if (!refreshPromise) {
+    refreshPromise = fetch(`${API_BASE}/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken: session?.refreshToken }),
+    })
+      .then(async (response) => {
+        if (!response.ok) return false;
+        saveSession(await response.json());
+        return true;
+      })
+      .catch(() => false)
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+const withAuthHeader = (options) => ({
+  ...options,
+  headers: {
+    ...options.headers,
+    ...(session?.accessToken && { Authorization: `Bearer ${session.accessToken}` }),
+  },
+});
+
+// URL for an EventSource. EventSource can't send an Authorization header, so
+// the access token travels as a query parameter (accepted for event streams only).
+export const eventStreamUrl = (path) =>
+  `${API_BASE}${path}${path.includes('?') ? '&' : '?'}access_token=${encodeURIComponent(session?.accessToken || '')}`;
+
+// URL for a WebSocket on the API server, authenticated the same way as event streams
+export const webSocketUrl = (path) =>
+  `${API_BASE.replace(/^http/, 'ws')}${path}?access_token=${encodeURIComponent(session?.accessToken || '')}`;
+
+// Drop-in replacement for fetch(`${API_BASE}${path}`, options)
+export const apiFetch = async (path, options = {}) => {
+  if (!session) {
+    expireSession();
+    throw new Error('Your session has expired. Please sign in again.');
+  }
+
+  let response = await fetch(`${API_BASE}${path}`, withAuthHeader(options));
+
+  if (response.status === 401 && session?.refreshToken) {
+    const refreshed = await refreshSession();
+    if (refreshed) {
+      response = await fetch(`${API_BASE}${path}`, withAuthHeader(options));
+    }
+  }
+
+  if (response.status === 401) {
+    expireSession();
+    throw new Error('Your session has expired. Please sign in again.');
+  }
+
+  return response;
+};
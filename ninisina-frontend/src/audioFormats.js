@@ -0,0 +1,63 @@
+// Recording formats: not every browser can record WebM/Opus (Safari and iOS
+// record MP4/AAC), so the recorder uses the first format the browser supports
+// and uploads are named after what was actually recorded. The backend checks
+// and converts the audio itself, so the name is only a hint.
+const PREFERRED_RECORDER_TYPES = [
+  'audio/webm;codecs=opus',
+  'audio/webm',
+  'audio/mp4',
+  'audio/ogg;codecs=opus',
+  'audio/aac'
+];
+
+const EXTENSIONS = {
+  'audio/webm': 'webm',
+  'audio/mp4': 'm4a',
+  'audio/x-m4a': 'm4a',
+  'audio/ogg': 'ogg',
+  'audio/aac': 'aac',
+  'audio/mpeg': 'mp3',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/amr': 'amr'
+};
+
+// MediaRecorder options for this browser; empty lets it pick its default
+export const recorderOptions = () => {
+  if (typeof MediaRecorder === 'undefined' || !MediaRecorder.isTypeSupported) return {};
+  const mimeType = PREFERRED_RECORDER_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+  return mimeType ? { mimeType } : {};
+};
+
+// File extension for a recorded blob's type, e.g. 'audio/mp4;codecs=mp4a' -> 'm4a'
+export const extensionForType = (type) => EXTENSIONS[(type || '').split(';')[0].trim()] || 'webm';
+
+// Blob holding a finished recording, typed as what the recorder produced
+export const recordingBlob = (recorder, chunks) => new Blob(chunks, {
+  type: recorder.mimeType || chunks[0]?.type || 'audio/webm'
+});
+
+// Dictations imported from disk: phones and handheld recorders often leave the
+// type empty or generic, so fall back to the extension. The backend has the
+// final say once it inspects the content.
+const IMPORT_EXTENSIONS = ['m4a', 'mp4', 'mp3', 'wav', 'ogg', 'oga', 'opus', 'webm', 'amr', 'aac', 'flac', '3gp'];
+
+export const IMPORT_ACCEPT = ['audio/*', ...IMPORT_EXTENSIONS.map(ext => `.${ext}`)].join(',');
+
+export const isAudioFile = (file) =>
+  file.type.startsWith('audio/') || IMPORT_EXTENSIONS.includes(file.name.split('.').pop().toLowerCase());
+
+// Length of an audio file in whole seconds, or null if the browser can't tell
+// (it can't decode the format, or the container has no duration)
+export const audioFileDuration = (file) => new Promise((resolve) => {
+  const url = URL.createObjectURL(file);
+  const audio = new Audio();
+  const done = (seconds) => {
+    URL.revokeObjectURL(url);
+    resolve(Number.isFinite(seconds) ? Math.round(seconds) : null);
+  };
+  audio.preload = 'metadata';
+  audio.onloadedmetadata = () => done(audio.duration);
+  audio.onerror = () => done(null);
+  audio.src = url;
+});
@@ -0,0 +1,32 @@
+// Audit trail (ninisina-backend/auditLog.js). The backend records API access
+// itself; PDFs are generated in the browser, so exports are reported here.
+import { apiFetch } from './api';
+
+// Report a download. Never throws: a failed report must not block the export.
+export const recordExport = ({ resource, resourceId, patientId, format = 'pdf' }) =>
+  apiFetch('/audit/exports', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ resource, resourceId, patientId, format }),
+  }).catch(err => console.warn('Failed to record export in the audit log:', err));
+
+// Resolves to { entries, pagination }
+export const fetchAuditLog = async (filters) => {
+  const query = new URLSearchParams(Object.entries(filters).filter(([, value]) => value !== '' && value != null));
+  const response = await apiFetch(`/audit?${query}`);
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || response.statusText);
+  }
+  return data;
+};
+
+// Resolves to { valid, checked, brokenAt }
+export const verifyAuditLog = async () => {
+  const response = await apiFetch('/audit/verify');
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || response.statusText);
+  }
+  return data;
+};
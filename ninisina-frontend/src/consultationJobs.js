@@ -0,0 +1,184 @@
+// Background consultation processing: a recording is submitted once as a
+// job and the backend transcribes, diarizes and analyzes it on its own time.
+// The job being followed is kept in localStorage so a page refresh resumes it.
+import { apiFetch, eventStreamUrl } from './api';
+import { extensionForType } from './audioFormats';
+
+const ACTIVE_JOB_STORAGE_KEY = 'ninisina.activeJob';
+const POLL_INTERVAL_MS = 2000;
+
+export const STAGE_LABELS = {
+  transcribe: 'Transcribing consultation',
+  diarize: 'Identifying speakers',
+  analyze: 'Analyzing clinical data',
+  keyPoints: 'Extracting key points',
+  save: 'Saving consultation'
+};
+
+export const getActiveJob = () => {
+  try {
+    return JSON.parse(localStorage.getItem(ACTIVE_JOB_STORAGE_KEY));
+  } catch {
+    return null;
+  }
+};
+
+export const clearActiveJob = () => localStorage.removeItem(ACTIVE_JOB_STORAGE_KEY);
+
+// Create a job for a recording, or for its transcript when live
+// transcription already produced one. `audioBlob` may be a list of segments
+// (a recording resumed after an interruption), which the backend joins in
+// order. Imported files keep their own name. Submitting again with the same
+// idempotencyKey returns the job created the first time.
+// Resolves to { jobId, patientInfo, consultationDuration }; a rejected
+// submission throws an error carrying the response `.status`.
+export const createConsultationJob = async ({ audioBlob, transcript, patientInfo, consultationDuration, idempotencyKey }) => {
+  const formData = new FormData();
+  if (transcript) {
+    formData.append('transcript', transcript);
+  } else {
+    [].concat(audioBlob).forEach((blob, index) => {
+      formData.append('audio', blob, blob.name || `consultation-${Date.now()}-${index}.${extensionForType(blob.type)}`);
+    });
+  }
+  formData.append('patientInfo', JSON.stringify(patientInfo));
+  formData.append('consultationDuration', consultationDuration);
+
+  const response = await apiFetch('/jobs/consultations', {
+    method: 'POST',
+    headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {},
+    body: formData,
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    const error = new Error(`Upload failed: ${data.error || response.statusText}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return { jobId: data.jobId, patientInfo, consultationDuration };
+};
+
+// Create a job and make it the one the Record tab follows (survives reloads)
+export const submitConsultationJob = async (submission) => {
+  const activeJob = await createConsultationJob(submission);
+  localStorage.setItem(ACTIVE_JOB_STORAGE_KEY, JSON.stringify(activeJob));
+  return activeJob;
+};
+
+export const fetchJob = async (jobId) => {
+  const response = await apiFetch(`/jobs/${encodeURIComponent(jobId)}`);
+  const data = await response.json();
+  if (!response.ok) {
+    const error = new Error(data.error || response.statusText);
+    error.status = response.status;
+    throw error;
+  }
+  return data;
+};
+
+// One-line description of where a job is, for the processing banner
+export const describeJobProgress = (job) => {
+  if (job.status === 'queued') return 'Waiting in queue...';
+  const stage = job.stages.find(s => s.status === 'running' || s.status === 'retrying');
+  if (!stage) return 'Please wait...';
+  const label = STAGE_LABELS[stage.name] || stage.name;
+  return stage.attempts > 1 ? `${label}... (retry ${stage.attempts - 1})` : `${label}...`;
+};
+
+// Poll a job until it is done or failed, calling onUpdate with every status.
+// Network hiccups are retried on the next poll; resolves to null if aborted.
+export const waitForJob = async (jobId, { onUpdate, signal } = {}) => {
+  while (!signal?.aborted) {
+    try {
+      const job = await fetchJob(jobId);
+      if (signal?.aborted) break;
+      onUpdate?.(job);
+      if (job.status === 'done' || job.status === 'failed') return job;
+    } catch (err) {
+      if (err.status) throw err; // the server answered: job gone or not ours
+      console.error('Job status poll failed:', err);
+    }
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+  }
+  return null;
+};
+
+// Follow a job live over Server-Sent Events, calling onEvent(type, data) for
+// each "status", "stage", "tokens", "saved", "done" and "failed" event. Falls
+// back to polling if the stream can't be opened or drops (e.g. the access
+// token in its URL expired). Resolves to the finished job, or null if aborted.
+export const followJob = (jobId, { onEvent, signal } = {}) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return resolve(null);
+
+  const source = new EventSource(eventStreamUrl(`/jobs/${encodeURIComponent(jobId)}/events`));
+  let settled = false;
+  const settle = (promise) => {
+    if (settled) return;
+    settled = true;
+    source.close();
+    promise.then(resolve, reject);
+  };
+
+  signal?.addEventListener('abort', () => settle(Promise.resolve(null)));
+
+  ['status', 'stage', 'tokens', 'saved'].forEach(type => {
+    source.addEventListener(type, (event) => onEvent?.(type, JSON.parse(event.data)));
+  });
+  ['done', 'failed'].forEach(type => {
+    source.addEventListener(type, (event) => {
+      onEvent?.(type, JSON.parse(event.data));
+      settle(fetchJob(jobId)); // the stream doesn't carry the analysis result
+    });
+  });
+
+  source.onerror = () => {
+    console.warn('Job event stream unavailable, polling instead');
+    settle(waitForJob(jobId, { signal, onUpdate: (job) => onEvent?.('status', job) }));
+  };
+});
+
+// Fold a job event into the progress shown on the Record tab
+export const applyJobEvent = (progress, type, data) => {
+  switch (type) {
+    case 'status':
+      return { ...data, tokens: progress?.tokens || 0 };
+    case 'stage':
+      return {
+        ...progress,
+        status: 'running',
+        stages: (progress?.stages || []).map(stage => (stage.name === data.stage
+          ? {
+            ...stage,
+            status: data.status,
+            attempts: data.attempt || stage.attempts,
+            degraded: Boolean(data.degraded),
+            error: data.error
+          }
+          : stage))
+      };
+    case 'tokens':
+      return { ...progress, tokens: data.tokens };
+    case 'saved':
+      return { ...progress, consultationId: data.consultationId };
+    case 'done':
+      return { ...progress, status: 'done' };
+    case 'failed':
+      return { ...progress, status: 'failed', error: data.error };
+    default:
+      return progress;
+  }
+};
+
+// Consultation History entry for a finished job
+export const historyEntryForJob = (job, { patientInfo, consultationDuration }) => ({
+  id: job.result.consultationId,
+  date: new Date().toLocaleDateString(),
+  patientName: patientInfo.name || 'Unknown Patient',
+  chiefComplaint: job.result.clinicalSummary.chiefComplaint,
+  duration: consultationDuration,
+  priority: job.result.medicalInsights.redFlags.some(flag => flag.status === 'Critical') ? 'High' : 'Normal',
+  status: 'draft',
+  fullResults: job.result,
+  patientInfo
+});
@@ -0,0 +1,96 @@
+// Clinician review of the AI-generated note. Mirrors the lifecycle enforced by
+// ninisina-backend/consultationReview.js: draft → reviewed → signed → amended.
+// Once signed, a note is only changed through an amendment with a reason.
+import { apiFetch } from './api';
+
+export const STATUS_LABELS = {
+  draft: 'AI Draft',
+  reviewed: 'Reviewed',
+  signed: 'Signed',
+  amended: 'Amended'
+};
+
+export const STATUS_STYLES = {
+  draft: 'bg-yellow-100 text-yellow-800',
+  reviewed: 'bg-blue-100 text-blue-800',
+  signed: 'bg-green-100 text-green-800',
+  amended: 'bg-purple-100 text-purple-800'
+};
+
+export const RED_FLAG_STATUSES = ['Critical', 'Monitor', 'Noted'];
+
+// Consultations analyzed before the lifecycle existed have no status
+export const reviewStatus = (consultation) => consultation?.status || 'draft';
+
+export const isSigned = (consultation) => ['signed', 'amended'].includes(reviewStatus(consultation));
+
+// One line for the PDF report and the status bar
+export const describeReviewStatus = (consultation) => {
+  const status = reviewStatus(consultation);
+  if (status === 'draft') return 'AI draft, not yet reviewed by a clinician';
+  if (status === 'reviewed') return `Reviewed by ${consultation.reviewedBy} on ${new Date(consultation.reviewedAt).toLocaleString()}, not signed`;
+  const signed = `Signed by ${consultation.signedBy} on ${new Date(consultation.signedAt).toLocaleString()}`;
+  const amendments = consultation.amendments?.length || 0;
+  return amendments > 0 ? `${signed}, amended ${amendments} ${amendments === 1 ? 'time' : 'times'}` : signed;
+};
+
+// The editable sections of a note, copied so the editor doesn't touch the results on screen
+export const draftFromConsultation = (consultation) => ({
+  clinicalSummary: {
+    ...consultation.clinicalSummary,
+    plan: consultation.clinicalSummary?.plan || ''
+  },
+  medicalInsights: {
+    ...consultation.medicalInsights,
+    differentialDiagnosis: (consultation.medicalInsights?.differentialDiagnosis || []).map(dx => ({ ...dx })),
+    redFlags: (consultation.medicalInsights?.redFlags || []).map(flag => ({ ...flag })),
+    recommendations: (consultation.medicalInsights?.recommendations || []).map(rec => ({ ...rec, items: [...rec.items] }))
+  }
+});
+
+// Drop the blank rows the editor leaves behind before saving
+const cleanDraft = ({ clinicalSummary, medicalInsights }) => ({
+  clinicalSummary,
+  medicalInsights: {
+    ...medicalInsights,
+    differentialDiagnosis: medicalInsights.differentialDiagnosis.filter(dx => dx.condition.trim()),
+    redFlags: medicalInsights.redFlags.filter(flag => flag.flag.trim()),
+    recommendations: medicalInsights.recommendations.map(rec => ({
+      ...rec,
+      items: rec.items.map(item => item.trim()).filter(Boolean)
+    }))
+  }
+});
+
+// Resolves to the response body
+const request = async (method, path, body) => {
+  const response = await apiFetch(path, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : {},
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || response.statusText);
+  }
+  return data;
+};
+
+// Save edits to a draft or reviewed note, which becomes 'reviewed'. Resolves
+// to the updated consultation, as do signOff and amendNote.
+export const saveReview = async (consultationId, draft) =>
+  (await request('PUT', `/consultations/${consultationId}`, cleanDraft(draft))).consultation;
+
+export const signOff = async (consultationId) =>
+  (await request('POST', `/consultations/${consultationId}/sign`)).consultation;
+
+export const amendNote = async (consultationId, draft, reason) =>
+  (await request('POST', `/consultations/${consultationId}/amendments`, { ...cleanDraft(draft), reason })).consultation;
+
+// Every version of the note, oldest first: [{ version, kind, author, reason, createdAt, snapshot }]
+export const fetchRevisions = async (consultationId) =>
+  (await request('GET', `/consultations/${consultationId}/revisions`)).revisions;
+
+// Resolves to { from, to, changes: [{ path, before, after }] }
+export const fetchRevisionDiff = (consultationId, from, to) =>
+  request('GET', `/consultations/${consultationId}/revisions/diff?from=${from}&to=${to}`);
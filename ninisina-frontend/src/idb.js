@@ -0,0 +1,32 @@
+// Minimal promise wrapper around IndexedDB, shared by the stores that keep
+// recordings and queued consultations in the browser.
+
+// Open (and create or upgrade) a database; `upgrade` receives the database
+// when the version changes. Resolves to the IDBDatabase.
+export const openDatabase = (name, version, upgrade) => new Promise((resolve, reject) => {
+  const request = indexedDB.open(name, version);
+  request.onupgradeneeded = () => upgrade(request.result);
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Run `work` in a transaction; resolves to the result of the request it
+// returns once the transaction has committed
+export const runTransaction = async (dbPromise, storeNames, mode, work) => {
+  const db = await dbPromise;
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    const request = work(tx);
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+// Update a record within an open transaction, if it still exists
+export const patchRecord = (store, key, changes) => {
+  const request = store.get(key);
+  request.onsuccess = () => {
+    if (request.result) store.put({ ...request.result, ...changes, updatedAt: Date.now() });
+  };
+};
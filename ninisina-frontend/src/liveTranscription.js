@@ -0,0 +1,56 @@
+// Live transcription while recording: MediaRecorder chunks are streamed to
+// the backend over a WebSocket, which answers with a rolling transcript and,
+// once recording stops, the final transcript of the whole consultation.
+import { webSocketUrl } from './api';
+
+const FINAL_TRANSCRIPT_TIMEOUT_MS = 60000;
+
+export const openLiveTranscription = ({ onPartial, onError } = {}) => {
+  const socket = new WebSocket(webSocketUrl('/live-transcription'));
+  const pendingChunks = []; // recorded before the socket finished connecting
+  let stopRequested = false;
+
+  let resolveFinal;
+  const finalTranscript = new Promise(resolve => {
+    resolveFinal = resolve;
+  });
+
+  const sendStop = () => socket.send(JSON.stringify({ type: 'stop' }));
+
+  socket.onopen = () => {
+    pendingChunks.splice(0).forEach(chunk => socket.send(chunk));
+    if (stopRequested) sendStop();
+  };
+
+  socket.onmessage = (event) => {
+    const message = JSON.parse(event.data);
+    if (message.type === 'partial') onPartial?.(message.transcript);
+    if (message.type === 'final') resolveFinal({ transcript: message.transcript, transcription: message.transcription });
+    if (message.type === 'error') onError?.(message.error);
+  };
+
+  socket.onerror = () => onError?.('Live transcription connection failed');
+  socket.onclose = () => resolveFinal(null);
+
+  return {
+    sendChunk: (chunk) => {
+      if (socket.readyState === WebSocket.OPEN) socket.send(chunk);
+      else if (socket.readyState === WebSocket.CONNECTING) pendingChunks.push(chunk);
+    },
+
+    // Resolves to { transcript, transcription }, or null if live transcription
+    // is unavailable and the recording has to be uploaded instead
+    finish: () => {
+      stopRequested = true;
+      if (socket.readyState === WebSocket.OPEN) sendStop();
+      else if (socket.readyState !== WebSocket.CONNECTING) resolveFinal(null);
+      setTimeout(() => {
+        resolveFinal(null);
+        socket.close();
+      }, FINAL_TRANSCRIPT_TIMEOUT_MS);
+      return finalTranscript;
+    },
+
+    close: () => socket.close()
+  };
+};
@@ -0,0 +1,95 @@
+// Consultations captured while the clinic is offline. Each one is kept in
+// IndexedDB with everything needed to submit it later (audio segments,
+// patientInfo, duration) and uploaded once the connection returns. Its id
+// doubles as the job's idempotency key, so an upload that reached the server
+// but whose response was lost is not processed twice when retried.
+import { openDatabase, patchRecord, runTransaction } from './idb';
+import { createConsultationJob } from './consultationJobs';
+
+const DB_NAME = 'ninisina-offline-queue';
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+const run = (mode, work) => {
+  if (!dbPromise) {
+    dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+      db.createObjectStore('consultations', { keyPath: 'id' });
+    });
+  }
+  return runTransaction(dbPromise, ['consultations'], mode, tx => work(tx.objectStore('consultations')));
+};
+
+// Key for a submission; reuse it when queueing a submission that failed mid-upload
+export const newIdempotencyKey = () => (crypto.randomUUID
+  ? crypto.randomUUID()
+  : `${Date.now()}-${Math.random().toString(36).slice(2)}`);
+
+// fetch rejects (rather than resolving with an error status) when the network is down
+export const isNetworkError = (err) => err instanceof TypeError;
+
+// Queue a consultation for upload. Resolves to the queued item.
+export const enqueueConsultation = async ({ idempotencyKey, username, audioBlob, transcript, patientInfo, consultationDuration }) => {
+  const now = Date.now();
+  const item = {
+    id: idempotencyKey || newIdempotencyKey(),
+    username,
+    segments: audioBlob ? [].concat(audioBlob) : [],
+    transcript,
+    patientInfo,
+    consultationDuration,
+    status: 'pending', // or 'rejected' when the server refused it and a person has to decide
+    attempts: 0,
+    lastError: null,
+    createdAt: now,
+    updatedAt: now
+  };
+  await run('readwrite', store => store.put(item));
+  return item;
+};
+
+// This user's queued consultations, oldest first
+export const listQueuedConsultations = async (username) => {
+  const items = await run('readonly', store => store.getAll());
+  return (items || [])
+    .filter(item => item.username === username)
+    .sort((a, b) => a.createdAt - b.createdAt);
+};
+
+export const removeQueuedConsultation = (id) => run('readwrite', store => store.delete(id));
+
+const updateQueuedConsultation = (id, changes) => run('readwrite', store => patchRecord(store, id, changes));
+
+// Put a rejected item back in line for the next sync
+export const requeueConsultation = (id) => updateQueuedConsultation(id, { status: 'pending', lastError: null });
+
+// Upload this user's pending consultations, oldest first. Each one that the
+// server accepts is removed from the queue and passed to onSubmitted(item, job).
+// Stops at the first network failure (still offline); a server error leaves
+// the item pending for the next sync, and a rejection (4xx: bad audio,
+// unknown patient) sets it aside as 'rejected'.
+export const syncQueuedConsultations = async (username, { onSubmitted } = {}) => {
+  const pending = (await listQueuedConsultations(username)).filter(item => item.status === 'pending');
+
+  for (const item of pending) {
+    try {
+      const job = await createConsultationJob({
+        audioBlob: item.segments.length > 0 ? item.segments : undefined,
+        transcript: item.transcript,
+        patientInfo: item.patientInfo,
+        consultationDuration: item.consultationDuration,
+        idempotencyKey: item.id
+      });
+      await removeQueuedConsultation(item.id);
+      onSubmitted?.(item, job);
+    } catch (err) {
+      if (isNetworkError(err)) return;
+      const rejected = err.status >= 400 && err.status < 500;
+      await updateQueuedConsultation(item.id, {
+        status: rejected ? 'rejected' : 'pending',
+        attempts: item.attempts + 1,
+        lastError: err.message
+      });
+    }
+  }
+};
@@ -0,0 +1,28 @@
+// Mirrors the permission names in ninisina-backend/permissions.js. The
+// backend sends each user's granted permissions with the login response,
+// so only the names live here; the backend stays the source of truth.
+
+export const PERMISSIONS = {
+  PATIENTS_READ: 'patients:read',
+  PATIENTS_REGISTER: 'patients:register',
+  PATIENTS_DELETE: 'patients:delete',
+  CONSULTATIONS_RECORD: 'consultations:record',
+  CONSULTATIONS_READ: 'consultations:read',
+  CONSULTATIONS_UPDATE: 'consultations:update',
+  CONSULTATIONS_SIGN: 'consultations:sign',
+  CONSULTATIONS_DELETE: 'consultations:delete',
+  CLINICAL_READ: 'clinical:read',
+  VITALS_RECORD: 'vitals:record',
+  PRESCRIPTIONS_CREATE: 'prescriptions:create',
+  PRESCRIPTIONS_SIGN: 'prescriptions:sign',
+  PRESCRIPTIONS_DISPENSE: 'prescriptions:dispense',
+  REPORTS_EXPORT: 'reports:export',
+  STATS_READ: 'stats:read',
+  USERS_MANAGE: 'users:manage',
+  AUDIT_READ: 'audit:read',
+  TRASH_MANAGE: 'trash:manage',
+  LEGAL_HOLD_MANAGE: 'legal_hold:manage',
+  RESEARCH_EXPORT: 'research:export',
+};
+
+export const can = (user, permission) => Boolean(user?.permissions?.includes(permission));
@@ -0,0 +1,102 @@
+// Prescription safety checks (ninisina-backend/prescriptionSafety.js):
+// interactions, allergy conflicts, duplications and dose limits. Warnings
+// marked `blocking` mean the prescription can't be issued until corrected.
+// Each medication is matched to a drug dictionary concept first; names that
+// couldn't be matched come back with `conceptSuggestions` to choose from.
+// Prescriptions saved on a consultation follow a lifecycle
+// (ninisina-backend/prescriptionLifecycle.js): draft → signed → dispensed,
+// or cancelled with a reason; issued prescriptions are renewed as new drafts.
+import { apiFetch } from './api';
+
+// Resolves to the response body
+const request = async (method, path, body) => {
+  const response = await apiFetch(path, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : {},
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || response.statusText);
+  }
+  return data;
+};
+
+// Re-check edited medications. Resolves to { medications, warnings,
+// uncheckedMedications, uncheckedDoses, blocked }
+export const checkPrescription = (patientInfo, medications) =>
+  request('POST', '/prescriptions/check', { patientInfo, medications });
+
+// Dictionary concepts matching a typed name. Resolves to [{ conceptId,
+// generic, brand, score, brands, strengths, forms }]
+export const searchDrugs = async (query) => {
+  const { concepts } = await request('GET', `/drugs/search?q=${encodeURIComponent(query)}`);
+  return concepts;
+};
+
+const STRENGTH = /\d+(?:\.\d+)?\s*(?:mg|mcg|g|mmol)\b(?:\s*\/\s*\d*(?:\.\d+)?\s*ml)?/i;
+
+// The medication as the prescriber chose it: renamed to the chosen drug,
+// keeping the strength it was prescribed at, and checked again from scratch
+export const withChosenConcept = (medication, choice) => {
+  const strength = (medication.name || '').match(STRENGTH);
+  const drugName = choice.brand || choice.generic.charAt(0).toUpperCase() + choice.generic.slice(1);
+  return {
+    ...medication,
+    name: strength ? `${drugName} ${strength[0]}` : drugName,
+    concept: { conceptId: choice.conceptId, brand: choice.brand, matchedBy: 'clinician' },
+    conceptSuggestions: undefined,
+    structured: undefined,
+  };
+};
+
+// "500 mg · oral · every 8 h · 7 days" from a medication's parsed dose
+export const describeStructuredDose = (structured) => {
+  if (!structured) return '';
+  const parts = [];
+  if (structured.amount != null) parts.push(`${structured.amount} ${structured.unit}`);
+  if (structured.route) parts.push(structured.route);
+  if (structured.intervalHours) parts.push(`every ${structured.intervalHours} h`);
+  if (structured.asNeeded) parts.push('as needed');
+  if (structured.ongoing) parts.push('ongoing');
+  else if (structured.days) parts.push(`${structured.days} day${structured.days === 1 ? '' : 's'}`);
+  return parts.join(' · ');
+};
+
+export const PRESCRIPTION_STATUS_LABELS = {
+  draft: 'Draft',
+  signed: 'Signed',
+  dispensed: 'Dispensed',
+  cancelled: 'Cancelled',
+};
+
+export const PRESCRIPTION_STATUS_STYLES = {
+  draft: 'bg-yellow-100 text-yellow-800',
+  signed: 'bg-green-100 text-green-800',
+  dispensed: 'bg-blue-100 text-blue-800',
+  cancelled: 'bg-gray-200 text-gray-600',
+};
+
+// Prescriptions saved before the lifecycle existed were issued as generated
+export const prescriptionStatus = (prescription) => prescription?.status || 'signed';
+
+const prescriptionPath = (consultationId, prescriptionId) =>
+  `/consultations/${consultationId}/prescriptions/${encodeURIComponent(prescriptionId)}`;
+
+// Save edits to a draft, which is checked again. Resolves to the updated
+// prescription, as do the lifecycle steps below.
+export const updatePrescription = async (consultationId, prescriptionId, { medications, additionalInstructions }) =>
+  (await request('PUT', prescriptionPath(consultationId, prescriptionId), { medications, additionalInstructions })).prescription;
+
+export const signPrescription = async (consultationId, prescriptionId, warningsAcknowledged) =>
+  (await request('POST', `${prescriptionPath(consultationId, prescriptionId)}/sign`, { warningsAcknowledged })).prescription;
+
+export const dispensePrescription = async (consultationId, prescriptionId) =>
+  (await request('POST', `${prescriptionPath(consultationId, prescriptionId)}/dispense`)).prescription;
+
+export const cancelPrescription = async (consultationId, prescriptionId, reason) =>
+  (await request('POST', `${prescriptionPath(consultationId, prescriptionId)}/cancel`, { reason })).prescription;
+
+// Resolves to the new draft
+export const renewPrescription = async (consultationId, prescriptionId) =>
+  (await request('POST', `${prescriptionPath(consultationId, prescriptionId)}/renew`)).prescription;
@@ -0,0 +1,99 @@
+// Crash-safe backup of recordings in IndexedDB. Every MediaRecorder chunk is
+// written as it arrives, so a crashed tab, an accidental refresh or a laptop
+// going to sleep loses at most the last second of a consultation.
+//
+// A recording is made of segments: one per MediaRecorder session. Pausing
+// stays within a segment; resuming after the page was reloaded starts a new
+// one, since a new recorder writes a new container. The backend joins the
+// segments back together.
+//
+// The backup is best-effort: if IndexedDB is unavailable (some private
+// browsing modes) or a write fails, the recording carries on in memory, so
+// none of these functions reject.
+import { openDatabase, patchRecord, runTransaction } from './idb';
+
+const DB_NAME = 'ninisina-recordings';
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+const run = (storeNames, mode, work) => {
+  if (!dbPromise) {
+    dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+      db.createObjectStore('recordings', { keyPath: 'id' });
+      db.createObjectStore('chunks', { autoIncrement: true }).createIndex('recordingId', 'recordingId');
+    });
+  }
+  return runTransaction(dbPromise, storeNames, mode, work);
+};
+
+const warn = (action) => (err) => {
+  console.warn(`Recording backup: failed to ${action}:`, err);
+  return null;
+};
+
+// Start backing up a new recording. Returns its id straight away; chunks can
+// be appended before the write lands since transactions run in order.
+export const createRecording = ({ kind, username, patientInfo, mimeType }) => {
+  const now = Date.now();
+  const recording = {
+    id: `${kind}-${now}-${Math.round(Math.random() * 1E9)}`,
+    kind,
+    username,
+    patientInfo,
+    mimeType,
+    startedAt: now,
+    updatedAt: now,
+    elapsedSeconds: 0,
+    segmentCount: 1
+  };
+  run(['recordings'], 'readwrite', tx => tx.objectStore('recordings').put(recording))
+    .catch(warn('create recording'));
+  return recording.id;
+};
+
+export const appendChunk = (recordingId, segment, data, elapsedSeconds) =>
+  run(['recordings', 'chunks'], 'readwrite', (tx) => {
+    tx.objectStore('chunks').add({ recordingId, segment, data });
+    patchRecord(tx.objectStore('recordings'), recordingId, { elapsedSeconds });
+  }).catch(warn('save audio chunk'));
+
+export const updateRecording = (recordingId, changes) =>
+  run(['recordings'], 'readwrite', tx => patchRecord(tx.objectStore('recordings'), recordingId, changes))
+    .catch(warn('update recording'));
+
+// The most recent backed-up recording of this kind ('consultation' or
+// 'prescription') made by this user, or null
+export const findRecording = (kind, username) =>
+  run(['recordings'], 'readonly', tx => tx.objectStore('recordings').getAll())
+    .then(recordings => (recordings || [])
+      .filter(recording => recording.kind === kind && recording.username === username)
+      .sort((a, b) => b.updatedAt - a.updatedAt)[0] || null)
+    .catch(warn('look up recordings'));
+
+// The recording's audio as one Blob per non-empty segment, in order
+export const loadSegments = (recording) =>
+  run(['chunks'], 'readonly', tx => tx.objectStore('chunks').index('recordingId').getAll(recording.id))
+    .then((chunks) => {
+      const segments = [];
+      (chunks || []).forEach(({ segment, data }) => {
+        (segments[segment] = segments[segment] || []).push(data);
+      });
+      return segments
+        .filter(Boolean)
+        .map(parts => new Blob(parts, { type: recording.mimeType || parts[0].type }));
+    })
+    .catch(err => warn('load recording')(err) || []);
+
+export const deleteRecording = (recordingId) =>
+  run(['recordings', 'chunks'], 'readwrite', (tx) => {
+    tx.objectStore('recordings').delete(recordingId);
+    const cursorRequest = tx.objectStore('chunks').index('recordingId').openCursor(IDBKeyRange.only(recordingId));
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (cursor) {
+        cursor.delete();
+        cursor.continue();
+      }
+    };
+  }).catch(warn('delete recording'));
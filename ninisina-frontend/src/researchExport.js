@@ -0,0 +1,23 @@
+// De-identified research dataset (ninisina-backend/deidentify.js): every
+// consultation with names, ids and exact dates removed, one JSON record per line.
+import { apiFetch } from './api';
+
+// Download the export as a file. filters: { startDate, endDate } (YYYY-MM-DD)
+export const downloadResearchExport = async ({ startDate, endDate } = {}) => {
+  const query = new URLSearchParams();
+  if (startDate) query.set('startDate', startDate);
+  if (endDate) query.set('endDate', `${endDate}T23:59:59.999`);
+
+  const response = await apiFetch(`/research/consultations/export?${query}`);
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || response.statusText);
+  }
+
+  const url = URL.createObjectURL(await response.blob());
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `ninisina-research-export-${new Date().toISOString().slice(0, 10)}.ndjson`;
+  link.click();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,31 @@
+// Soft deletion, the trash and legal holds (ninisina-backend/retention.js).
+// Deleting moves a consultation to the trash, where admins can restore it
+// until the retention purge removes it for good.
+import { apiFetch } from './api';
+
+// Resolves to the response body
+const request = async (method, path, body) => {
+  const response = await apiFetch(path, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : {},
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || response.statusText);
+  }
+  return data;
+};
+
+export const deleteConsultation = (consultationId, reason) =>
+  request('DELETE', `/consultations/${consultationId}`, { reason });
+
+// Resolves to { consultations, retentionDays, pagination }
+export const fetchTrash = (page = 1) => request('GET', `/trash/consultations?page=${page}`);
+
+export const restoreConsultation = (consultationId) =>
+  request('POST', `/consultations/${consultationId}/restore`);
+
+// Resolves to the consultation's new legalHold
+export const setLegalHold = async (consultationId, active, reason) =>
+  (await request('PUT', `/consultations/${consultationId}/legal-hold`, { active, reason })).legalHold;
@@ -0,0 +1,10 @@
+// Register public/sw.js so the app shell loads offline. Production builds
+// only: in development it would serve stale modules over Vite's dev server.
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch((err) => {
+      console.warn('Service worker registration failed:', err);
+    });
+  });
+};
@@ -0,0 +1,95 @@
+// Batch import of recorded dictations: every file becomes its own consultation
+// job for the patient that was selected when it was added. Files are uploaded
+// one at a time and the resulting jobs are then polled side by side (polling
+// rather than event streams, so a large batch doesn't use up the browser's
+// connections to the backend).
+import { useEffect, useRef, useState } from 'react';
+import { audioFileDuration } from './audioFormats';
+import { createConsultationJob, describeJobProgress, historyEntryForJob, waitForJob } from './consultationJobs';
+
+export const formatDuration = (seconds) => (seconds === null
+  ? 'N/A'
+  : `${Math.floor(seconds / 60).toString().padStart(2, '0')}:${(seconds % 60).toString().padStart(2, '0')}`);
+
+let nextItemKey = 0;
+
+// Returns the batch and its actions. onSaved is called with the Consultation
+// History entry of every job that finishes.
+export const useBatchImport = ({ onSaved }) => {
+  const [items, setItems] = useState([]);
+  const controllerRef = useRef(new AbortController());
+  const onSavedRef = useRef(onSaved);
+  onSavedRef.current = onSaved;
+
+  useEffect(() => () => controllerRef.current.abort(), []);
+
+  const updateItem = (key, changes) =>
+    setItems(prev => prev.map(item => (item.key === key ? { ...item, ...changes } : item)));
+
+  const addFiles = (files, patientInfo) => {
+    const added = files.map(file => ({
+      key: nextItemKey++,
+      file,
+      patientInfo,
+      duration: null,
+      status: 'ready',
+      detail: ''
+    }));
+    setItems(prev => [...prev, ...added]);
+    added.forEach(item => {
+      audioFileDuration(item.file).then(duration => updateItem(item.key, { duration }));
+    });
+  };
+
+  const removeItem = (key) => setItems(prev => prev.filter(item => item.key !== key));
+
+  const follow = async (item, job, signal) => {
+    try {
+      const finished = await waitForJob(job.jobId, {
+        signal,
+        onUpdate: (update) => updateItem(item.key, { status: update.status, detail: describeJobProgress(update) })
+      });
+      if (!finished) return;
+      if (finished.status === 'failed') {
+        updateItem(item.key, { status: 'failed', detail: finished.error || 'Processing failed' });
+        return;
+      }
+      const consultation = historyEntryForJob(finished, job);
+      updateItem(item.key, { status: 'done', detail: `Saved as ${consultation.id}`, consultation });
+      onSavedRef.current?.(consultation);
+    } catch (err) {
+      if (!signal.aborted) updateItem(item.key, { status: 'failed', detail: err.message });
+    }
+  };
+
+  const processAll = async () => {
+    const { signal } = controllerRef.current;
+    const ready = items.filter(item => item.status === 'ready');
+
+    for (const item of ready) {
+      if (signal.aborted) return;
+      updateItem(item.key, { status: 'uploading', detail: 'Uploading...' });
+      try {
+        const job = await createConsultationJob({
+          audioBlob: item.file,
+          patientInfo: item.patientInfo,
+          consultationDuration: formatDuration(item.duration)
+        });
+        updateItem(item.key, { status: 'queued', detail: 'Waiting in queue...', jobId: job.jobId });
+        follow(item, job, signal);
+      } catch (err) {
+        console.error('Batch upload error:', err);
+        updateItem(item.key, { status: 'failed', detail: err.message });
+      }
+    }
+  };
+
+  // Stop following every job and empty the list
+  const clear = () => {
+    controllerRef.current.abort();
+    controllerRef.current = new AbortController();
+    setItems([]);
+  };
+
+  return { items, addFiles, removeItem, processAll, clear };
+};
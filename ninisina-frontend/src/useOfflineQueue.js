@@ -0,0 +1,131 @@
+// Offline queue as seen by the app: consultations waiting in offlineQueue.js,
+// synced automatically when the browser comes back online (and periodically,
+// since `online` isn't fired for every kind of outage), then followed until
+// the backend has processed them.
+import { useEffect, useRef, useState } from 'react';
+import { describeJobProgress, historyEntryForJob, waitForJob } from './consultationJobs';
+import {
+  enqueueConsultation,
+  listQueuedConsultations,
+  removeQueuedConsultation,
+  requeueConsultation,
+  syncQueuedConsultations
+} from './offlineQueue';
+
+const SYNC_INTERVAL_MS = 60000;
+
+// onSaved is called with the Consultation History entry of every queued
+// consultation once its job finishes
+export const useOfflineQueue = ({ username, onSaved }) => {
+  const [queued, setQueued] = useState([]); // Waiting for upload, from IndexedDB
+  const [processing, setProcessing] = useState([]); // Uploaded, job not finished yet
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+  const [isSyncing, setIsSyncing] = useState(false);
+
+  const syncingRef = useRef(false);
+  const controllerRef = useRef(new AbortController());
+  const onSavedRef = useRef(onSaved);
+  onSavedRef.current = onSaved;
+
+  const refresh = async () => {
+    if (!username) return setQueued([]);
+    try {
+      setQueued(await listQueuedConsultations(username));
+    } catch (err) {
+      console.warn('Offline queue unavailable:', err);
+    }
+  };
+
+  const follow = async (item, job) => {
+    const { signal } = controllerRef.current;
+    const update = (changes) => setProcessing(prev => prev.map(entry => (entry.id === item.id ? { ...entry, ...changes } : entry)));
+    setProcessing(prev => [...prev, { ...item, jobId: job.jobId, status: 'queued', detail: 'Waiting in queue...' }]);
+
+    try {
+      const finished = await waitForJob(job.jobId, {
+        signal,
+        onUpdate: (status) => update({ status: status.status, detail: describeJobProgress(status) })
+      });
+      if (!finished) return;
+      if (finished.status === 'failed') {
+        update({ status: 'failed', detail: finished.error || 'Processing failed' });
+        return;
+      }
+      setProcessing(prev => prev.filter(entry => entry.id !== item.id));
+      onSavedRef.current?.(historyEntryForJob(finished, item));
+    } catch (err) {
+      if (!signal.aborted) update({ status: 'failed', detail: err.message });
+    }
+  };
+
+  const sync = async () => {
+    if (!username || syncingRef.current) return;
+    syncingRef.current = true;
+    setIsSyncing(true);
+    try {
+      await syncQueuedConsultations(username, { onSubmitted: follow });
+    } catch (err) {
+      console.warn('Offline queue sync failed:', err);
+    } finally {
+      syncingRef.current = false;
+      setIsSyncing(false);
+      refresh();
+    }
+  };
+
+  const syncRef = useRef(sync);
+  syncRef.current = sync;
+
+  useEffect(() => {
+    // Upload whatever was left over last time, then whenever the connection returns
+    syncRef.current();
+
+    const handleOnline = () => {
+      setIsOnline(true);
+      syncRef.current();
+    };
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    const interval = setInterval(() => {
+      if (navigator.onLine) syncRef.current();
+    }, SYNC_INTERVAL_MS);
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      clearInterval(interval);
+    };
+  }, [username]);
+
+  useEffect(() => {
+    // Stop following jobs when signing out or leaving
+    const controller = controllerRef.current;
+    return () => {
+      controller.abort();
+      controllerRef.current = new AbortController();
+      setProcessing([]);
+    };
+  }, [username]);
+
+  // Keep a consultation for upload later. Rejects if it couldn't be stored.
+  const enqueue = async (submission) => {
+    const item = await enqueueConsultation({ ...submission, username });
+    await refresh();
+    return item;
+  };
+
+  const retry = async (id) => {
+    await requeueConsultation(id);
+    await sync();
+  };
+
+  const discard = async (id) => {
+    await removeQueuedConsultation(id);
+    await refresh();
+  };
+
+  const dismissFailed = (id) => setProcessing(prev => prev.filter(entry => entry.id !== id));
+
+  return { queued, processing, isOnline, isSyncing, enqueue, sync, retry, discard, dismissFailed };
+};
@@ -0,0 +1,214 @@
+// Microphone recording shared by the Record and E-Prescription tabs: start,
+// pause/resume and stop, with every chunk backed up to IndexedDB (see
+// recordingStore.js) so an interrupted recording can be resumed or processed
+// after a crash or reload.
+import { useEffect, useRef, useState } from 'react';
+import { recordingBlob, recorderOptions } from './audioFormats';
+import { onSessionExpired } from './api';
+import * as recordingStore from './recordingStore';
+
+const MICROPHONE_CONSTRAINTS = {
+  audio: {
+    echoCancellation: true,
+    noiseSuppression: true,
+    sampleRate: 44100
+  }
+};
+
+// `kind` keeps consultation and prescription backups apart; `username` scopes
+// recovery to the signed-in user. onChunk is called with every chunk while
+// recording and onStop with the final segment's Blob.
+export const useRecorder = ({ kind, username, onChunk, onStop }) => {
+  const [isRecording, setIsRecording] = useState(false);
+  const [isPaused, setIsPaused] = useState(false);
+  const [recordingTime, setRecordingTime] = useState(0);
+  const [audioBlob, setAudioBlob] = useState(null); // Latest segment, or an imported file
+  const [earlierSegments, setEarlierSegments] = useState([]); // Recorded before an interruption
+  const [interruptedRecording, setInterruptedRecording] = useState(null); // Backup found on load
+
+  const mediaRecorderRef = useRef(null);
+  const chunksRef = useRef([]);
+  const timerRef = useRef(null);
+  const elapsedRef = useRef(0);
+  const backupRef = useRef(null); // { id, segment } of the recording being backed up
+  const callbacksRef = useRef({ onChunk, onStop });
+  callbacksRef.current = { onChunk, onStop };
+
+  useEffect(() => {
+    // Offer to recover a recording this user didn't finish last time
+    setInterruptedRecording(null);
+    if (!username) return;
+    let cancelled = false;
+    recordingStore.findRecording(kind, username).then((recording) => {
+      if (!cancelled) setInterruptedRecording(recording);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [kind, username]);
+
+  useEffect(() => () => clearInterval(timerRef.current), []);
+
+  useEffect(() => {
+    // Stop when the session expires; the backup is offered again after signing in
+    return onSessionExpired(() => {
+      const recorder = mediaRecorderRef.current;
+      if (recorder && recorder.state !== 'inactive') recorder.stop();
+      clearInterval(timerRef.current);
+      setIsRecording(false);
+      setIsPaused(false);
+    });
+  }, []);
+
+  const startTimer = () => {
+    clearInterval(timerRef.current);
+    timerRef.current = setInterval(() => {
+      elapsedRef.current += 1;
+      setRecordingTime(elapsedRef.current);
+    }, 1000);
+  };
+
+  // Start a new recording, or continue `resumeFrom` (an interrupted
+  // recording) as a new segment. Rejects if the microphone is unavailable.
+  const start = async ({ patientInfo, resumeFrom = null } = {}) => {
+    const previousSegments = resumeFrom ? await recordingStore.loadSegments(resumeFrom) : [];
+    const stream = await navigator.mediaDevices.getUserMedia(MICROPHONE_CONSTRAINTS);
+    const recorder = new MediaRecorder(stream, recorderOptions());
+    mediaRecorderRef.current = recorder;
+    chunksRef.current = [];
+
+    if (resumeFrom) {
+      backupRef.current = { id: resumeFrom.id, segment: resumeFrom.segmentCount };
+      recordingStore.updateRecording(resumeFrom.id, { segmentCount: resumeFrom.segmentCount + 1 });
+      elapsedRef.current = resumeFrom.elapsedSeconds;
+    } else {
+      releaseBackup(); // a previous take that was never processed
+      backupRef.current = {
+        id: recordingStore.createRecording({ kind, username, patientInfo, mimeType: recorder.mimeType }),
+        segment: 0
+      };
+      elapsedRef.current = 0;
+    }
+
+    setEarlierSegments(previousSegments);
+    setAudioBlob(null);
+    setInterruptedRecording(null);
+    setRecordingTime(elapsedRef.current);
+
+    recorder.ondataavailable = (event) => {
+      if (event.data.size === 0) return;
+      chunksRef.current.push(event.data);
+      if (backupRef.current) {
+        recordingStore.appendChunk(backupRef.current.id, backupRef.current.segment, event.data, elapsedRef.current);
+      }
+      callbacksRef.current.onChunk?.(event.data);
+    };
+
+    recorder.onstop = () => {
+      stream.getTracks().forEach(track => track.stop());
+      if (mediaRecorderRef.current !== recorder) return; // discarded
+      const blob = recordingBlob(recorder, chunksRef.current);
+      setAudioBlob(blob);
+      callbacksRef.current.onStop?.(blob);
+    };
+
+    recorder.start(1000);
+    setIsRecording(true);
+    setIsPaused(false);
+    startTimer();
+  };
+
+  // Pause while the patient steps out; what was recorded so far is flushed to the backup
+  const pause = () => {
+    const recorder = mediaRecorderRef.current;
+    if (recorder?.state !== 'recording') return;
+    recorder.pause();
+    recorder.requestData();
+    clearInterval(timerRef.current);
+    setIsPaused(true);
+  };
+
+  const resume = () => {
+    const recorder = mediaRecorderRef.current;
+    if (recorder?.state !== 'paused') return;
+    recorder.resume();
+    setIsPaused(false);
+    startTimer();
+  };
+
+  const stop = () => {
+    const recorder = mediaRecorderRef.current;
+    if (recorder && recorder.state !== 'inactive') recorder.stop();
+    clearInterval(timerRef.current);
+    setIsRecording(false);
+    setIsPaused(false);
+  };
+
+  // Load an interrupted recording as it is, ready to be processed
+  const recoverInterrupted = async () => {
+    const recording = interruptedRecording;
+    const segments = await recordingStore.loadSegments(recording);
+    setInterruptedRecording(null);
+    if (segments.length === 0) {
+      recordingStore.deleteRecording(recording.id);
+      return null;
+    }
+    backupRef.current = { id: recording.id, segment: recording.segmentCount };
+    elapsedRef.current = recording.elapsedSeconds;
+    setEarlierSegments(segments.slice(0, -1));
+    setAudioBlob(segments[segments.length - 1]);
+    setRecordingTime(recording.elapsedSeconds);
+    return recording;
+  };
+
+  const discardInterrupted = () => {
+    if (interruptedRecording) recordingStore.deleteRecording(interruptedRecording.id);
+    setInterruptedRecording(null);
+  };
+
+  // The recording has been handed to the backend; drop its backup but keep it on screen
+  const releaseBackup = () => {
+    if (backupRef.current) recordingStore.deleteRecording(backupRef.current.id);
+    backupRef.current = null;
+  };
+
+  // Use a file from disk in place of a recording
+  const loadFile = (file, seconds) => {
+    releaseBackup();
+    elapsedRef.current = seconds || 0;
+    setEarlierSegments([]);
+    setAudioBlob(file);
+    setRecordingTime(elapsedRef.current);
+  };
+
+  // Throw away the current recording (stopping it if need be) and its backup
+  const discard = () => {
+    stop();
+    mediaRecorderRef.current = null;
+    releaseBackup();
+    chunksRef.current = [];
+    elapsedRef.current = 0;
+    setEarlierSegments([]);
+    setAudioBlob(null);
+    setRecordingTime(0);
+  };
+
+  return {
+    isRecording,
+    isPaused,
+    recordingTime,
+    audioBlob,
+    // Everything to upload, in order; more than one when resumed after an interruption
+    segments: audioBlob ? [...earlierSegments, audioBlob] : [],
+    interruptedRecording,
+    start,
+    pause,
+    resume,
+    stop,
+    recoverInterrupted,
+    discardInterrupted,
+    releaseBackup,
+    loadFile,
+    discard
+  };
+};